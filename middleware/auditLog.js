@@ -0,0 +1,110 @@
+import mongoose from 'mongoose';
+import auditService from '../services/auditService.js';
+import { errorLogger } from '../utils/logger.js';
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+const ACTION_VERBS = {
+  POST: 'create',
+  PUT: 'update',
+  PATCH: 'update',
+  DELETE: 'delete',
+  GET: 'view'
+};
+
+// 'MassSchedule' -> 'mass-schedule'
+const toActionPrefix = (modelName) => modelName.replace(/([a-z])([A-Z])/g, '$1-$2').toLowerCase();
+
+/**
+ * First segment of the request path within the router ('/<id>/members' -> '<id>')
+ * Middleware mounted with router.use() runs before the route's path is matched,
+ * so req.params is still empty there.
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+export const pathParam = (req) => req.path.split('/')[1] || null;
+
+// ID of the affected document: the :id route param, or an ObjectId leading the path
+const targetIdOf = (req) => {
+  if (req.params.id) {
+    return req.params.id;
+  }
+  const segment = pathParam(req);
+  return segment && /^[0-9a-f]{24}$/i.test(segment) ? segment : null;
+};
+
+/**
+ * Audit log middleware factory
+ * Records who changed what (with a before/after diff) once a mutating request
+ * succeeds. Safe to mount with router.use(): non-mutating requests are ignored
+ * unless `reads` is set.
+ * @param {string} targetModel - Mongoose model name of the affected documents
+ * @param {Object} options
+ * @param {string} options.action - Action name (defaults to '<model>.<create|update|delete>')
+ * @param {Function} options.findTarget - (req) => query for the affected document (defaults to findById with
+ *   req.params.id or the ID leading the path; use pathParam() for other keys)
+ * @param {boolean} options.reads - Also record GET requests (e.g. viewing donations)
+ */
+export const auditLog = (targetModel, { action, findTarget, reads = false } = {}) => {
+  return async (req, res, next) => {
+    const isRead = req.method === 'GET';
+    if (!MUTATING_METHODS.includes(req.method) && !(reads && isRead)) {
+      return next();
+    }
+
+    const Model = mongoose.model(targetModel);
+    const targetId = targetIdOf(req);
+    const loadTarget = findTarget || (() => (targetId ? Model.findById(targetId) : null));
+
+    // Snapshot the document before the route handler changes it
+    let before = null;
+    if (!isRead) {
+      try {
+        before = await loadTarget(req);
+      } catch (error) {
+        // Invalid IDs etc. are reported by the route handler itself
+        before = null;
+      }
+    }
+
+    // Capture the response body to find the ID of created documents
+    let responseBody;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return originalJson(body);
+    };
+
+    res.on('finish', async () => {
+      if (res.statusCode >= 400) {
+        return;
+      }
+
+      try {
+        let after = null;
+        if (req.method !== 'DELETE' && !isRead) {
+          const createdId = responseBody?._id;
+          after = before
+            ? await loadTarget(req)
+            : (createdId ? await Model.findById(createdId) : null);
+        }
+
+        const target = before || after;
+        await auditService.record({
+          req,
+          action: action || `${toActionPrefix(targetModel)}.${ACTION_VERBS[req.method]}`,
+          targetModel,
+          targetId: target?._id || targetId,
+          before,
+          after,
+          statusCode: res.statusCode,
+          metadata: isRead ? { query: req.query } : {}
+        });
+      } catch (error) {
+        errorLogger.error({ err: error, targetModel, url: req.originalUrl }, 'Failed to write audit log entry');
+      }
+    });
+
+    next();
+  };
+};
@@ -1,4 +1,6 @@
 import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import roleService from '../services/roleService.js';
 
 export const authenticate = (req, res, next) => {
   try {
@@ -28,24 +30,32 @@ export const authenticate = (req, res, next) => {
   }
 };
 
-export const requireAdmin = (req, res, next) => {
-  if (!req.user) {
-    return res.status(401).json({ message: 'Authentication required' });
-  }
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ message: 'Admin access required' });
-  }
-  next();
-};
+/**
+ * Require a permission from the user's role, e.g. requirePermission('sermons:write').
+ * Roles are read from the Role collection (cached). Loads the user so role
+ * changes apply immediately rather than when the access token expires.
+ * @param {string} permission - Permission string (see utils/permissions.js)
+ */
+export const requirePermission = (permission) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Authentication required' });
+    }
 
-export const requireAdminOrParishPriest = (req, res, next) => {
-  if (!req.user) {
-    return res.status(401).json({ message: 'Authentication required' });
-  }
-  if (req.user.role !== 'admin' && req.user.role !== 'parish-priest') {
-    return res.status(403).json({ message: 'Admin or Parish Priest access required' });
-  }
-  next();
-};
+    try {
+      const user = await User.findById(req.user.userId);
+      if (!user) {
+        return res.status(401).json({ message: 'User not found' });
+      }
 
+      if (!(await roleService.hasPermission(user.role, permission))) {
+        return res.status(403).json({ message: 'You do not have permission to perform this action' });
+      }
 
+      req.currentUser = user;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
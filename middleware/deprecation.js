@@ -0,0 +1,22 @@
+/**
+ * Deprecated endpoint middleware factory
+ * Disables an endpoint unless its feature flag is set to 'true', and marks
+ * responses with Deprecation/Link headers pointing to the replacement
+ * @param {Object} options
+ * @param {string} options.flag - Environment variable that keeps the endpoint enabled
+ * @param {string} options.successor - Path of the replacement endpoint
+ */
+export const deprecatedEndpoint = ({ flag, successor }) => {
+  return (req, res, next) => {
+    if (process.env[flag] !== 'true') {
+      return res.status(410).json({
+        message: 'This endpoint has been retired',
+        successor
+      });
+    }
+
+    res.set('Deprecation', 'true');
+    res.set('Link', `<${successor}>; rel="successor-version"`);
+    next();
+  };
+};
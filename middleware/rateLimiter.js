@@ -30,3 +30,46 @@ export const apiRateLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+
+/**
+ * Rate limiter for password reset requests
+ * Limits to 5 requests per hour per IP
+ */
+export const passwordResetRateLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // Limit each IP to 5 requests per windowMs
+  message: {
+    message: 'Too many password reset requests from this IP, please try again after an hour.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+/**
+ * Rate limiter for resending verification emails
+ * Limits to 3 requests per hour per IP
+ */
+export const verificationEmailRateLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3, // Limit each IP to 3 requests per windowMs
+  message: {
+    message: 'Too many verification emails requested, please try again after an hour.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipFailedRequests: true, // Requests that sent no email (e.g. the send failed) do not count
+});
+
+/**
+ * Rate limiter for public certificate verification
+ * Limits to 20 lookups per 15 minutes per IP, so codes cannot be guessed by brute force
+ */
+export const certificateVerifyRateLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // Limit each IP to 20 requests per windowMs
+  message: {
+    message: 'Too many verification attempts from this IP, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
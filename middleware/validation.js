@@ -1,4 +1,192 @@
 import Joi from 'joi';
+import { PERMISSION_LIST, ALL_PERMISSIONS } from '../utils/permissions.js';
+import { HOUSEHOLD_ROLES } from '../models/Household.js';
+import { TWO_FACTOR_POLICIES } from '../models/Role.js';
+import { GENDERS } from '../models/Parishioner.js';
+import { INTENTION_TYPES } from '../models/MassIntention.js';
+import { MARRIAGE_CASE_STATUSES } from '../models/MarriageCase.js';
+import { SCHEDULE_EXCEPTION_ACTIONS } from '../models/ScheduleException.js';
+import { SACRAMENTS, PARISHIONER_SUMMARY_SACRAMENTS } from '../models/SacramentRecord.js';
+import { DATE_FORMATS } from '../services/parishionerSpreadsheetService.js';
+import { CALENDAR_SECTIONS } from '../services/calendarService.js';
+
+const objectId = Joi.string().hex().length(24);
+
+// Calendar day as 'YYYY-MM-DD'
+const dateKey = Joi.string()
+  .pattern(/^\d{4}-\d{2}-\d{2}$/)
+  .custom((value, helpers) => {
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date.getTime()) && date.toISOString().startsWith(value) ? value : helpers.error('any.invalid');
+  })
+  .messages({ 'string.pattern.base': '{{#label}} must be in YYYY-MM-DD format' });
+
+const timeOfDay = Joi.string().pattern(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/);
+
+const SERVICE_TYPES = ['Mass', 'Confession', 'Adoration', 'Other'];
+
+// A named person in a sacramental register entry (sponsor, witness, spouse)
+const registerPerson = Joi.object({
+  name: Joi.string().required().trim(),
+  parishioner: objectId.optional().allow(null),
+  role: Joi.string().optional().allow('', null)
+});
+
+// Date/location summary of one sacrament on the parishioner record
+const sacramentSummary = Joi.object({
+  date: Joi.date().optional().allow(null),
+  location: Joi.string().optional().allow('', null)
+}).allow(null);
+
+// Filters and sorting for the admin parishioner list and export
+const parishionerFilters = {
+  search: Joi.string().trim().max(100).optional().allow(''),
+  missionStation: objectId.optional(),
+  ministry: objectId.optional(),
+  household: objectId.optional(),
+  sacrament: Joi.string().valid(...PARISHIONER_SUMMARY_SACRAMENTS).optional(),
+  missingSacrament: Joi.string().valid(...PARISHIONER_SUMMARY_SACRAMENTS).optional(),
+  minAge: Joi.number().integer().min(0).max(150).optional(),
+  maxAge: Joi.number().integer().min(0).max(150).min(Joi.ref('minAge')).optional(),
+  gender: Joi.string().valid(...GENDERS).optional(),
+  deceased: Joi.boolean().optional(),
+  isActive: Joi.boolean().optional(),
+  sort: Joi.string().valid('lastName', 'firstName', 'dateOfBirth', 'createdAt').default('lastName'),
+  order: Joi.string().valid('asc', 'desc').default('asc')
+};
+
+// Page-numbered lists (registers, cases)
+const pagination = {
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(200).default(50)
+};
+
+// Name search and date range shared by the register lists
+const registerFilters = {
+  book: Joi.string().trim().max(50).optional(),
+  search: Joi.string().trim().max(100).optional().allow(''),
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().min(Joi.ref('from')).optional(),
+  ...pagination
+};
+
+// Household details (without members)
+const householdSchema = Joi.object({
+  name: Joi.string().required().trim(),
+  address: Joi.object({
+    street: Joi.string().allow('', null),
+    city: Joi.string().allow('', null),
+    state: Joi.string().allow('', null),
+    zipCode: Joi.string().allow('', null),
+    country: Joi.string().allow('', null)
+  }).optional(),
+  missionStation: Joi.string().hex().length(24).optional().allow(null),
+  notes: Joi.string().optional().allow('', null),
+  isActive: Joi.boolean().optional()
+});
+
+// Sacramental register entry
+const sacramentRecordSchema = Joi.object({
+  sacrament: Joi.string().valid(...SACRAMENTS).required(),
+  parishioner: objectId.optional().allow(null),
+  person: Joi.object({
+    firstName: Joi.string().required().trim(),
+    lastName: Joi.string().required().trim(),
+    dateOfBirth: Joi.date().optional().allow(null),
+    placeOfBirth: Joi.string().optional().allow('', null)
+  }).required(),
+  date: Joi.date().required(),
+  location: Joi.string().optional().allow('', null),
+  missionStation: objectId.optional().allow(null),
+  register: Joi.object({
+    book: Joi.string().required().trim(),
+    page: Joi.number().integer().min(1).required(),
+    entry: Joi.number().integer().min(1).required()
+  }).required(),
+  minister: Joi.object({
+    name: Joi.string().required().trim(),
+    user: objectId.optional().allow(null)
+  }).required(),
+  parents: Joi.object({
+    father: Joi.string().optional().allow('', null),
+    mother: Joi.string().optional().allow('', null)
+  }).optional(),
+  sponsors: Joi.array().items(registerPerson).optional(),
+  witnesses: Joi.array().items(registerPerson).optional(),
+  spouse: registerPerson.optional().allow(null),
+  order: Joi.string().optional().allow('', null),
+  notes: Joi.string().optional().allow('', null)
+});
+
+// Mass intention (also created alongside a funeral record)
+const massIntentionSchema = Joi.object({
+  type: Joi.string().valid(...INTENTION_TYPES).optional(),
+  intention: Joi.string().required().trim(),
+  requestedBy: Joi.string().optional().allow('', null),
+  date: Joi.date().optional().allow(null),
+  missionStation: objectId.optional().allow(null),
+  status: Joi.string().valid('requested', 'scheduled', 'offered', 'cancelled').optional(),
+  parishioner: objectId.optional().allow(null)
+});
+
+// Funeral register entry
+const funeralRecordSchema = Joi.object({
+  parishioner: objectId.optional().allow(null),
+  // Taken from the parishioner when one is linked
+  person: Joi.object({
+    firstName: Joi.string().required().trim(),
+    lastName: Joi.string().required().trim(),
+    dateOfBirth: Joi.date().optional().allow(null),
+    nextOfKin: Joi.string().optional().allow('', null)
+  }).optional(),
+  dateOfDeath: Joi.date().max('now').required(),
+  placeOfDeath: Joi.string().optional().allow('', null),
+  funeralDate: Joi.date().optional().allow(null),
+  funeralLocation: Joi.string().optional().allow('', null),
+  missionStation: objectId.optional().allow(null),
+  celebrant: Joi.object({
+    name: Joi.string().required().trim(),
+    user: objectId.optional().allow(null)
+  }).optional(),
+  burialPlace: Joi.string().optional().allow('', null),
+  burialDate: Joi.date().optional().allow(null),
+  register: Joi.object({
+    book: Joi.string().required().trim(),
+    page: Joi.number().integer().min(1).required(),
+    entry: Joi.number().integer().min(1).required()
+  }).required(),
+  notes: Joi.string().optional().allow('', null)
+});
+
+// One of a couple preparing for marriage; names are taken from the parishioner when linked
+const requiredWithoutParishioner = (schema) => schema.when('parishioner', {
+  is: objectId.required(),
+  then: Joi.optional(),
+  otherwise: Joi.required()
+});
+
+const marriageSpouse = Joi.object({
+  parishioner: objectId.optional().allow(null),
+  firstName: requiredWithoutParishioner(Joi.string().trim()),
+  lastName: requiredWithoutParishioner(Joi.string().trim()),
+  dateOfBirth: Joi.date().optional().allow(null),
+  parish: Joi.string().optional().allow('', null),
+  phone: Joi.string().optional().allow('', null),
+  email: Joi.string().email().optional().allow('', null)
+});
+
+const wedding = Joi.object({
+  date: Joi.date().optional().allow(null),
+  location: Joi.string().optional().allow('', null),
+  missionStation: objectId.optional().allow(null)
+});
+
+const marriageCaseSchema = Joi.object({
+  spouses: Joi.array().items(marriageSpouse).length(2).required(),
+  priest: objectId.optional().allow(null),
+  wedding: wedding.optional(),
+  notes: Joi.string().optional().allow('', null)
+});
 
 /**
  * Validation middleware factory
@@ -50,6 +238,49 @@ export const schemas = {
     newPassword: Joi.string().min(6).required()
   }),
 
+  forgotPassword: Joi.object({
+    username: Joi.string().optional(),
+    email: Joi.string().email().optional().lowercase()
+  }).or('username', 'email').messages({
+    'object.missing': 'Either username or email is required'
+  }),
+
+  loginTwoFactor: Joi.object({
+    mfaToken: Joi.string().required(),
+    code: Joi.string().pattern(/^\d{6}$/).optional(),
+    recoveryCode: Joi.string().trim().optional()
+  }).xor('code', 'recoveryCode').messages({
+    'object.missing': 'Either code or recoveryCode is required',
+    'object.xor': 'Provide either code or recoveryCode, not both'
+  }),
+
+  twoFactorSetup: Joi.object({
+    mfaToken: Joi.string().optional()
+  }),
+
+  twoFactorCode: Joi.object({
+    mfaToken: Joi.string().optional(),
+    code: Joi.string().pattern(/^\d{6}$/).required()
+  }),
+
+  disableTwoFactor: Joi.object({
+    password: Joi.string().required(),
+    code: Joi.string().pattern(/^\d{6}$/).optional(),
+    recoveryCode: Joi.string().trim().optional()
+  }).xor('code', 'recoveryCode').messages({
+    'object.missing': 'Either code or recoveryCode is required',
+    'object.xor': 'Provide either code or recoveryCode, not both'
+  }),
+
+  verifyEmail: Joi.object({
+    token: Joi.string().hex().required()
+  }),
+
+  resetPassword: Joi.object({
+    token: Joi.string().hex().required(),
+    newPassword: Joi.string().min(6).required()
+  }),
+
   // Gallery schemas
   galleryItem: Joi.object({
     title: Joi.string().required().trim(),
@@ -90,12 +321,345 @@ export const schemas = {
   massSchedule: Joi.object({
     missionStation: Joi.string().hex().length(24).required(),
     dayOfWeek: Joi.string().valid('sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday').required(),
-    time: Joi.string().pattern(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).required(),
+    time: timeOfDay.required(),
     type: Joi.string().required(),
     description: Joi.string().optional().allow('', null),
     isActive: Joi.boolean().optional()
   }),
 
+  // Household schemas
+  household: householdSchema.keys({
+    members: Joi.array().items(Joi.object({
+      parishioner: Joi.string().hex().length(24).required(),
+      role: Joi.string().valid(...HOUSEHOLD_ROLES).required()
+    })).unique('parishioner').optional()
+  }),
+
+  // Members are managed through /:id/members, not by updating the household
+  householdUpdate: householdSchema.fork(['name'], field => field.optional()),
+
+  householdMember: Joi.object({
+    parishioner: Joi.string().hex().length(24).required(),
+    role: Joi.string().valid(...HOUSEHOLD_ROLES).required()
+  }),
+
+  householdMemberRole: Joi.object({
+    role: Joi.string().valid(...HOUSEHOLD_ROLES).required()
+  }),
+
+  householdMerge: Joi.object({
+    sourceHousehold: Joi.string().hex().length(24).required()
+  }),
+
+  householdSplit: Joi.object({
+    name: Joi.string().required().trim(),
+    members: Joi.array().items(Joi.string().hex().length(24)).min(1).unique().required(),
+    head: Joi.string().hex().length(24).optional(),
+    address: Joi.object({
+      street: Joi.string().allow('', null),
+      city: Joi.string().allow('', null),
+      state: Joi.string().allow('', null),
+      zipCode: Joi.string().allow('', null),
+      country: Joi.string().allow('', null)
+    }).optional(),
+    missionStation: Joi.string().hex().length(24).optional().allow(null)
+  }),
+
+  // Staff edit of a parishioner; the user link, household, merge and
+  // funeral fields are managed by their own routes
+  parishionerUpdate: Joi.object({
+    firstName: Joi.string().trim().optional(),
+    lastName: Joi.string().trim().optional(),
+    phone: Joi.string().optional().allow('', null),
+    dateOfBirth: Joi.date().optional().allow(null),
+    gender: Joi.string().valid(...GENDERS).optional().allow(null),
+    address: Joi.object({
+      street: Joi.string().allow('', null),
+      city: Joi.string().allow('', null),
+      state: Joi.string().allow('', null),
+      zipCode: Joi.string().allow('', null),
+      country: Joi.string().allow('', null)
+    }).optional(),
+    missionStation: objectId.optional().allow(null),
+    ministries: Joi.array().items(objectId).unique().optional(),
+    notes: Joi.string().optional().allow('', null),
+    isActive: Joi.boolean().optional(),
+    greetingsOptOut: Joi.boolean().optional(),
+    sacraments: Joi.object(Object.fromEntries(
+      PARISHIONER_SUMMARY_SACRAMENTS.map(sacrament => [sacrament, sacramentSummary.optional()])
+    )).optional()
+  }).pattern(new RegExp(`^sacraments\\.(${PARISHIONER_SUMMARY_SACRAMENTS.join('|')})$`), sacramentSummary),
+
+  // Parishioner list query (search, filters, sorting, pagination)
+  parishionerQuery: Joi.object({
+    ...parishionerFilters,
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(200).default(50),
+    cursor: Joi.string().optional()
+  }).oxor('page', 'cursor'),
+
+  // Parishioner export (same filters as the list, without pagination)
+  parishionerExport: Joi.object({
+    ...parishionerFilters,
+    format: Joi.string().valid('csv', 'xlsx').default('xlsx')
+  }),
+
+  parishionerMerge: Joi.object({
+    survivor: objectId.required(),
+    duplicate: objectId.required()
+  }),
+
+  // Parishioner spreadsheet import options (multipart form fields)
+  parishionerImport: Joi.object({
+    mapping: Joi.alternatives().try(
+      Joi.object().pattern(Joi.string(), Joi.string().allow('', null)),
+      Joi.string()
+    ).optional(),
+    dryRun: Joi.boolean().default(true),
+    skipInvalid: Joi.boolean().default(false),
+    dateFormat: Joi.string().valid(...DATE_FORMATS).default('DMY')
+  }),
+
+  // Census report options
+  censusQuery: Joi.object({
+    year: Joi.number().integer().min(1900).optional(),
+    missionStation: objectId.optional(),
+    format: Joi.string().valid('json', 'csv').default('json')
+  }),
+
+  // Sacramental register schemas
+  sacramentRecordQuery: Joi.object({
+    sacrament: Joi.string().valid(...SACRAMENTS).optional(),
+    parishioner: objectId.optional(),
+    ...registerFilters
+  }),
+
+  sacramentRecord: sacramentRecordSchema,
+
+  // Same fields, all optional; nested objects are replaced as a whole
+  sacramentRecordUpdate: sacramentRecordSchema.fork(
+    ['sacrament', 'person', 'date', 'register', 'minister'],
+    field => field.optional()
+  ),
+
+  marginalNote: Joi.object({
+    note: Joi.string().required().trim(),
+    date: Joi.date().optional()
+  }),
+
+  // Funeral register schemas. On create, massIntention and addToPrayerList
+  // also book a Mass for the deceased and add them to the prayer list.
+  funeralRecord: funeralRecordSchema.keys({
+    massIntention: massIntentionSchema.fork(['intention'], field => field.optional()).optional(),
+    addToPrayerList: Joi.boolean().default(false)
+  }),
+
+  funeralRecordUpdate: funeralRecordSchema.fork(['dateOfDeath', 'register'], field => field.optional()),
+
+  funeralRecordQuery: Joi.object({
+    parishioner: objectId.optional(),
+    missionStation: objectId.optional(),
+    ...registerFilters
+  }),
+
+  massIntention: massIntentionSchema,
+
+  massIntentionUpdate: massIntentionSchema.fork(['intention'], field => field.optional()),
+
+  // Marriage preparation schemas
+  marriageCaseQuery: Joi.object({
+    status: Joi.string().valid(...MARRIAGE_CASE_STATUSES).optional(),
+    priest: objectId.optional(),
+    search: Joi.string().trim().max(100).optional().allow(''),
+    ...pagination
+  }),
+
+  marriageCase: marriageCaseSchema,
+
+  marriageCaseUpdate: marriageCaseSchema.fork(['spouses'], field => field.optional()),
+
+  marriageChecklistItem: Joi.object({
+    label: Joi.string().required().trim(),
+    notes: Joi.string().optional().allow('', null)
+  }),
+
+  marriageChecklistUpdate: Joi.object({
+    label: Joi.string().optional().trim(),
+    completed: Joi.boolean().optional(),
+    notes: Joi.string().optional().allow('', null)
+  }),
+
+  marriageBanns: Joi.object({
+    dates: Joi.array().items(Joi.date()).max(5).required()
+  }),
+
+  marriageCaseStatus: Joi.object({
+    status: Joi.string().valid(...MARRIAGE_CASE_STATUSES).required(),
+    note: Joi.string().optional().allow('', null),
+    wedding: wedding.optional()
+  }),
+
+  certificateRevoke: Joi.object({
+    reason: Joi.string().required().trim()
+  }),
+
+  // Greeting template schemas
+  greetingTemplate: Joi.object({
+    subject: Joi.string().required().trim(),
+    message: Joi.string().required(),
+    isActive: Joi.boolean().optional()
+  }),
+
+  greetingPreview: Joi.object({
+    subject: Joi.string().optional().trim(),
+    message: Joi.string().optional()
+  }),
+
+  greetingUpcomingQuery: Joi.object({
+    from: dateKey.optional(),
+    days: Joi.number().integer().min(1).optional(),
+    type: Joi.string().optional()
+  }),
+
+  greetingSend: Joi.object({
+    date: dateKey.optional(),
+    dryRun: Joi.boolean().default(false)
+  }),
+
+  // Staff invitation schemas
+  invitation: Joi.object({
+    email: Joi.string().email().required().lowercase(),
+    role: Joi.string().trim().lowercase().required()
+  }),
+
+  acceptInvitation: Joi.object({
+    token: Joi.string().hex().required(),
+    username: Joi.string().trim().min(3).max(50).pattern(/^[a-zA-Z0-9._-]+$/).required().messages({
+      'string.pattern.base': 'Username may only contain letters, numbers, dots, hyphens and underscores'
+    }),
+    password: Joi.string().required()
+  }),
+
+  // Role schemas
+  role: Joi.object({
+    name: Joi.string().trim().lowercase().pattern(/^[a-z][a-z0-9-]*$/).required().messages({
+      'string.pattern.base': 'Role name may only contain lowercase letters, numbers and hyphens'
+    }),
+    description: Joi.string().optional().allow(''),
+    permissions: Joi.array().items(Joi.string().valid(ALL_PERMISSIONS, ...PERMISSION_LIST)).unique().default([]),
+    requireStrongPassword: Joi.boolean().default(false),
+    twoFactor: Joi.string().valid(...TWO_FACTOR_POLICIES).default('unavailable')
+  }),
+
+  roleUpdate: Joi.object({
+    description: Joi.string().optional().allow(''),
+    permissions: Joi.array().items(Joi.string().valid(ALL_PERMISSIONS, ...PERMISSION_LIST)).unique().optional(),
+    requireStrongPassword: Joi.boolean().optional(),
+    twoFactor: Joi.string().valid(...TWO_FACTOR_POLICIES).optional()
+  }),
+
+  // Dated services from the weekly schedule
+  massOccurrenceQuery: Joi.object({
+    from: dateKey.optional(),
+    to: dateKey.optional(),
+    missionStation: objectId.optional(),
+    type: Joi.string().valid(...SERVICE_TYPES).optional(),
+    includeCancelled: Joi.boolean().default(true)
+  }),
+
+  massNextQuery: Joi.object({
+    limit: Joi.number().integer().min(1).max(20).default(5),
+    missionStation: objectId.optional(),
+    type: Joi.string().valid(...SERVICE_TYPES).optional()
+  }),
+
+  // Celebrant rota
+  rotaQuery: Joi.object({
+    from: dateKey.optional(),
+    to: dateKey.optional(),
+    missionStation: objectId.optional(),
+    type: Joi.string().valid(...SERVICE_TYPES).optional(),
+    priest: objectId.optional()
+  }),
+
+  rotaMineQuery: Joi.object({
+    from: dateKey.optional(),
+    to: dateKey.optional()
+  }),
+
+  rotaAssignment: Joi.object({
+    // Occurrence ID from /api/mass-schedule/occurrences
+    occurrence: Joi.string()
+      .pattern(/^([0-9a-f]{24}:\d{4}-\d{2}-\d{2}|exception:[0-9a-f]{24})$/)
+      .required()
+      .messages({ 'string.pattern.base': '{{#label}} must be an occurrence ID from the Mass schedule' }),
+    priest: objectId.required(),
+    notes: Joi.string().trim().max(500).optional().allow(''),
+    // Assign even if the priest cannot reach another of their services in time
+    force: Joi.boolean().default(false)
+  }),
+
+  rotaGenerate: Joi.object({
+    month: Joi.string()
+      .pattern(/^\d{4}-(0[1-9]|1[0-2])$/)
+      .required()
+      .messages({ 'string.pattern.base': '{{#label}} must be in YYYY-MM format' }),
+    missionStation: objectId.optional(),
+    type: Joi.string().valid(...SERVICE_TYPES).optional(),
+    replaceGenerated: Joi.boolean().default(false),
+    dryRun: Joi.boolean().default(false)
+  }),
+
+  rotaReminders: Joi.object({
+    dryRun: Joi.boolean().default(false)
+  }),
+
+  // Day-by-day parish calendar; include is a comma-separated list of sections
+  calendarQuery: Joi.object({
+    from: dateKey.optional(),
+    to: dateKey.optional(),
+    missionStation: objectId.optional(),
+    type: Joi.string().valid(...SERVICE_TYPES).optional(),
+    include: Joi.string()
+      .custom((value, helpers) => {
+        const sections = value.split(',').map(section => section.trim()).filter(Boolean);
+        return sections.length && sections.every(section => CALENDAR_SECTIONS.includes(section))
+          ? [...new Set(sections)]
+          : helpers.error('any.invalid');
+      })
+      .messages({ 'any.invalid': `{{#label}} must be a comma-separated list of ${CALENDAR_SECTIONS.join(', ')}` })
+      .optional()
+  }),
+
+  massCalendarFeedQuery: Joi.object({
+    missionStation: objectId.optional(),
+    type: Joi.string().valid(...SERVICE_TYPES).optional()
+  }),
+
+  // Cancel or change one day of a weekly service, or add a one-off service
+  scheduleException: Joi.object({
+    action: Joi.string().valid(...SCHEDULE_EXCEPTION_ACTIONS).required(),
+    massSchedule: objectId.when('action', { is: 'add', then: Joi.forbidden(), otherwise: Joi.required() }),
+    date: dateKey.required(),
+    missionStation: objectId.when('action', { is: 'add', then: Joi.required(), otherwise: Joi.forbidden() }),
+    time: timeOfDay.when('action', { is: 'add', then: Joi.required(), otherwise: Joi.optional() }),
+    type: Joi.string().valid(...SERVICE_TYPES).when('action', { is: 'add', then: Joi.any().default('Mass'), otherwise: Joi.forbidden() }),
+    description: Joi.string().optional().allow(''),
+    // A celebrant account on its own is enough; the name is filled in from it
+    celebrant: Joi.object({
+      name: Joi.string().optional().trim(),
+      user: objectId.optional().allow(null)
+    }).or('name', 'user').optional().allow(null),
+    reason: Joi.string().optional().allow('')
+  }),
+
+  scheduleExceptionQuery: Joi.object({
+    from: dateKey.optional(),
+    to: dateKey.optional(),
+    missionStation: objectId.optional(),
+    massSchedule: objectId.optional()
+  }),
+
   // ID parameter validation
   idParam: Joi.object({
     id: Joi.string().hex().length(24).required()
@@ -21,6 +21,17 @@ const announcementSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Hidden from the public list until this time (null shows it straight away)
+  publishFrom: {
+    type: Date,
+    default: null
+  },
+  // Set on banns of marriage generated from a marriage case
+  marriageCase: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MarriageCase',
+    default: null
   }
 }, {
   timestamps: true
@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+
+const auditLogSchema = new mongoose.Schema({
+  // Who performed the action (null for public actions such as accepting an invitation)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Snapshot of the actor at the time, in case the user is later renamed or deleted
+  actorName: {
+    type: String,
+    default: ''
+  },
+  role: {
+    type: String,
+    default: ''
+  },
+  // e.g. 'announcement.create', 'user.role.update', 'donation.view'
+  action: {
+    type: String,
+    required: true
+  },
+  method: {
+    type: String
+  },
+  path: {
+    type: String
+  },
+  targetModel: {
+    type: String,
+    required: true
+  },
+  targetId: {
+    type: String,
+    default: null
+  },
+  // Changed fields only: { before: { field: old }, after: { field: new } }
+  changes: {
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    }
+  },
+  statusCode: {
+    type: Number
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for the filterable audit log listing
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetModel: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+export default mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+// manual: assigned by hand; generated: filled in by the monthly rota generator
+export const ASSIGNMENT_SOURCES = ['manual', 'generated'];
+
+// The priest celebrating one dated service
+const celebrantAssignmentSchema = new mongoose.Schema({
+  // Occurrence ID from the Mass schedule: '<massSchedule>:<YYYY-MM-DD>' or 'exception:<id>'
+  occurrence: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Calendar day (midnight UTC) in the parish timezone
+  date: {
+    type: Date,
+    required: true
+  },
+  massSchedule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MassSchedule',
+    default: null
+  },
+  // The one-off service (add exceptions only)
+  exception: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScheduleException',
+    default: null
+  },
+  missionStation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MissionStation'
+  },
+  priest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  source: {
+    type: String,
+    enum: ASSIGNMENT_SOURCES,
+    default: 'manual'
+  },
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+celebrantAssignmentSchema.index({ date: 1 });
+celebrantAssignmentSchema.index({ priest: 1, date: 1 });
+
+export default mongoose.model('CelebrantAssignment', celebrantAssignmentSchema);
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+import { SACRAMENTS } from './SacramentRecord.js';
+
+// A sacramental certificate issued by the office. The printed details are kept
+// so another parish can check a certificate against what was actually issued.
+const certificateSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  parishioner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Parishioner',
+    required: true,
+    index: true
+  },
+  sacrament: {
+    type: String,
+    required: true,
+    enum: SACRAMENTS
+  },
+  // Register entry the certificate was generated from (null when only the
+  // Parishioner.sacraments summary was available)
+  sacramentRecord: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SacramentRecord',
+    default: null
+  },
+  details: {
+    name: { type: String, required: true },
+    date: { type: Date, required: true },
+    location: String,
+    minister: String,
+    register: {
+      book: String,
+      page: Number,
+      entry: Number
+    }
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revocationReason: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+certificateSchema.index({ parishioner: 1, sacrament: 1, createdAt: -1 });
+
+export default mongoose.model('Certificate', certificateSchema);
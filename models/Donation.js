@@ -59,6 +59,12 @@ const donationSchema = new mongoose.Schema({
   paymentDetails: {
     type: mongoose.Schema.Types.Mixed // Store payment-specific details
   },
+  // Set when donations are matched to a parishioner by donor email (e.g. when merging duplicates)
+  parishioner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Parishioner',
+    default: null
+  },
   notes: {
     type: String,
     trim: true
@@ -79,6 +85,7 @@ const donationSchema = new mongoose.Schema({
 donationSchema.index({ status: 1, createdAt: -1 });
 donationSchema.index({ 'donor.email': 1 });
 donationSchema.index({ paymentId: 1 });
+donationSchema.index({ parishioner: 1 });
 
 export default mongoose.model('Donation', donationSchema);
 
@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+// A pair of parishioners that may be the same person, queued for review
+const duplicateCandidateSchema = new mongoose.Schema({
+  // Always stored in ascending ID order so each pair appears once
+  parishioners: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Parishioner' }],
+    validate: {
+      validator: (value) => value.length === 2,
+      message: 'A duplicate candidate is a pair of parishioners'
+    }
+  },
+  // 0-100, higher is more likely the same person
+  score: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  reasons: [{
+    type: {
+      type: String,
+      enum: ['name', 'phone', 'dateOfBirth', 'household']
+    },
+    detail: String,
+    points: Number
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'merged', 'dismissed'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  lastDetectedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+duplicateCandidateSchema.index({ parishioners: 1 });
+duplicateCandidateSchema.index({ 'parishioners.0': 1, 'parishioners.1': 1 }, { unique: true });
+duplicateCandidateSchema.index({ status: 1, score: -1 });
+
+export default mongoose.model('DuplicateCandidate', duplicateCandidateSchema);
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+const emailVerificationTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // SHA-256 hash of the token sent to the user (the raw token is never stored)
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expireAfterSeconds: 0 } // Auto-delete expired tokens
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+export default mongoose.model('EmailVerificationToken', emailVerificationTokenSchema);
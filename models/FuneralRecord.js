@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+
+// One entry in the register of funerals and burials
+const funeralRecordSchema = new mongoose.Schema({
+  // Linked to a parishioner when one exists; the name is always kept so the
+  // entry reads the same as the paper register
+  parishioner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Parishioner',
+    default: null,
+    index: true
+  },
+  person: {
+    firstName: { type: String, required: true, trim: true },
+    lastName: { type: String, required: true, trim: true },
+    dateOfBirth: Date,
+    // Usually the surviving spouse or next of kin
+    nextOfKin: { type: String, trim: true }
+  },
+  dateOfDeath: {
+    type: Date,
+    required: true
+  },
+  placeOfDeath: {
+    type: String,
+    trim: true
+  },
+  funeralDate: {
+    type: Date
+  },
+  funeralLocation: {
+    type: String,
+    trim: true
+  },
+  missionStation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MissionStation'
+  },
+  celebrant: {
+    name: { type: String, trim: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  burialPlace: {
+    type: String,
+    trim: true
+  },
+  burialDate: {
+    type: Date
+  },
+  // Position in the paper register
+  register: {
+    book: { type: String, required: true, trim: true },
+    page: { type: Number, required: true, min: 1 },
+    entry: { type: Number, required: true, min: 1 }
+  },
+  // Created together with the record when requested
+  massIntention: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MassIntention'
+  },
+  prayer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Prayer'
+  },
+  notes: {
+    type: String
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Each register position can only hold one entry
+funeralRecordSchema.index({ 'register.book': 1, 'register.page': 1, 'register.entry': 1 }, { unique: true });
+funeralRecordSchema.index({ dateOfDeath: -1 });
+funeralRecordSchema.index({ 'person.lastName': 1, 'person.firstName': 1 });
+
+export default mongoose.model('FuneralRecord', funeralRecordSchema);
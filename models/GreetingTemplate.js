@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+export const CELEBRATION_TYPES = ['birthday', 'baptismAnniversary', 'weddingAnniversary'];
+
+// Editable wording for automatic greetings. Placeholders such as {{firstName}}
+// are filled in per parishioner (see services/greetingService.js).
+const greetingTemplateSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    unique: true,
+    enum: CELEBRATION_TYPES
+  },
+  subject: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  // Turn one kind of greeting off without deleting its wording
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('GreetingTemplate', greetingTemplateSchema);
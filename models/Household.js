@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+export const HOUSEHOLD_ROLES = ['head', 'spouse', 'child', 'dependant', 'other'];
+
+// Members are Parishioner documents pointing at the household (Parishioner.household / householdRole)
+const householdSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Shared by all members
+  address: {
+    street: String,
+    city: String,
+    state: String,
+    zipCode: String,
+    country: String
+  },
+  missionStation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MissionStation'
+  },
+  notes: {
+    type: String
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+householdSchema.virtual('members', {
+  ref: 'Parishioner',
+  localField: '_id',
+  foreignField: 'household'
+});
+
+householdSchema.set('toJSON', { virtuals: true });
+householdSchema.set('toObject', { virtuals: true });
+
+export default mongoose.model('Household', householdSchema);
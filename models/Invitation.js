@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    index: true
+  },
+  // Role assigned to the account when the invitation is accepted
+  role: {
+    type: String,
+    required: true
+  },
+  // SHA-256 hash of the token in the invite link (the raw token is never stored)
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  acceptedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  acceptedAt: {
+    type: Date
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+invitationSchema.index({ status: 1, createdAt: -1 });
+
+// Pending invitations past their expiry date are reported as 'expired'
+invitationSchema.virtual('effectiveStatus').get(function() {
+  if (this.status === 'pending' && this.expiresAt < new Date()) {
+    return 'expired';
+  }
+  return this.status;
+});
+
+invitationSchema.set('toJSON', { virtuals: true });
+
+export default mongoose.model('Invitation', invitationSchema);
@@ -0,0 +1,106 @@
+import mongoose from 'mongoose';
+
+export const MARRIAGE_CASE_STATUSES = ['inquiry', 'preparation', 'banns', 'ready', 'married', 'cancelled'];
+
+// Allowed status changes; a cancelled case can be reopened as a new inquiry
+export const MARRIAGE_CASE_TRANSITIONS = {
+  inquiry: ['preparation', 'cancelled'],
+  preparation: ['banns', 'cancelled'],
+  banns: ['preparation', 'ready', 'cancelled'],
+  ready: ['banns', 'married', 'cancelled'],
+  married: [],
+  cancelled: ['inquiry']
+};
+
+// Checklist every new case starts with; more items can be added per case
+export const DEFAULT_CHECKLIST = [
+  { key: 'initialInterview', label: 'Initial interview with the priest' },
+  { key: 'baptismCertificates', label: 'Recent baptism certificates for both parties' },
+  { key: 'confirmationCertificates', label: 'Confirmation certificates' },
+  { key: 'prenuptialInquiry', label: 'Prenuptial inquiry (freedom to marry)' },
+  { key: 'civilDocuments', label: 'Civil documents' },
+  { key: 'preparationCourse', label: 'Marriage preparation course' },
+  { key: 'finalInterview', label: 'Final interview' }
+];
+
+// One of the couple: a parishioner, or someone from outside the parish
+const spouseSchema = new mongoose.Schema({
+  parishioner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Parishioner',
+    default: null
+  },
+  firstName: { type: String, required: true, trim: true },
+  lastName: { type: String, required: true, trim: true },
+  dateOfBirth: Date,
+  // Home parish, for people from outside this parish
+  parish: { type: String, trim: true },
+  phone: { type: String, trim: true },
+  email: { type: String, trim: true, lowercase: true }
+}, { _id: false });
+
+const checklistItemSchema = new mongoose.Schema({
+  key: { type: String, trim: true },
+  label: { type: String, required: true, trim: true },
+  completed: { type: Boolean, default: false },
+  completedAt: Date,
+  completedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  notes: String
+});
+
+const bannsSchema = new mongoose.Schema({
+  date: { type: Date, required: true },
+  // Announcement published for this reading
+  announcement: { type: mongoose.Schema.Types.ObjectId, ref: 'Announcement' }
+}, { _id: false });
+
+const statusChangeSchema = new mongoose.Schema({
+  status: { type: String, enum: MARRIAGE_CASE_STATUSES, required: true },
+  changedAt: { type: Date, default: Date.now },
+  changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  note: String
+}, { _id: false });
+
+// A couple preparing for marriage in the parish
+const marriageCaseSchema = new mongoose.Schema({
+  spouses: {
+    type: [spouseSchema],
+    validate: {
+      validator: (value) => value.length === 2,
+      message: 'A marriage case has exactly two spouses'
+    }
+  },
+  priest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: MARRIAGE_CASE_STATUSES,
+    default: 'inquiry'
+  },
+  statusHistory: [statusChangeSchema],
+  checklist: [checklistItemSchema],
+  banns: [bannsSchema],
+  // Planned wedding; confirmed when the case is closed as married
+  wedding: {
+    date: Date,
+    location: { type: String, trim: true },
+    missionStation: { type: mongoose.Schema.Types.ObjectId, ref: 'MissionStation' }
+  },
+  notes: {
+    type: String
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+marriageCaseSchema.index({ status: 1, 'wedding.date': 1 });
+marriageCaseSchema.index({ 'spouses.parishioner': 1 });
+marriageCaseSchema.index({ priest: 1 });
+
+export default mongoose.model('MarriageCase', marriageCaseSchema);
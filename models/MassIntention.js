@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+export const INTENTION_TYPES = ['departed', 'thanksgiving', 'healing', 'special', 'other'];
+
+// A Mass offered for a particular intention
+const massIntentionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: INTENTION_TYPES,
+    default: 'other'
+  },
+  intention: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Who asked for the Mass, e.g. the family of the deceased
+  requestedBy: {
+    type: String,
+    trim: true
+  },
+  // Requested day; the Mass time is confirmed by the parish office
+  date: {
+    type: Date
+  },
+  missionStation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MissionStation'
+  },
+  status: {
+    type: String,
+    enum: ['requested', 'scheduled', 'offered', 'cancelled'],
+    default: 'requested'
+  },
+  parishioner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Parishioner'
+  },
+  funeralRecord: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FuneralRecord'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+massIntentionSchema.index({ date: 1, status: 1 });
+
+export default mongoose.model('MassIntention', massIntentionSchema);
@@ -11,9 +11,11 @@ const massScheduleSchema = new mongoose.Schema({
     required: true,
     enum: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
   },
+  // Wall-clock "HH:mm" in the parish timezone (PARISH_TIMEZONE); "7:00" is stored as "07:00"
   time: {
     type: String,
-    required: true
+    required: true,
+    set: (value) => (typeof value === 'string' ? value.padStart(5, '0') : value)
   },
   type: {
     type: String,
@@ -15,6 +15,20 @@ const missionStationSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // Driving time to other stations, used to catch a priest booked at two
+  // stations too close together (ROTA_DEFAULT_TRAVEL_MINUTES when not listed)
+  travelTimes: [{
+    missionStation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MissionStation',
+      required: true
+    },
+    minutes: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
   isActive: {
     type: Boolean,
     default: true
@@ -1,11 +1,42 @@
 import mongoose from 'mongoose';
+import { HOUSEHOLD_ROLES } from './Household.js';
+import { normalizeName, normalizePhone } from '../utils/stringSimilarity.js';
+
+export const GENDERS = ['male', 'female'];
+
+// Fields the admin search matches by prefix, through searchKeys
+const SEARCH_FIELDS = ['firstName', 'lastName', 'phone'];
+
+/**
+ * Normalized search prefixes for a parishioner: each name and name word, both
+ * name orders, and the phone digits with and without the country code
+ * @param {Object} parishioner - firstName, lastName, phone
+ * @returns {string[]}
+ */
+export const buildSearchKeys = ({ firstName = '', lastName = '', phone = '' }) => {
+  const first = normalizeName(firstName || '');
+  const last = normalizeName(lastName || '');
+  const digits = (phone || '').replace(/\D/g, '');
+  const keys = [
+    first,
+    last,
+    ...first.split(' '),
+    ...last.split(' '),
+    `${first} ${last}`.trim(),
+    `${last} ${first}`.trim(),
+    digits,
+    normalizePhone(digits)
+  ];
+  return [...new Set(keys.filter(Boolean))];
+};
 
 const parishionerSchema = new mongoose.Schema({
   // One-to-one relationship with User
+  // Optional: household members (e.g. children) may not have their own account
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
+    sparse: true, // Allows null/undefined, but must be unique when present
     unique: true
   },
   firstName: {
@@ -25,6 +56,11 @@ const parishionerSchema = new mongoose.Schema({
   dateOfBirth: {
     type: Date
   },
+  gender: {
+    type: String,
+    enum: GENDERS,
+    default: null
+  },
   address: {
     street: String,
     city: String,
@@ -36,11 +72,19 @@ const parishionerSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'MissionStation'
   },
-  familyMembers: [{
-    name: String,
-    relationship: String,
-    dateOfBirth: Date
-  }],
+  // Household membership (replaces the old embedded familyMembers list)
+  household: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Household',
+    default: null,
+    index: true
+  },
+  householdRole: {
+    type: String,
+    enum: HOUSEHOLD_ROLES,
+    default: null
+  },
+  // Date/location summary; the full register entries are SacramentRecord documents
   sacraments: {
     baptism: { date: Date, location: String },
     firstCommunion: { date: Date, location: String },
@@ -57,10 +101,94 @@ const parishionerSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Set from the funeral register; deceased parishioners get no greetings or bulk messages
+  dateOfDeath: {
+    type: Date,
+    default: null
+  },
+  // Parishioner asked not to receive birthday and anniversary greetings
+  greetingsOptOut: {
+    type: Boolean,
+    default: false
+  },
+  // Set on the stub left behind when this record was merged into another one
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Parishioner',
+    default: null,
+    index: true
+  },
+  mergedAt: {
+    type: Date
+  },
+  // Kept up to date from the names and phone (see buildSearchKeys)
+  searchKeys: {
+    type: [String],
+    select: false
   }
 }, {
   timestamps: true
 });
 
+// Indexes for the admin list (sorting and filters)
+parishionerSchema.index({ lastName: 1, firstName: 1 });
+parishionerSchema.index({ firstName: 1, lastName: 1 });
+parishionerSchema.index({ missionStation: 1, lastName: 1, firstName: 1 });
+parishionerSchema.index({ ministries: 1 });
+parishionerSchema.index({ dateOfBirth: 1 });
+parishionerSchema.index({ createdAt: -1 });
+parishionerSchema.index({ searchKeys: 1 });
+
+// Runs for save(), create() and insertMany()
+parishionerSchema.pre('validate', function(next) {
+  if (this.isNew || SEARCH_FIELDS.some(field => this.isModified(field))) {
+    this.searchKeys = buildSearchKeys(this);
+  }
+  next();
+});
+
+// Name and phone fields set by an update query
+const changedSearchFields = (query) => {
+  const update = query.getUpdate() || {};
+  const changes = { ...update, ...update.$set };
+  return { changes, changed: SEARCH_FIELDS.filter(field => field in changes) };
+};
+
+// Updates that change a name or the phone recompute the keys from the stored document
+parishionerSchema.pre(['findOneAndUpdate', 'updateOne'], async function() {
+  const { changes, changed } = changedSearchFields(this);
+  if (!changed.length) {
+    return;
+  }
+
+  const current = await this.model.findOne(this.getQuery()).select(SEARCH_FIELDS.join(' ')).lean();
+  if (!current) {
+    return;
+  }
+  changed.forEach(field => {
+    current[field] = changes[field];
+  });
+  this.set('searchKeys', buildSearchKeys(current));
+});
+
+// updateMany() can set the same name or phone on many documents, each with its own keys,
+// so note which documents match first and rebuild their keys once the update is done
+parishionerSchema.pre('updateMany', async function() {
+  if (changedSearchFields(this).changed.length) {
+    this._searchKeyIds = await this.model.find(this.getQuery()).distinct('_id');
+  }
+});
+
+parishionerSchema.post('updateMany', async function() {
+  if (!this._searchKeyIds?.length) {
+    return;
+  }
+  const updated = await this.model.find({ _id: { $in: this._searchKeyIds } }).select(SEARCH_FIELDS.join(' ')).lean();
+  await this.model.bulkWrite(updated.map(parishioner => ({
+    updateOne: { filter: { _id: parishioner._id }, update: { searchKeys: buildSearchKeys(parishioner) } }
+  })));
+});
+
 export default mongoose.model('Parishioner', parishionerSchema);
 
@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+const passwordResetTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // SHA-256 hash of the token sent to the user (the raw token is never stored)
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expireAfterSeconds: 0 } // Auto-delete expired tokens
+  },
+  // Set once the token has been used to reset the password
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  requestedIp: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+export default mongoose.model('PasswordResetToken', passwordResetTokenSchema);
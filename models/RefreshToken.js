@@ -12,6 +12,43 @@ const refreshTokenSchema = new mongoose.Schema({
     required: true,
     unique: true
   },
+  // All tokens issued from the same login share a family (one family = one device session)
+  family: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Set when the token has been rotated or revoked; presenting it again is treated as reuse
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  replacedByToken: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken',
+    default: null
+  },
+  // Device/session information
+  device: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  sessionStartedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
   expiresAt: {
     type: Date,
     required: true,
@@ -25,6 +62,6 @@ const refreshTokenSchema = new mongoose.Schema({
 
 // Index for faster lookups
 refreshTokenSchema.index({ userId: 1, token: 1 });
+refreshTokenSchema.index({ userId: 1, revokedAt: 1 });
 
 export default mongoose.model('RefreshToken', refreshTokenSchema);
-
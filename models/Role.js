@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+// unavailable: cannot enroll; optional: may enroll; required: must enroll before signing in
+export const TWO_FACTOR_POLICIES = ['unavailable', 'optional', 'required'];
+
+const roleSchema = new mongoose.Schema({
+  // Stored on User.role, so it cannot be changed once created
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9-]*$/, 'Role name may only contain lowercase letters, numbers and hyphens']
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // Permission strings such as 'sermons:write' or 'donations:read' ('*' grants everything)
+  permissions: [{
+    type: String,
+    trim: true
+  }],
+  // Users with this role must follow the strong password rules
+  requireStrongPassword: {
+    type: Boolean,
+    default: false
+  },
+  twoFactor: {
+    type: String,
+    enum: TWO_FACTOR_POLICIES,
+    default: 'unavailable'
+  },
+  // Built-in roles cannot be deleted
+  isSystem: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('Role', roleSchema);
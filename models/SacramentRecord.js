@@ -0,0 +1,127 @@
+import mongoose from 'mongoose';
+
+// Keys match Parishioner.sacraments where a summary is kept there
+export const SACRAMENTS = [
+  'baptism',
+  'firstCommunion',
+  'confirmation',
+  'marriage',
+  'holyOrders',
+  'anointing'
+];
+
+// Parishioner.sacraments only has date/location summaries for these
+export const PARISHIONER_SUMMARY_SACRAMENTS = ['baptism', 'firstCommunion', 'confirmation', 'marriage'];
+
+// A named person in the register, optionally linked to a parishioner
+const personSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  parishioner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Parishioner'
+  },
+  role: {
+    type: String, // e.g. 'godfather', 'godmother', 'sponsor'
+    trim: true
+  }
+}, { _id: false });
+
+const marginalNoteSchema = new mongoose.Schema({
+  note: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+});
+
+// One entry in the canonical sacramental register
+const sacramentRecordSchema = new mongoose.Schema({
+  sacrament: {
+    type: String,
+    required: true,
+    enum: SACRAMENTS
+  },
+  // The person receiving the sacrament. Linked to a parishioner when one exists;
+  // the name is always kept so the entry reads the same as the paper register.
+  parishioner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Parishioner',
+    default: null,
+    index: true
+  },
+  person: {
+    firstName: { type: String, required: true, trim: true },
+    lastName: { type: String, required: true, trim: true },
+    dateOfBirth: Date,
+    placeOfBirth: { type: String, trim: true }
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  location: {
+    type: String,
+    trim: true
+  },
+  missionStation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MissionStation'
+  },
+  // Position in the paper register
+  register: {
+    book: { type: String, required: true, trim: true },
+    page: { type: Number, required: true, min: 1 },
+    entry: { type: Number, required: true, min: 1 }
+  },
+  minister: {
+    name: { type: String, required: true, trim: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  parents: {
+    father: { type: String, trim: true },
+    mother: { type: String, trim: true }
+  },
+  // Godparents (baptism) or sponsors (confirmation)
+  sponsors: [personSchema],
+  witnesses: [personSchema],
+  // The other party of a marriage
+  spouse: personSchema,
+  // Order received (holy orders only), e.g. 'deacon', 'priest'
+  order: {
+    type: String,
+    trim: true
+  },
+  // Later annotations, e.g. a marriage or ordination noted against a baptism entry
+  marginalNotes: [marginalNoteSchema],
+  notes: {
+    type: String
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Each register position can only hold one entry
+sacramentRecordSchema.index(
+  { sacrament: 1, 'register.book': 1, 'register.page': 1, 'register.entry': 1 },
+  { unique: true }
+);
+sacramentRecordSchema.index({ sacrament: 1, date: -1 });
+sacramentRecordSchema.index({ 'person.lastName': 1, 'person.firstName': 1 });
+
+export default mongoose.model('SacramentRecord', sacramentRecordSchema);
@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+
+// cancel: the weekly service does not happen on that day
+// modify: it happens with a different time, celebrant or description
+// add: a one-off service that is not part of the weekly schedule
+export const SCHEDULE_EXCEPTION_ACTIONS = ['cancel', 'modify', 'add'];
+
+// A change to the weekly Mass schedule on one day
+const scheduleExceptionSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true,
+    enum: SCHEDULE_EXCEPTION_ACTIONS
+  },
+  // The weekly service affected (cancel and modify only)
+  massSchedule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MassSchedule',
+    default: null
+  },
+  // Calendar day (midnight UTC) in the parish timezone
+  date: {
+    type: Date,
+    required: true
+  },
+  // Where a one-off service is held (taken from the weekly service otherwise)
+  missionStation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MissionStation'
+  },
+  // New time for modify, start time for add ("HH:mm")
+  time: {
+    type: String,
+    set: (value) => (typeof value === 'string' ? value.padStart(5, '0') : value)
+  },
+  // Service type for add
+  type: {
+    type: String,
+    enum: ['Mass', 'Confession', 'Adoration', 'Other']
+  },
+  description: {
+    type: String
+  },
+  // Substitute celebrant (modify) or celebrant of a one-off service (add)
+  celebrant: {
+    name: { type: String, trim: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  // Shown to the public, e.g. "Christmas Day: see the 9am Mass"
+  reason: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// A weekly service can only be cancelled or changed once per day
+scheduleExceptionSchema.index(
+  { massSchedule: 1, date: 1 },
+  { unique: true, partialFilterExpression: { massSchedule: { $type: 'objectId' } } }
+);
+scheduleExceptionSchema.index({ date: 1 });
+
+export default mongoose.model('ScheduleException', scheduleExceptionSchema);
@@ -1,6 +1,13 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 
+// Account lockout policy
+export const MAX_FAILED_LOGIN_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+const BASE_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+// How long a claimed attempt keeps other attempts out while the credentials are checked
+const LOGIN_ATTEMPT_HOLD_SECONDS = 10;
+
 const userSchema = new mongoose.Schema({
   // For admin/editor users
   username: {
@@ -21,10 +28,74 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Name of a Role document (admin, editor, priest, parish-priest, parishioner, or a custom role).
+  // Routes that assign roles check the name with roleService.roleExists().
   role: {
     type: String,
-    enum: ['admin', 'editor', 'priest', 'parish-priest', 'parishioner'],
-    required: true
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  // Self-registered parishioners start unverified until they confirm their email.
+  // Defaults to true so accounts created by staff (and existing accounts) are unaffected.
+  emailVerified: {
+    type: Boolean,
+    default: true
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  // TOTP two-factor authentication (secrets are never returned by default)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret generated during setup, moved to `secret` once a code is confirmed
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of one-time recovery codes
+    recoveryCodes: {
+      type: [{
+        codeHash: String,
+        usedAt: { type: Date, default: null }
+      }],
+      select: false
+    },
+    // Last accepted TOTP time step, so a code cannot be used twice
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: {
+      type: Date
+    }
+  },
+  // Failed login tracking: progressive delays, then a temporary lockout
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date
+  },
+  // Short delay between attempts that grows with each failure
+  loginBlockedUntil: {
+    type: Date
+  },
+  lockedUntil: {
+    type: Date
+  },
+  // Consecutive lockouts; each one doubles the lockout duration
+  lockoutCount: {
+    type: Number,
+    default: 0
   },
   // One-to-one relationship with Parishioner (only for parishioner role)
   parishioner: {
@@ -49,34 +120,99 @@ userSchema.methods.comparePassword = async function(password) {
   return bcrypt.compare(password, this.passwordHash);
 };
 
-// Permission helper methods
-// Editor permissions: MassSchedule, Announcements, Events, Ministries, Gallery
-// Priest permissions: All editor permissions + Prayers, Sermons, LiturgicalColors
-// Parish-priest and Admin: All privileges (highest level)
-
-userSchema.methods.canAccess = function(resource) {
-  const role = this.role;
-  
-  // Highest level roles have access to everything
-  if (role === 'admin' || role === 'parish-priest') {
-    return true;
-  }
-  
-  // Editor permissions
-  const editorResources = ['MassSchedule', 'Announcements', 'Events', 'Ministries', 'Gallery'];
-  if (editorResources.includes(resource)) {
-    return role === 'editor' || role === 'priest' || role === 'parish-priest' || role === 'admin';
+// Account lockout helper methods
+
+userSchema.methods.isLocked = function() {
+  return !!(this.lockedUntil && this.lockedUntil > new Date());
+};
+
+// Returns when the next login attempt is allowed, or null if it is allowed now
+userSchema.methods.getLoginRetryAfter = function() {
+  const now = new Date();
+  const times = [this.lockedUntil, this.loginBlockedUntil].filter(t => t && t > now);
+  return times.length > 0 ? new Date(Math.max(...times)) : null;
+};
+
+// Atomically claim a login attempt: only succeeds while the account is neither
+// locked nor delayed, counts the attempt as a failure until it is proven otherwise
+// and holds off other attempts while this one is checked. Concurrent guesses
+// therefore cannot all slip past the delay.
+// Returns the claimed counters ({ failedLoginAttempts, lockoutCount }), or null when blocked.
+userSchema.methods.claimLoginAttempt = async function() {
+  const now = new Date();
+  const notBlocked = field => ({ $or: [{ [field]: null }, { [field]: { $lte: now } }] });
+
+  const claimed = await this.constructor.findOneAndUpdate(
+    { _id: this._id, $and: [notBlocked('lockedUntil'), notBlocked('loginBlockedUntil')] },
+    {
+      $inc: { failedLoginAttempts: 1 },
+      $set: { loginBlockedUntil: new Date(now.getTime() + LOGIN_ATTEMPT_HOLD_SECONDS * 1000) }
+    },
+    { new: true, projection: 'failedLoginAttempts lockoutCount' }
+  ).lean();
+
+  if (!claimed) {
+    // Refresh the block so the caller can report when to retry
+    const current = await this.constructor.findById(this._id).select('lockedUntil loginBlockedUntil').lean();
+    this.lockedUntil = current?.lockedUntil;
+    this.loginBlockedUntil = current?.loginBlockedUntil;
+    return null;
   }
-  
-  // Priest-only permissions (in addition to editor permissions)
-  const priestResources = ['Prayers', 'Sermons', 'LiturgicalColors'];
-  if (priestResources.includes(resource)) {
-    return role === 'priest' || role === 'parish-priest' || role === 'admin';
+  return claimed;
+};
+
+// Record a failed login from the counters returned by claimLoginAttempt. Each
+// failure doubles the wait before the next attempt (1s, 2s, 4s, ...); after
+// MAX_FAILED_LOGIN_ATTEMPTS the account is locked.
+// Returns { locked: true } when this failure triggered a lockout.
+userSchema.methods.registerFailedLogin = async function({ failedLoginAttempts, lockoutCount = 0 }) {
+  const now = new Date();
+  this.lastFailedLoginAt = now;
+
+  if (failedLoginAttempts >= MAX_FAILED_LOGIN_ATTEMPTS) {
+    const minutes = Math.min(BASE_LOCKOUT_MINUTES * 2 ** lockoutCount, MAX_LOCKOUT_MINUTES);
+    this.lockedUntil = new Date(now.getTime() + minutes * 60 * 1000);
+    this.lockoutCount = lockoutCount + 1;
+    this.failedLoginAttempts = 0;
+    this.loginBlockedUntil = undefined;
+    await this.constructor.updateOne({ _id: this._id }, {
+      $set: { lockedUntil: this.lockedUntil, lastFailedLoginAt: now, failedLoginAttempts: 0 },
+      $inc: { lockoutCount: 1 },
+      $unset: { loginBlockedUntil: 1 }
+    });
+    return { locked: true };
   }
-  
-  return false;
+
+  const delaySeconds = 2 ** (failedLoginAttempts - 1);
+  this.failedLoginAttempts = failedLoginAttempts;
+  this.loginBlockedUntil = new Date(now.getTime() + delaySeconds * 1000);
+  await this.constructor.updateOne({ _id: this._id }, {
+    $set: { loginBlockedUntil: this.loginBlockedUntil, lastFailedLoginAt: now }
+  });
+  return { locked: false };
+};
+
+// Give back a claimed attempt whose first factor passed; earlier failures stay
+// counted until the second factor succeeds
+userSchema.methods.releaseLoginAttempt = async function() {
+  await this.constructor.updateOne({ _id: this._id, failedLoginAttempts: { $gt: 0 } }, {
+    $inc: { failedLoginAttempts: -1 },
+    $unset: { loginBlockedUntil: 1 }
+  });
 };
 
+// Clears the counters, including the attempt claimed for this login
+userSchema.methods.resetFailedLogins = async function() {
+  await this.constructor.updateOne({ _id: this._id }, {
+    $set: { failedLoginAttempts: 0, lockoutCount: 0 },
+    $unset: { lockedUntil: 1, loginBlockedUntil: 1 }
+  });
+};
+
+// Permission helper methods
+// Roles and their permissions are configured in the Role collection and checked
+// with roleService.hasPermission(user.role, permission) (see utils/permissions.js)
+
 userSchema.methods.hasRole = function(...roles) {
   return roles.includes(this.role);
 };
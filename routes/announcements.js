@@ -1,13 +1,20 @@
 import express from 'express';
 import Announcement from '../models/Announcement.js';
-import { authenticate, requireAdmin } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { auditLog } from '../middleware/auditLog.js';
 
 const router = express.Router();
 
+// Record changes made through these routes in the audit log
+router.use(auditLog('Announcement'));
+
 // Get all active announcements (public)
 router.get('/', async (req, res) => {
   try {
-    const announcements = await Announcement.find({ isActive: true })
+    const announcements = await Announcement.find({
+      isActive: true,
+      $or: [{ publishFrom: null }, { publishFrom: { $lte: new Date() } }]
+    })
       .sort({ date: -1 })
       .limit(20);
     res.json(announcements);
@@ -16,8 +23,8 @@ router.get('/', async (req, res) => {
   }
 });
 
-// Get all announcements (admin)
-router.get('/all', authenticate, requireAdmin, async (req, res) => {
+// Get all announcements (editor and above)
+router.get('/all', authenticate, requirePermission('announcements:write'), async (req, res) => {
   try {
     const announcements = await Announcement.find().sort({ date: -1 });
     res.json(announcements);
@@ -39,8 +46,8 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Create announcement (admin)
-router.post('/', authenticate, requireAdmin, async (req, res) => {
+// Create announcement (editor and above)
+router.post('/', authenticate, requirePermission('announcements:write'), async (req, res) => {
   try {
     const announcement = new Announcement(req.body);
     await announcement.save();
@@ -50,8 +57,8 @@ router.post('/', authenticate, requireAdmin, async (req, res) => {
   }
 });
 
-// Update announcement (admin)
-router.put('/:id', authenticate, requireAdmin, async (req, res) => {
+// Update announcement (editor and above)
+router.put('/:id', authenticate, requirePermission('announcements:write'), async (req, res) => {
   try {
     const announcement = await Announcement.findByIdAndUpdate(
       req.params.id,
@@ -67,8 +74,8 @@ router.put('/:id', authenticate, requireAdmin, async (req, res) => {
   }
 });
 
-// Delete announcement (admin)
-router.delete('/:id', authenticate, requireAdmin, async (req, res) => {
+// Delete announcement (editor and above)
+router.delete('/:id', authenticate, requirePermission('announcements:write'), async (req, res) => {
   try {
     const announcement = await Announcement.findByIdAndDelete(req.params.id);
     if (!announcement) {
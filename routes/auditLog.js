@@ -0,0 +1,90 @@
+import express from 'express';
+import AuditLog from '../models/AuditLog.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { validate, schemas } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// All routes require authentication and permission to read the audit log
+router.use(authenticate);
+router.use(requirePermission('audit-log:read'));
+
+/**
+ * GET /api/audit-log
+ * Get audit log entries (newest first, with pagination)
+ * Query params: actor, action, targetModel, targetId, from, to (ISO dates), page, limit
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { actor, action, targetModel, targetId, from, to } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (actor) query.actor = actor;
+    if (action) query.action = action;
+    if (targetModel) query.targetModel = targetModel;
+    if (targetId) query.targetId = targetId;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+      if (Object.values(query.createdAt).some(date => isNaN(date.getTime()))) {
+        return res.status(400).json({ message: 'Invalid date format' });
+      }
+    }
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('actor', 'username email role')
+        .lean(),
+      AuditLog.countDocuments(query)
+    ]);
+
+    res.json({
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({ 
+      message: 'Error retrieving audit log',
+      error: error.message 
+    });
+  }
+});
+
+/**
+ * GET /api/audit-log/:id
+ * Get a single audit log entry
+ */
+router.get('/:id', validate(schemas.idParam, 'params'), async (req, res) => {
+  try {
+    const entry = await AuditLog.findById(req.params.id)
+      .populate('actor', 'username email role')
+      .lean();
+
+    if (!entry) {
+      return res.status(404).json({ message: 'Audit log entry not found' });
+    }
+
+    res.json(entry);
+  } catch (error) {
+    console.error('Error fetching audit log entry:', error);
+    res.status(500).json({ 
+      message: 'Error retrieving audit log entry',
+      error: error.message 
+    });
+  }
+});
+
+export default router;
@@ -5,15 +5,30 @@ import crypto from 'crypto';
 import User from '../models/User.js';
 import Parishioner from '../models/Parishioner.js';
 import RefreshToken from '../models/RefreshToken.js';
+import PasswordResetToken from '../models/PasswordResetToken.js';
+import EmailVerificationToken from '../models/EmailVerificationToken.js';
 import { authenticate } from '../middleware/auth.js';
-import { loginRateLimiter } from '../middleware/rateLimiter.js';
-import { validatePassword } from '../utils/passwordValidation.js';
+import { loginRateLimiter, passwordResetRateLimiter, verificationEmailRateLimiter } from '../middleware/rateLimiter.js';
+import { validatePasswordForRole } from '../utils/passwordValidation.js';
 import { validate, schemas } from '../middleware/validation.js';
+import { deprecatedEndpoint } from '../middleware/deprecation.js';
 import { authLogger, errorLogger } from '../utils/logger.js';
+import { describeDevice } from '../utils/userAgent.js';
+import { generateToken, hashToken } from '../utils/tokens.js';
+import { generateSecret, verifyCode, buildOtpauthUrl, generateRecoveryCodes } from '../utils/totp.js';
 import notificationService from '../services/notificationService.js';
+import roleService from '../services/roleService.js';
 
 const router = express.Router();
 
+const REFRESH_TOKEN_EXPIRY_DAYS = 7;
+const PASSWORD_RESET_EXPIRY_MINUTES = 60;
+const MFA_TOKEN_EXPIRY = '5m';
+
+const TWO_FACTOR_SELECT = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+const EMAIL_VERIFICATION_EXPIRY_HOURS = 48;
+const EMAIL_VERIFICATION_RESEND_INTERVAL_MINUTES = 5;
+
 // Helper function to generate tokens
 const generateTokens = (user) => {
   const accessToken = jwt.sign(
@@ -31,6 +46,95 @@ const generateTokens = (user) => {
   return { accessToken, refreshToken };
 };
 
+// MFA challenge tokens are signed with a separate secret so they can never be used as access tokens
+const getMfaSecret = () => `${process.env.JWT_SECRET || 'fallback-secret'}:mfa`;
+
+// Helper function to generate a short-lived MFA challenge token
+// purpose: 'mfa-login' (enter a code) or 'mfa-enroll' (2FA is mandatory but not set up yet)
+const generateMfaToken = (user, purpose) => jwt.sign(
+  { userId: user._id, purpose },
+  getMfaSecret(),
+  { expiresIn: MFA_TOKEN_EXPIRY }
+);
+
+const verifyMfaToken = (token, purpose) => {
+  const decoded = jwt.verify(token, getMfaSecret());
+  if (decoded.purpose !== purpose) {
+    throw new jwt.JsonWebTokenError('Invalid MFA token');
+  }
+  return decoded;
+};
+
+// Helper function to check a TOTP or recovery code for a user loaded with TWO_FACTOR_SELECT
+// Marks the code as used on the document; the caller must save the user
+const verifyTwoFactorCode = (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyCode(user.twoFactor.secret, code, { lastUsedStep: user.twoFactor.lastUsedStep ?? null });
+    if (step === null) {
+      return false;
+    }
+    user.twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  if (recoveryCode) {
+    const codeHash = hashToken(recoveryCode.trim().toLowerCase());
+    const entry = (user.twoFactor.recoveryCodes || []).find(rc => rc.codeHash === codeHash && !rc.usedAt);
+    if (!entry) {
+      return false;
+    }
+    entry.usedAt = new Date();
+    return true;
+  }
+
+  return false;
+};
+
+// Helper function to create a new set of recovery codes, returning the plain codes once
+const issueRecoveryCodes = (user) => {
+  const codes = generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = codes.map(code => ({ codeHash: hashToken(code) }));
+  return codes;
+};
+
+// Helper function to store a refresh token with its session (device) details
+// Pass the family of the token being rotated to keep the same session, omit it to start a new one
+const saveRefreshToken = async (req, user, refreshToken, { family, sessionStartedAt } = {}) => {
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + REFRESH_TOKEN_EXPIRY_DAYS);
+
+  const userAgent = req.get('user-agent') || '';
+
+  return RefreshToken.create({
+    userId: user._id,
+    token: refreshToken,
+    family: family || crypto.randomUUID(),
+    device: describeDevice(userAgent),
+    userAgent,
+    ip: req.ip,
+    sessionStartedAt: sessionStartedAt || new Date(),
+    lastUsedAt: new Date(),
+    expiresAt
+  });
+};
+
+// Helper function to create an email verification token and build its link
+const createEmailVerification = async (user) => {
+  // Only the latest verification link is valid
+  await EmailVerificationToken.deleteMany({ userId: user._id });
+
+  const verificationToken = generateToken();
+  const expiresAt = new Date(Date.now() + EMAIL_VERIFICATION_EXPIRY_HOURS * 60 * 60 * 1000);
+
+  await EmailVerificationToken.create({
+    userId: user._id,
+    tokenHash: hashToken(verificationToken),
+    expiresAt
+  });
+
+  return `${process.env.FRONTEND_URL || 'http://localhost:3000'}/verify-email?token=${verificationToken}`;
+};
+
 // Helper function to set secure cookie
 const setRefreshTokenCookie = (res, refreshToken) => {
   const isProduction = process.env.NODE_ENV === 'production';
@@ -41,11 +145,160 @@ const setRefreshTokenCookie = (res, refreshToken) => {
     httpOnly: true,
     secure: isProduction, // Only send over HTTPS in production (required for sameSite: 'none')
     sameSite: sameSiteValue,
-    maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
+    maxAge: REFRESH_TOKEN_EXPIRY_DAYS * 24 * 60 * 60 * 1000, // 7 days
+    path: '/api/auth'
+  });
+};
+
+// Helper function to clear the refresh token cookie
+const clearRefreshTokenCookie = (res) => {
+  const isProduction = process.env.NODE_ENV === 'production';
+  res.clearCookie('refreshToken', {
+    httpOnly: true,
+    secure: isProduction,
+    sameSite: isProduction ? 'none' : 'lax',
     path: '/api/auth'
   });
 };
 
+// Helper function to issue tokens and respond once a user has fully authenticated
+const completeLogin = async (req, res, user) => {
+  // Generate tokens
+  const { accessToken, refreshToken } = generateTokens(user);
+
+  // Save refresh token as a new session (other devices stay logged in)
+  await saveRefreshToken(req, user, refreshToken);
+
+  // Set refresh token as secure HTTP-only cookie
+  setRefreshTokenCookie(res, refreshToken);
+
+  // Return access token in response body (client stores in memory/localStorage)
+  res.json({
+    accessToken,
+    user: {
+      id: user._id,
+      username: user.username || null,
+      email: user.email || null,
+      role: user.role,
+      emailVerified: user.emailVerified,
+      twoFactorEnabled: !!user.twoFactor?.enabled
+    }
+  });
+};
+
+// Helper function to refuse a login attempt while the account is locked or delayed
+// Returns true when a response has been sent
+const rejectBlockedLogin = (req, res, user) => {
+  const retryAfter = user.getLoginRetryAfter();
+  if (!retryAfter) {
+    return false;
+  }
+
+  const locked = user.isLocked();
+  authLogger.warn({ userId: user._id, ip: req.ip, retryAfter, locked }, locked
+    ? 'Login attempt rejected: Account locked'
+    : 'Login attempt rejected: Too soon after failed attempt');
+
+  res.set('Retry-After', String(Math.ceil((retryAfter.getTime() - Date.now()) / 1000)));
+  res.status(locked ? 423 : 429).json({
+    message: locked
+      ? 'This account is temporarily locked because of too many failed login attempts. Please try again later or contact the parish office.'
+      : 'Please wait a moment before trying again.',
+    retryAfter
+  });
+  return true;
+};
+
+// Helper function to claim an attempt before checking credentials
+// Returns the claimed counters, or null when a response has been sent
+const claimLoginAttempt = async (req, res, user) => {
+  const attempt = await user.claimLoginAttempt();
+  if (!attempt && !rejectBlockedLogin(req, res, user)) {
+    // The block expired between the claim and the reload
+    res.status(429).json({ message: 'Please wait a moment before trying again.' });
+  }
+  return attempt;
+};
+
+// Helper function to record a failed login, locking the account when the limit is reached
+const handleFailedLogin = async (req, res, user, attempt, message) => {
+  const { locked } = await user.registerFailedLogin(attempt);
+
+  if (!locked) {
+    return res.status(401).json({ message });
+  }
+
+  authLogger.warn({ 
+    userId: user._id, 
+    username: user.username, 
+    email: user.email, 
+    ip: req.ip, 
+    lockedUntil: user.lockedUntil, 
+    lockoutCount: user.lockoutCount 
+  }, 'Account locked after repeated failed login attempts');
+
+  notifyAccountLocked(req, user).catch(error => {
+    errorLogger.error({ err: error, userId: user._id }, 'Failed to send account lockout notification');
+  });
+
+  return res.status(423).json({
+    message: 'Too many failed login attempts. This account has been temporarily locked.',
+    retryAfter: user.lockedUntil
+  });
+};
+
+// Helper function to tell the account holder their account was locked
+const notifyAccountLocked = async (req, user) => {
+  if (!user.email) {
+    authLogger.warn({ userId: user._id }, 'Account locked but no email on file for notification');
+    return;
+  }
+
+  const parishName = process.env.PARISH_NAME || 'Parish Website';
+  const lockedUntil = user.lockedUntil.toUTCString();
+
+  await notificationService.sendNotification({
+    type: 'email',
+    recipient: {
+      email: user.email,
+      name: user.username || undefined
+    },
+    subject: `${parishName} - Your account has been temporarily locked`,
+    message: `Hello,\n\nYour ${parishName} account was locked after several failed login attempts. You can try again after ${lockedUntil}.\n\nIf this wasn't you, someone may be trying to guess your password. We recommend resetting your password once the lock expires, and contacting the parish office if you need the account unlocked sooner.\n\nRequest IP address: ${req.ip}\n\n${parishName} Team`,
+    htmlMessage: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #1a365d;">Your account has been temporarily locked</h2>
+        <p>Hello,</p>
+        <p>Your ${parishName} account was locked after several failed login attempts. You can try again after <strong>${lockedUntil}</strong>.</p>
+        <p>If this wasn't you, someone may be trying to guess your password. We recommend resetting your password once the lock expires, and contacting the parish office if you need the account unlocked sooner.</p>
+        <p style="color: #718096; font-size: 12px;">Request IP address: ${req.ip}</p>
+        <p style="margin-top: 30px;"><strong>${parishName} Team</strong></p>
+      </div>
+    `,
+    metadata: {
+      source: 'account-lockout',
+      userId: user._id.toString()
+    }
+  });
+};
+
+// Authenticate 2FA enrollment requests: either a normal access token, or the
+// enrollment challenge returned by /login when 2FA is mandatory for the user's role
+const authenticateTwoFactorEnrollment = (req, res, next) => {
+  if (!req.body?.mfaToken) {
+    return authenticate(req, res, next);
+  }
+
+  try {
+    const decoded = verifyMfaToken(req.body.mfaToken, 'mfa-enroll');
+    req.user = { userId: decoded.userId };
+    req.mfaEnrollment = true;
+    next();
+  } catch (error) {
+    return res.status(401).json({ message: 'Invalid or expired MFA token' });
+  }
+};
+
 // Login (supports both username for admin/editor and email for parishioner)
 router.post('/login', loginRateLimiter, validate(schemas.login), async (req, res) => {
   try {
@@ -69,46 +322,100 @@ router.post('/login', loginRateLimiter, validate(schemas.login), async (req, res
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
+    if (rejectBlockedLogin(req, res, user)) {
+      return;
+    }
+
+    const attempt = await claimLoginAttempt(req, res, user);
+    if (!attempt) {
+      return;
+    }
+
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
       authLogger.warn({ userId: user._id, username: user.username, email: user.email, ip: req.ip }, 'Login attempt failed: Password mismatch');
-      return res.status(401).json({ message: 'Invalid credentials' });
+      return handleFailedLogin(req, res, user, attempt, 'Invalid credentials');
     }
-    
+
+    // Second step: ask for a TOTP code before issuing real tokens
+    if (user.twoFactor?.enabled) {
+      await user.releaseLoginAttempt();
+      authLogger.info({ userId: user._id, ip: req.ip }, 'Login password verified: two-factor challenge issued');
+      return res.json({
+        mfaRequired: true,
+        mfaToken: generateMfaToken(user, 'mfa-login')
+      });
+    }
+
+    // Two-factor is mandatory for this role but not set up yet: enrollment must be completed first
+    if ((await roleService.getTwoFactorPolicy(user.role)).required) {
+      await user.releaseLoginAttempt();
+      authLogger.info({ userId: user._id, role: user.role, ip: req.ip }, 'Login password verified: two-factor enrollment required');
+      return res.json({
+        mfaSetupRequired: true,
+        mfaToken: generateMfaToken(user, 'mfa-enroll')
+      });
+    }
+
+    // Failed attempts are only cleared once every factor has been passed
+    await user.resetFailedLogins();
+
     authLogger.info({ userId: user._id, username: user.username, email: user.email, role: user.role, ip: req.ip }, 'Login successful');
 
-    // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user);
+    await completeLogin(req, res, user);
+  } catch (error) {
+    errorLogger.error({ err: error, ip: req.ip }, 'Login error');
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    // Save refresh token to database
-    const expiresAt = new Date();
-    expiresAt.setDate(expiresAt.getDate() + 7); // 7 days
+// Complete login with a TOTP or recovery code (second step of /login)
+router.post('/login/2fa', loginRateLimiter, validate(schemas.loginTwoFactor), async (req, res) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
 
-    // Delete old refresh tokens for this user
-    await RefreshToken.deleteMany({ userId: user._id });
+    let decoded;
+    try {
+      decoded = verifyMfaToken(mfaToken, 'mfa-login');
+    } catch (error) {
+      return res.status(401).json({ message: 'Invalid or expired MFA token' });
+    }
 
-    // Save new refresh token
-    await RefreshToken.create({
-      userId: user._id,
-      token: refreshToken,
-      expiresAt
-    });
+    const user = await User.findById(decoded.userId).select(TWO_FACTOR_SELECT);
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(401).json({ message: 'Invalid or expired MFA token' });
+    }
 
-    // Set refresh token as secure HTTP-only cookie
-    setRefreshTokenCookie(res, refreshToken);
+    if (rejectBlockedLogin(req, res, user)) {
+      return;
+    }
 
-    // Return access token in response body (client stores in memory/localStorage)
-    res.json({
-      accessToken,
-      user: {
-        id: user._id,
-        username: user.username || null,
-        email: user.email || null,
-        role: user.role
-      }
-    });
+    const attempt = await claimLoginAttempt(req, res, user);
+    if (!attempt) {
+      return;
+    }
+
+    if (!verifyTwoFactorCode(user, { code, recoveryCode })) {
+      authLogger.warn({ userId: user._id, ip: req.ip, recoveryCode: !!recoveryCode }, 'Login attempt failed: Invalid two-factor code');
+      return handleFailedLogin(req, res, user, attempt, 'Invalid authentication code');
+    }
+
+    // Save the used code, then clear the failed attempts
+    await user.save();
+    await user.resetFailedLogins();
+
+    authLogger.info({ 
+      userId: user._id, 
+      username: user.username, 
+      email: user.email, 
+      role: user.role, 
+      ip: req.ip, 
+      usedRecoveryCode: !!recoveryCode 
+    }, 'Login successful (two-factor)');
+
+    await completeLogin(req, res, user);
   } catch (error) {
-    errorLogger.error({ err: error, ip: req.ip }, 'Login error');
+    errorLogger.error({ err: error, ip: req.ip }, 'Two-factor login error');
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -154,7 +461,8 @@ router.post('/register', validate(schemas.register), async (req, res) => {
     const user = new User({
       email: email.toLowerCase(),
       passwordHash: hashedPassword,
-      role: 'parishioner'
+      role: 'parishioner',
+      emailVerified: false
     });
 
     await user.save();
@@ -179,24 +487,17 @@ router.post('/register', validate(schemas.register), async (req, res) => {
     // Generate tokens for automatic login
     const { accessToken, refreshToken } = generateTokens(user);
 
-    // Save refresh token to database
-    const expiresAt = new Date();
-    expiresAt.setDate(expiresAt.getDate() + 7); // 7 days
-
-    // Save refresh token
-    await RefreshToken.create({
-      userId: user._id,
-      token: refreshToken,
-      expiresAt
-    });
+    // Save refresh token as a new session
+    await saveRefreshToken(req, user, refreshToken);
 
     // Set refresh token as secure HTTP-only cookie
     setRefreshTokenCookie(res, refreshToken);
 
-    // Send welcome message to new user
+    // Send welcome message (with the email verification link) to new user
     try {
       const parishName = process.env.PARISH_NAME || 'Parish Website';
       const fullName = `${firstName} ${lastName}`;
+      const verificationUrl = await createEmailVerification(user);
       
       await notificationService.sendNotification({
         type: 'email',
@@ -206,13 +507,17 @@ router.post('/register', validate(schemas.register), async (req, res) => {
           phone: phone || undefined
         },
         subject: `Welcome to ${parishName}!`,
-        message: `Dear ${firstName},\n\nWelcome to our parish community! We are delighted to have you join us.\n\nYour registration has been successfully completed. You can now:\n- Access your profile and update your information\n- View mass schedules and events\n- Participate in ministries\n- Stay connected with our parish community\n\nIf you have any questions or need assistance, please don't hesitate to contact us.\n\nMay God bless you,\n${parishName} Team`,
+        message: `Dear ${firstName},\n\nWelcome to our parish community! We are delighted to have you join us.\n\nPlease confirm your email address by opening the link below (valid for ${EMAIL_VERIFICATION_EXPIRY_HOURS} hours):\n\n${verificationUrl}\n\nOnce your email is confirmed, you can:\n- Access your profile and update your information\n- View mass schedules and events\n- Participate in ministries\n- Stay connected with our parish community\n\nIf you have any questions or need assistance, please don't hesitate to contact us.\n\nMay God bless you,\n${parishName} Team`,
         htmlMessage: `
           <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
             <h2 style="color: #1a365d;">Welcome to ${parishName}!</h2>
             <p>Dear ${firstName},</p>
             <p>Welcome to our parish community! We are delighted to have you join us.</p>
-            <p>Your registration has been successfully completed. You can now:</p>
+            <p>Please confirm your email address by clicking the button below (valid for ${EMAIL_VERIFICATION_EXPIRY_HOURS} hours):</p>
+            <p style="margin: 30px 0;">
+              <a href="${verificationUrl}" style="background-color: #1a365d; color: #ffffff; padding: 12px 24px; text-decoration: none; border-radius: 4px;">Verify my email</a>
+            </p>
+            <p>Once your email is confirmed, you can:</p>
             <ul style="line-height: 1.8;">
               <li>Access your profile and update your information</li>
               <li>View mass schedules and events</li>
@@ -239,12 +544,13 @@ router.post('/register', validate(schemas.register), async (req, res) => {
     }
     
     res.status(201).json({ 
-      message: 'Registration successful! Welcome to our parish community.',
+      message: 'Registration successful! Welcome to our parish community. Please check your email to verify your address.',
       accessToken,
       user: {
         id: user._id,
         email: user.email,
-        role: user.role
+        role: user.role,
+        emailVerified: user.emailVerified
       },
       parishioner: {
         _id: parishioner._id,
@@ -268,8 +574,12 @@ router.post('/register', validate(schemas.register), async (req, res) => {
   }
 });
 
-// Get parishioner profile by email (public - for profile access)
-router.get('/profile/by-email/:email', async (req, res) => {
+// Get parishioner profile by email (deprecated - use GET /api/parishioners/me)
+// Disabled unless LEGACY_PUBLIC_PROFILE_ENDPOINTS=true
+router.get('/profile/by-email/:email', deprecatedEndpoint({
+  flag: 'LEGACY_PUBLIC_PROFILE_ENDPOINTS',
+  successor: '/api/parishioners/me'
+}), async (req, res) => {
   try {
     const user = await User.findOne({ email: req.params.email.toLowerCase() })
       .populate('parishioner');
@@ -312,16 +622,52 @@ router.post('/refresh', async (req, res) => {
       return res.status(401).json({ message: 'Invalid or expired refresh token' });
     }
 
+    // Claim the token atomically so it can only be rotated once
+    const claimed = await RefreshToken.findOneAndUpdate(
+      { _id: tokenDoc._id, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+
+    // A rotated token being presented again means it was stolen (or replayed):
+    // revoke the whole family so both the attacker and the victim must log in again
+    if (!claimed) {
+      await RefreshToken.updateMany(
+        { userId: tokenDoc.userId, family: tokenDoc.family, revokedAt: null },
+        { revokedAt: new Date() }
+      );
+      authLogger.warn({ 
+        userId: tokenDoc.userId, 
+        family: tokenDoc.family, 
+        ip: req.ip, 
+        userAgent: req.get('user-agent') 
+      }, 'Refresh token reuse detected: session revoked');
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
     // Get user
     const user = await User.findById(tokenDoc.userId);
     if (!user) {
       return res.status(401).json({ message: 'User not found' });
     }
 
-    // Generate new access token
-    const { accessToken } = generateTokens(user);
+    // Rotate: issue a new refresh token in the same family
+    const { accessToken, refreshToken: newRefreshToken } = generateTokens(user);
+    const newTokenDoc = await saveRefreshToken(req, user, newRefreshToken, {
+      family: tokenDoc.family,
+      sessionStartedAt: tokenDoc.sessionStartedAt
+    });
+
+    claimed.replacedByToken = newTokenDoc._id;
+    await claimed.save();
 
-    res.json({ accessToken });
+    setRefreshTokenCookie(res, newRefreshToken);
+
+    // Clients that send the refresh token in the body (no cookies) need the new one back
+    res.json({
+      accessToken,
+      ...(!req.cookies?.refreshToken && { refreshToken: newRefreshToken })
+    });
   } catch (error) {
     console.error('Refresh token error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -334,17 +680,14 @@ router.post('/logout', authenticate, async (req, res) => {
     const refreshToken = req.cookies?.refreshToken || req.body.refreshToken;
     
     if (refreshToken) {
-      await RefreshToken.deleteOne({ token: refreshToken });
+      // End this device's session (every token in its family)
+      const tokenDoc = await RefreshToken.findOne({ token: refreshToken, userId: req.user.userId });
+      if (tokenDoc) {
+        await RefreshToken.deleteMany({ userId: tokenDoc.userId, family: tokenDoc.family });
+      }
     }
 
-    // Clear refresh token cookie
-    const isProduction = process.env.NODE_ENV === 'production';
-    res.clearCookie('refreshToken', {
-      httpOnly: true,
-      secure: isProduction,
-      sameSite: isProduction ? 'none' : 'lax',
-      path: '/api/auth'
-    });
+    clearRefreshTokenCookie(res);
 
     res.json({ message: 'Logged out successfully' });
   } catch (error) {
@@ -353,6 +696,260 @@ router.post('/logout', authenticate, async (req, res) => {
   }
 });
 
+// List active sessions (one per device) for the current user
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    const currentToken = req.cookies?.refreshToken;
+    const currentDoc = currentToken
+      ? await RefreshToken.findOne({ token: currentToken, userId: req.user.userId }).select('family')
+      : null;
+
+    const tokens = await RefreshToken.find({
+      userId: req.user.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    const sessions = tokens.map(t => ({
+      id: t.family,
+      device: t.device,
+      userAgent: t.userAgent,
+      ip: t.ip,
+      createdAt: t.sessionStartedAt,
+      lastUsedAt: t.lastUsedAt,
+      expiresAt: t.expiresAt,
+      current: currentDoc?.family === t.family
+    }));
+
+    res.json(sessions);
+  } catch (error) {
+    errorLogger.error({ err: error, userId: req.user?.userId }, 'Error listing sessions');
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revoke all sessions for the current user (logs out every device)
+router.delete('/sessions', authenticate, async (req, res) => {
+  try {
+    const result = await RefreshToken.deleteMany({ userId: req.user.userId });
+
+    clearRefreshTokenCookie(res);
+
+    authLogger.info({ userId: req.user.userId, ip: req.ip }, 'All sessions revoked');
+
+    res.json({ message: 'All sessions revoked', revoked: result.deletedCount });
+  } catch (error) {
+    errorLogger.error({ err: error, userId: req.user?.userId }, 'Error revoking sessions');
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revoke a single session by its id
+router.delete('/sessions/:id', authenticate, async (req, res) => {
+  try {
+    const result = await RefreshToken.deleteMany({ 
+      userId: req.user.userId, 
+      family: req.params.id 
+    });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    authLogger.info({ userId: req.user.userId, family: req.params.id, ip: req.ip }, 'Session revoked');
+
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    errorLogger.error({ err: error, userId: req.user?.userId }, 'Error revoking session');
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get two-factor status for the current user
+router.get('/2fa/status', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('+twoFactor.recoveryCodes');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const { available, required } = await roleService.getTwoFactorPolicy(user.role);
+
+    res.json({
+      available,
+      required,
+      enabled: !!user.twoFactor?.enabled,
+      enabledAt: user.twoFactor?.enabledAt || null,
+      recoveryCodesRemaining: (user.twoFactor?.recoveryCodes || []).filter(rc => !rc.usedAt).length
+    });
+  } catch (error) {
+    errorLogger.error({ err: error, userId: req.user?.userId }, 'Error getting two-factor status');
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Start two-factor enrollment: returns a new secret and the otpauth:// URI for the QR code
+router.post('/2fa/setup', authenticateTwoFactorEnrollment, validate(schemas.twoFactorSetup), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select(TWO_FACTOR_SELECT);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!(await roleService.getTwoFactorPolicy(user.role)).available) {
+      return res.status(403).json({ message: 'Two-factor authentication is not available for this account' });
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    const issuer = process.env.PARISH_NAME || 'Parish Website';
+    res.json({
+      secret,
+      otpauthUrl: buildOtpauthUrl(secret, user.username || user.email, issuer)
+    });
+  } catch (error) {
+    errorLogger.error({ err: error, userId: req.user?.userId }, 'Error starting two-factor setup');
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Confirm two-factor enrollment with a code from the authenticator app
+// Returns the recovery codes (shown only once). When completing a mandatory
+// enrollment from /login, also logs the user in.
+router.post('/2fa/enable', authenticateTwoFactorEnrollment, validate(schemas.twoFactorCode), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select(TWO_FACTOR_SELECT);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    const step = verifyCode(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    const recoveryCodes = issueRecoveryCodes(user);
+    await user.save();
+
+    authLogger.info({ userId: user._id, role: user.role, ip: req.ip }, 'Two-factor authentication enabled');
+
+    if (req.mfaEnrollment) {
+      await user.resetFailedLogins();
+
+      const { accessToken, refreshToken } = generateTokens(user);
+      await saveRefreshToken(req, user, refreshToken);
+      setRefreshTokenCookie(res, refreshToken);
+
+      return res.json({
+        message: 'Two-factor authentication enabled',
+        recoveryCodes,
+        accessToken,
+        user: {
+          id: user._id,
+          username: user.username || null,
+          email: user.email || null,
+          role: user.role,
+          emailVerified: user.emailVerified,
+          twoFactorEnabled: true
+        }
+      });
+    }
+
+    res.json({ message: 'Two-factor authentication enabled', recoveryCodes });
+  } catch (error) {
+    errorLogger.error({ err: error, userId: req.user?.userId }, 'Error enabling two-factor authentication');
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Generate a new set of recovery codes (invalidates the old ones)
+router.post('/2fa/recovery-codes', authenticate, validate(schemas.twoFactorCode), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select(TWO_FACTOR_SELECT);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!verifyTwoFactorCode(user, { code: req.body.code })) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = issueRecoveryCodes(user);
+    await user.save();
+
+    authLogger.info({ userId: user._id, ip: req.ip }, 'Two-factor recovery codes regenerated');
+
+    res.json({ recoveryCodes });
+  } catch (error) {
+    errorLogger.error({ err: error, userId: req.user?.userId }, 'Error regenerating recovery codes');
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Disable two-factor authentication (not allowed when mandatory for the role)
+router.post('/2fa/disable', authenticate, validate(schemas.disableTwoFactor), async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.user.userId).select(TWO_FACTOR_SELECT);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if ((await roleService.getTwoFactorPolicy(user.role)).required) {
+      return res.status(403).json({ message: 'Two-factor authentication is required for your role' });
+    }
+
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) {
+      return res.status(401).json({ message: 'Password is incorrect' });
+    }
+
+    if (!verifyTwoFactorCode(user, { code, recoveryCode })) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    authLogger.info({ userId: user._id, role: user.role, ip: req.ip }, 'Two-factor authentication disabled');
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    errorLogger.error({ err: error, userId: req.user?.userId }, 'Error disabling two-factor authentication');
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Change password (authenticated users only)
 router.post('/change-password', authenticate, validate(schemas.changePassword), async (req, res) => {
   try {
@@ -373,21 +970,12 @@ router.post('/change-password', authenticate, validate(schemas.changePassword),
     }
 
     // Apply strong password rules for admin and editor roles
-    if (user.role === 'admin' || user.role === 'editor') {
-      const passwordValidation = validatePassword(newPassword);
-      if (!passwordValidation.isValid) {
-        return res.status(400).json({ 
-          message: 'Password does not meet requirements',
-          errors: passwordValidation.errors
-        });
-      }
-    } else {
-      // Parishioners: minimum 6 characters
-      if (newPassword.length < 6) {
-        return res.status(400).json({ 
-          message: 'New password must be at least 6 characters long' 
-        });
-      }
+    const passwordValidation = await validatePasswordForRole(newPassword, user.role);
+    if (!passwordValidation.isValid) {
+      return res.status(400).json({ 
+        message: 'Password does not meet requirements',
+        errors: passwordValidation.errors
+      });
     }
 
     // Verify current password
@@ -424,6 +1012,251 @@ router.post('/change-password', authenticate, validate(schemas.changePassword),
   }
 });
 
-export default router;
+// Verify email address using the token from the welcome/verification email (public)
+router.post('/verify-email', validate(schemas.verifyEmail), async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    const tokenDoc = await EmailVerificationToken.findOne({
+      tokenHash: hashToken(token),
+      expiresAt: { $gt: new Date() }
+    });
+
+    if (!tokenDoc) {
+      return res.status(400).json({ message: 'Invalid or expired verification token' });
+    }
+
+    const user = await User.findById(tokenDoc.userId);
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired verification token' });
+    }
 
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+
+    await EmailVerificationToken.deleteMany({ userId: user._id });
+
+    authLogger.info({ userId: user._id, email: user.email, ip: req.ip }, 'Email verified');
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    errorLogger.error({ err: error, ip: req.ip }, 'Email verification error');
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Resend the email verification link (authenticated users only)
+router.post('/resend-verification', authenticate, verificationEmailRateLimiter, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).populate('parishioner', 'firstName lastName');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    // Throttle per account so the inbox is not flooded
+    const lastToken = await EmailVerificationToken.findOne({ userId: user._id }).sort({ createdAt: -1 });
+    const resendAfter = lastToken
+      ? new Date(lastToken.createdAt.getTime() + EMAIL_VERIFICATION_RESEND_INTERVAL_MINUTES * 60 * 1000)
+      : null;
+    if (resendAfter && resendAfter > new Date()) {
+      return res.status(429).json({ 
+        message: `Please wait ${EMAIL_VERIFICATION_RESEND_INTERVAL_MINUTES} minutes before requesting another verification email`,
+        retryAfter: resendAfter
+      });
+    }
+
+    const parishName = process.env.PARISH_NAME || 'Parish Website';
+    const firstName = user.parishioner?.firstName || '';
+    const verificationUrl = await createEmailVerification(user);
+
+    const sent = await notificationService.sendNotification({
+      type: 'email',
+      recipient: {
+        email: user.email,
+        name: user.parishioner ? `${user.parishioner.firstName} ${user.parishioner.lastName}` : undefined
+      },
+      subject: `${parishName} - Verify your email`,
+      message: `Dear ${firstName},\n\nPlease confirm your email address by opening the link below (valid for ${EMAIL_VERIFICATION_EXPIRY_HOURS} hours):\n\n${verificationUrl}\n\nIf you did not create an account, you can ignore this message.\n\n${parishName} Team`,
+      htmlMessage: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #1a365d;">Verify your email</h2>
+          <p>Dear ${firstName},</p>
+          <p>Please confirm your email address by clicking the button below (valid for ${EMAIL_VERIFICATION_EXPIRY_HOURS} hours):</p>
+          <p style="margin: 30px 0;">
+            <a href="${verificationUrl}" style="background-color: #1a365d; color: #ffffff; padding: 12px 24px; text-decoration: none; border-radius: 4px;">Verify my email</a>
+          </p>
+          <p>If you did not create an account, you can ignore this email.</p>
+          <p style="margin-top: 30px;"><strong>${parishName} Team</strong></p>
+        </div>
+      `,
+      metadata: {
+        source: 'email-verification',
+        userId: user._id.toString()
+      }
+    }).catch(error => ({ success: false, error: error.message }));
+
+    // The new token is what throttles the next request: drop it when the email could
+    // not be sent, so the user can try again straight away
+    if (!sent.success) {
+      await EmailVerificationToken.deleteMany({ userId: user._id });
+      errorLogger.error({ userId: user._id, status: sent.status, error: sent.error }, 'Verification email could not be sent');
+      return res.status(503).json({ message: 'The verification email could not be sent. Please try again later.' });
+    }
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    errorLogger.error({ err: error, userId: req.user?.userId }, 'Resend verification email error');
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Request a password reset (public)
+// Always responds with the same message so it cannot be used to discover accounts
+router.post('/forgot-password', passwordResetRateLimiter, validate(schemas.forgotPassword), async (req, res) => {
+  const genericResponse = {
+    message: 'If an account matches the details provided, password reset instructions have been sent.'
+  };
+
+  try {
+    const { username, email } = req.body;
+
+    const user = username
+      ? await User.findOne({ username }).populate('parishioner', 'firstName lastName phone')
+      : await User.findOne({ email: email.toLowerCase() }).populate('parishioner', 'firstName lastName phone');
+
+    if (!user) {
+      authLogger.warn({ username, email, ip: req.ip }, 'Password reset requested for unknown account');
+      return res.json(genericResponse);
+    }
+
+    const phone = user.parishioner?.phone;
+    if (!user.email && !phone) {
+      authLogger.warn({ userId: user._id, ip: req.ip }, 'Password reset requested but account has no email or phone');
+      return res.json(genericResponse);
+    }
+
+    // Invalidate any outstanding reset tokens for this user
+    await PasswordResetToken.deleteMany({ userId: user._id, usedAt: null });
+
+    const resetToken = generateToken();
+    const expiresAt = new Date(Date.now() + PASSWORD_RESET_EXPIRY_MINUTES * 60 * 1000);
+
+    await PasswordResetToken.create({
+      userId: user._id,
+      tokenHash: hashToken(resetToken),
+      expiresAt,
+      requestedIp: req.ip
+    });
+
+    const parishName = process.env.PARISH_NAME || 'Parish Website';
+    const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password?token=${resetToken}`;
+    const name = user.parishioner
+      ? `${user.parishioner.firstName} ${user.parishioner.lastName}`
+      : user.username;
+
+    try {
+      await notificationService.sendNotification({
+        // Email when we have one, otherwise fall back to WhatsApp
+        type: user.email ? 'email' : 'sms',
+        recipient: {
+          email: user.email || undefined,
+          phone: user.email ? undefined : phone,
+          name
+        },
+        subject: `${parishName} - Password reset`,
+        message: `Hello ${name || ''},\n\nWe received a request to reset your password. Use the link below to choose a new password:\n\n${resetUrl}\n\nThis link expires in ${PASSWORD_RESET_EXPIRY_MINUTES} minutes and can only be used once. If you did not request a password reset, you can ignore this message.\n\n${parishName} Team`,
+        htmlMessage: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #1a365d;">Password reset</h2>
+            <p>Hello ${name || ''},</p>
+            <p>We received a request to reset your password. Click the button below to choose a new password:</p>
+            <p style="margin: 30px 0;">
+              <a href="${resetUrl}" style="background-color: #1a365d; color: #ffffff; padding: 12px 24px; text-decoration: none; border-radius: 4px;">Reset password</a>
+            </p>
+            <p>This link expires in ${PASSWORD_RESET_EXPIRY_MINUTES} minutes and can only be used once.</p>
+            <p>If you did not request a password reset, you can ignore this email.</p>
+            <p style="margin-top: 30px;"><strong>${parishName} Team</strong></p>
+          </div>
+        `,
+        metadata: {
+          source: 'password-reset',
+          userId: user._id.toString()
+        }
+      });
+    } catch (notificationError) {
+      errorLogger.error({ err: notificationError, userId: user._id }, 'Failed to send password reset notification');
+    }
+
+    authLogger.info({ userId: user._id, ip: req.ip }, 'Password reset requested');
+
+    res.json(genericResponse);
+  } catch (error) {
+    errorLogger.error({ err: error, ip: req.ip }, 'Forgot password error');
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reset password using a token from /forgot-password (public)
+router.post('/reset-password', passwordResetRateLimiter, validate(schemas.resetPassword), async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    const tokenDoc = await PasswordResetToken.findOne({
+      tokenHash: hashToken(token),
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+
+    if (!tokenDoc) {
+      authLogger.warn({ ip: req.ip }, 'Password reset failed: Invalid or expired token');
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
+    const user = await User.findById(tokenDoc.userId);
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
+    // Apply the same role-based rules as change-password
+    const passwordValidation = await validatePasswordForRole(newPassword, user.role);
+    if (!passwordValidation.isValid) {
+      return res.status(400).json({ 
+        message: 'Password does not meet requirements',
+        errors: passwordValidation.errors
+      });
+    }
 
+    // Mark the token as used before changing the password so it cannot be replayed
+    const claimed = await PasswordResetToken.findOneAndUpdate(
+      { _id: tokenDoc._id, usedAt: null },
+      { usedAt: new Date() }
+    );
+    if (!claimed) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    user.passwordHash = await bcrypt.hash(newPassword, salt);
+    await user.save();
+
+    // Remove any other reset tokens and sign the user out everywhere
+    await PasswordResetToken.deleteMany({ userId: user._id, _id: { $ne: tokenDoc._id } });
+    await RefreshToken.deleteMany({ userId: user._id });
+
+    authLogger.info({ userId: user._id, role: user.role, ip: req.ip }, 'Password reset successful');
+
+    res.json({ message: 'Password has been reset successfully. Please log in with your new password.' });
+  } catch (error) {
+    errorLogger.error({ err: error, ip: req.ip }, 'Reset password error');
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+export default router;
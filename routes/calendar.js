@@ -0,0 +1,82 @@
+import express from 'express';
+import crypto from 'crypto';
+import { validate, schemas } from '../middleware/validation.js';
+import calendarFeedService from '../services/calendarFeedService.js';
+import calendarService, { MAX_CALENDAR_DAYS } from '../services/calendarService.js';
+import { toDateKey, addDays } from '../utils/timezone.js';
+
+const router = express.Router();
+
+// Calendar apps poll feeds; let them and proxies reuse a copy for an hour
+const FEED_MAX_AGE = 60 * 60;
+
+/**
+ * Send an iCalendar feed with a strong ETag. Express answers a matching
+ * If-None-Match with 304 Not Modified.
+ */
+const sendCalendar = (res, filename, body) => {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `inline; filename="${filename}"`,
+    'Cache-Control': `public, max-age=${FEED_MAX_AGE}`,
+    ETag: `"${crypto.createHash('sha1').update(body).digest('hex')}"`
+  });
+  res.send(body);
+};
+
+/**
+ * GET /api/calendar
+ * Day-by-day parish calendar: liturgical color and season, saints and feasts,
+ * dated services (with exceptions applied) and active events (public)
+ * Query params: from, to (YYYY-MM-DD in the parish timezone; default the next 7 days),
+ * missionStation, type (service type), include (e.g. liturgical,services; default all)
+ */
+router.get('/', validate(schemas.calendarQuery, 'query'), async (req, res) => {
+  try {
+    const from = req.query.from || toDateKey();
+    const to = req.query.to || addDays(from, 6);
+    if (to < from) {
+      return res.status(400).json({ message: 'to must not be before from' });
+    }
+    if (to > addDays(from, MAX_CALENDAR_DAYS - 1)) {
+      return res.status(400).json({ message: `The range may cover at most ${MAX_CALENDAR_DAYS} days` });
+    }
+
+    res.json(await calendarService.getCalendar({ ...req.query, from, to }));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * GET /api/calendar/mass-schedule.ics
+ * Weekly services as recurring events, with cancellations, changes and one-off services
+ * Query params: missionStation, type
+ */
+router.get('/mass-schedule.ics', validate(schemas.massCalendarFeedQuery, 'query'), async (req, res) => {
+  try {
+    sendCalendar(res, 'mass-schedule.ics', await calendarFeedService.massScheduleFeed(req.query));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Parish events feed
+router.get('/events.ics', async (req, res) => {
+  try {
+    sendCalendar(res, 'events.ics', await calendarFeedService.eventsFeed());
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Saints and feasts for this year and next
+router.get('/feasts.ics', (req, res) => {
+  try {
+    sendCalendar(res, 'feasts.ics', calendarFeedService.feastsFeed());
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,83 @@
+import express from 'express';
+import Certificate from '../models/Certificate.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { validate, schemas } from '../middleware/validation.js';
+import { auditLog } from '../middleware/auditLog.js';
+import { certificateVerifyRateLimiter } from '../middleware/rateLimiter.js';
+import certificateService from '../services/certificateService.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/certificates/verify/:code
+ * Public: confirm a certificate was issued by this parish.
+ * Only returns what is printed on the certificate itself.
+ */
+router.get('/verify/:code', certificateVerifyRateLimiter, async (req, res) => {
+  try {
+    const certificate = await Certificate.findOne({ code: req.params.code.trim().toUpperCase() });
+    if (!certificate) {
+      return res.status(404).json({ valid: false, message: 'No certificate was issued with this code' });
+    }
+
+    const { parishName } = certificateService.getSettings();
+    res.json({
+      valid: !certificate.revokedAt,
+      ...(certificate.revokedAt && { message: 'This certificate has been revoked', revokedAt: certificate.revokedAt }),
+      certificate: {
+        code: certificate.code,
+        sacrament: certificate.sacrament,
+        name: certificate.details.name,
+        date: certificate.details.date,
+        location: certificate.details.location,
+        register: certificate.details.register,
+        parish: parishName,
+        issuedAt: certificate.createdAt
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get certificates issued for a parishioner (clergy)
+router.get('/', authenticate, requirePermission('sacraments:write'), async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.parishioner) query.parishioner = req.query.parishioner;
+    if (req.query.sacrament) query.sacrament = req.query.sacrament;
+
+    const certificates = await Certificate.find(query)
+      .populate('issuedBy', 'username email')
+      .populate('revokedBy', 'username email')
+      .sort({ createdAt: -1 })
+      .limit(200);
+    res.json(certificates);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Revoke a certificate, e.g. one issued with a mistake (clergy)
+router.post('/:id/revoke', authenticate, requirePermission('sacraments:write'), validate(schemas.idParam, 'params'), validate(schemas.certificateRevoke), auditLog('Certificate', { action: 'certificate.revoke' }), async (req, res) => {
+  try {
+    const certificate = await Certificate.findById(req.params.id);
+    if (!certificate) {
+      return res.status(404).json({ message: 'Certificate not found' });
+    }
+    if (certificate.revokedAt) {
+      return res.status(400).json({ message: 'Certificate is already revoked' });
+    }
+
+    certificate.revokedAt = new Date();
+    certificate.revokedBy = req.user.userId;
+    certificate.revocationReason = req.body.reason;
+    await certificate.save();
+
+    res.json(certificate);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+export default router;
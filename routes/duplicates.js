@@ -0,0 +1,146 @@
+import express from 'express';
+import DuplicateCandidate from '../models/DuplicateCandidate.js';
+import Parishioner from '../models/Parishioner.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { validate, schemas } from '../middleware/validation.js';
+import { auditLog } from '../middleware/auditLog.js';
+import auditService from '../services/auditService.js';
+import duplicateService from '../services/duplicateService.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+const PARISHIONER_FIELDS = 'firstName lastName phone dateOfBirth address missionStation household householdRole user sacraments isActive createdAt';
+
+/**
+ * GET /api/parishioners/duplicates
+ * Review queue of likely duplicates (highest score first, with pagination)
+ * Query params: status (pending, merged, dismissed; default pending), minScore, page, limit
+ */
+router.get('/', requirePermission('parishioners:read'), async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = (page - 1) * limit;
+
+    const query = { status };
+    if (req.query.minScore) {
+      query.score = { $gte: parseInt(req.query.minScore) || 0 };
+    }
+
+    const [candidates, total] = await Promise.all([
+      DuplicateCandidate.find(query)
+        .sort({ score: -1, createdAt: 1 })
+        .skip(skip)
+        .limit(limit)
+        .populate({
+          path: 'parishioners',
+          select: PARISHIONER_FIELDS,
+          populate: [
+            { path: 'user', select: 'email' },
+            { path: 'missionStation', select: 'name' },
+            { path: 'household', select: 'name' }
+          ]
+        })
+        .populate('reviewedBy', 'username email'),
+      DuplicateCandidate.countDocuments(query)
+    ]);
+
+    res.json({
+      candidates,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Rescan all parishioners now (also runs nightly)
+router.post('/scan', requirePermission('parishioners:write'), async (req, res) => {
+  try {
+    const result = await duplicateService.scan();
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Mark a pair as not duplicates; it will not be queued again
+router.post('/:id/dismiss', requirePermission('parishioners:write'), validate(schemas.idParam, 'params'), auditLog('DuplicateCandidate', { action: 'duplicate-candidate.dismiss' }), async (req, res) => {
+  try {
+    const candidate = await DuplicateCandidate.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending' },
+      { status: 'dismissed', reviewedBy: req.user.userId, reviewedAt: new Date() },
+      { new: true }
+    );
+    if (!candidate) {
+      return res.status(404).json({ message: 'Pending duplicate candidate not found' });
+    }
+    res.json(candidate);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * POST /api/parishioners/duplicates/merge
+ * Merge `duplicate` into `survivor`. The duplicate is kept as a stub that
+ * redirects to the survivor.
+ */
+router.post('/merge', requirePermission('parishioners:write'), validate(schemas.parishionerMerge), async (req, res) => {
+  try {
+    const { survivor: survivorId, duplicate: duplicateId } = req.body;
+    if (survivorId === duplicateId) {
+      return res.status(400).json({ message: 'A parishioner cannot be merged into itself' });
+    }
+
+    const [survivor, duplicate] = await Promise.all([
+      Parishioner.findById(survivorId),
+      Parishioner.findById(duplicateId)
+    ]);
+    if (!survivor || !duplicate) {
+      return res.status(404).json({ message: 'Parishioner not found' });
+    }
+    if (survivor.mergedInto || duplicate.mergedInto) {
+      return res.status(409).json({ message: 'One of these records has already been merged into another parishioner' });
+    }
+    if (survivor.user && duplicate.user) {
+      return res.status(409).json({
+        message: 'Both records are linked to user accounts. Remove the account link from one of them before merging.'
+      });
+    }
+
+    const before = { survivor: auditService.sanitize(survivor), duplicate: auditService.sanitize(duplicate) };
+    const moved = await duplicateService.merge(survivor, duplicate, req.user.userId);
+
+    await auditService.record({
+      req,
+      action: 'parishioner.merge',
+      targetModel: 'Parishioner',
+      targetId: survivor._id,
+      before: before.survivor,
+      after: survivor,
+      statusCode: 200,
+      metadata: { duplicate: before.duplicate, moved }
+    });
+
+    const merged = await Parishioner.findById(survivor._id)
+      .populate('user', 'email role')
+      .populate('missionStation', 'name location')
+      .populate('ministries', 'name')
+      .populate('household', 'name');
+    res.json({ message: 'Parishioners merged', parishioner: merged, moved });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+export default router;
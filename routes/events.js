@@ -1,10 +1,15 @@
 import express from 'express';
 import Event from '../models/Event.js';
-import { authenticate, requireAdmin } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
 import { validate, schemas } from '../middleware/validation.js';
+import { auditLog } from '../middleware/auditLog.js';
+import calendarService from '../services/calendarService.js';
 
 const router = express.Router();
 
+// Record changes made through these routes in the audit log
+router.use(auditLog('Event'));
+
 // Get all active events (public)
 router.get('/', async (req, res) => {
   try {
@@ -16,8 +21,8 @@ router.get('/', async (req, res) => {
   }
 });
 
-// Get all events (admin)
-router.get('/all', authenticate, requireAdmin, async (req, res) => {
+// Get all events (editor and above)
+router.get('/all', authenticate, requirePermission('events:write'), async (req, res) => {
   try {
     const events = await Event.find().sort({ startDate: 1 });
     res.json(events);
@@ -39,19 +44,20 @@ router.get('/:id', validate(schemas.idParam, 'params'), async (req, res) => {
   }
 });
 
-// Create event (admin)
-router.post('/', authenticate, requireAdmin, validate(schemas.event), async (req, res) => {
+// Create event (editor and above)
+router.post('/', authenticate, requirePermission('events:write'), validate(schemas.event), async (req, res) => {
   try {
     const event = new Event(req.body);
     await event.save();
+    calendarService.invalidate();
     res.status(201).json(event);
   } catch (error) {
     res.status(400).json({ message: 'Error creating event', error: error.message });
   }
 });
 
-// Update event (admin)
-router.put('/:id', authenticate, requireAdmin, validate(schemas.idParam, 'params'), validate(schemas.event), async (req, res) => {
+// Update event (editor and above)
+router.put('/:id', authenticate, requirePermission('events:write'), validate(schemas.idParam, 'params'), validate(schemas.event), async (req, res) => {
   try {
     const event = await Event.findByIdAndUpdate(
       req.params.id,
@@ -61,19 +67,21 @@ router.put('/:id', authenticate, requireAdmin, validate(schemas.idParam, 'params
     if (!event) {
       return res.status(404).json({ message: 'Event not found' });
     }
+    calendarService.invalidate();
     res.json(event);
   } catch (error) {
     res.status(400).json({ message: 'Error updating event', error: error.message });
   }
 });
 
-// Delete event (admin)
-router.delete('/:id', authenticate, requireAdmin, validate(schemas.idParam, 'params'), async (req, res) => {
+// Delete event (editor and above)
+router.delete('/:id', authenticate, requirePermission('events:write'), validate(schemas.idParam, 'params'), async (req, res) => {
   try {
     const event = await Event.findByIdAndDelete(req.params.id);
     if (!event) {
       return res.status(404).json({ message: 'Event not found' });
     }
+    calendarService.invalidate();
     res.json({ message: 'Event deleted' });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -0,0 +1,259 @@
+import express from 'express';
+import FuneralRecord from '../models/FuneralRecord.js';
+import MassIntention from '../models/MassIntention.js';
+import Parishioner from '../models/Parishioner.js';
+import Prayer from '../models/Prayer.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { validate, schemas } from '../middleware/validation.js';
+import { auditLog } from '../middleware/auditLog.js';
+import { searchPattern } from '../utils/search.js';
+
+const router = express.Router();
+
+// The funeral register is kept by the clergy, like the sacramental register
+router.use(authenticate);
+router.use(requirePermission('sacraments:write'));
+router.use(auditLog('FuneralRecord'));
+
+// Helper function to load a record with its links populated
+const findRecord = (id) => FuneralRecord.findById(id)
+  .populate('parishioner', 'firstName lastName dateOfBirth dateOfDeath')
+  .populate('missionStation', 'name location')
+  .populate('celebrant.user', 'username email')
+  .populate('massIntention')
+  .populate('prayer', 'title isActive')
+  .populate('recordedBy', 'username email');
+
+/**
+ * Keep Parishioner.dateOfDeath in step with the funeral register.
+ * A parishioner with no funeral record left is no longer marked deceased.
+ * @param {string|null} parishionerId
+ */
+const syncParishionerDeath = async (parishionerId) => {
+  if (!parishionerId) {
+    return;
+  }
+
+  const record = await FuneralRecord.findOne({ parishioner: parishionerId }).sort({ dateOfDeath: -1 });
+  await Parishioner.updateOne({ _id: parishionerId }, { dateOfDeath: record ? record.dateOfDeath : null });
+};
+
+// Helper function to check the funeral and burial are not dated before the death
+const datesOutOfOrder = ({ dateOfDeath, funeralDate, burialDate }) => {
+  const death = new Date(dateOfDeath);
+  return [funeralDate, burialDate].some(date => date && new Date(date) < death);
+};
+
+// Helper function to report a taken register position
+const isDuplicateRegisterEntry = (error) => error.code === 11000;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric',
+  timeZone: 'UTC'
+});
+
+/**
+ * GET /api/funerals
+ * Search the funeral register (most recent deaths first, with pagination)
+ * Query params: parishioner, missionStation, book, search (name), from, to (date of death), page, limit
+ */
+router.get('/', validate(schemas.funeralRecordQuery, 'query'), async (req, res) => {
+  try {
+    const { parishioner, missionStation, book, search, from, to, page, limit } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (parishioner) query.parishioner = parishioner;
+    if (missionStation) query.missionStation = missionStation;
+    if (book) query['register.book'] = book;
+    if (search) {
+      const pattern = searchPattern(search);
+      query.$or = [{ 'person.firstName': pattern }, { 'person.lastName': pattern }];
+    }
+    if (from || to) {
+      query.dateOfDeath = {};
+      if (from) query.dateOfDeath.$gte = from;
+      if (to) query.dateOfDeath.$lte = to;
+    }
+
+    const [records, total] = await Promise.all([
+      FuneralRecord.find(query)
+        .sort({ dateOfDeath: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('parishioner', 'firstName lastName')
+        .populate('missionStation', 'name'),
+      FuneralRecord.countDocuments(query)
+    ]);
+
+    res.json({
+      records,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get single register entry
+router.get('/:id', validate(schemas.idParam, 'params'), async (req, res) => {
+  try {
+    const record = await findRecord(req.params.id);
+    if (!record) {
+      return res.status(404).json({ message: 'Funeral record not found' });
+    }
+    res.json(record);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * POST /api/funerals
+ * Record a death and funeral. A linked parishioner is marked deceased, which stops
+ * greetings and bulk messages to them.
+ * Optional: massIntention ({ date, missionStation, intention, requestedBy }) books a Mass
+ * for the deceased; addToPrayerList adds them to the prayers for the faithful departed.
+ */
+router.post('/', validate(schemas.funeralRecord), async (req, res) => {
+  try {
+    const { massIntention, addToPrayerList, ...data } = req.body;
+
+    let parishioner = null;
+    if (data.parishioner) {
+      parishioner = await Parishioner.findById(data.parishioner);
+      if (!parishioner) {
+        return res.status(400).json({ message: 'Parishioner not found' });
+      }
+      if (await FuneralRecord.exists({ parishioner: parishioner._id })) {
+        return res.status(409).json({ message: 'This parishioner already has a funeral record' });
+      }
+      data.person = {
+        firstName: parishioner.firstName,
+        lastName: parishioner.lastName,
+        dateOfBirth: parishioner.dateOfBirth,
+        ...data.person
+      };
+    }
+
+    if (!data.person) {
+      return res.status(400).json({ message: 'person is required when no parishioner is linked' });
+    }
+    if (datesOutOfOrder(data)) {
+      return res.status(400).json({ message: 'The funeral and burial cannot be dated before the death' });
+    }
+
+    const record = new FuneralRecord({ ...data, recordedBy: req.user.userId });
+    const name = `${record.person.firstName} ${record.person.lastName}`;
+
+    // Build the Mass intention and prayer up front, so that nothing is saved unless all are valid
+    const intention = massIntention
+      ? new MassIntention({
+        type: 'departed',
+        intention: `For the repose of the soul of ${name}`,
+        requestedBy: record.person.nextOfKin,
+        missionStation: record.missionStation,
+        ...massIntention,
+        parishioner: record.parishioner,
+        funeralRecord: record._id,
+        createdBy: req.user.userId
+      })
+      : null;
+    const prayer = addToPrayerList
+      ? new Prayer({
+        title: `Eternal rest for ${name}`,
+        content: `Please pray for the repose of the soul of ${name}, who died on ${formatDate(record.dateOfDeath)}.\n\n`
+          + 'Eternal rest grant unto them, O Lord, and let perpetual light shine upon them. May they rest in peace. Amen.',
+        category: 'departed'
+      })
+      : null;
+    if (intention) record.massIntention = intention._id;
+    if (prayer) record.prayer = prayer._id;
+
+    await Promise.all([record, intention, prayer].filter(Boolean).map(doc => doc.validate()));
+    await record.save();
+    try {
+      await Promise.all([intention?.save(), prayer?.save()]);
+    } catch (error) {
+      // Remove what was saved, so the entry can be recorded again
+      await Promise.all([
+        FuneralRecord.deleteOne({ _id: record._id }),
+        intention && MassIntention.deleteOne({ _id: intention._id }),
+        prayer && Prayer.deleteOne({ _id: prayer._id })
+      ]);
+      throw error;
+    }
+    await syncParishionerDeath(record.parishioner);
+
+    res.status(201).json(await findRecord(record._id));
+  } catch (error) {
+    if (isDuplicateRegisterEntry(error)) {
+      return res.status(409).json({ message: 'This book, page and entry number is already used in the funeral register' });
+    }
+    res.status(400).json({ message: 'Error creating funeral record', error: error.message });
+  }
+});
+
+// Update register entry
+router.put('/:id', validate(schemas.idParam, 'params'), validate(schemas.funeralRecordUpdate), async (req, res) => {
+  try {
+    const record = await FuneralRecord.findById(req.params.id);
+    if (!record) {
+      return res.status(404).json({ message: 'Funeral record not found' });
+    }
+
+    const newParishioner = req.body.parishioner;
+    if (newParishioner && String(newParishioner) !== String(record.parishioner)) {
+      if (!(await Parishioner.exists({ _id: newParishioner }))) {
+        return res.status(400).json({ message: 'Parishioner not found' });
+      }
+      if (await FuneralRecord.exists({ parishioner: newParishioner, _id: { $ne: record._id } })) {
+        return res.status(409).json({ message: 'This parishioner already has a funeral record' });
+      }
+    }
+
+    const previousParishioner = record.parishioner;
+    record.set(req.body);
+    if (datesOutOfOrder(record)) {
+      return res.status(400).json({ message: 'The funeral and burial cannot be dated before the death' });
+    }
+    await record.save();
+
+    await syncParishionerDeath(record.parishioner);
+    if (String(previousParishioner) !== String(record.parishioner)) {
+      await syncParishionerDeath(previousParishioner);
+    }
+
+    res.json(await findRecord(record._id));
+  } catch (error) {
+    if (isDuplicateRegisterEntry(error)) {
+      return res.status(409).json({ message: 'This book, page and entry number is already used in the funeral register' });
+    }
+    res.status(400).json({ message: 'Error updating funeral record', error: error.message });
+  }
+});
+
+// Delete register entry (e.g. recorded against the wrong person).
+// A Mass intention or prayer created with it is kept; remove those separately.
+router.delete('/:id', validate(schemas.idParam, 'params'), async (req, res) => {
+  try {
+    const record = await FuneralRecord.findByIdAndDelete(req.params.id);
+    if (!record) {
+      return res.status(404).json({ message: 'Funeral record not found' });
+    }
+
+    await syncParishionerDeath(record.parishioner);
+    res.json({ message: 'Funeral record deleted' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+export default router;
@@ -1,10 +1,14 @@
 import express from 'express';
 import GalleryItem from '../models/GalleryItem.js';
-import { authenticate, requireAdmin } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
 import { validate, schemas } from '../middleware/validation.js';
+import { auditLog } from '../middleware/auditLog.js';
 
 const router = express.Router();
 
+// Record changes made through these routes in the audit log
+router.use(auditLog('GalleryItem'));
+
 // Get all active gallery items (public)
 router.get('/', async (req, res) => {
   try {
@@ -17,8 +21,8 @@ router.get('/', async (req, res) => {
   }
 });
 
-// Get all gallery items (admin)
-router.get('/all', authenticate, requireAdmin, async (req, res) => {
+// Get all gallery items (editor and above)
+router.get('/all', authenticate, requirePermission('gallery:write'), async (req, res) => {
   try {
     const galleryItems = await GalleryItem.find()
       .populate('eventId', 'title')
@@ -43,8 +47,8 @@ router.get('/:id', validate(schemas.idParam, 'params'), async (req, res) => {
   }
 });
 
-// Create gallery item (admin)
-router.post('/', authenticate, requireAdmin, validate(schemas.galleryItem), async (req, res) => {
+// Create gallery item (editor and above)
+router.post('/', authenticate, requirePermission('gallery:write'), validate(schemas.galleryItem), async (req, res) => {
   try {
     const galleryItem = new GalleryItem(req.body);
     await galleryItem.save();
@@ -55,8 +59,8 @@ router.post('/', authenticate, requireAdmin, validate(schemas.galleryItem), asyn
   }
 });
 
-// Update gallery item (admin)
-router.put('/:id', authenticate, requireAdmin, validate(schemas.idParam, 'params'), validate(schemas.galleryItem), async (req, res) => {
+// Update gallery item (editor and above)
+router.put('/:id', authenticate, requirePermission('gallery:write'), validate(schemas.idParam, 'params'), validate(schemas.galleryItem), async (req, res) => {
   try {
     const galleryItem = await GalleryItem.findByIdAndUpdate(
       req.params.id,
@@ -72,8 +76,8 @@ router.put('/:id', authenticate, requireAdmin, validate(schemas.idParam, 'params
   }
 });
 
-// Delete gallery item (admin)
-router.delete('/:id', authenticate, requireAdmin, validate(schemas.idParam, 'params'), async (req, res) => {
+// Delete gallery item (editor and above)
+router.delete('/:id', authenticate, requirePermission('gallery:write'), validate(schemas.idParam, 'params'), async (req, res) => {
   try {
     const galleryItem = await GalleryItem.findByIdAndDelete(req.params.id);
     if (!galleryItem) {
@@ -0,0 +1,134 @@
+import express from 'express';
+import GreetingTemplate, { CELEBRATION_TYPES } from '../models/GreetingTemplate.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { validate, schemas } from '../middleware/validation.js';
+import { auditLog } from '../middleware/auditLog.js';
+import greetingService, { DEFAULT_TEMPLATES, TEMPLATE_PLACEHOLDERS } from '../services/greetingService.js';
+import { toDateKey } from '../utils/timezone.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+const MAX_UPCOMING_DAYS = 31;
+
+// Values used when previewing a template
+const SAMPLE_CELEBRATION = { firstName: 'Mary', lastName: 'Fon', years: 25 };
+
+// Helper function to reject unknown celebration types
+const checkType = (req, res, next) => {
+  if (!CELEBRATION_TYPES.includes(req.params.type)) {
+    return res.status(404).json({ message: `Unknown greeting type. Use one of: ${CELEBRATION_TYPES.join(', ')}` });
+  }
+  next();
+};
+
+// Helper function to list placeholders a template uses that will never be filled in
+const unknownPlaceholders = (...texts) => {
+  const used = texts.join(' ').match(/\{\{\s*(\w+)\s*\}\}/g) || [];
+  return [...new Set(used.map(p => p.replace(/[{}\s]/g, '')))].filter(p => !TEMPLATE_PLACEHOLDERS.includes(p));
+};
+
+const findTemplate = (req) => GreetingTemplate.findOne({ type: req.params.type });
+
+/**
+ * GET /api/greetings/upcoming
+ * Birthdays and anniversaries for the bulletin (parishioners who opted out are left out)
+ * Query params: from (YYYY-MM-DD, default today), days (default 7, max 31), type
+ */
+router.get('/upcoming', requirePermission('parishioners:read'), validate(schemas.greetingUpcomingQuery, 'query'), async (req, res) => {
+  try {
+    const days = Math.min(req.query.days || 7, MAX_UPCOMING_DAYS);
+    const from = req.query.from || toDateKey();
+    const types = req.query.type ? req.query.type.split(',').filter(t => CELEBRATION_TYPES.includes(t)) : CELEBRATION_TYPES;
+
+    const celebrations = await greetingService.findCelebrations({ from, days, types });
+
+    // Group by day; contact details are not needed for the bulletin
+    const byDate = {};
+    celebrations.forEach(({ date, type, years, parishioner, firstName, lastName, missionStation }) => {
+      (byDate[date] = byDate[date] || []).push({ type, years, parishioner, name: `${firstName} ${lastName}`, missionStation });
+    });
+
+    res.json({
+      from,
+      days,
+      count: celebrations.length,
+      dates: Object.entries(byDate).map(([date, entries]) => ({ date, celebrations: entries }))
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get greeting templates (built-in wording is returned until a template is saved)
+router.get('/templates', requirePermission('notifications:send'), async (req, res) => {
+  try {
+    const templates = await greetingService.getTemplates();
+    res.json({ templates: Object.values(templates), placeholders: TEMPLATE_PLACEHOLDERS });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Save a greeting template
+router.put('/templates/:type', requirePermission('notifications:send'), checkType, validate(schemas.greetingTemplate), auditLog('GreetingTemplate', { findTarget: findTemplate }), async (req, res) => {
+  try {
+    const unknown = unknownPlaceholders(req.body.subject, req.body.message);
+    if (unknown.length) {
+      return res.status(400).json({
+        message: `Unknown placeholders: ${unknown.map(p => `{{${p}}}`).join(', ')}`,
+        placeholders: TEMPLATE_PLACEHOLDERS
+      });
+    }
+
+    const template = await GreetingTemplate.findOneAndUpdate(
+      { type: req.params.type },
+      { ...req.body, updatedBy: req.user.userId },
+      { new: true, upsert: true, runValidators: true }
+    );
+    res.json(template);
+  } catch (error) {
+    res.status(400).json({ message: 'Error saving greeting template', error: error.message });
+  }
+});
+
+// Reset a greeting template to the built-in wording
+router.delete('/templates/:type', requirePermission('notifications:send'), checkType, auditLog('GreetingTemplate', { findTarget: findTemplate }), async (req, res) => {
+  try {
+    await GreetingTemplate.deleteOne({ type: req.params.type });
+    res.json({ type: req.params.type, ...DEFAULT_TEMPLATES[req.params.type], isActive: true, isDefault: true });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Preview a template with sample values (pass subject/message to preview unsaved changes)
+router.post('/templates/:type/preview', requirePermission('notifications:send'), checkType, validate(schemas.greetingPreview), async (req, res) => {
+  try {
+    const templates = await greetingService.getTemplates();
+    const template = { ...templates[req.params.type], ...req.body };
+    const values = greetingService.templateValues(SAMPLE_CELEBRATION);
+
+    res.json({
+      subject: greetingService.render(template.subject, values),
+      message: greetingService.render(template.message, values),
+      unknownPlaceholders: unknownPlaceholders(template.subject, template.message)
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Send (or with dryRun, list) a day's greetings now; the scheduler does this every morning
+router.post('/send', requirePermission('notifications:send'), validate(schemas.greetingSend), async (req, res) => {
+  try {
+    const result = await greetingService.sendDailyGreetings({ date: req.body.date, dryRun: req.body.dryRun });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,332 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Household from '../models/Household.js';
+import Parishioner from '../models/Parishioner.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { validate, schemas } from '../middleware/validation.js';
+import { auditLog } from '../middleware/auditLog.js';
+import { pickFields } from '../utils/pickFields.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+router.use(auditLog('Household'));
+
+const HOUSEHOLD_FIELDS = ['name', 'address', 'missionStation', 'notes', 'isActive'];
+
+const MEMBER_POPULATE = {
+  path: 'members',
+  select: 'firstName lastName householdRole dateOfBirth phone user',
+  options: { sort: { lastName: 1, firstName: 1 } }
+};
+
+// Helper function to load a household with its members and mission station
+const findHousehold = (id) => Household.findById(id)
+  .populate(MEMBER_POPULATE)
+  .populate('missionStation', 'name location');
+
+/**
+ * Find parishioners that cannot be added to a household
+ * A parishioner belongs to at most one household at a time.
+ * @param {string[]} parishionerIds
+ * @param {string|null} householdId - Household the parishioners are being added to
+ * @returns {Promise<{ missing: string[], taken: Object[] }>}
+ */
+const checkAvailability = async (parishionerIds, householdId = null) => {
+  const parishioners = await Parishioner.find({ _id: { $in: parishionerIds } })
+    .select('firstName lastName household');
+  const found = new Set(parishioners.map(p => p._id.toString()));
+
+  return {
+    missing: parishionerIds.filter(id => !found.has(id.toString())),
+    taken: parishioners.filter(p => p.household && (!householdId || !p.household.equals(householdId)))
+  };
+};
+
+// Helper function to turn an availability check into an error response
+const sendAvailabilityError = (res, { missing, taken }) => {
+  if (missing.length > 0) {
+    return res.status(404).json({ message: 'Parishioner not found', parishioners: missing });
+  }
+  return res.status(409).json({
+    message: 'Parishioner already belongs to another household',
+    parishioners: taken.map(p => ({ _id: p._id, name: `${p.firstName} ${p.lastName}`, household: p.household }))
+  });
+};
+
+// Get all households
+router.get('/', requirePermission('parishioners:read'), async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.missionStation) {
+      query.missionStation = req.query.missionStation;
+    }
+    if (req.query.isActive !== undefined) {
+      query.isActive = req.query.isActive === 'true';
+    }
+
+    const households = await Household.find(query)
+      .populate(MEMBER_POPULATE)
+      .populate('missionStation', 'name location')
+      .sort({ name: 1 });
+    res.json(households);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get single household
+router.get('/:id', requirePermission('parishioners:read'), validate(schemas.idParam, 'params'), async (req, res) => {
+  try {
+    const household = await findHousehold(req.params.id);
+    if (!household) {
+      return res.status(404).json({ message: 'Household not found' });
+    }
+    res.json(household);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Create household, optionally with its initial members
+router.post('/', requirePermission('parishioners:write'), validate(schemas.household), async (req, res) => {
+  try {
+    const members = req.body.members || [];
+    if (members.filter(m => m.role === 'head').length > 1) {
+      return res.status(400).json({ message: 'A household can only have one head' });
+    }
+
+    const availability = await checkAvailability(members.map(m => m.parishioner));
+    if (availability.missing.length > 0 || availability.taken.length > 0) {
+      return sendAvailabilityError(res, availability);
+    }
+
+    const household = new Household(pickFields(req.body, HOUSEHOLD_FIELDS));
+    await household.save();
+
+    await Promise.all(members.map(member => Parishioner.updateOne(
+      { _id: member.parishioner },
+      { household: household._id, householdRole: member.role }
+    )));
+
+    res.status(201).json(await findHousehold(household._id));
+  } catch (error) {
+    res.status(400).json({ message: 'Error creating household', error: error.message });
+  }
+});
+
+// Update household details (members are managed through /:id/members)
+router.put('/:id', requirePermission('parishioners:write'), validate(schemas.idParam, 'params'), validate(schemas.householdUpdate), async (req, res) => {
+  try {
+    const household = await Household.findByIdAndUpdate(
+      req.params.id,
+      pickFields(req.body, HOUSEHOLD_FIELDS),
+      { new: true, runValidators: true }
+    );
+    if (!household) {
+      return res.status(404).json({ message: 'Household not found' });
+    }
+    res.json(await findHousehold(household._id));
+  } catch (error) {
+    res.status(400).json({ message: 'Error updating household', error: error.message });
+  }
+});
+
+// Add a parishioner to a household
+router.post('/:id/members', requirePermission('parishioners:write'), validate(schemas.idParam, 'params'), validate(schemas.householdMember), async (req, res) => {
+  try {
+    const household = await Household.findById(req.params.id);
+    if (!household) {
+      return res.status(404).json({ message: 'Household not found' });
+    }
+
+    const availability = await checkAvailability([req.body.parishioner], household._id);
+    if (availability.missing.length > 0 || availability.taken.length > 0) {
+      return sendAvailabilityError(res, availability);
+    }
+
+    if (req.body.role === 'head') {
+      const existingHead = await Parishioner.exists({
+        household: household._id,
+        householdRole: 'head',
+        _id: { $ne: req.body.parishioner }
+      });
+      if (existingHead) {
+        return res.status(409).json({ message: 'This household already has a head' });
+      }
+    }
+
+    await Parishioner.updateOne(
+      { _id: req.body.parishioner },
+      { household: household._id, householdRole: req.body.role }
+    );
+
+    res.json(await findHousehold(household._id));
+  } catch (error) {
+    res.status(400).json({ message: 'Error adding household member', error: error.message });
+  }
+});
+
+// Change a member's role within the household
+router.put('/:id/members/:parishionerId', requirePermission('parishioners:write'), validate(schemas.householdMemberRole), async (req, res) => {
+  try {
+    const parishioner = await Parishioner.findOne({ _id: req.params.parishionerId, household: req.params.id });
+    if (!parishioner) {
+      return res.status(404).json({ message: 'Household member not found' });
+    }
+
+    if (req.body.role === 'head') {
+      const existingHead = await Parishioner.exists({
+        household: req.params.id,
+        householdRole: 'head',
+        _id: { $ne: parishioner._id }
+      });
+      if (existingHead) {
+        return res.status(409).json({ message: 'This household already has a head' });
+      }
+    }
+
+    parishioner.householdRole = req.body.role;
+    await parishioner.save();
+
+    res.json(await findHousehold(req.params.id));
+  } catch (error) {
+    res.status(400).json({ message: 'Error updating household member', error: error.message });
+  }
+});
+
+// Remove a parishioner from a household
+router.delete('/:id/members/:parishionerId', requirePermission('parishioners:write'), async (req, res) => {
+  try {
+    const result = await Parishioner.updateOne(
+      { _id: req.params.parishionerId, household: req.params.id },
+      { household: null, householdRole: null }
+    );
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ message: 'Household member not found' });
+    }
+
+    res.json(await findHousehold(req.params.id));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Merge another household into this one
+// All members move over; the source household is deleted. If both households
+// have a head, the source household's head becomes 'other'.
+router.post('/:id/merge', requirePermission('parishioners:write'), validate(schemas.idParam, 'params'), validate(schemas.householdMerge), async (req, res) => {
+  try {
+    if (req.params.id === req.body.sourceHousehold) {
+      return res.status(400).json({ message: 'A household cannot be merged into itself' });
+    }
+
+    const [target, source] = await Promise.all([
+      Household.findById(req.params.id),
+      Household.findById(req.body.sourceHousehold)
+    ]);
+    if (!target || !source) {
+      return res.status(404).json({ message: 'Household not found' });
+    }
+
+    const targetHasHead = await Parishioner.exists({ household: target._id, householdRole: 'head' });
+    if (targetHasHead) {
+      await Parishioner.updateMany(
+        { household: source._id, householdRole: 'head' },
+        { householdRole: 'other' }
+      );
+    }
+
+    const moved = await Parishioner.updateMany(
+      { household: source._id },
+      { household: target._id }
+    );
+
+    // Keep the source household's details where the target has none
+    if (!target.missionStation && source.missionStation) {
+      target.missionStation = source.missionStation;
+    }
+    if (!target.address?.street && source.address?.street) {
+      target.address = source.address;
+    }
+    if (source.notes) {
+      target.notes = [target.notes, source.notes].filter(Boolean).join('\n');
+    }
+    await target.save();
+    await source.deleteOne();
+
+    res.json({
+      message: `Merged ${moved.modifiedCount} member(s) from "${source.name}"`,
+      household: await findHousehold(target._id)
+    });
+  } catch (error) {
+    res.status(400).json({ message: 'Error merging households', error: error.message });
+  }
+});
+
+// Split members off into a new household
+// The new household copies the shared address and mission station unless new ones are given.
+router.post('/:id/split', requirePermission('parishioners:write'), validate(schemas.idParam, 'params'), validate(schemas.householdSplit), async (req, res) => {
+  try {
+    const household = await Household.findById(req.params.id);
+    if (!household) {
+      return res.status(404).json({ message: 'Household not found' });
+    }
+
+    const { members, head } = req.body;
+    if (head && !members.includes(head)) {
+      return res.status(400).json({ message: 'The new head must be one of the members being split off' });
+    }
+
+    const count = await Parishioner.countDocuments({ _id: { $in: members }, household: household._id });
+    if (count !== members.length) {
+      return res.status(400).json({ message: 'All members being split off must belong to this household' });
+    }
+
+    const newHousehold = new Household({
+      name: req.body.name,
+      address: req.body.address || household.address,
+      missionStation: req.body.missionStation !== undefined ? req.body.missionStation : household.missionStation
+    });
+    await newHousehold.save();
+
+    await Parishioner.updateMany({ _id: { $in: members } }, { household: newHousehold._id });
+
+    // Only one head per household: demote any other head that moved with the group
+    if (head) {
+      await Parishioner.updateMany(
+        { household: newHousehold._id, householdRole: 'head', _id: { $ne: new mongoose.Types.ObjectId(head) } },
+        { householdRole: 'other' }
+      );
+      await Parishioner.updateOne({ _id: head }, { householdRole: 'head' });
+    }
+
+    res.status(201).json({
+      household: await findHousehold(household._id),
+      newHousehold: await findHousehold(newHousehold._id)
+    });
+  } catch (error) {
+    res.status(400).json({ message: 'Error splitting household', error: error.message });
+  }
+});
+
+// Delete household (members are kept and unlinked)
+router.delete('/:id', requirePermission('parishioners:write'), validate(schemas.idParam, 'params'), async (req, res) => {
+  try {
+    const household = await Household.findByIdAndDelete(req.params.id);
+    if (!household) {
+      return res.status(404).json({ message: 'Household not found' });
+    }
+
+    await Parishioner.updateMany(
+      { household: household._id },
+      { household: null, householdRole: null }
+    );
+    res.json({ message: 'Household deleted' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+export default router;
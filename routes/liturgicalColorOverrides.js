@@ -1,8 +1,10 @@
 import express from 'express';
 import { body, param, validationResult } from 'express-validator';
-import { authenticate, requireAdmin } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
 import LiturgicalColorOverride from '../models/LiturgicalColorOverride.js';
+import { auditLog, pathParam } from '../middleware/auditLog.js';
 import { LITURGICAL_COLORS } from '../utils/liturgicalCalendar.js';
+import calendarService from '../services/calendarService.js';
 
 const router = express.Router();
 
@@ -11,9 +13,21 @@ router.options('*', (req, res) => {
   res.sendStatus(200);
 });
 
-// All routes require authentication and admin access
+// All routes require authentication and permission to manage liturgical colors
 router.use(authenticate);
-router.use(requireAdmin);
+router.use(requirePermission('liturgical-colors:write'));
+
+// Record changes in the audit log (overrides are keyed by date)
+router.use(auditLog('LiturgicalColorOverride', {
+  findTarget: (req) => {
+    const dateStr = pathParam(req) || req.body?.date;
+    if (!dateStr) return null;
+    const date = new Date(dateStr);
+    if (isNaN(date.getTime())) return null;
+    date.setHours(0, 0, 0, 0);
+    return LiturgicalColorOverride.findOne({ date });
+  }
+}));
 
 /**
  * GET /api/liturgical-color-overrides
@@ -122,6 +136,7 @@ router.post('/', [
 
     await override.save();
     await override.populate('createdBy', 'username email');
+    calendarService.invalidate();
 
     res.status(201).json(override);
   } catch (error) {
@@ -170,6 +185,7 @@ router.put('/:date', [
 
     await override.save();
     await override.populate('createdBy', 'username email');
+    calendarService.invalidate();
 
     res.json(override);
   } catch (error) {
@@ -202,6 +218,7 @@ router.delete('/:date', [
       return res.status(404).json({ message: 'Override not found for this date' });
     }
 
+    calendarService.invalidate();
     res.json({ message: 'Override deleted successfully' });
   } catch (error) {
     console.error('Error deleting color override:', error);
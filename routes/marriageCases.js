@@ -0,0 +1,333 @@
+import express from 'express';
+import MarriageCase, { DEFAULT_CHECKLIST, MARRIAGE_CASE_TRANSITIONS } from '../models/MarriageCase.js';
+import Parishioner from '../models/Parishioner.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { validate, schemas } from '../middleware/validation.js';
+import { auditLog } from '../middleware/auditLog.js';
+import marriageCaseService from '../services/marriageCaseService.js';
+import { searchPattern } from '../utils/search.js';
+
+const router = express.Router();
+
+// Marriage preparation is handled by the clergy
+router.use(authenticate);
+router.use(requirePermission('sacraments:write'));
+router.use(auditLog('MarriageCase'));
+
+// Helper function to load a case with its links populated
+const findCase = (id) => MarriageCase.findById(id)
+  .populate('spouses.parishioner', 'firstName lastName dateOfBirth phone')
+  .populate('priest', 'username email')
+  .populate('wedding.missionStation', 'name')
+  .populate('banns.announcement', 'title date isActive')
+  .populate('checklist.completedBy', 'username')
+  .populate('statusHistory.changedBy', 'username')
+  .populate('createdBy', 'username email');
+
+/**
+ * Fill in names and date of birth of spouses linked to parishioners
+ * @param {Object[]} spouses
+ * @returns {Promise<Object[]|null>} null when a linked parishioner does not exist
+ */
+const resolveSpouses = async (spouses) => {
+  const ids = spouses.map(s => s.parishioner).filter(Boolean);
+  if (ids.length === 2 && String(ids[0]) === String(ids[1])) {
+    return null;
+  }
+  const parishioners = await Parishioner.find({ _id: { $in: ids } }).select('firstName lastName dateOfBirth').lean();
+  const byId = new Map(parishioners.map(p => [String(p._id), p]));
+  if (byId.size !== ids.length) {
+    return null;
+  }
+
+  return spouses.map(spouse => {
+    const parishioner = spouse.parishioner && byId.get(String(spouse.parishioner));
+    if (!parishioner) {
+      return spouse;
+    }
+    return {
+      firstName: parishioner.firstName,
+      lastName: parishioner.lastName,
+      dateOfBirth: parishioner.dateOfBirth,
+      ...spouse
+    };
+  });
+};
+
+/**
+ * GET /api/marriage-cases
+ * List cases (upcoming weddings first, with pagination)
+ * Query params: status, priest, search (either spouse's name), page, limit
+ */
+router.get('/', validate(schemas.marriageCaseQuery, 'query'), async (req, res) => {
+  try {
+    const { status, priest, search, page, limit } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (status) query.status = status;
+    if (priest) query.priest = priest;
+    if (search) {
+      const pattern = searchPattern(search);
+      query.$or = [{ 'spouses.firstName': pattern }, { 'spouses.lastName': pattern }];
+    }
+
+    const [cases, total] = await Promise.all([
+      MarriageCase.find(query)
+        .sort({ 'wedding.date': 1, createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select('-statusHistory')
+        .populate('priest', 'username')
+        .populate('wedding.missionStation', 'name'),
+      MarriageCase.countDocuments(query)
+    ]);
+
+    res.json({
+      cases,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get single case
+router.get('/:id', validate(schemas.idParam, 'params'), async (req, res) => {
+  try {
+    const marriageCase = await findCase(req.params.id);
+    if (!marriageCase) {
+      return res.status(404).json({ message: 'Marriage case not found' });
+    }
+    res.json(marriageCase);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Open a case with the standard checklist
+router.post('/', validate(schemas.marriageCase), async (req, res) => {
+  try {
+    const spouses = await resolveSpouses(req.body.spouses);
+    if (!spouses) {
+      return res.status(400).json({ message: 'Parishioner not found, or the same parishioner given twice' });
+    }
+
+    const marriageCase = new MarriageCase({
+      ...req.body,
+      spouses,
+      checklist: DEFAULT_CHECKLIST,
+      statusHistory: [{ status: 'inquiry', changedBy: req.user.userId }],
+      createdBy: req.user.userId
+    });
+    await marriageCase.save();
+
+    res.status(201).json(await findCase(marriageCase._id));
+  } catch (error) {
+    res.status(400).json({ message: 'Error creating marriage case', error: error.message });
+  }
+});
+
+// Update case details (spouses, priest, planned wedding, notes)
+// Cancelled cases are reopened (status inquiry) before they can be edited, so
+// that their withdrawn banns are not published again
+router.put('/:id', validate(schemas.idParam, 'params'), validate(schemas.marriageCaseUpdate), async (req, res) => {
+  try {
+    const marriageCase = await MarriageCase.findById(req.params.id);
+    if (!marriageCase) {
+      return res.status(404).json({ message: 'Marriage case not found' });
+    }
+    if (marriageCase.status === 'married') {
+      return res.status(409).json({ message: 'This case is closed' });
+    }
+    if (marriageCase.status === 'cancelled') {
+      return res.status(409).json({ message: 'This case is cancelled; reopen it before editing' });
+    }
+
+    const update = { ...req.body };
+    if (update.spouses) {
+      update.spouses = await resolveSpouses(update.spouses);
+      if (!update.spouses) {
+        return res.status(400).json({ message: 'Parishioner not found, or the same parishioner given twice' });
+      }
+    }
+
+    marriageCase.set(update);
+    // Banns already announced must show the corrected names
+    if (update.spouses && marriageCase.banns.length) {
+      await marriageCaseService.syncBanns(marriageCase);
+    }
+    await marriageCase.save();
+
+    res.json(await findCase(marriageCase._id));
+  } catch (error) {
+    res.status(400).json({ message: 'Error updating marriage case', error: error.message });
+  }
+});
+
+// Add a checklist item for this case
+router.post('/:id/checklist', validate(schemas.idParam, 'params'), validate(schemas.marriageChecklistItem), async (req, res) => {
+  try {
+    const marriageCase = await MarriageCase.findById(req.params.id);
+    if (!marriageCase) {
+      return res.status(404).json({ message: 'Marriage case not found' });
+    }
+
+    marriageCase.checklist.push(req.body);
+    await marriageCase.save();
+
+    res.status(201).json(await findCase(marriageCase._id));
+  } catch (error) {
+    res.status(400).json({ message: 'Error adding checklist item', error: error.message });
+  }
+});
+
+// Tick off (or reopen) a checklist item
+router.put('/:id/checklist/:itemId', validate(schemas.marriageChecklistUpdate), async (req, res) => {
+  try {
+    const marriageCase = await MarriageCase.findById(req.params.id);
+    const item = marriageCase?.checklist.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ message: 'Checklist item not found' });
+    }
+
+    const { completed, ...fields } = req.body;
+    item.set(fields);
+    if (completed !== undefined && completed !== item.completed) {
+      item.completed = completed;
+      item.completedAt = completed ? new Date() : undefined;
+      item.completedBy = completed ? req.user.userId : undefined;
+    }
+    await marriageCase.save();
+
+    res.json(await findCase(marriageCase._id));
+  } catch (error) {
+    res.status(400).json({ message: 'Error updating checklist item', error: error.message });
+  }
+});
+
+// Remove a checklist item
+router.delete('/:id/checklist/:itemId', async (req, res) => {
+  try {
+    const marriageCase = await MarriageCase.findById(req.params.id);
+    const item = marriageCase?.checklist.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ message: 'Checklist item not found' });
+    }
+
+    item.deleteOne();
+    await marriageCase.save();
+
+    res.json(await findCase(marriageCase._id));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * PUT /api/marriage-cases/:id/banns
+ * Set the banns reading dates. Each reading is published as an announcement
+ * from its date; an empty list withdraws the banns.
+ */
+router.put('/:id/banns', validate(schemas.idParam, 'params'), validate(schemas.marriageBanns), async (req, res) => {
+  try {
+    const marriageCase = await MarriageCase.findById(req.params.id);
+    if (!marriageCase) {
+      return res.status(404).json({ message: 'Marriage case not found' });
+    }
+    if (['married', 'cancelled'].includes(marriageCase.status)) {
+      return res.status(409).json({ message: `Banns cannot be changed on a ${marriageCase.status} case` });
+    }
+
+    await marriageCaseService.syncBanns(marriageCase, req.body.dates);
+    await marriageCase.save();
+
+    res.json(await findCase(marriageCase._id));
+  } catch (error) {
+    res.status(400).json({ message: 'Error updating banns', error: error.message });
+  }
+});
+
+/**
+ * POST /api/marriage-cases/:id/status
+ * Move a case along: inquiry -> preparation -> banns -> ready -> married, or cancelled.
+ * banns needs reading dates, ready needs a complete checklist, and married needs
+ * the wedding date; closing as married fills in Parishioner.sacraments.marriage
+ * for both spouses who are parishioners.
+ */
+router.post('/:id/status', validate(schemas.idParam, 'params'), validate(schemas.marriageCaseStatus), async (req, res) => {
+  try {
+    const { status, note, wedding } = req.body;
+    const marriageCase = await MarriageCase.findById(req.params.id);
+    if (!marriageCase) {
+      return res.status(404).json({ message: 'Marriage case not found' });
+    }
+
+    if (!MARRIAGE_CASE_TRANSITIONS[marriageCase.status].includes(status)) {
+      return res.status(409).json({
+        message: `Cannot move a case from ${marriageCase.status} to ${status}`,
+        allowed: MARRIAGE_CASE_TRANSITIONS[marriageCase.status]
+      });
+    }
+
+    if (wedding) {
+      Object.entries(wedding).forEach(([field, value]) => marriageCase.set(`wedding.${field}`, value));
+    }
+
+    if (status === 'banns' && marriageCase.banns.length === 0) {
+      return res.status(400).json({ message: 'Set the banns reading dates first' });
+    }
+    if (status === 'ready') {
+      const outstanding = marriageCase.checklist.filter(item => !item.completed).map(item => item.label);
+      if (outstanding.length) {
+        return res.status(400).json({ message: 'The checklist is not complete', outstanding });
+      }
+    }
+    if (status === 'married' && (!marriageCase.wedding?.date || marriageCase.wedding.date > new Date())) {
+      return res.status(400).json({ message: 'A wedding date that is not in the future is required to close the case' });
+    }
+
+    marriageCase.status = status;
+    marriageCase.statusHistory.push({ status, note, changedBy: req.user.userId });
+
+    let updatedParishioners = [];
+    if (status === 'married') {
+      updatedParishioners = await marriageCaseService.recordMarriage(marriageCase);
+    }
+    if (status === 'cancelled') {
+      await marriageCaseService.withdrawBanns(marriageCase);
+    }
+    await marriageCase.save();
+
+    res.json({ case: await findCase(marriageCase._id), updatedParishioners });
+  } catch (error) {
+    res.status(400).json({ message: 'Error updating status', error: error.message });
+  }
+});
+
+// Delete a case opened in error, with its banns announcements
+router.delete('/:id', validate(schemas.idParam, 'params'), async (req, res) => {
+  try {
+    const marriageCase = await MarriageCase.findById(req.params.id);
+    if (!marriageCase) {
+      return res.status(404).json({ message: 'Marriage case not found' });
+    }
+    if (marriageCase.status === 'married') {
+      return res.status(409).json({ message: 'A closed case cannot be deleted' });
+    }
+
+    await marriageCaseService.syncBanns(marriageCase, []);
+    await marriageCase.deleteOne();
+
+    res.json({ message: 'Marriage case deleted' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,104 @@
+import express from 'express';
+import MassIntention from '../models/MassIntention.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { validate, schemas } from '../middleware/validation.js';
+import { auditLog } from '../middleware/auditLog.js';
+
+const router = express.Router();
+
+// Mass intentions are booked by the parish office
+router.use(authenticate);
+router.use(requirePermission('mass-schedule:write'));
+router.use(auditLog('MassIntention'));
+
+/**
+ * GET /api/mass-intentions
+ * List intentions by requested date (with pagination)
+ * Query params: status, type, missionStation, from, to (ISO dates), page, limit
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { status, type, missionStation, from, to } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (status) query.status = status;
+    if (type) query.type = type;
+    if (missionStation) query.missionStation = missionStation;
+    if (from || to) {
+      query.date = {};
+      if (from) query.date.$gte = new Date(from);
+      if (to) query.date.$lte = new Date(to);
+      if (Object.values(query.date).some(date => isNaN(date.getTime()))) {
+        return res.status(400).json({ message: 'Invalid date format' });
+      }
+    }
+
+    const [intentions, total] = await Promise.all([
+      MassIntention.find(query)
+        .sort({ date: 1, createdAt: 1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('missionStation', 'name')
+        .populate('parishioner', 'firstName lastName'),
+      MassIntention.countDocuments(query)
+    ]);
+
+    res.json({
+      intentions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Create intention
+router.post('/', validate(schemas.massIntention), async (req, res) => {
+  try {
+    const intention = new MassIntention({ ...req.body, createdBy: req.user.userId });
+    await intention.save();
+    res.status(201).json(intention);
+  } catch (error) {
+    res.status(400).json({ message: 'Error creating Mass intention', error: error.message });
+  }
+});
+
+// Update intention (e.g. confirm the date or mark it offered)
+router.put('/:id', validate(schemas.idParam, 'params'), validate(schemas.massIntentionUpdate), async (req, res) => {
+  try {
+    const intention = await MassIntention.findByIdAndUpdate(
+      req.params.id,
+      req.body,
+      { new: true, runValidators: true }
+    );
+    if (!intention) {
+      return res.status(404).json({ message: 'Mass intention not found' });
+    }
+    res.json(intention);
+  } catch (error) {
+    res.status(400).json({ message: 'Error updating Mass intention', error: error.message });
+  }
+});
+
+// Delete intention
+router.delete('/:id', validate(schemas.idParam, 'params'), async (req, res) => {
+  try {
+    const intention = await MassIntention.findByIdAndDelete(req.params.id);
+    if (!intention) {
+      return res.status(404).json({ message: 'Mass intention not found' });
+    }
+    res.json({ message: 'Mass intention deleted' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+export default router;
@@ -1,11 +1,18 @@
 import express from 'express';
 import MassSchedule from '../models/MassSchedule.js';
-import { authenticate, requireAdmin } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
 import { validate, schemas } from '../middleware/validation.js';
+import { auditLog } from '../middleware/auditLog.js';
+import massScheduleService, { MAX_OCCURRENCE_DAYS } from '../services/massScheduleService.js';
+import calendarService from '../services/calendarService.js';
+import { toDateKey, addDays, getParishTimezone } from '../utils/timezone.js';
 
 const router = express.Router();
 
-// Get all active schedules (public)
+// Record changes made through these routes in the audit log
+router.use(auditLog('MassSchedule'));
+
+// Get all active schedules grouped by mission station, Sunday to Saturday (public)
 router.get('/', async (req, res) => {
   try {
     const { missionStation } = req.query;
@@ -15,20 +22,58 @@ router.get('/', async (req, res) => {
     }
     const schedules = await MassSchedule.find(query)
       .populate('missionStation', 'name location')
-      .sort({ dayOfWeek: 1, time: 1 });
-    res.json(schedules);
+      .lean();
+    res.json(massScheduleService.groupByStation(schedules));
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// Get all schedules (admin)
-router.get('/all', authenticate, requireAdmin, async (req, res) => {
+// Get all schedules (editor and above)
+router.get('/all', authenticate, requirePermission('mass-schedule:write'), async (req, res) => {
   try {
     const schedules = await MassSchedule.find()
       .populate('missionStation', 'name location')
-      .sort({ dayOfWeek: 1, time: 1 });
-    res.json(schedules);
+      .lean();
+    res.json(massScheduleService.sortByWeekday(schedules));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * GET /api/mass-schedule/occurrences
+ * Dated services for a range, with cancellations, changes and one-off services applied (public)
+ * Query params: from, to (YYYY-MM-DD in the parish timezone; default the next 7 days),
+ * missionStation, type, includeCancelled (default true)
+ */
+router.get('/occurrences', validate(schemas.massOccurrenceQuery, 'query'), async (req, res) => {
+  try {
+    const from = req.query.from || toDateKey();
+    const to = req.query.to || addDays(from, 6);
+    if (to < from) {
+      return res.status(400).json({ message: 'to must not be before from' });
+    }
+    if (to > addDays(from, MAX_OCCURRENCE_DAYS - 1)) {
+      return res.status(400).json({ message: `The range may cover at most ${MAX_OCCURRENCE_DAYS} days` });
+    }
+
+    const occurrences = await massScheduleService.getOccurrences({ ...req.query, from, to });
+    res.json({ from, to, occurrences });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * GET /api/mass-schedule/next
+ * The next upcoming services from now in the parish timezone, with exceptions applied (public)
+ * Query params: limit (default 5, max 20), type (Mass, Confession, Adoration, Other), missionStation
+ */
+router.get('/next', validate(schemas.massNextQuery, 'query'), async (req, res) => {
+  try {
+    const services = await massScheduleService.getNext(req.query);
+    res.json({ timezone: getParishTimezone(), services });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
@@ -48,20 +93,21 @@ router.get('/:id', validate(schemas.idParam, 'params'), async (req, res) => {
   }
 });
 
-// Create schedule (admin)
-router.post('/', authenticate, requireAdmin, validate(schemas.massSchedule), async (req, res) => {
+// Create schedule (editor and above)
+router.post('/', authenticate, requirePermission('mass-schedule:write'), validate(schemas.massSchedule), async (req, res) => {
   try {
     const schedule = new MassSchedule(req.body);
     await schedule.save();
     await schedule.populate('missionStation', 'name location');
+    calendarService.invalidate();
     res.status(201).json(schedule);
   } catch (error) {
     res.status(400).json({ message: 'Error creating schedule', error: error.message });
   }
 });
 
-// Update schedule (admin)
-router.put('/:id', authenticate, requireAdmin, validate(schemas.idParam, 'params'), validate(schemas.massSchedule), async (req, res) => {
+// Update schedule (editor and above)
+router.put('/:id', authenticate, requirePermission('mass-schedule:write'), validate(schemas.idParam, 'params'), validate(schemas.massSchedule), async (req, res) => {
   try {
     const schedule = await MassSchedule.findByIdAndUpdate(
       req.params.id,
@@ -71,19 +117,21 @@ router.put('/:id', authenticate, requireAdmin, validate(schemas.idParam, 'params
     if (!schedule) {
       return res.status(404).json({ message: 'Schedule not found' });
     }
+    calendarService.invalidate();
     res.json(schedule);
   } catch (error) {
     res.status(400).json({ message: 'Error updating schedule', error: error.message });
   }
 });
 
-// Delete schedule (admin)
-router.delete('/:id', authenticate, requireAdmin, validate(schemas.idParam, 'params'), async (req, res) => {
+// Delete schedule (editor and above)
+router.delete('/:id', authenticate, requirePermission('mass-schedule:write'), validate(schemas.idParam, 'params'), async (req, res) => {
   try {
     const schedule = await MassSchedule.findByIdAndDelete(req.params.id);
     if (!schedule) {
       return res.status(404).json({ message: 'Schedule not found' });
     }
+    calendarService.invalidate();
     res.json({ message: 'Schedule deleted' });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -1,9 +1,13 @@
 import express from 'express';
 import Ministry from '../models/Ministry.js';
-import { authenticate, requireAdmin } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { auditLog } from '../middleware/auditLog.js';
 
 const router = express.Router();
 
+// Record changes made through these routes in the audit log
+router.use(auditLog('Ministry'));
+
 // Get all active ministries (public)
 router.get('/', async (req, res) => {
   try {
@@ -15,8 +19,8 @@ router.get('/', async (req, res) => {
   }
 });
 
-// Get all ministries (admin)
-router.get('/all', authenticate, requireAdmin, async (req, res) => {
+// Get all ministries (editor and above)
+router.get('/all', authenticate, requirePermission('ministries:write'), async (req, res) => {
   try {
     const ministries = await Ministry.find().sort({ name: 1 });
     res.json(ministries);
@@ -38,8 +42,8 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Create ministry (admin)
-router.post('/', authenticate, requireAdmin, async (req, res) => {
+// Create ministry (editor and above)
+router.post('/', authenticate, requirePermission('ministries:write'), async (req, res) => {
   try {
     const ministry = new Ministry(req.body);
     await ministry.save();
@@ -49,8 +53,8 @@ router.post('/', authenticate, requireAdmin, async (req, res) => {
   }
 });
 
-// Update ministry (admin)
-router.put('/:id', authenticate, requireAdmin, async (req, res) => {
+// Update ministry (editor and above)
+router.put('/:id', authenticate, requirePermission('ministries:write'), async (req, res) => {
   try {
     const ministry = await Ministry.findByIdAndUpdate(
       req.params.id,
@@ -66,8 +70,8 @@ router.put('/:id', authenticate, requireAdmin, async (req, res) => {
   }
 });
 
-// Delete ministry (admin)
-router.delete('/:id', authenticate, requireAdmin, async (req, res) => {
+// Delete ministry (editor and above)
+router.delete('/:id', authenticate, requirePermission('ministries:write'), async (req, res) => {
   try {
     const ministry = await Ministry.findByIdAndDelete(req.params.id);
     if (!ministry) {
@@ -1,9 +1,14 @@
 import express from 'express';
 import MissionStation from '../models/MissionStation.js';
-import { authenticate, requireAdmin } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { auditLog } from '../middleware/auditLog.js';
+import calendarService from '../services/calendarService.js';
 
 const router = express.Router();
 
+// Record changes made through these routes in the audit log
+router.use(auditLog('MissionStation'));
+
 // Get all active mission stations (public)
 router.get('/', async (req, res) => {
   try {
@@ -16,7 +21,7 @@ router.get('/', async (req, res) => {
 });
 
 // Get all mission stations (admin)
-router.get('/all', authenticate, requireAdmin, async (req, res) => {
+router.get('/all', authenticate, requirePermission('mission-stations:write'), async (req, res) => {
   try {
     const stations = await MissionStation.find().sort({ name: 1 });
     res.json(stations);
@@ -39,7 +44,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // Create mission station (admin)
-router.post('/', authenticate, requireAdmin, async (req, res) => {
+router.post('/', authenticate, requirePermission('mission-stations:write'), async (req, res) => {
   try {
     const station = new MissionStation(req.body);
     await station.save();
@@ -50,7 +55,7 @@ router.post('/', authenticate, requireAdmin, async (req, res) => {
 });
 
 // Update mission station (admin)
-router.put('/:id', authenticate, requireAdmin, async (req, res) => {
+router.put('/:id', authenticate, requirePermission('mission-stations:write'), async (req, res) => {
   try {
     const station = await MissionStation.findByIdAndUpdate(
       req.params.id,
@@ -60,6 +65,7 @@ router.put('/:id', authenticate, requireAdmin, async (req, res) => {
     if (!station) {
       return res.status(404).json({ message: 'Mission station not found' });
     }
+    calendarService.invalidate();
     res.json(station);
   } catch (error) {
     res.status(400).json({ message: 'Error updating mission station', error: error.message });
@@ -67,12 +73,13 @@ router.put('/:id', authenticate, requireAdmin, async (req, res) => {
 });
 
 // Delete mission station (admin)
-router.delete('/:id', authenticate, requireAdmin, async (req, res) => {
+router.delete('/:id', authenticate, requirePermission('mission-stations:write'), async (req, res) => {
   try {
     const station = await MissionStation.findByIdAndDelete(req.params.id);
     if (!station) {
       return res.status(404).json({ message: 'Mission station not found' });
     }
+    calendarService.invalidate();
     res.json({ message: 'Mission station deleted' });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -1,12 +1,16 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
 import notificationService from '../services/notificationService.js';
-import { authenticate, requireAdmin } from '../middleware/auth.js';
+import Parishioner from '../models/Parishioner.js';
+import User from '../models/User.js';
+import { normalizePhone } from '../utils/stringSimilarity.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { auditLog } from '../middleware/auditLog.js';
 
 const router = express.Router();
 
 // Get service status
-router.get('/status', authenticate, requireAdmin, async (req, res) => {
+router.get('/status', authenticate, requirePermission('notifications:send'), async (req, res) => {
   try {
     const status = await notificationService.getServiceStatus();
     res.json(status);
@@ -16,7 +20,7 @@ router.get('/status', authenticate, requireAdmin, async (req, res) => {
 });
 
 // Get notification history
-router.get('/history', authenticate, requireAdmin, async (req, res) => {
+router.get('/history', authenticate, requirePermission('notifications:send'), async (req, res) => {
   try {
     const {
       limit = 50,
@@ -46,8 +50,39 @@ router.get('/history', authenticate, requireAdmin, async (req, res) => {
   }
 });
 
+// Get parishioners that can receive notifications
+// Parishioners without an account are included (phone only); accounts that have
+// not verified their email are excluded
+router.get('/recipients', authenticate, requirePermission('notifications:send'), async (req, res) => {
+  try {
+    const { missionStation } = req.query;
+    // Deceased parishioners are never offered as recipients
+    const query = { isActive: true, dateOfDeath: null };
+    if (missionStation) query.missionStation = missionStation;
+
+    const parishioners = await Parishioner.find(query)
+      .populate('user', 'email emailVerified')
+      .select('firstName lastName phone user missionStation')
+      .sort({ lastName: 1, firstName: 1 })
+      .lean();
+
+    const recipients = parishioners
+      .filter(p => !p.user || p.user.emailVerified !== false)
+      .map(p => ({
+        parishionerId: p._id,
+        name: `${p.firstName} ${p.lastName}`,
+        email: p.user?.email || undefined,
+        phone: p.phone || undefined
+      }));
+
+    res.json(recipients);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
 // Get single notification
-router.get('/:id', authenticate, requireAdmin, async (req, res) => {
+router.get('/:id', authenticate, requirePermission('notifications:send'), async (req, res) => {
   try {
     const notification = await notificationService.getNotificationById(req.params.id);
     if (!notification) {
@@ -62,7 +97,8 @@ router.get('/:id', authenticate, requireAdmin, async (req, res) => {
 // Send notification
 router.post('/send', 
   authenticate, 
-  requireAdmin,
+  requirePermission('notifications:send'),
+  auditLog('Notification', { action: 'notification.send' }),
   [
     body('type').isIn(['email', 'sms', 'both']).withMessage('Type must be email, sms, or both'),
     body('recipient').isObject().withMessage('Recipient is required'),
@@ -109,12 +145,59 @@ router.post('/send',
   }
 );
 
+// Helper function to find bulk recipients recorded as deceased. Recipients given by
+// parishioner ID are checked by ID; the others by phone or email, and only when no
+// living parishioner shares that phone or email (a household often shares a phone).
+// Returns a predicate for the recipients to skip.
+const findDeceasedRecipients = async (recipients) => {
+  const ids = recipients.map(r => r.parishionerId).filter(Boolean);
+  const anonymous = recipients.filter(r => !r.parishionerId);
+  const phones = anonymous.map(r => normalizePhone(String(r.phone || ''))).filter(Boolean);
+  const emails = anonymous.map(r => String(r.email || '').toLowerCase()).filter(Boolean);
+
+  const users = emails.length
+    ? await User.find({ email: { $in: emails }, parishioner: { $ne: null } }).select('email').lean()
+    : [];
+  const emailByUser = new Map(users.map(u => [String(u._id), u.email]));
+
+  const or = [
+    ids.length && { _id: { $in: ids }, dateOfDeath: { $ne: null } },
+    phones.length && { searchKeys: { $in: phones } },
+    users.length && { user: { $in: users.map(u => u._id) } }
+  ].filter(Boolean);
+  const parishioners = or.length
+    ? await Parishioner.find({ $or: or }).select('phone user dateOfDeath').lean()
+    : [];
+
+  // Contact (phone or email) -> whether every parishioner with it is deceased
+  const contacts = new Map();
+  const track = (contact, isDeceased) => {
+    if (contact) contacts.set(contact, (contacts.get(contact) ?? true) && isDeceased);
+  };
+  const deceasedIds = new Set();
+  parishioners.forEach(p => {
+    const isDeceased = !!p.dateOfDeath;
+    if (isDeceased) deceasedIds.add(String(p._id));
+    track(`phone:${normalizePhone(p.phone || '')}`, isDeceased);
+    track(p.user && emailByUser.has(String(p.user)) && `email:${emailByUser.get(String(p.user))}`, isDeceased);
+  });
+
+  return (recipient) => (recipient.parishionerId
+    ? deceasedIds.has(String(recipient.parishionerId))
+    : [
+      recipient.phone && `phone:${normalizePhone(String(recipient.phone))}`,
+      recipient.email && `email:${String(recipient.email).toLowerCase()}`
+    ].some(contact => contact && contacts.get(contact) === true));
+};
+
 // Send bulk notifications
 router.post('/send-bulk',
   authenticate,
-  requireAdmin,
+  requirePermission('notifications:send'),
+  auditLog('Notification', { action: 'notification.send-bulk' }),
   [
     body('recipients').isArray().notEmpty().withMessage('Recipients array is required'),
+    body('recipients.*.parishionerId').optional({ values: 'null' }).isMongoId().withMessage('parishionerId must be a valid ID'),
     body('type').isIn(['email', 'sms', 'both']).withMessage('Type must be email, sms, or both'),
     body('message').notEmpty().withMessage('Message is required')
   ],
@@ -147,7 +230,15 @@ router.post('/send-bulk',
         }
       }
 
-      const result = await notificationService.sendBulkNotifications(recipients, {
+      // Skip recipients who have since been recorded as deceased, whether given by
+      // parishioner ID or only by phone or email
+      const isDeceased = await findDeceasedRecipients(recipients);
+      const deliverable = recipients.filter(r => !isDeceased(r));
+      if (deliverable.length === 0) {
+        return res.status(400).json({ message: 'All recipients are recorded as deceased' });
+      }
+
+      const result = await notificationService.sendBulkNotifications(deliverable, {
         type,
         subject,
         message,
@@ -155,7 +246,7 @@ router.post('/send-bulk',
         metadata
       });
 
-      res.status(201).json(result);
+      res.status(201).json({ ...result, suppressed: recipients.length - deliverable.length });
     } catch (error) {
       res.status(500).json({ message: 'Server error', error: error.message });
     }
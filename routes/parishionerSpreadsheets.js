@@ -0,0 +1,190 @@
+import express from 'express';
+import multer from 'multer';
+import Parishioner from '../models/Parishioner.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { validate, schemas } from '../middleware/validation.js';
+import auditService from '../services/auditService.js';
+import roleService from '../services/roleService.js';
+import spreadsheetService, { IMPORT_FIELDS, MAX_IMPORT_ROWS } from '../services/parishionerSpreadsheetService.js';
+import { buildParishionerQuery, getParishionerSort } from '../utils/parishionerQuery.js';
+
+// Census import and export for /api/parishioners.
+// Mounted before the main parishioners router so /export is not taken for an ID.
+const router = express.Router();
+
+const MAX_UPLOAD_BYTES = 5 * 1024 * 1024; // 5 MB
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!/\.(csv|xlsx)$/i.test(file.originalname)) {
+      return cb(new Error('Upload a .csv or .xlsx file'));
+    }
+    cb(null, true);
+  }
+});
+
+// Helper function to turn multer errors into 400 responses
+const uploadFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ message: 'Upload failed', error: error.message });
+    }
+    next();
+  });
+};
+
+// Helper function to accept the column mapping as a JSON form field
+const parseMapping = (req, res, next) => {
+  if (typeof req.body.mapping === 'string') {
+    try {
+      req.body.mapping = JSON.parse(req.body.mapping);
+    } catch (error) {
+      return res.status(400).json({ message: 'mapping must be a JSON object of { "column header": "field" }' });
+    }
+  }
+  next();
+};
+
+/**
+ * GET /api/parishioners/import/fields
+ * List importable fields and the column headers recognized for each
+ */
+router.get('/import/fields', authenticate, requirePermission('parishioners:write'), (req, res) => {
+  res.json({
+    fields: Object.entries(IMPORT_FIELDS).map(([field, { label, aliases, sacrament }]) => ({
+      field,
+      label,
+      aliases,
+      required: ['firstName', 'lastName'].includes(field),
+      clergyOnly: !!sacrament
+    })),
+    maxRows: MAX_IMPORT_ROWS
+  });
+});
+
+/**
+ * POST /api/parishioners/import
+ * Import parishioners from a CSV or XLSX file (multipart/form-data)
+ * Form fields: file, mapping (JSON { "column header": "field" }), dryRun (default true),
+ * skipInvalid (import the valid rows even when some rows have errors), dateFormat (DMY or MDY)
+ */
+router.post('/import', authenticate, requirePermission('parishioners:write'), uploadFile, parseMapping, validate(schemas.parishionerImport), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    const { mapping, dryRun, skipInvalid, dateFormat } = req.body;
+
+    let parsed;
+    try {
+      parsed = await spreadsheetService.parse(req.file.buffer, req.file.originalname);
+    } catch (error) {
+      return res.status(400).json({ message: 'Could not read the file', error: error.message });
+    }
+
+    if (parsed.rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ message: `Files may contain at most ${MAX_IMPORT_ROWS} rows; split the file and import each part` });
+    }
+
+    const { columns, unmapped, errors: mappingErrors } = spreadsheetService.resolveMapping(parsed.headers, mapping);
+    const columnMapping = Object.fromEntries(parsed.headers.map((header, i) => [header, columns[i]]));
+    if (mappingErrors.length) {
+      return res.status(400).json({ message: 'Invalid column mapping', errors: mappingErrors, mapping: columnMapping, unmapped });
+    }
+
+    // Sacrament columns follow the same rule as editing sacrament records
+    const usesSacraments = columns.some(field => field && IMPORT_FIELDS[field].sacrament);
+    if (usesSacraments && !(await roleService.hasPermission(req.currentUser.role, 'sacraments:write'))) {
+      return res.status(403).json({ message: 'Only clergy can import sacrament records. Remove or unmap the sacrament columns.' });
+    }
+
+    const { rows, errorCount, warningCount } = await spreadsheetService.validateRows(parsed, columns, { dateFormat });
+    const validRows = rows.filter(row => row.errors.length === 0);
+
+    const report = {
+      dryRun,
+      mapping: columnMapping,
+      unmapped,
+      totalRows: rows.length,
+      validRows: validRows.length,
+      errorCount,
+      warningCount,
+      rows: rows
+        .filter(row => row.errors.length || row.warnings.length)
+        .map(({ rowNumber, errors, warnings }) => ({ row: rowNumber, errors, warnings }))
+    };
+
+    if (dryRun) {
+      return res.json(report);
+    }
+
+    if (errorCount > 0 && !skipInvalid) {
+      return res.status(400).json({
+        message: 'Some rows have errors. Fix them, or set skipInvalid to import only the valid rows.',
+        ...report
+      });
+    }
+
+    const { imported, failed } = await spreadsheetService.importRows(validRows);
+
+    await auditService.record({
+      req,
+      action: 'parishioner.import',
+      targetModel: 'Parishioner',
+      statusCode: 201,
+      metadata: {
+        filename: req.file.originalname,
+        totalRows: rows.length,
+        imported,
+        skipped: rows.length - imported
+      }
+    });
+
+    res.status(201).json({ ...report, imported, failed });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * GET /api/parishioners/export
+ * Download parishioners as CSV or XLSX, using the admin list filters
+ * Query params: format (xlsx or csv) plus the filters and sorting of GET /api/parishioners
+ */
+router.get('/export', authenticate, requirePermission('parishioners:read'), validate(schemas.parishionerExport, 'query'), async (req, res) => {
+  try {
+    const { format } = req.query;
+    const query = await buildParishionerQuery(req.query);
+    const { sort } = getParishionerSort(req.query);
+
+    const parishioners = await Parishioner.find(query)
+      .sort(sort)
+      .populate('user', 'email')
+      .populate('missionStation', 'name')
+      .populate('ministries', 'name')
+      .populate('household', 'name')
+      .lean();
+
+    const file = await spreadsheetService.export(parishioners, format);
+
+    await auditService.record({
+      req,
+      action: 'parishioner.export',
+      targetModel: 'Parishioner',
+      statusCode: 200,
+      metadata: { query: req.query, count: parishioners.length }
+    });
+
+    const filename = `parishioners-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.type(format === 'csv' ? 'text/csv' : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.send(file);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+export default router;
@@ -1,11 +1,202 @@
 import express from 'express';
 import Parishioner from '../models/Parishioner.js';
-import { authenticate, requireAdmin } from '../middleware/auth.js';
+import User from '../models/User.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { deprecatedEndpoint } from '../middleware/deprecation.js';
+import { auditLog } from '../middleware/auditLog.js';
+import auditService from '../services/auditService.js';
+import certificateService from '../services/certificateService.js';
+import roleService from '../services/roleService.js';
+import SacramentRecord, { SACRAMENTS } from '../models/SacramentRecord.js';
+import FuneralRecord from '../models/FuneralRecord.js';
+import MarriageCase from '../models/MarriageCase.js';
+import Certificate from '../models/Certificate.js';
+import Donation from '../models/Donation.js';
+import DuplicateCandidate from '../models/DuplicateCandidate.js';
+import { validate, schemas } from '../middleware/validation.js';
+import { encodeCursor, decodeCursor, buildCursorQuery } from '../utils/pagination.js';
+import { buildParishionerQuery, getParishionerSort } from '../utils/parishionerQuery.js';
+import { pickFields } from '../utils/pickFields.js';
 
 const router = express.Router();
 
-// Get parishioner profile by ID (public - for profile access)
-router.get('/profile/:id', async (req, res) => {
+// Record changes made through these routes in the audit log
+router.use(auditLog('Parishioner'));
+
+// Fields a parishioner may change on their own profile.
+// Everything else (user link, isActive, office notes, sacraments, ministries) is managed by staff.
+const SELF_EDITABLE_FIELDS = [
+  'firstName',
+  'lastName',
+  'phone',
+  'dateOfBirth',
+  'gender',
+  'address',
+  'missionStation',
+  'greetingsOptOut'
+];
+
+// Helper function to load the parishioner linked to the authenticated user
+const findOwnParishioner = async (req) => {
+  const user = await User.findById(req.user.userId);
+  if (!user || !user.parishioner) {
+    return { user, parishioner: null };
+  }
+  const parishioner = await Parishioner.findById(user.parishioner);
+  return { user, parishioner };
+};
+
+// Legacy unauthenticated profile endpoints, replaced by /me.
+// Disabled unless LEGACY_PUBLIC_PROFILE_ENDPOINTS=true
+const legacyProfileEndpoint = deprecatedEndpoint({
+  flag: 'LEGACY_PUBLIC_PROFILE_ENDPOINTS',
+  successor: '/api/parishioners/me'
+});
+
+// Get own parishioner profile (authenticated)
+router.get('/me', authenticate, async (req, res) => {
+  try {
+    const { parishioner } = await findOwnParishioner(req);
+    if (!parishioner) {
+      return res.status(404).json({ message: 'No parishioner profile is linked to this account' });
+    }
+
+    await parishioner.populate([
+      { path: 'user', select: 'email role emailVerified' },
+      { path: 'missionStation', select: 'name location' },
+      { path: 'ministries', select: 'name' },
+      { path: 'household', select: 'name address missionStation' }
+    ]);
+    res.json(parishioner);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Update own parishioner profile (authenticated)
+// Only SELF_EDITABLE_FIELDS are applied; sacrament records are edited by clergy
+router.put('/me', authenticate, async (req, res) => {
+  try {
+    const { user, parishioner } = await findOwnParishioner(req);
+    if (!parishioner) {
+      return res.status(404).json({ message: 'No parishioner profile is linked to this account' });
+    }
+
+    // Self-registered accounts must confirm their email before editing their profile
+    if (user.emailVerified === false) {
+      return res.status(403).json({ message: 'Please verify your email address before editing your profile' });
+    }
+
+    parishioner.set(pickFields(req.body, SELF_EDITABLE_FIELDS));
+    await parishioner.save();
+
+    await parishioner.populate([
+      { path: 'user', select: 'email role emailVerified' },
+      { path: 'missionStation', select: 'name location' },
+      { path: 'ministries', select: 'name' },
+      { path: 'household', select: 'name address missionStation' }
+    ]);
+    res.json(parishioner);
+  } catch (error) {
+    res.status(400).json({ message: 'Error updating profile', error: error.message });
+  }
+});
+
+// Update sacrament records (clergy)
+router.put('/:id/sacraments', authenticate, requirePermission('sacraments:write'), async (req, res) => {
+  try {
+    const parishioner = await Parishioner.findById(req.params.id);
+    if (!parishioner) {
+      return res.status(404).json({ message: 'Parishioner not found' });
+    }
+
+    const sacraments = pickFields(req.body, ['baptism', 'firstCommunion', 'confirmation', 'marriage']);
+    Object.entries(sacraments).forEach(([name, record]) => {
+      parishioner.set(`sacraments.${name}`, record);
+    });
+    await parishioner.save();
+
+    res.json(parishioner.sacraments);
+  } catch (error) {
+    res.status(400).json({ message: 'Error updating sacraments', error: error.message });
+  }
+});
+
+// Helper function to send a certificate as print-ready HTML, or its data with ?format=json
+const sendCertificate = (req, res, { certificate, record }, status = 200) => {
+  if (req.query.format === 'json') {
+    return res.status(status).json(certificate);
+  }
+  res.status(status).type('html').send(certificateService.renderHtml({ certificate, record }));
+};
+
+// Reprint the certificate last issued for a sacrament (clergy)
+// Returns print-ready HTML (print to PDF from the browser), or the certificate data with ?format=json
+router.get('/:id/certificates/:sacrament', authenticate, requirePermission('sacraments:write'), async (req, res) => {
+  try {
+    const { sacrament } = req.params;
+    if (!SACRAMENTS.includes(sacrament)) {
+      return res.status(400).json({ message: `Unknown sacrament. Use one of: ${SACRAMENTS.join(', ')}` });
+    }
+
+    const current = await certificateService.findCurrent(req.params.id, sacrament);
+    if (!current) {
+      return res.status(404).json({ message: 'No certificate has been issued for this sacrament' });
+    }
+
+    sendCertificate(req, res, current);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Issue a sacramental certificate from the register (clergy)
+// Reuses the last certificate, and its verification code, when the printed details have not changed
+router.post('/:id/certificates/:sacrament', authenticate, requirePermission('sacraments:write'), async (req, res) => {
+  try {
+    const { sacrament } = req.params;
+    if (!SACRAMENTS.includes(sacrament)) {
+      return res.status(400).json({ message: `Unknown sacrament. Use one of: ${SACRAMENTS.join(', ')}` });
+    }
+
+    const parishioner = await Parishioner.findById(req.params.id);
+    if (!parishioner) {
+      return res.status(404).json({ message: 'Parishioner not found' });
+    }
+
+    const found = await certificateService.getSacramentDetails(parishioner, sacrament);
+    if (!found) {
+      return res.status(404).json({ message: 'No record of this sacrament for this parishioner' });
+    }
+
+    const { certificate, reused } = await certificateService.issue({
+      parishioner,
+      sacrament,
+      record: found.record,
+      details: found.details,
+      issuedBy: req.user.userId
+    });
+
+    if (!reused) {
+      await auditService.record({
+        req,
+        action: 'certificate.issue',
+        targetModel: 'Certificate',
+        targetId: certificate._id,
+        after: certificate,
+        statusCode: 201,
+        metadata: { parishioner: parishioner._id, sacrament }
+      });
+    }
+
+    sendCertificate(req, res, { certificate, record: found.record }, reused ? 200 : 201);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get parishioner profile by ID (deprecated - use GET /me)
+router.get('/profile/:id', legacyProfileEndpoint, async (req, res) => {
   try {
     const parishioner = await Parishioner.findById(req.params.id)
       .populate('user', 'email role')
@@ -20,20 +211,21 @@ router.get('/profile/:id', async (req, res) => {
   }
 });
 
-// Update parishioner profile (public - by ID)
-// Note: This allows parishioners to update their own profile information
-// Restricted fields (user, isActive) cannot be updated through this endpoint
-router.put('/profile/:id', async (req, res) => {
+// Update parishioner profile by ID (deprecated - use PUT /me)
+// Only SELF_EDITABLE_FIELDS can be updated through this endpoint
+router.put('/profile/:id', legacyProfileEndpoint, async (req, res) => {
   try {
-    // Fields that should NOT be updatable through public profile endpoint
-    const restrictedFields = ['user', 'isActive'];
-    
-    // Filter out restricted fields
-    const updateData = { ...req.body };
-    restrictedFields.forEach(field => {
-      delete updateData[field];
-    });
+    // Self-registered accounts must confirm their email before editing their profile
+    const existing = await Parishioner.findById(req.params.id).populate('user', 'emailVerified');
+    if (!existing) {
+      return res.status(404).json({ message: 'Parishioner not found' });
+    }
+    if (existing.user && existing.user.emailVerified === false) {
+      return res.status(403).json({ message: 'Please verify your email address before editing your profile' });
+    }
     
+    const updateData = pickFields(req.body, SELF_EDITABLE_FIELDS);
+
     const parishioner = await Parishioner.findByIdAndUpdate(
       req.params.id,
       updateData,
@@ -51,30 +243,75 @@ router.put('/profile/:id', async (req, res) => {
   }
 });
 
-// Get all parishioners (admin only)
-router.get('/', authenticate, requireAdmin, async (req, res) => {
+/**
+ * GET /api/parishioners
+ * Search and filter parishioners (admin only)
+ * Query params: search (name, phone, email), missionStation, ministry, household,
+ * sacrament / missingSacrament, minAge, maxAge, isActive, sort, order,
+ * page or cursor, limit
+ */
+router.get('/', authenticate, requirePermission('parishioners:read'), validate(schemas.parishionerQuery, 'query'), async (req, res) => {
   try {
-    const parishioners = await Parishioner.find()
-      .populate('user', 'email role')
-      .populate('missionStation', 'name location')
-      .populate('ministries', 'name')
-      .sort({ lastName: 1, firstName: 1 });
-    res.json(parishioners);
+    const { page, limit, cursor } = req.query;
+    const { sort, sortFields } = getParishionerSort(req.query);
+    const query = await buildParishionerQuery(req.query);
+
+    let listQuery = query;
+    if (cursor) {
+      const values = decodeCursor(cursor, sortFields.length);
+      if (!values) {
+        return res.status(400).json({ message: 'Invalid cursor' });
+      }
+      listQuery = { $and: [query, buildCursorQuery(sort, values)] };
+    }
+
+    const skip = page ? (page - 1) * limit : 0;
+    const [parishioners, total] = await Promise.all([
+      Parishioner.find(listQuery)
+        .sort(sort)
+        .skip(skip)
+        .limit(limit + 1)
+        .populate('user', 'email role')
+        .populate('missionStation', 'name location')
+        .populate('ministries', 'name')
+        .populate('household', 'name'),
+      Parishioner.countDocuments(query)
+    ]);
+
+    // One extra document was fetched to know whether there is a next page
+    const hasMore = parishioners.length > limit;
+    const results = hasMore ? parishioners.slice(0, limit) : parishioners;
+
+    res.json({
+      parishioners: results,
+      pagination: {
+        total,
+        limit,
+        ...(cursor === undefined && { page: page || 1, pages: Math.ceil(total / limit) }),
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(results[results.length - 1], sortFields) : null
+      }
+    });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
 // Get single parishioner (admin only)
-router.get('/:id', authenticate, requireAdmin, async (req, res) => {
+// Records merged into another parishioner redirect to the surviving record
+router.get('/:id', authenticate, requirePermission('parishioners:read'), async (req, res) => {
   try {
     const parishioner = await Parishioner.findById(req.params.id)
       .populate('user', 'email role')
       .populate('missionStation', 'name location')
-      .populate('ministries', 'name');
+      .populate('ministries', 'name')
+      .populate('household', 'name address missionStation');
     if (!parishioner) {
       return res.status(404).json({ message: 'Parishioner not found' });
     }
+    if (parishioner.mergedInto) {
+      return res.redirect(301, `${req.baseUrl}/${parishioner.mergedInto}`);
+    }
     res.json(parishioner);
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -82,13 +319,17 @@ router.get('/:id', authenticate, requireAdmin, async (req, res) => {
 });
 
 // Update parishioner (admin only)
-router.put('/:id', authenticate, requireAdmin, async (req, res) => {
+router.put('/:id', authenticate, requirePermission('parishioners:write'), validate(schemas.idParam, 'params'), validate(schemas.parishionerUpdate), async (req, res) => {
   try {
-    const updateData = { ...req.body };
-    
+    // Sacrament records are restricted to clergy, whether set whole or by path
+    const touchesSacraments = Object.keys(req.body).some(key => key === 'sacraments' || key.startsWith('sacraments.'));
+    if (touchesSacraments && !(await roleService.hasPermission(req.currentUser.role, 'sacraments:write'))) {
+      return res.status(403).json({ message: 'Only clergy can edit sacrament records' });
+    }
+
     const parishioner = await Parishioner.findByIdAndUpdate(
       req.params.id,
-      updateData,
+      req.body,
       { new: true, runValidators: true }
     )
       .populate('user', 'email role')
@@ -104,12 +345,41 @@ router.put('/:id', authenticate, requireAdmin, async (req, res) => {
 });
 
 // Delete parishioner (admin only)
-router.delete('/:id', authenticate, requireAdmin, async (req, res) => {
+// Register entries, household membership and a linked account must be dealt with first;
+// donations are kept without the link and pending duplicate reviews are dropped.
+router.delete('/:id', authenticate, requirePermission('parishioners:write'), validate(schemas.idParam, 'params'), async (req, res) => {
   try {
-    const parishioner = await Parishioner.findByIdAndDelete(req.params.id);
+    const parishioner = await Parishioner.findById(req.params.id);
     if (!parishioner) {
       return res.status(404).json({ message: 'Parishioner not found' });
     }
+
+    const [sacraments, funerals, marriageCases, certificates] = await Promise.all([
+      SacramentRecord.exists({ parishioner: parishioner._id }),
+      FuneralRecord.exists({ parishioner: parishioner._id }),
+      MarriageCase.exists({ 'spouses.parishioner': parishioner._id }),
+      Certificate.exists({ parishioner: parishioner._id })
+    ]);
+    const linked = [
+      parishioner.household && 'household membership',
+      parishioner.user && 'user account',
+      sacraments && 'sacrament records',
+      funerals && 'funeral records',
+      marriageCases && 'marriage cases',
+      certificates && 'certificates'
+    ].filter(Boolean);
+    if (linked.length > 0) {
+      return res.status(409).json({
+        message: `This parishioner is linked to ${linked.join(', ')}; unlink them or merge the record instead`,
+        linked
+      });
+    }
+
+    await Promise.all([
+      Donation.updateMany({ parishioner: parishioner._id }, { parishioner: null }),
+      DuplicateCandidate.deleteMany({ parishioners: parishioner._id })
+    ]);
+    await parishioner.deleteOne();
     res.json({ message: 'Parishioner deleted' });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -1,9 +1,13 @@
 import express from 'express';
 import Prayer from '../models/Prayer.js';
-import { authenticate, requireAdmin } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { auditLog } from '../middleware/auditLog.js';
 
 const router = express.Router();
 
+// Record changes made through these routes in the audit log
+router.use(auditLog('Prayer'));
+
 // Get all active prayers (public)
 router.get('/', async (req, res) => {
   try {
@@ -15,8 +19,8 @@ router.get('/', async (req, res) => {
   }
 });
 
-// Get all prayers (admin)
-router.get('/all', authenticate, requireAdmin, async (req, res) => {
+// Get all prayers (priest and above)
+router.get('/all', authenticate, requirePermission('prayers:write'), async (req, res) => {
   try {
     const prayers = await Prayer.find().sort({ createdAt: -1 });
     res.json(prayers);
@@ -38,8 +42,8 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Create prayer (admin)
-router.post('/', authenticate, requireAdmin, async (req, res) => {
+// Create prayer (priest and above)
+router.post('/', authenticate, requirePermission('prayers:write'), async (req, res) => {
   try {
     const prayer = new Prayer(req.body);
     await prayer.save();
@@ -49,8 +53,8 @@ router.post('/', authenticate, requireAdmin, async (req, res) => {
   }
 });
 
-// Update prayer (admin)
-router.put('/:id', authenticate, requireAdmin, async (req, res) => {
+// Update prayer (priest and above)
+router.put('/:id', authenticate, requirePermission('prayers:write'), async (req, res) => {
   try {
     const prayer = await Prayer.findByIdAndUpdate(
       req.params.id,
@@ -66,8 +70,8 @@ router.put('/:id', authenticate, requireAdmin, async (req, res) => {
   }
 });
 
-// Delete prayer (admin)
-router.delete('/:id', authenticate, requireAdmin, async (req, res) => {
+// Delete prayer (priest and above)
+router.delete('/:id', authenticate, requirePermission('prayers:write'), async (req, res) => {
   try {
     const prayer = await Prayer.findByIdAndDelete(req.params.id);
     if (!prayer) {
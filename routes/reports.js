@@ -0,0 +1,41 @@
+import express from 'express';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { validate, schemas } from '../middleware/validation.js';
+import censusService from '../services/censusService.js';
+
+const router = express.Router();
+
+// All routes require authentication and permission to read reports
+router.use(authenticate);
+router.use(requirePermission('reports:read'));
+
+/**
+ * GET /api/reports/census
+ * Membership figures for the diocesan return: active parishioners by mission station,
+ * age band and gender, households, and sacraments received and still missing,
+ * each with the change since the previous year
+ * Query params: year (default current year), missionStation, format (json or csv)
+ */
+router.get('/census', validate(schemas.censusQuery, 'query'), async (req, res) => {
+  try {
+    const { year = censusService.getCurrentYear(), missionStation, format } = req.query;
+    if (year > censusService.getCurrentYear()) {
+      return res.status(400).json({ message: 'The census year cannot be in the future' });
+    }
+
+    const report = await censusService.getReport({ year, missionStation });
+
+    if (format === 'csv') {
+      const file = await censusService.toCsv(report);
+      res.set('Content-Disposition', `attachment; filename="census-${year}.csv"`);
+      res.type('text/csv');
+      return res.send(file);
+    }
+
+    res.json(report);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,131 @@
+import express from 'express';
+import Role from '../models/Role.js';
+import User from '../models/User.js';
+import roleService from '../services/roleService.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { validate, schemas } from '../middleware/validation.js';
+import { auditLog } from '../middleware/auditLog.js';
+import { PERMISSION_LIST, ALL_PERMISSIONS } from '../utils/permissions.js';
+
+const router = express.Router();
+
+// All routes require authentication and permission to manage roles
+router.use(authenticate);
+router.use(requirePermission('roles:manage'));
+router.use(auditLog('Role'));
+
+// Get the catalog of available permissions
+router.get('/permissions', (req, res) => {
+  res.json({ permissions: PERMISSION_LIST, wildcard: ALL_PERMISSIONS });
+});
+
+// Get all roles with the number of users assigned to each
+router.get('/', async (req, res) => {
+  try {
+    const roles = await Role.find().sort({ name: 1 }).lean();
+    const counts = await User.aggregate([
+      { $group: { _id: '$role', count: { $sum: 1 } } }
+    ]);
+    const countByRole = Object.fromEntries(counts.map(c => [c._id, c.count]));
+
+    res.json(roles.map(role => ({ ...role, userCount: countByRole[role.name] || 0 })));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get single role
+router.get('/:id', validate(schemas.idParam, 'params'), async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+    res.json(role);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Create role
+router.post('/', validate(schemas.role), async (req, res) => {
+  try {
+    const existing = await Role.findOne({ name: req.body.name });
+    if (existing) {
+      return res.status(409).json({ message: 'A role with this name already exists' });
+    }
+
+    const role = new Role({ ...req.body, isSystem: false });
+    await role.save();
+    roleService.invalidate();
+
+    res.status(201).json(role);
+  } catch (error) {
+    res.status(400).json({ message: 'Error creating role', error: error.message });
+  }
+});
+
+// Update role description, permissions and password/2FA policies (the name cannot change, it is stored on users)
+router.put('/:id', validate(schemas.idParam, 'params'), validate(schemas.roleUpdate), async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    // Keep at least one role able to manage roles, otherwise nobody could undo the change
+    if (req.body.permissions
+      && role.permissions.some(p => p === ALL_PERMISSIONS || p === 'roles:manage')
+      && !req.body.permissions.some(p => p === ALL_PERMISSIONS || p === 'roles:manage')) {
+      const otherManagers = await Role.countDocuments({
+        _id: { $ne: role._id },
+        permissions: { $in: [ALL_PERMISSIONS, 'roles:manage'] }
+      });
+      if (otherManagers === 0) {
+        return res.status(400).json({ message: 'At least one role must be able to manage roles' });
+      }
+    }
+
+    if (req.body.description !== undefined) role.description = req.body.description;
+    if (req.body.permissions !== undefined) role.permissions = req.body.permissions;
+    if (req.body.requireStrongPassword !== undefined) role.requireStrongPassword = req.body.requireStrongPassword;
+    if (req.body.twoFactor !== undefined) role.twoFactor = req.body.twoFactor;
+
+    await role.save();
+    roleService.invalidate();
+
+    res.json(role);
+  } catch (error) {
+    res.status(400).json({ message: 'Error updating role', error: error.message });
+  }
+});
+
+// Delete role (custom roles with no users only)
+router.delete('/:id', validate(schemas.idParam, 'params'), async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({ message: 'Built-in roles cannot be deleted' });
+    }
+
+    const userCount = await User.countDocuments({ role: role.name });
+    if (userCount > 0) {
+      return res.status(409).json({ 
+        message: `This role is assigned to ${userCount} user(s). Reassign them before deleting it.` 
+      });
+    }
+
+    await role.deleteOne();
+    roleService.invalidate();
+
+    res.json({ message: 'Role deleted' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+export default router;
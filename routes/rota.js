@@ -0,0 +1,175 @@
+import express from 'express';
+import CelebrantAssignment from '../models/CelebrantAssignment.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { validate, schemas } from '../middleware/validation.js';
+import { auditLog } from '../middleware/auditLog.js';
+import rotaService from '../services/rotaService.js';
+import { MAX_OCCURRENCE_DAYS } from '../services/massScheduleService.js';
+import { toDateKey, addDays } from '../utils/timezone.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// Helper function to read and check the from/to range (default: the next `days` days)
+const readRange = (query, days) => {
+  const from = query.from || toDateKey();
+  const to = query.to || addDays(from, days - 1);
+  if (to < from) {
+    return { error: 'to must not be before from' };
+  }
+  if (to > addDays(from, MAX_OCCURRENCE_DAYS - 1)) {
+    return { error: `The range may cover at most ${MAX_OCCURRENCE_DAYS} days` };
+  }
+  return { from, to };
+};
+
+/**
+ * GET /api/rota/mine
+ * Services the signed-in priest is assigned to, with any conflicts
+ * Query params: from, to (YYYY-MM-DD; default the next 30 days)
+ */
+router.get('/mine', validate(schemas.rotaMineQuery, 'query'), async (req, res) => {
+  try {
+    const { from, to, error } = readRange(req.query, 30);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const { services, conflicts, orphaned, timezone } = await rotaService.getRota({ from, to, priest: req.user.userId });
+    res.json({ from, to, timezone, services, conflicts, orphaned });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Everything else is for whoever plans the Mass schedule
+router.use(requirePermission('mass-schedule:write'));
+
+/**
+ * GET /api/rota
+ * Dated services with their assigned celebrant, conflicts (a priest booked at two
+ * services too close together, given travel time between stations) and assignments
+ * whose service no longer exists
+ * Query params: from, to (YYYY-MM-DD; default the next 7 days), missionStation, type, priest
+ */
+router.get('/', validate(schemas.rotaQuery, 'query'), async (req, res) => {
+  try {
+    const { from, to, error } = readRange(req.query, 7);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    res.json(await rotaService.getRota({ ...req.query, from, to }));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Users whose role has the rota:celebrate permission, who can be put on the rota
+router.get('/priests', async (req, res) => {
+  try {
+    res.json(await rotaService.getPriests());
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * POST /api/rota/assignments
+ * Assign a priest to one dated service (replaces any earlier assignment).
+ * Answers 409 with the conflicts when the priest cannot reach one of their
+ * other services in time, unless force is set.
+ */
+router.post(
+  '/assignments',
+  validate(schemas.rotaAssignment),
+  auditLog('CelebrantAssignment', { findTarget: (req) => CelebrantAssignment.findOne({ occurrence: req.body.occurrence }) }),
+  async (req, res) => {
+    try {
+      const { occurrence: occurrenceId, priest, notes, force } = req.body;
+
+      const [occurrence, isCelebrant] = await Promise.all([
+        rotaService.findOccurrence(occurrenceId),
+        rotaService.isCelebrant(priest)
+      ]);
+      if (!occurrence) {
+        return res.status(404).json({ message: 'Service not found' });
+      }
+      if (occurrence.status === 'cancelled') {
+        return res.status(400).json({ message: 'This service is cancelled' });
+      }
+      if (!isCelebrant) {
+        return res.status(400).json({ message: 'The celebrant must be a user whose role has the rota:celebrate permission' });
+      }
+
+      const conflicts = await rotaService.conflictsFor(occurrence, priest);
+      if (conflicts.length && !force) {
+        return res.status(409).json({ message: 'The priest cannot reach this service in time', conflicts });
+      }
+
+      const assignment = await CelebrantAssignment.findOneAndUpdate(
+        { occurrence: occurrenceId },
+        {
+          occurrence: occurrenceId,
+          date: new Date(`${occurrence.date}T00:00:00.000Z`),
+          massSchedule: occurrence.massSchedule,
+          exception: occurrence.massSchedule ? null : occurrence.exception,
+          missionStation: occurrence.missionStation?._id,
+          priest,
+          notes,
+          source: 'manual',
+          assignedBy: req.user.userId
+        },
+        { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+      ).populate('priest', 'username email');
+
+      res.json(assignment);
+    } catch (error) {
+      res.status(400).json({ message: 'Error assigning celebrant', error: error.message });
+    }
+  }
+);
+
+// Remove an assignment (the service goes back to having no celebrant)
+router.delete('/assignments/:id', validate(schemas.idParam, 'params'), auditLog('CelebrantAssignment'), async (req, res) => {
+  try {
+    const assignment = await CelebrantAssignment.findByIdAndDelete(req.params.id);
+    if (!assignment) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+    res.json({ message: 'Assignment removed' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * POST /api/rota/generate
+ * Fill a month's unassigned services, spreading them evenly between priests
+ * without conflicts. Assignments made by hand are kept; replaceGenerated redoes
+ * earlier generated ones and dryRun only reports the proposal.
+ */
+router.post(
+  '/generate',
+  validate(schemas.rotaGenerate),
+  auditLog('CelebrantAssignment', { action: 'celebrant-assignment.generate' }),
+  async (req, res) => {
+    try {
+      res.json(await rotaService.generateMonth({ ...req.body, assignedBy: req.user.userId }));
+    } catch (error) {
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+);
+
+// Send the weekly reminders now (`dryRun` to only list them); sent automatically every Monday at 7am
+router.post('/reminders', requirePermission('notifications:send'), validate(schemas.rotaReminders), async (req, res) => {
+  try {
+    res.json(await rotaService.sendWeeklyReminders(req.body));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+export default router;
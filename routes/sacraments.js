@@ -0,0 +1,213 @@
+import express from 'express';
+import SacramentRecord, { PARISHIONER_SUMMARY_SACRAMENTS } from '../models/SacramentRecord.js';
+import Parishioner from '../models/Parishioner.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { validate, schemas } from '../middleware/validation.js';
+import { auditLog } from '../middleware/auditLog.js';
+import { searchPattern } from '../utils/search.js';
+
+const router = express.Router();
+
+// The sacramental register is clergy-only, including reads
+router.use(authenticate);
+router.use(requirePermission('sacraments:write'));
+router.use(auditLog('SacramentRecord'));
+
+// Helper function to load a record with its links populated
+const findRecord = (id) => SacramentRecord.findById(id)
+  .populate('parishioner', 'firstName lastName dateOfBirth')
+  .populate('missionStation', 'name location')
+  .populate('minister.user', 'username email')
+  .populate('recordedBy', 'username email')
+  .populate('marginalNotes.addedBy', 'username email');
+
+/**
+ * Keep the date/location summary on Parishioner.sacraments in step with the register.
+ * Uses the earliest register entry for that sacrament. When the last entry is deleted
+ * or moved to another parishioner, the summary is cleared only if it still shows that
+ * entry: a summary entered by hand, imported or set when a marriage case was closed
+ * is left alone.
+ * @param {string|null} parishionerId
+ * @param {string} sacrament
+ * @param {Object} [removed] - Date and location of the entry that was deleted or moved
+ */
+const syncParishionerSummary = async (parishionerId, sacrament, removed) => {
+  if (!parishionerId || !PARISHIONER_SUMMARY_SACRAMENTS.includes(sacrament)) {
+    return;
+  }
+
+  const field = `sacraments.${sacrament}`;
+  const record = await SacramentRecord.findOne({ parishioner: parishionerId, sacrament }).sort({ date: 1 });
+  if (record) {
+    await Parishioner.updateOne(
+      { _id: parishionerId },
+      { [field]: { date: record.date, location: record.location } }
+    );
+  } else if (removed) {
+    await Parishioner.updateOne(
+      { _id: parishionerId, [`${field}.date`]: removed.date, [`${field}.location`]: removed.location ?? null },
+      { $unset: { [field]: 1 } }
+    );
+  }
+};
+
+// Helper function to reject links to parishioners that do not exist
+const parishionerExists = async (parishionerId) => {
+  if (!parishionerId) {
+    return true;
+  }
+  return !!(await Parishioner.exists({ _id: parishionerId }));
+};
+
+// Helper function to report a taken register position
+const isDuplicateRegisterEntry = (error) => error.code === 11000;
+
+/**
+ * GET /api/sacraments
+ * Search the register (newest first, with pagination)
+ * Query params: sacrament, parishioner, book, search (name), from, to (ISO dates), page, limit
+ */
+router.get('/', validate(schemas.sacramentRecordQuery, 'query'), async (req, res) => {
+  try {
+    const { sacrament, parishioner, book, search, from, to, page, limit } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (sacrament) query.sacrament = sacrament;
+    if (parishioner) query.parishioner = parishioner;
+    if (book) query['register.book'] = book;
+    if (search) {
+      const pattern = searchPattern(search);
+      query.$or = [{ 'person.firstName': pattern }, { 'person.lastName': pattern }];
+    }
+    if (from || to) {
+      query.date = {};
+      if (from) query.date.$gte = from;
+      if (to) query.date.$lte = to;
+    }
+
+    const [records, total] = await Promise.all([
+      SacramentRecord.find(query)
+        .sort({ date: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('parishioner', 'firstName lastName')
+        .populate('missionStation', 'name'),
+      SacramentRecord.countDocuments(query)
+    ]);
+
+    res.json({
+      records,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get single register entry
+router.get('/:id', validate(schemas.idParam, 'params'), async (req, res) => {
+  try {
+    const record = await findRecord(req.params.id);
+    if (!record) {
+      return res.status(404).json({ message: 'Sacrament record not found' });
+    }
+    res.json(record);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Create register entry
+router.post('/', validate(schemas.sacramentRecord), async (req, res) => {
+  try {
+    if (!(await parishionerExists(req.body.parishioner))) {
+      return res.status(400).json({ message: 'Parishioner not found' });
+    }
+
+    const record = new SacramentRecord({ ...req.body, recordedBy: req.user.userId });
+    await record.save();
+    await syncParishionerSummary(record.parishioner, record.sacrament);
+
+    res.status(201).json(await findRecord(record._id));
+  } catch (error) {
+    if (isDuplicateRegisterEntry(error)) {
+      return res.status(409).json({ message: 'This book, page and entry number is already used in the register' });
+    }
+    res.status(400).json({ message: 'Error creating sacrament record', error: error.message });
+  }
+});
+
+// Update register entry (marginal notes are append-only, see below)
+router.put('/:id', validate(schemas.idParam, 'params'), validate(schemas.sacramentRecordUpdate), async (req, res) => {
+  try {
+    const record = await SacramentRecord.findById(req.params.id);
+    if (!record) {
+      return res.status(404).json({ message: 'Sacrament record not found' });
+    }
+
+    if (!(await parishionerExists(req.body.parishioner))) {
+      return res.status(400).json({ message: 'Parishioner not found' });
+    }
+
+    const previous = {
+      parishioner: record.parishioner,
+      sacrament: record.sacrament,
+      date: record.date,
+      location: record.location
+    };
+    record.set(req.body);
+    await record.save();
+
+    await syncParishionerSummary(record.parishioner, record.sacrament);
+    if (String(previous.parishioner) !== String(record.parishioner) || previous.sacrament !== record.sacrament) {
+      await syncParishionerSummary(previous.parishioner, previous.sacrament, previous);
+    }
+
+    res.json(await findRecord(record._id));
+  } catch (error) {
+    if (isDuplicateRegisterEntry(error)) {
+      return res.status(409).json({ message: 'This book, page and entry number is already used in the register' });
+    }
+    res.status(400).json({ message: 'Error updating sacrament record', error: error.message });
+  }
+});
+
+// Add a marginal note to a register entry
+router.post('/:id/marginal-notes', validate(schemas.idParam, 'params'), validate(schemas.marginalNote), async (req, res) => {
+  try {
+    const record = await SacramentRecord.findById(req.params.id);
+    if (!record) {
+      return res.status(404).json({ message: 'Sacrament record not found' });
+    }
+
+    record.marginalNotes.push({ ...req.body, addedBy: req.user.userId });
+    await record.save();
+
+    res.status(201).json(await findRecord(record._id));
+  } catch (error) {
+    res.status(400).json({ message: 'Error adding marginal note', error: error.message });
+  }
+});
+
+// Delete register entry
+router.delete('/:id', validate(schemas.idParam, 'params'), async (req, res) => {
+  try {
+    const record = await SacramentRecord.findByIdAndDelete(req.params.id);
+    if (!record) {
+      return res.status(404).json({ message: 'Sacrament record not found' });
+    }
+
+    await syncParishionerSummary(record.parishioner, record.sacrament, record);
+    res.json({ message: 'Sacrament record deleted' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+export default router;
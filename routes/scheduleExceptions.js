@@ -0,0 +1,152 @@
+import express from 'express';
+import ScheduleException from '../models/ScheduleException.js';
+import MassSchedule from '../models/MassSchedule.js';
+import User from '../models/User.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { validate, schemas } from '../middleware/validation.js';
+import { auditLog } from '../middleware/auditLog.js';
+import calendarService from '../services/calendarService.js';
+import { getDayOfWeek } from '../utils/timezone.js';
+
+// Cancellations, changes and one-off services for /api/mass-schedule.
+// Mounted before the Mass schedule router so /exceptions is not taken for an ID.
+const router = express.Router();
+
+router.use(authenticate);
+router.use(requirePermission('mass-schedule:write'));
+router.use(auditLog('ScheduleException'));
+
+// Helper function to check an exception matches its weekly service
+const checkException = async ({ action, massSchedule, date, time, description, celebrant }) => {
+  if (action === 'add') {
+    return null;
+  }
+
+  const schedule = await MassSchedule.findById(massSchedule);
+  if (!schedule) {
+    return 'Mass schedule not found';
+  }
+  const dayOfWeek = getDayOfWeek(date);
+  if (schedule.dayOfWeek !== dayOfWeek) {
+    return `${date} is a ${dayOfWeek}; this service is held on ${schedule.dayOfWeek}s`;
+  }
+  if (action === 'modify' && !time && !description && !celebrant?.name && !celebrant?.user) {
+    return 'A change needs a new time, description or celebrant';
+  }
+  return null;
+};
+
+// Helper function to name a celebrant given only by account
+const resolveCelebrant = async (body) => {
+  if (!body.celebrant?.user || body.celebrant.name) {
+    return null;
+  }
+  const user = await User.findById(body.celebrant.user).select('username');
+  if (!user) {
+    return 'Celebrant account not found';
+  }
+  body.celebrant.name = user.username;
+  return null;
+};
+
+/**
+ * GET /api/mass-schedule/exceptions
+ * List exceptions by date
+ * Query params: from, to (YYYY-MM-DD), missionStation, massSchedule
+ */
+router.get('/', validate(schemas.scheduleExceptionQuery, 'query'), async (req, res) => {
+  try {
+    const { from, to, missionStation, massSchedule } = req.query;
+    const query = {};
+    if (massSchedule) query.massSchedule = massSchedule;
+    if (missionStation) {
+      const schedules = await MassSchedule.find({ missionStation }).select('_id').lean();
+      query.$or = [{ missionStation }, { massSchedule: { $in: schedules.map(s => s._id) } }];
+    }
+    if (from || to) {
+      query.date = {};
+      if (from) query.date.$gte = new Date(from);
+      if (to) query.date.$lte = new Date(to);
+    }
+
+    const exceptions = await ScheduleException.find(query)
+      .sort({ date: 1 })
+      .populate({ path: 'massSchedule', populate: { path: 'missionStation', select: 'name' } })
+      .populate('missionStation', 'name')
+      .populate('celebrant.user', 'username');
+    res.json(exceptions);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Create exception
+router.post('/', validate(schemas.scheduleException), async (req, res) => {
+  try {
+    const problem = await checkException(req.body) || await resolveCelebrant(req.body);
+    if (problem) {
+      return res.status(400).json({ message: problem });
+    }
+
+    const exception = new ScheduleException({ ...req.body, createdBy: req.user.userId });
+    await exception.save();
+    calendarService.invalidate();
+    res.status(201).json(exception);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'This service already has an exception on that day; edit it instead' });
+    }
+    res.status(400).json({ message: 'Error creating schedule exception', error: error.message });
+  }
+});
+
+// Update exception
+router.put('/:id', validate(schemas.idParam, 'params'), validate(schemas.scheduleException), async (req, res) => {
+  try {
+    const problem = await checkException(req.body) || await resolveCelebrant(req.body);
+    if (problem) {
+      return res.status(400).json({ message: problem });
+    }
+
+    const exception = await ScheduleException.findById(req.params.id);
+    if (!exception) {
+      return res.status(404).json({ message: 'Schedule exception not found' });
+    }
+
+    // Clear fields that may belong to a different action before applying the update
+    exception.set({
+      massSchedule: null,
+      missionStation: undefined,
+      time: undefined,
+      type: undefined,
+      description: undefined,
+      celebrant: undefined,
+      reason: undefined,
+      ...req.body
+    });
+    await exception.save();
+    calendarService.invalidate();
+    res.json(exception);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'This service already has an exception on that day; edit it instead' });
+    }
+    res.status(400).json({ message: 'Error updating schedule exception', error: error.message });
+  }
+});
+
+// Delete exception (the weekly service goes back to normal)
+router.delete('/:id', validate(schemas.idParam, 'params'), async (req, res) => {
+  try {
+    const exception = await ScheduleException.findByIdAndDelete(req.params.id);
+    if (!exception) {
+      return res.status(404).json({ message: 'Schedule exception not found' });
+    }
+    calendarService.invalidate();
+    res.json({ message: 'Schedule exception deleted' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+export default router;
@@ -1,9 +1,13 @@
 import express from 'express';
 import Sermon from '../models/Sermon.js';
-import { authenticate, requireAdmin } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { auditLog } from '../middleware/auditLog.js';
 
 const router = express.Router();
 
+// Record changes made through these routes in the audit log
+router.use(auditLog('Sermon'));
+
 // Get all active sermons and catechisis (public)
 router.get('/', async (req, res) => {
   try {
@@ -21,8 +25,8 @@ router.get('/', async (req, res) => {
   }
 });
 
-// Get all sermons and catechisis (admin)
-router.get('/all', authenticate, requireAdmin, async (req, res) => {
+// Get all sermons and catechisis (priest and above)
+router.get('/all', authenticate, requirePermission('sermons:write'), async (req, res) => {
   try {
     const { type } = req.query;
     const query = {};
@@ -49,8 +53,8 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Create sermon (admin)
-router.post('/', authenticate, requireAdmin, async (req, res) => {
+// Create sermon (priest and above)
+router.post('/', authenticate, requirePermission('sermons:write'), async (req, res) => {
   try {
     const sermon = new Sermon(req.body);
     await sermon.save();
@@ -60,8 +64,8 @@ router.post('/', authenticate, requireAdmin, async (req, res) => {
   }
 });
 
-// Update sermon (admin)
-router.put('/:id', authenticate, requireAdmin, async (req, res) => {
+// Update sermon (priest and above)
+router.put('/:id', authenticate, requirePermission('sermons:write'), async (req, res) => {
   try {
     const sermon = await Sermon.findByIdAndUpdate(
       req.params.id,
@@ -77,8 +81,8 @@ router.put('/:id', authenticate, requireAdmin, async (req, res) => {
   }
 });
 
-// Delete sermon (admin)
-router.delete('/:id', authenticate, requireAdmin, async (req, res) => {
+// Delete sermon (priest and above)
+router.delete('/:id', authenticate, requirePermission('sermons:write'), async (req, res) => {
   try {
     const sermon = await Sermon.findByIdAndDelete(req.params.id);
     if (!sermon) {
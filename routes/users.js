@@ -1,25 +1,323 @@
 import express from 'express';
+import bcrypt from 'bcryptjs';
 import User from '../models/User.js';
-import { authenticate, requireAdminOrParishPriest } from '../middleware/auth.js';
+import Invitation from '../models/Invitation.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { validate, schemas } from '../middleware/validation.js';
+import { auditLog } from '../middleware/auditLog.js';
+import roleService from '../services/roleService.js';
+import notificationService from '../services/notificationService.js';
+import { validatePassword } from '../utils/passwordValidation.js';
+import { generateToken, hashToken } from '../utils/tokens.js';
+import { authLogger, errorLogger } from '../utils/logger.js';
 
 const router = express.Router();
 
-// Get all users (admin/parish-priest only)
-router.get('/', authenticate, requireAdminOrParishPriest, async (req, res) => {
+const INVITATION_EXPIRY_DAYS = 7;
+
+// Helper function to find a pending, unexpired invitation by its raw token
+const findOpenInvitation = (token) => Invitation.findOne({
+  tokenHash: hashToken(token),
+  status: 'pending',
+  expiresAt: { $gt: new Date() }
+});
+
+// Helper function to check a role grants nothing beyond the current user's own role.
+// Only roles granted everything ('*') can hand out or take away any role.
+const withinOwnPermissions = async (currentUser, roleName) => {
+  const [ownRole, role] = await Promise.all([
+    roleService.getRole(currentUser.role),
+    roleService.getRole(roleName)
+  ]);
+  const ownPermissions = ownRole?.permissions || [];
+  return ownPermissions.includes('*')
+    || (role?.permissions || []).every(permission => ownPermissions.includes(permission));
+};
+
+// Get all users (users:read permission)
+// With includeInvitations=true, pending, expired and revoked staff invitations are
+// listed alongside users (type: 'invitation')
+router.get('/', authenticate, requirePermission('users:read'), async (req, res) => {
   try {
     const users = await User.find()
       .select('-passwordHash')
       .populate('parishioner', 'firstName lastName email')
       .sort({ createdAt: -1 });
-    
-    res.json(users);
+
+    if (req.query.includeInvitations !== 'true') {
+      return res.json(users);
+    }
+
+    const invitations = await Invitation.find()
+      .populate('invitedBy', 'username email')
+      .sort({ createdAt: -1 });
+
+    const acceptedByUser = new Map(invitations
+      .filter(inv => inv.status === 'accepted' && inv.acceptedUser)
+      .map(inv => [inv.acceptedUser.toString(), inv]));
+
+    const userEntries = users.map(user => {
+      const invitation = acceptedByUser.get(user._id.toString());
+      return {
+        ...user.toJSON(),
+        type: 'user',
+        ...(invitation && {
+          invitation: {
+            _id: invitation._id,
+            status: 'accepted',
+            invitedBy: invitation.invitedBy,
+            acceptedAt: invitation.acceptedAt
+          }
+        })
+      };
+    });
+
+    const openInvitations = invitations
+      .filter(inv => inv.status !== 'accepted')
+      .map(inv => ({
+        _id: inv._id,
+        type: 'invitation',
+        email: inv.email,
+        role: inv.role,
+        status: inv.effectiveStatus,
+        invitedBy: inv.invitedBy,
+        expiresAt: inv.expiresAt,
+        revokedAt: inv.revokedAt,
+        createdAt: inv.createdAt
+      }));
+
+    res.json([...openInvitations, ...userEntries]);
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// Get single user by ID (admin/parish-priest only)
-router.get('/:id', authenticate, requireAdminOrParishPriest, async (req, res) => {
+// Get staff invitations (users:read permission)
+router.get('/invitations', authenticate, requirePermission('users:read'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    const query = {};
+    if (status === 'expired') {
+      query.status = 'pending';
+      query.expiresAt = { $lte: new Date() };
+    } else if (status === 'pending') {
+      query.status = 'pending';
+      query.expiresAt = { $gt: new Date() };
+    } else if (status) {
+      query.status = status;
+    }
+
+    const invitations = await Invitation.find(query)
+      .select('-tokenHash')
+      .populate('invitedBy', 'username email')
+      .populate('acceptedUser', 'username email role')
+      .sort({ createdAt: -1 });
+
+    res.json(invitations);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Invite a staff member by email with a preassigned role (users:manage permission)
+router.post('/invitations', authenticate, requirePermission('users:manage'), validate(schemas.invitation), auditLog('Invitation'), async (req, res) => {
+  try {
+    const { email, role } = req.body;
+
+    if (role === 'parishioner' || !(await roleService.roleExists(role))) {
+      return res.status(400).json({ message: 'Invalid role' });
+    }
+
+    if (!(await withinOwnPermissions(req.currentUser, role))) {
+      return res.status(403).json({ message: 'You cannot invite someone to a role with more permissions than your own' });
+    }
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(409).json({ message: 'A user with this email already exists. Change their role instead.' });
+    }
+
+    // Replace any open invitation for the same email
+    await Invitation.updateMany(
+      { email, status: 'pending' },
+      { status: 'revoked', revokedAt: new Date(), revokedBy: req.user.userId }
+    );
+
+    const token = generateToken();
+    const invitation = await Invitation.create({
+      email,
+      role,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + INVITATION_EXPIRY_DAYS * 24 * 60 * 60 * 1000),
+      invitedBy: req.user.userId
+    });
+
+    const parishName = process.env.PARISH_NAME || 'Parish Website';
+    const inviteUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/accept-invitation?token=${token}`;
+
+    let notification = null;
+    try {
+      notification = await notificationService.sendNotification({
+        type: 'email',
+        recipient: { email },
+        subject: `You're invited to join the ${parishName} team`,
+        message: `Hello,\n\nYou have been invited to help manage the ${parishName} website as ${role}.\n\nTo accept, open the link below and choose your username and password:\n\n${inviteUrl}\n\nThis invitation expires in ${INVITATION_EXPIRY_DAYS} days.\n\nMay God bless you,\n${parishName} Team`,
+        htmlMessage: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #1a365d;">You're invited to join the ${parishName} team</h2>
+            <p>Hello,</p>
+            <p>You have been invited to help manage the ${parishName} website as <strong>${role}</strong>.</p>
+            <p>To accept, click the button below and choose your username and password:</p>
+            <p style="margin: 30px 0;">
+              <a href="${inviteUrl}" style="background-color: #1a365d; color: #ffffff; padding: 12px 24px; text-decoration: none; border-radius: 4px;">Accept invitation</a>
+            </p>
+            <p>This invitation expires in ${INVITATION_EXPIRY_DAYS} days.</p>
+            <p style="margin-top: 30px;">May God bless you,<br><strong>${parishName} Team</strong></p>
+          </div>
+        `,
+        metadata: {
+          source: 'staff-invitation',
+          invitationId: invitation._id.toString(),
+          invitedBy: req.user.userId
+        }
+      });
+    } catch (notificationError) {
+      errorLogger.error({ err: notificationError, invitationId: invitation._id }, 'Failed to send staff invitation');
+    }
+
+    authLogger.info({ invitationId: invitation._id, email, role, invitedBy: req.user.userId }, 'Staff invitation created');
+
+    const result = invitation.toJSON();
+    delete result.tokenHash;
+    res.status(201).json({ ...result, emailSent: !!notification?.success });
+  } catch (error) {
+    res.status(400).json({ message: 'Error creating invitation', error: error.message });
+  }
+});
+
+// Revoke a pending invitation (users:manage permission)
+router.delete('/invitations/:id', authenticate, requirePermission('users:manage'), auditLog('Invitation', { action: 'invitation.revoke' }), async (req, res) => {
+  try {
+    const invitation = await Invitation.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending' },
+      { status: 'revoked', revokedAt: new Date(), revokedBy: req.user.userId },
+      { new: true }
+    ).select('-tokenHash');
+
+    if (!invitation) {
+      return res.status(404).json({ message: 'Pending invitation not found' });
+    }
+
+    authLogger.info({ invitationId: invitation._id, revokedBy: req.user.userId }, 'Staff invitation revoked');
+
+    res.json(invitation);
+  } catch (error) {
+    res.status(400).json({ message: 'Error revoking invitation', error: error.message });
+  }
+});
+
+// Look up an invitation from its link (public)
+router.get('/invitations/lookup/:token', async (req, res) => {
+  try {
+    const invitation = await findOpenInvitation(req.params.token);
+    if (!invitation) {
+      return res.status(404).json({ message: 'This invitation is invalid, expired or has been revoked' });
+    }
+
+    res.json({
+      email: invitation.email,
+      role: invitation.role,
+      expiresAt: invitation.expiresAt
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Accept an invitation: the invitee chooses their username and password (public)
+router.post('/invitations/accept', validate(schemas.acceptInvitation), auditLog('User', { action: 'invitation.accept' }), async (req, res) => {
+  try {
+    const { token, username, password } = req.body;
+
+    const invitation = await findOpenInvitation(token);
+    if (!invitation) {
+      return res.status(400).json({ message: 'This invitation is invalid, expired or has been revoked' });
+    }
+
+    // Staff accounts always use the strong password rules
+    const passwordValidation = validatePassword(password);
+    if (!passwordValidation.isValid) {
+      return res.status(400).json({ 
+        message: 'Password does not meet requirements',
+        errors: passwordValidation.errors
+      });
+    }
+
+    const [usernameTaken, emailTaken] = await Promise.all([
+      User.findOne({ username }),
+      User.findOne({ email: invitation.email })
+    ]);
+    if (usernameTaken) {
+      return res.status(409).json({ message: 'This username is already taken' });
+    }
+    if (emailTaken) {
+      return res.status(409).json({ message: 'An account with this email already exists' });
+    }
+
+    // The role may have been deleted since the invitation was sent
+    if (!(await roleService.roleExists(invitation.role))) {
+      return res.status(409).json({ message: 'The role for this invitation no longer exists; ask for a new invitation' });
+    }
+
+    // Claim the invitation so it cannot be accepted twice
+    const claimed = await Invitation.findOneAndUpdate(
+      { _id: invitation._id, status: 'pending' },
+      { status: 'accepted', acceptedAt: new Date() },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(400).json({ message: 'This invitation is invalid, expired or has been revoked' });
+    }
+
+    let user;
+    try {
+      const salt = await bcrypt.genSalt(10);
+      user = await User.create({
+        username,
+        email: invitation.email,
+        passwordHash: await bcrypt.hash(password, salt),
+        role: invitation.role,
+        // Following the emailed link proves the address
+        emailVerified: true,
+        emailVerifiedAt: new Date()
+      });
+    } catch (createError) {
+      // Re-open the invitation so it can be retried
+      await Invitation.updateOne({ _id: invitation._id }, { status: 'pending', $unset: { acceptedAt: 1 } });
+      throw createError;
+    }
+
+    claimed.acceptedUser = user._id;
+    await claimed.save();
+
+    authLogger.info({ userId: user._id, username, role: user.role, invitationId: invitation._id }, 'Staff invitation accepted');
+
+    res.status(201).json({
+      message: 'Your account has been created. You can now log in.',
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    res.status(400).json({ message: 'Error accepting invitation', error: error.message });
+  }
+});
+
+// Get single user by ID (users:read permission)
+router.get('/:id', authenticate, requirePermission('users:read'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id)
       .select('-passwordHash')
@@ -35,8 +333,8 @@ router.get('/:id', authenticate, requireAdminOrParishPriest, async (req, res) =>
   }
 });
 
-// Update user role (admin/parish-priest only)
-router.put('/:id/role', authenticate, requireAdminOrParishPriest, async (req, res) => {
+// Update user role (users:manage permission)
+router.put('/:id/role', authenticate, requirePermission('users:manage'), auditLog('User', { action: 'user.role.update' }), async (req, res) => {
   try {
     const { role } = req.body;
     
@@ -44,8 +342,7 @@ router.put('/:id/role', authenticate, requireAdminOrParishPriest, async (req, re
       return res.status(400).json({ message: 'Role is required' });
     }
     
-    const validRoles = ['admin', 'editor', 'priest', 'parish-priest', 'parishioner'];
-    if (!validRoles.includes(role)) {
+    if (!(await roleService.roleExists(role))) {
       return res.status(400).json({ message: 'Invalid role' });
     }
     
@@ -54,21 +351,55 @@ router.put('/:id/role', authenticate, requireAdminOrParishPriest, async (req, re
       return res.status(403).json({ message: 'You cannot change your own role' });
     }
     
-    const user = await User.findByIdAndUpdate(
-      req.params.id,
+    if (!(await withinOwnPermissions(req.currentUser, role))) {
+      return res.status(403).json({ message: 'You cannot assign a role with more permissions than your own' });
+    }
+    
+    const user = await User.findById(req.params.id).select('role');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    // Nor demote someone whose current role goes beyond your own
+    if (!(await withinOwnPermissions(req.currentUser, user.role))) {
+      return res.status(403).json({ message: 'You cannot change the role of a user with more permissions than your own' });
+    }
+    
+    const updated = await User.findByIdAndUpdate(
+      user._id,
       { role },
       { new: true, runValidators: true }
     ).select('-passwordHash');
     
+    res.json(updated);
+  } catch (error) {
+    res.status(400).json({ message: 'Error updating user role', error: error.message });
+  }
+});
+
+// Unlock a user locked out by failed login attempts (users:manage permission)
+router.put('/:id/unlock', authenticate, requirePermission('users:manage'), auditLog('User', { action: 'user.unlock' }), async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      {
+        failedLoginAttempts: 0,
+        lockoutCount: 0,
+        $unset: { lockedUntil: 1, loginBlockedUntil: 1 }
+      },
+      { new: true }
+    ).select('-passwordHash');
+
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
-    
+
+    authLogger.info({ userId: user._id, unlockedBy: req.user.userId, ip: req.ip }, 'Account unlocked by administrator');
+
     res.json(user);
   } catch (error) {
-    res.status(400).json({ message: 'Error updating user role', error: error.message });
+    res.status(400).json({ message: 'Error unlocking user', error: error.message });
   }
 });
 
 export default router;
-
@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Parishioner, { buildSearchKeys } from '../models/Parishioner.js';
+
+dotenv.config();
+
+// Fills Parishioner.searchKeys (used by the admin search) for records saved before
+// the field existed. New and edited parishioners get their keys automatically.
+// Safe to re-run: keys are recomputed from the current names and phone.
+
+const BATCH_SIZE = 500;
+
+const buildParishionerSearchKeys = async () => {
+  try {
+    const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/parish-website';
+    await mongoose.connect(mongoURI);
+    console.log('Connected to MongoDB');
+
+    let updated = 0;
+    let batch = [];
+    const flush = async () => {
+      if (batch.length) {
+        await Parishioner.bulkWrite(batch);
+        updated += batch.length;
+        batch = [];
+      }
+    };
+
+    const cursor = Parishioner.find().select('firstName lastName phone').lean().cursor();
+    for await (const parishioner of cursor) {
+      batch.push({
+        updateOne: {
+          filter: { _id: parishioner._id },
+          update: { $set: { searchKeys: buildSearchKeys(parishioner) } }
+        }
+      });
+      if (batch.length >= BATCH_SIZE) {
+        await flush();
+      }
+    }
+    await flush();
+
+    console.log(`\nUpdated search keys for ${updated} parishioner(s)`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error building search keys:', error);
+    process.exit(1);
+  }
+};
+
+buildParishionerSearchKeys();
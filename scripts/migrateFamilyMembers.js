@@ -0,0 +1,123 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Household from '../models/Household.js';
+import Parishioner from '../models/Parishioner.js';
+import { migrateIndexes } from '../startup/db.js';
+
+dotenv.config();
+
+// Moves the old embedded Parishioner.familyMembers lists into households.
+// Each parishioner with family members becomes the head of a new household, and
+// every family member becomes a lightweight Parishioner (no user account) in it.
+// Safe to re-run after an interruption: members already in the household are not
+// added again, and the embedded list is removed only once all are migrated.
+// Pass --dry-run to print what would change without writing anything.
+
+// Map free-text relationships onto household roles
+const toHouseholdRole = (relationship = '') => {
+  const value = relationship.trim().toLowerCase();
+  if (['spouse', 'wife', 'husband', 'partner'].includes(value)) {
+    return 'spouse';
+  }
+  if (['child', 'son', 'daughter', 'stepson', 'stepdaughter'].includes(value)) {
+    return 'child';
+  }
+  return 'dependant';
+};
+
+// Split "First Middle Last" into first and last names; single names take the head's last name
+const splitName = (name = '', fallbackLastName) => {
+  const parts = name.trim().split(/\s+/).filter(Boolean);
+  if (parts.length <= 1) {
+    return { firstName: parts[0] || 'Unknown', lastName: fallbackLastName };
+  }
+  return { firstName: parts.slice(0, -1).join(' '), lastName: parts[parts.length - 1] };
+};
+
+const migrateFamilyMembers = async () => {
+  try {
+    const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/parish-website';
+    await mongoose.connect(mongoURI);
+    console.log('Connected to MongoDB');
+
+    const dryRun = process.argv.includes('--dry-run');
+
+    if (!dryRun) {
+      // Members are stored without accounts, which needs the sparse user index
+      // (the server also does this at startup)
+      await migrateIndexes();
+    }
+
+    // familyMembers is no longer part of the schema, so read the raw documents
+    const legacy = await Parishioner.collection
+      .find({ 'familyMembers.0': { $exists: true } })
+      .toArray();
+    console.log(`Found ${legacy.length} parishioner(s) with embedded family members\n`);
+
+    let householdCount = 0;
+    let memberCount = 0;
+    let skippedCount = 0;
+
+    for (const doc of legacy) {
+      console.log(`${doc.firstName} ${doc.lastName} (${doc._id})`);
+
+      let householdId = doc.household;
+      if (!householdId) {
+        if (!dryRun) {
+          const household = await Household.create({
+            name: `${doc.lastName} Household`,
+            address: doc.address,
+            missionStation: doc.missionStation
+          });
+          householdId = household._id;
+          await Parishioner.collection.updateOne(
+            { _id: doc._id },
+            { $set: { household: householdId, householdRole: 'head' } }
+          );
+        }
+        householdCount++;
+        console.log(`  + Household "${doc.lastName} Household" (head)`);
+      }
+
+      for (const member of doc.familyMembers) {
+        const { firstName, lastName } = splitName(member.name, doc.lastName);
+        const householdRole = toHouseholdRole(member.relationship);
+
+        // Left over from an earlier, interrupted run
+        if (householdId && await Parishioner.exists({ household: householdId, firstName, lastName, dateOfBirth: member.dateOfBirth ?? null })) {
+          console.log(`  = ${firstName} ${lastName} is already in the household, skipping`);
+          skippedCount++;
+          continue;
+        }
+
+        console.log(`  + ${firstName} ${lastName} as ${householdRole}${member.relationship ? ` (was "${member.relationship}")` : ''}`);
+
+        if (!dryRun) {
+          await Parishioner.create({
+            firstName,
+            lastName,
+            dateOfBirth: member.dateOfBirth,
+            address: doc.address,
+            missionStation: doc.missionStation,
+            household: householdId,
+            householdRole,
+            notes: member.relationship ? `Migrated family member (relationship: ${member.relationship})` : 'Migrated family member'
+          });
+        }
+        memberCount++;
+      }
+
+      if (!dryRun) {
+        await Parishioner.collection.updateOne({ _id: doc._id }, { $unset: { familyMembers: '' } });
+      }
+    }
+
+    console.log(`\n${dryRun ? 'Would create' : 'Created'} ${householdCount} household(s) and ${memberCount} member record(s)${skippedCount ? `, skipped ${skippedCount} already migrated` : ''}`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating family members:', error);
+    process.exit(1);
+  }
+};
+
+migrateFamilyMembers();
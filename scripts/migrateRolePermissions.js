@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Role from '../models/Role.js';
+import { PERMISSIONS } from '../utils/permissions.js';
+
+dotenv.config();
+
+// Grants built-in roles that were seeded earlier the permissions added to them since.
+// Safe to re-run: a permission a role already has is skipped.
+// Pass --dry-run to print what would change without writing anything.
+
+// Permissions added to DEFAULT_ROLES after the first release, by role
+const ADDED_PERMISSIONS = [
+  { role: 'parish-priest', permission: PERMISSIONS.REPORTS_READ },
+  { role: 'parish-priest', permission: PERMISSIONS.ROTA_CELEBRATE },
+  { role: 'priest', permission: PERMISSIONS.ROTA_CELEBRATE }
+];
+
+const migrateRolePermissions = async () => {
+  try {
+    const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/parish-website';
+    await mongoose.connect(mongoURI);
+    console.log('Connected to MongoDB');
+
+    const dryRun = process.argv.includes('--dry-run');
+    let granted = 0;
+
+    for (const { role: name, permission } of ADDED_PERMISSIONS) {
+      const role = await Role.findOne({ name, isSystem: true });
+      if (!role) {
+        console.log(`Role "${name}" not found, skipping (run \`npm run seed-roles\`)`);
+        continue;
+      }
+      if (role.permissions.includes(permission)) {
+        console.log(`Role "${name}" already has ${permission}`);
+        continue;
+      }
+
+      if (!dryRun) {
+        await Role.updateOne({ _id: role._id }, { $addToSet: { permissions: permission } });
+      }
+      granted++;
+      console.log(`${dryRun ? 'Would grant' : 'Granted'} ${permission} to role "${name}"`);
+    }
+
+    console.log(`\n${dryRun ? 'Dry run: ' : ''}${granted} permission(s) ${dryRun ? 'to grant' : 'granted'}`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating role permissions:', error);
+    process.exit(1);
+  }
+};
+
+migrateRolePermissions();
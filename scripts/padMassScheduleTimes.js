@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import MassSchedule from '../models/MassSchedule.js';
+
+dotenv.config();
+
+// Pads Mass schedule times saved as "H:mm" (e.g. "7:00") before times were
+// normalized to "HH:mm". New and edited schedules are padded automatically.
+// Safe to re-run: times already in "HH:mm" are not matched.
+// Pass --dry-run to print what would change without writing anything.
+
+const padMassScheduleTimes = async () => {
+  try {
+    const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/parish-website';
+    await mongoose.connect(mongoURI);
+    console.log('Connected to MongoDB');
+
+    const dryRun = process.argv.includes('--dry-run');
+
+    const schedules = await MassSchedule.find({ time: /^\d:\d{2}$/ }).select('dayOfWeek time').lean();
+    for (const schedule of schedules) {
+      const time = schedule.time.padStart(5, '0');
+      if (!dryRun) {
+        await MassSchedule.updateOne({ _id: schedule._id }, { $set: { time } });
+      }
+      console.log(`${schedule._id} (${schedule.dayOfWeek}): ${schedule.time} -> ${time}`);
+    }
+
+    console.log(`\n${dryRun ? 'Dry run: ' : ''}${schedules.length} schedule time(s) ${dryRun ? 'to pad' : 'padded'}`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error padding Mass schedule times:', error);
+    process.exit(1);
+  }
+};
+
+padMassScheduleTimes();
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Role from '../models/Role.js';
+import { DEFAULT_ROLES } from '../utils/permissions.js';
+
+dotenv.config();
+
+// Seeds the built-in roles with the rights they had before roles were configurable.
+// Existing roles are left untouched unless --reset is passed.
+const seedRoles = async () => {
+  try {
+    const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/parish-website';
+    await mongoose.connect(mongoURI);
+    console.log('Connected to MongoDB');
+
+    const reset = process.argv[2] === '--reset';
+
+    for (const defaults of DEFAULT_ROLES) {
+      const existing = await Role.findOne({ name: defaults.name });
+
+      if (existing && !reset) {
+        console.log(`Role "${defaults.name}" already exists, skipping`);
+        continue;
+      }
+
+      await Role.findOneAndUpdate(
+        { name: defaults.name },
+        { ...defaults, isSystem: true },
+        { upsert: true, new: true, runValidators: true }
+      );
+      console.log(`${existing ? 'Reset' : 'Created'} role "${defaults.name}" (${defaults.permissions.join(', ') || 'no permissions'})`);
+    }
+
+    console.log('\nRoles seeded successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('Error seeding roles:', error);
+    process.exit(1);
+  }
+};
+
+seedRoles();
@@ -1,11 +1,12 @@
 import express from 'express';
 import { loadConfig } from './startup/config.js';
-import { connectDB } from './startup/db.js';
+import { connectDB, migrateIndexes } from './startup/db.js';
 import { setupCors } from './startup/cors.js';
 import { setupMiddleware } from './startup/middleware.js';
 import { setupRoutes } from './startup/routes.js';
 import { setupScheduler } from './startup/scheduler.js';
 import { errorHandler } from './startup/errorHandler.js';
+import roleService from './services/roleService.js';
 
 // Load configuration
 loadConfig();
@@ -30,6 +31,12 @@ const startServer = async () => {
   try {
     // Connect to database
     await connectDB();
+
+    // Rebuild indexes whose options changed since the database was created
+    await migrateIndexes();
+
+    // Create any built-in role that has not been seeded yet
+    await roleService.ensureDefaultRoles();
     
     // Setup scheduled tasks
     setupScheduler();
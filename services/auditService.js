@@ -0,0 +1,106 @@
+import AuditLog from '../models/AuditLog.js';
+
+// Fields never written to the audit log
+const REDACTED_FIELDS = ['passwordHash', 'twoFactor', 'tokenHash', 'token'];
+
+// Bookkeeping fields that change on every save and are not worth recording
+const IGNORED_FIELDS = ['updatedAt', '__v'];
+
+const DEFAULT_RETENTION_DAYS = 365;
+
+class AuditService {
+  /**
+   * Convert a document to a plain, JSON-safe object with sensitive fields removed
+   * @param {Object|null} doc - Mongoose document or plain object
+   * @returns {Object|null}
+   */
+  sanitize(doc) {
+    if (!doc) {
+      return null;
+    }
+
+    const plain = JSON.parse(JSON.stringify(typeof doc.toObject === 'function' ? doc.toObject() : doc));
+    REDACTED_FIELDS.forEach(field => {
+      if (plain[field] !== undefined) {
+        plain[field] = '[redacted]';
+      }
+    });
+    return plain;
+  }
+
+  /**
+   * Compute the changed top-level fields between two versions of a document
+   * @param {Object|null} before - Sanitized document before the change
+   * @param {Object|null} after - Sanitized document after the change
+   * @returns {{ before: Object|null, after: Object|null }}
+   */
+  diff(before, after) {
+    // Creations and deletions keep the whole document
+    if (!before || !after) {
+      return { before, after };
+    }
+
+    const changedBefore = {};
+    const changedAfter = {};
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    fields.forEach(field => {
+      if (IGNORED_FIELDS.includes(field)) {
+        return;
+      }
+      if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+        changedBefore[field] = before[field] ?? null;
+        changedAfter[field] = after[field] ?? null;
+      }
+    });
+
+    return { before: changedBefore, after: changedAfter };
+  }
+
+  /**
+   * Record an audit log entry
+   * @param {Object} entry
+   * @param {Object} entry.req - Express request (actor, IP and user agent are read from it)
+   * @param {string} entry.action - e.g. 'announcement.update'
+   * @param {string} entry.targetModel - e.g. 'Announcement'
+   * @param {string} entry.targetId - ID of the affected document
+   * @param {Object} entry.before - Document before the change
+   * @param {Object} entry.after - Document after the change
+   * @param {number} entry.statusCode - Response status code
+   * @param {Object} entry.metadata - Extra context
+   * @returns {Promise<Object>} The created audit log entry
+   */
+  async record({ req, action, targetModel, targetId = null, before = null, after = null, statusCode, metadata = {} }) {
+    const changes = this.diff(this.sanitize(before), this.sanitize(after));
+
+    return AuditLog.create({
+      actor: req.user?.userId || null,
+      actorName: req.user?.username || req.user?.email || '',
+      role: req.user?.role || '',
+      action,
+      method: req.method,
+      path: req.originalUrl,
+      targetModel,
+      targetId: targetId ? String(targetId) : null,
+      changes,
+      statusCode,
+      ip: req.ip || req.connection?.remoteAddress || '',
+      userAgent: req.get('user-agent') || '',
+      metadata
+    });
+  }
+
+  /**
+   * Delete entries older than the retention period (AUDIT_LOG_RETENTION_DAYS, default 365)
+   * @returns {Promise<number>} Number of deleted entries
+   */
+  async purgeExpired() {
+    const days = parseInt(process.env.AUDIT_LOG_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS;
+    const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const result = await AuditLog.deleteMany({ createdAt: { $lt: cutoff } });
+    return result.deletedCount;
+  }
+}
+
+export default new AuditService();
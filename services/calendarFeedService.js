@@ -0,0 +1,202 @@
+import MassSchedule from '../models/MassSchedule.js';
+import ScheduleException from '../models/ScheduleException.js';
+import MissionStation from '../models/MissionStation.js';
+import Event from '../models/Event.js';
+import { getFeastsInRange } from '../utils/saintCalendar.js';
+import { DAYS_OF_WEEK, getParishTimezone, toDateKey, addDays, getDayOfWeek } from '../utils/timezone.js';
+import { escapeText, formatUtc, formatDate, formatLocal, buildTimezone, buildCalendar } from '../utils/ical.js';
+
+// Services have no end time; calendars show them as one hour
+const SERVICE_DURATION = 'PT1H';
+const EVENT_DEFAULT_DURATION_MS = 60 * 60 * 1000;
+
+// Years of daylight saving rules to include beyond the current year
+const TIMEZONE_YEARS_AHEAD = 3;
+
+// Building daylight saving rules scans every day of the range; keep one per timezone and years
+const timezoneBlocks = new Map();
+
+const getTimezoneBlock = (timeZone, fromYear, toYear) => {
+  const key = `${timeZone}:${fromYear}-${toYear}`;
+  if (!timezoneBlocks.has(key)) {
+    timezoneBlocks.set(key, buildTimezone(timeZone, fromYear, toYear));
+  }
+  return timezoneBlocks.get(key);
+};
+
+// iCalendar day codes, e.g. sunday -> SU
+const BYDAY = Object.fromEntries(DAYS_OF_WEEK.map(day => [day, day.slice(0, 2).toUpperCase()]));
+
+const slugify = (text) => text.toLowerCase().normalize('NFD').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// First day on or after a calendar day that falls on a weekday
+const firstWeekdayOnOrAfter = (dateKey, dayOfWeek) => {
+  let date = dateKey;
+  while (getDayOfWeek(date) !== dayOfWeek) {
+    date = addDays(date, 1);
+  }
+  return date;
+};
+
+class CalendarFeedService {
+  /**
+   * Domain part of event UIDs, from FRONTEND_URL so UIDs stay the same across deployments
+   * @returns {string}
+   */
+  getUidDomain() {
+    try {
+      return new URL(process.env.FRONTEND_URL || 'http://localhost:3000').hostname;
+    } catch (error) {
+      return 'parish-website';
+    }
+  }
+
+  /**
+   * Weekly services as recurring events. Cancelled days are excluded (EXDATE),
+   * changed days override one occurrence (RECURRENCE-ID) and one-off services
+   * are separate events.
+   * @param {Object} filters
+   * @param {string} filters.missionStation
+   * @param {string} filters.type - e.g. 'Mass'
+   * @returns {Promise<string>} iCalendar text
+   */
+  async massScheduleFeed({ missionStation, type } = {}) {
+    const timeZone = getParishTimezone();
+    const domain = this.getUidDomain();
+
+    const scheduleQuery = { isActive: true };
+    if (missionStation) scheduleQuery.missionStation = missionStation;
+    if (type) scheduleQuery.type = type;
+
+    const [schedules, station] = await Promise.all([
+      MassSchedule.find(scheduleQuery).populate('missionStation', 'name location').sort({ _id: 1 }).lean(),
+      missionStation ? MissionStation.findById(missionStation).select('name').lean() : null
+    ]);
+
+    const exceptionQuery = { $or: [{ massSchedule: { $in: schedules.map(s => s._id) } }, { action: 'add' }] };
+    const exceptions = (await ScheduleException.find(exceptionQuery)
+      .populate('missionStation', 'name location')
+      .sort({ date: 1, _id: 1 })
+      .lean())
+      .filter(e => e.action !== 'add'
+        || ((!missionStation || String(e.missionStation?._id) === String(missionStation)) && (!type || e.type === type)));
+
+    const summary = (service) => (service.description ? `${service.type} - ${service.description}` : service.type);
+    const location = (stationDoc) => [stationDoc?.name, stationDoc?.location].filter(Boolean).join(', ');
+
+    const events = [];
+    const currentYear = Number(toDateKey(new Date(), timeZone).slice(0, 4));
+    let firstYear = currentYear;
+
+    schedules.forEach(schedule => {
+      const uid = `mass-schedule-${schedule._id}@${domain}`;
+      const start = firstWeekdayOnOrAfter(toDateKey(schedule.createdAt, timeZone), schedule.dayOfWeek);
+      firstYear = Math.min(firstYear, Number(start.slice(0, 4)));
+
+      const changes = exceptions.filter(e => String(e.massSchedule) === String(schedule._id)
+        && e.date.toISOString().slice(0, 10) >= start);
+      const cancelled = changes.filter(e => e.action === 'cancel');
+
+      events.push([
+        ['UID', uid],
+        ['DTSTAMP', formatUtc(schedule.updatedAt)],
+        [`DTSTART;TZID=${timeZone}`, formatLocal(start, schedule.time)],
+        ['DURATION', SERVICE_DURATION],
+        ['RRULE', `FREQ=WEEKLY;BYDAY=${BYDAY[schedule.dayOfWeek]}`],
+        ...cancelled.map(e => [`EXDATE;TZID=${timeZone}`, formatLocal(e.date.toISOString().slice(0, 10), schedule.time)]),
+        ['SUMMARY', escapeText(summary(schedule))],
+        ['LOCATION', escapeText(location(schedule.missionStation))]
+      ]);
+
+      changes.filter(e => e.action === 'modify').forEach(e => {
+        const date = e.date.toISOString().slice(0, 10);
+        const notes = [e.reason, e.celebrant?.name && `Celebrant: ${e.celebrant.name}`].filter(Boolean).join('\n');
+        events.push([
+          ['UID', uid],
+          ['DTSTAMP', formatUtc(e.updatedAt)],
+          [`RECURRENCE-ID;TZID=${timeZone}`, formatLocal(date, schedule.time)],
+          [`DTSTART;TZID=${timeZone}`, formatLocal(date, e.time || schedule.time)],
+          ['DURATION', SERVICE_DURATION],
+          ['SUMMARY', escapeText(summary({ type: schedule.type, description: e.description || schedule.description }))],
+          ['LOCATION', escapeText(location(schedule.missionStation))],
+          ...(notes ? [['DESCRIPTION', escapeText(notes)]] : [])
+        ]);
+      });
+    });
+
+    exceptions.filter(e => e.action === 'add').forEach(e => {
+      const date = e.date.toISOString().slice(0, 10);
+      firstYear = Math.min(firstYear, Number(date.slice(0, 4)));
+      const notes = [e.reason, e.celebrant?.name && `Celebrant: ${e.celebrant.name}`].filter(Boolean).join('\n');
+      events.push([
+        ['UID', `schedule-exception-${e._id}@${domain}`],
+        ['DTSTAMP', formatUtc(e.updatedAt)],
+        [`DTSTART;TZID=${timeZone}`, formatLocal(date, e.time)],
+        ['DURATION', SERVICE_DURATION],
+        ['SUMMARY', escapeText(summary(e))],
+        ['LOCATION', escapeText(location(e.missionStation))],
+        ...(notes ? [['DESCRIPTION', escapeText(notes)]] : [])
+      ]);
+    });
+
+    return buildCalendar({
+      name: station ? `Mass Schedule - ${station.name}` : 'Mass Schedule',
+      description: 'Masses, confessions and other services',
+      timezone: getTimezoneBlock(timeZone, firstYear, currentYear + TIMEZONE_YEARS_AHEAD),
+      events
+    });
+  }
+
+  /**
+   * Active parish events
+   * @returns {Promise<string>} iCalendar text
+   */
+  async eventsFeed() {
+    const domain = this.getUidDomain();
+    const parishEvents = await Event.find({ isActive: true }).sort({ startDate: 1, _id: 1 }).lean();
+
+    const events = parishEvents.map(event => {
+      const end = event.endDate && event.endDate > event.startDate
+        ? event.endDate
+        : new Date(event.startDate.getTime() + EVENT_DEFAULT_DURATION_MS);
+      return [
+        ['UID', `event-${event._id}@${domain}`],
+        ['DTSTAMP', formatUtc(event.updatedAt)],
+        ['DTSTART', formatUtc(event.startDate)],
+        ['DTEND', formatUtc(end)],
+        ['SUMMARY', escapeText(event.title)],
+        ...(event.location ? [['LOCATION', escapeText(event.location)]] : []),
+        ['DESCRIPTION', escapeText(event.description)]
+      ];
+    });
+
+    return buildCalendar({ name: 'Parish Events', events });
+  }
+
+  /**
+   * Saints and feasts for this year and next, as all-day events
+   * @returns {string} iCalendar text
+   */
+  feastsFeed() {
+    const domain = this.getUidDomain();
+    const year = new Date().getFullYear();
+    // Stays the same all year so the feed only changes when the year does
+    const stamp = formatUtc(new Date(Date.UTC(year, 0, 1)));
+
+    const events = getFeastsInRange(new Date(year, 0, 1), new Date(year + 1, 11, 31))
+      .flatMap(({ date, saints }) => saints.map(saint => [
+        ['UID', `feast-${date}-${slugify(saint.name)}@${domain}`],
+        ['DTSTAMP', stamp],
+        ['DTSTART;VALUE=DATE', formatDate(date)],
+        ['DTEND;VALUE=DATE', formatDate(addDays(date, 1))],
+        ['SUMMARY', escapeText(saint.name)],
+        ...(saint.description ? [['DESCRIPTION', escapeText(saint.description)]] : []),
+        ...(saint.type ? [['CATEGORIES', escapeText(saint.type)]] : []),
+        ['TRANSP', 'TRANSPARENT']
+      ]));
+
+    return buildCalendar({ name: 'Saints and Feasts', events });
+  }
+}
+
+export default new CalendarFeedService();
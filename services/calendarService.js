@@ -0,0 +1,126 @@
+import Event from '../models/Event.js';
+import LiturgicalColorOverride from '../models/LiturgicalColorOverride.js';
+import massScheduleService from './massScheduleService.js';
+import { getLiturgicalColor, getLiturgicalSeason } from '../utils/liturgicalCalendar.js';
+import { getSaintsForDate } from '../utils/saintCalendar.js';
+import { getParishTimezone, toDateKey, addDays, getDayOfWeek, zonedTimeToDate } from '../utils/timezone.js';
+
+export const CALENDAR_SECTIONS = ['liturgical', 'saints', 'services', 'events'];
+
+// Longest range returned in one request
+export const MAX_CALENDAR_DAYS = 366;
+
+const CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+const MAX_CACHED_RANGES = 100;
+
+// The liturgical and saint calendars work on local-midnight Dates
+const toLocalDate = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+const localDateKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+class CalendarService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  /**
+   * Clear the cache (call after changing events, the Mass schedule, its
+   * exceptions, mission stations or liturgical color overrides)
+   */
+  invalidate() {
+    this.cache.clear();
+  }
+
+  /**
+   * Day-by-day parish calendar, cached per range and filters
+   * @param {Object} options
+   * @param {string} options.from - First day, 'YYYY-MM-DD' in the parish timezone
+   * @param {string} options.to - Last day (inclusive)
+   * @param {string} options.missionStation - Only services at this mission station
+   * @param {string} options.type - Only this service type (Mass, Confession, ...)
+   * @param {string[]} options.include - Sections to fill in (default all of CALENDAR_SECTIONS)
+   * @returns {Promise<Object>} { from, to, timezone, days: [{ date, dayOfWeek, liturgical, saints, services, events }] }
+   */
+  async getCalendar({ from, to, missionStation, type, include = CALENDAR_SECTIONS }) {
+    const key = JSON.stringify([from, to, missionStation || null, type || null, [...include].sort()]);
+    const cached = this.cache.get(key);
+    if (cached && Date.now() < cached.expiresAt) {
+      return cached.calendar;
+    }
+
+    const calendar = await this.buildCalendar({ from, to, missionStation, type, include });
+
+    // Drop the oldest range once the cache is full (Maps keep insertion order)
+    this.cache.delete(key);
+    if (this.cache.size >= MAX_CACHED_RANGES) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(key, { calendar, expiresAt: Date.now() + CACHE_TTL_MS });
+
+    return calendar;
+  }
+
+  /**
+   * Build the calendar without the cache (see getCalendar)
+   * @returns {Promise<Object>}
+   */
+  async buildCalendar({ from, to, missionStation, type, include }) {
+    const timeZone = getParishTimezone();
+    const rangeStart = zonedTimeToDate(from, '00:00', timeZone);
+    const rangeEnd = zonedTimeToDate(addDays(to, 1), '00:00', timeZone);
+
+    const [overrides, occurrences, events] = await Promise.all([
+      include.includes('liturgical')
+        ? LiturgicalColorOverride.find({ date: { $gte: toLocalDate(from), $lte: toLocalDate(to) } }).lean()
+        : [],
+      include.includes('services')
+        ? massScheduleService.getOccurrences({ from, to, missionStation, type })
+        : [],
+      include.includes('events')
+        ? Event.find({
+          isActive: true,
+          startDate: { $lt: rangeEnd },
+          $or: [{ endDate: { $gte: rangeStart } }, { startDate: { $gte: rangeStart } }]
+        }).sort({ startDate: 1 }).lean()
+        : []
+    ]);
+
+    const overridesByDate = new Map(overrides.map(override => [localDateKey(override.date), override]));
+
+    const days = [];
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+      const day = { date, dayOfWeek: getDayOfWeek(date) };
+      const localDate = toLocalDate(date);
+
+      if (include.includes('liturgical')) {
+        const color = await getLiturgicalColor(localDate, overridesByDate.get(date) || false);
+        day.liturgical = {
+          color: color.name,
+          hex: color.hex,
+          tailwind: color.tailwind,
+          season: getLiturgicalSeason(localDate)
+        };
+      }
+      if (include.includes('saints')) {
+        day.saints = getSaintsForDate(localDate).filter(saint => saint.type !== 'none' && saint.type !== 'ordinary');
+      }
+      if (include.includes('services')) {
+        day.services = occurrences.filter(occurrence => occurrence.date === date);
+      }
+      if (include.includes('events')) {
+        // Multi-day events appear on each day they run
+        day.events = events.filter(event => toDateKey(event.startDate, timeZone) <= date
+          && toDateKey(event.endDate || event.startDate, timeZone) >= date);
+      }
+
+      days.push(day);
+    }
+
+    return { from, to, timezone: timeZone, days };
+  }
+}
+
+export default new CalendarService();
@@ -0,0 +1,282 @@
+import mongoose from 'mongoose';
+import ExcelJS from 'exceljs';
+import Parishioner, { GENDERS } from '../models/Parishioner.js';
+import MissionStation from '../models/MissionStation.js';
+import { PARISHIONER_SUMMARY_SACRAMENTS } from '../models/SacramentRecord.js';
+import { getZonedParts, toDateKey, zonedTimeToDate } from '../utils/timezone.js';
+
+// Lower bound of each age band; the last band is open-ended
+export const AGE_BANDS = [
+  { label: '0-12', min: 0 },
+  { label: '13-17', min: 13 },
+  { label: '18-35', min: 18 },
+  { label: '36-59', min: 36 },
+  { label: '60+', min: 60 }
+];
+
+const UNKNOWN = 'unknown';
+
+// Birth, death and sacrament dates are calendar days (midnight UTC); compare them
+// with the census date's day in the parish timezone
+const calendarDay = (asOf) => new Date(`${toDateKey(asOf)}T00:00:00Z`);
+
+// Whole years between two dates (a birthday later in the year has not happened yet)
+const ageAt = (day) => ({
+  $cond: [
+    { $eq: [{ $ifNull: ['$dateOfBirth', null] }, null] },
+    null,
+    {
+      $subtract: [
+        { $subtract: [day.getUTCFullYear(), { $year: '$dateOfBirth' }] },
+        {
+          $cond: [
+            {
+              $gt: [
+                { $add: [{ $multiply: [{ $month: '$dateOfBirth' }, 100] }, { $dayOfMonth: '$dateOfBirth' }] },
+                (day.getUTCMonth() + 1) * 100 + day.getUTCDate()
+              ]
+            },
+            1,
+            0
+          ]
+        }
+      ]
+    }
+  ]
+});
+
+// 1 when the sacrament had been received by the census day
+const receivedBy = (sacrament, day) => ({
+  $cond: [
+    {
+      $and: [
+        { $ne: [{ $ifNull: [`$sacraments.${sacrament}.date`, null] }, null] },
+        { $lte: [`$sacraments.${sacrament}.date`, day] }
+      ]
+    },
+    1,
+    0
+  ]
+});
+
+const sacramentSums = (day) => Object.fromEntries(
+  PARISHIONER_SUMMARY_SACRAMENTS.map(sacrament => [sacrament, { $sum: receivedBy(sacrament, day) }])
+);
+
+const delta = (count = 0, previous = 0) => ({ count, previous, change: count - previous });
+
+class CensusService {
+  /**
+   * Current year in the parish timezone
+   * @returns {number}
+   */
+  getCurrentYear() {
+    return getZonedParts(new Date()).year;
+  }
+
+  /**
+   * Census date for a year: now for the current year, otherwise the last moment
+   * of 31 December in the parish timezone
+   * @param {number} year
+   * @returns {Date}
+   */
+  getCensusDate(year) {
+    if (year >= this.getCurrentYear()) {
+      return new Date();
+    }
+    return new Date(zonedTimeToDate(`${year + 1}-01-01`, '00:00').getTime() - 1);
+  }
+
+  /**
+   * Aggregate active parishioners registered by a date.
+   * Registration date (createdAt) and date of death decide who is counted in earlier
+   * years. Only the current isActive flag is stored, so records deactivated or merged
+   * since are left out of every year, including the previous one.
+   * @param {Date} asOf
+   * @param {Object} filters
+   * @param {string} filters.missionStation - Limit to one mission station
+   * @returns {Promise<Object>} Raw facet results
+   */
+  async aggregate(asOf, { missionStation } = {}) {
+    const day = calendarDay(asOf);
+    const match = {
+      mergedInto: null,
+      isActive: true,
+      createdAt: { $lte: asOf },
+      // People who died after the census day are still counted for that year
+      $or: [{ dateOfDeath: null }, { dateOfDeath: { $gt: day } }]
+    };
+    if (missionStation) {
+      match.missionStation = new mongoose.Types.ObjectId(missionStation);
+    }
+
+    const [result] = await Parishioner.aggregate([
+      { $match: match },
+      { $addFields: { age: ageAt(day) } },
+      {
+        $facet: {
+          totals: [
+            { $group: { _id: null, parishioners: { $sum: 1 }, ...sacramentSums(day) } }
+          ],
+          byMissionStation: [
+            { $group: { _id: '$missionStation', parishioners: { $sum: 1 }, ...sacramentSums(day) } }
+          ],
+          byAgeBand: [
+            {
+              $bucket: {
+                groupBy: '$age',
+                boundaries: [...AGE_BANDS.map(band => band.min), Number.MAX_SAFE_INTEGER],
+                default: UNKNOWN,
+                output: { parishioners: { $sum: 1 } }
+              }
+            }
+          ],
+          byGender: [
+            { $group: { _id: { $ifNull: ['$gender', UNKNOWN] }, parishioners: { $sum: 1 } } }
+          ],
+          households: [
+            { $match: { household: { $ne: null } } },
+            { $group: { _id: '$household', members: { $sum: 1 } } },
+            { $group: { _id: null, households: { $sum: 1 }, members: { $sum: '$members' } } }
+          ]
+        }
+      }
+    ]);
+
+    return result;
+  }
+
+  /**
+   * Build the census report for a year with changes since the previous year
+   * @param {Object} options
+   * @param {number} options.year - Census year (default current year)
+   * @param {string} options.missionStation - Limit to one mission station
+   * @returns {Promise<Object>} Every figure is { count, previous, change }
+   */
+  async getReport({ year = this.getCurrentYear(), missionStation } = {}) {
+    const asOf = this.getCensusDate(year);
+    const previousAsOf = this.getCensusDate(year - 1);
+
+    const [current, previous, stations] = await Promise.all([
+      this.aggregate(asOf, { missionStation }),
+      this.aggregate(previousAsOf, { missionStation }),
+      MissionStation.find().select('name').lean()
+    ]);
+
+    const totalsNow = current.totals[0] || {};
+    const totalsBefore = previous.totals[0] || {};
+    const householdsNow = current.households[0] || {};
+    const householdsBefore = previous.households[0] || {};
+
+    const sacramentFigures = (now, before) => Object.fromEntries(PARISHIONER_SUMMARY_SACRAMENTS.map(sacrament => [
+      sacrament,
+      {
+        received: delta(now[sacrament], before[sacrament]),
+        missing: delta(
+          (now.parishioners || 0) - (now[sacrament] || 0),
+          (before.parishioners || 0) - (before[sacrament] || 0)
+        )
+      }
+    ]));
+
+    // Combine current and previous rows of a facet by their _id
+    const byKey = (rowsNow, rowsBefore) => {
+      const keyed = new Map();
+      rowsNow.forEach(row => keyed.set(String(row._id), { now: row, before: {} }));
+      rowsBefore.forEach(row => {
+        const key = String(row._id);
+        keyed.set(key, { now: keyed.get(key)?.now || {}, before: row });
+      });
+      return keyed;
+    };
+
+    const stationNames = new Map(stations.map(s => [String(s._id), s.name]));
+    const byMissionStation = [...byKey(current.byMissionStation, previous.byMissionStation)]
+      .map(([id, { now, before }]) => ({
+        missionStation: id === 'null' ? null : { _id: id, name: stationNames.get(id) || null },
+        parishioners: delta(now.parishioners, before.parishioners),
+        sacraments: sacramentFigures(now, before)
+      }))
+      .sort((a, b) => (a.missionStation?.name || '~').localeCompare(b.missionStation?.name || '~'));
+
+    const ageBands = byKey(current.byAgeBand, previous.byAgeBand);
+    const byAgeBand = [...AGE_BANDS.map(band => ({ key: String(band.min), label: band.label })), { key: UNKNOWN, label: UNKNOWN }]
+      .map(({ key, label }) => ({
+        band: label,
+        parishioners: delta(ageBands.get(key)?.now.parishioners, ageBands.get(key)?.before.parishioners)
+      }));
+
+    const genders = byKey(current.byGender, previous.byGender);
+    const byGender = [...GENDERS, UNKNOWN].map(gender => ({
+      gender,
+      parishioners: delta(genders.get(gender)?.now.parishioners, genders.get(gender)?.before.parishioners)
+    }));
+
+    const averageSize = (households) => (households.households
+      ? Math.round((households.members / households.households) * 10) / 10
+      : 0);
+
+    return {
+      year,
+      asOf,
+      previousYear: year - 1,
+      previousAsOf,
+      missionStation: missionStation || null,
+      totals: {
+        parishioners: delta(totalsNow.parishioners, totalsBefore.parishioners),
+        households: delta(householdsNow.households, householdsBefore.households),
+        parishionersInHouseholds: delta(householdsNow.members, householdsBefore.members),
+        averageHouseholdSize: {
+          count: averageSize(householdsNow),
+          previous: averageSize(householdsBefore),
+          change: Math.round((averageSize(householdsNow) - averageSize(householdsBefore)) * 10) / 10
+        }
+      },
+      sacraments: sacramentFigures(totalsNow, totalsBefore),
+      byMissionStation,
+      byAgeBand,
+      byGender
+    };
+  }
+
+  /**
+   * Flatten a census report into a CSV file (one figure per row)
+   * @param {Object} report - From getReport()
+   * @returns {Promise<Buffer>}
+   */
+  async toCsv(report) {
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Census');
+
+    worksheet.columns = [
+      { header: 'Section', key: 'section' },
+      { header: 'Group', key: 'group' },
+      { header: 'Measure', key: 'measure' },
+      { header: String(report.year), key: 'count' },
+      { header: String(report.previousYear), key: 'previous' },
+      { header: 'Change', key: 'change' }
+    ];
+
+    const addRow = (section, group, measure, figure) => worksheet.addRow({ section, group, measure, ...figure });
+    const addSacraments = (section, group, sacraments) => {
+      Object.entries(sacraments).forEach(([sacrament, { received, missing }]) => {
+        addRow(section, group, `${sacrament} received`, received);
+        addRow(section, group, `${sacrament} missing`, missing);
+      });
+    };
+
+    Object.entries(report.totals).forEach(([measure, figure]) => addRow('Totals', 'All', measure, figure));
+    addSacraments('Sacraments', 'All', report.sacraments);
+    report.byMissionStation.forEach(({ missionStation, parishioners, sacraments }) => {
+      const station = missionStation?.name || 'No mission station';
+      addRow('Mission station', station, 'parishioners', parishioners);
+      addSacraments('Mission station', station, sacraments);
+    });
+    report.byAgeBand.forEach(({ band, parishioners }) => addRow('Age band', band, 'parishioners', parishioners));
+    report.byGender.forEach(({ gender, parishioners }) => addRow('Gender', gender, 'parishioners', parishioners));
+
+    return Buffer.from(await workbook.csv.writeBuffer());
+  }
+}
+
+export default new CensusService();
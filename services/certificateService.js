@@ -0,0 +1,265 @@
+import Certificate from '../models/Certificate.js';
+import SacramentRecord from '../models/SacramentRecord.js';
+import { generateVerificationCode } from '../utils/tokens.js';
+
+// Wording for each sacrament
+const SACRAMENT_TEXT = {
+  baptism: { title: 'Certificate of Baptism', received: 'was solemnly baptized', sponsors: 'Godparents', register: 'Baptismal Register' },
+  firstCommunion: { title: 'Certificate of First Holy Communion', received: 'received First Holy Communion', sponsors: 'Sponsors', register: 'First Communion Register' },
+  confirmation: { title: 'Certificate of Confirmation', received: 'received the Sacrament of Confirmation', sponsors: 'Sponsor', register: 'Confirmation Register' },
+  marriage: { title: 'Certificate of Marriage', received: 'was united in Holy Matrimony', sponsors: 'Sponsors', register: 'Marriage Register' },
+  holyOrders: { title: 'Certificate of Ordination', received: 'received the Sacrament of Holy Orders', sponsors: 'Sponsors', register: 'Register of Ordinations' },
+  anointing: { title: 'Certificate of Anointing of the Sick', received: 'received the Anointing of the Sick', sponsors: 'Sponsors', register: 'Register of the Sick' }
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Sacrament dates are stored as calendar days (midnight UTC)
+const formatDate = (date) => (date
+  ? new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' })
+  : '');
+
+class CertificateService {
+  /**
+   * Parish details printed on certificates, from the PARISH_* environment variables
+   * @returns {Object}
+   */
+  getSettings() {
+    return {
+      parishName: process.env.PARISH_NAME || 'Parish Website',
+      parishAddress: process.env.PARISH_ADDRESS || '',
+      diocese: process.env.PARISH_DIOCESE || '',
+      sealUrl: process.env.PARISH_SEAL_URL || '',
+      signatory: process.env.PARISH_PRIEST_NAME || '',
+      verifyUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/certificates/verify`
+    };
+  }
+
+  /**
+   * Collect what a certificate should say about a parishioner's sacrament.
+   * Prefers the earliest register entry; falls back to the date/location
+   * summary on the parishioner.
+   * @param {Object} parishioner - Parishioner document
+   * @param {string} sacrament - e.g. 'baptism'
+   * @returns {Promise<{ record: Object|null, details: Object }|null>} null when nothing is recorded
+   */
+  async getSacramentDetails(parishioner, sacrament) {
+    const record = await SacramentRecord.findOne({ parishioner: parishioner._id, sacrament }).sort({ date: 1 });
+
+    if (record) {
+      return {
+        record,
+        details: {
+          name: `${record.person.firstName} ${record.person.lastName}`,
+          date: record.date,
+          location: record.location,
+          minister: record.minister?.name,
+          register: record.register
+            ? { book: record.register.book, page: record.register.page, entry: record.register.entry }
+            : undefined
+        }
+      };
+    }
+
+    const summary = parishioner.sacraments?.[sacrament];
+    if (!summary?.date) {
+      return null;
+    }
+
+    return {
+      record: null,
+      details: {
+        name: `${parishioner.firstName} ${parishioner.lastName}`,
+        date: summary.date,
+        location: summary.location
+      }
+    };
+  }
+
+  /**
+   * Issue a certificate, reusing the last valid one when the printed details have not changed
+   * so reprints keep the same verification code
+   * @param {Object} options
+   * @param {Object} options.parishioner - Parishioner document
+   * @param {string} options.sacrament
+   * @param {Object|null} options.record - SacramentRecord the details came from
+   * @param {Object} options.details - From getSacramentDetails
+   * @param {string} options.issuedBy - User ID
+   * @returns {Promise<{ certificate: Object, reused: boolean }>}
+   */
+  async issue({ parishioner, sacrament, record, details, issuedBy }) {
+    const previous = await Certificate.findOne({ parishioner: parishioner._id, sacrament, revokedAt: null })
+      .sort({ createdAt: -1 });
+
+    if (previous && JSON.stringify(this.comparableDetails(previous.details)) === JSON.stringify(this.comparableDetails(details))) {
+      return { certificate: previous, reused: true };
+    }
+
+    // Codes are random; retry on the (very unlikely) collision
+    for (let attempt = 0; attempt < 5; attempt++) {
+      try {
+        const certificate = await Certificate.create({
+          code: generateVerificationCode(),
+          parishioner: parishioner._id,
+          sacrament,
+          sacramentRecord: record?._id || null,
+          details,
+          issuedBy
+        });
+        return { certificate, reused: false };
+      } catch (error) {
+        if (error.code !== 11000) {
+          throw error;
+        }
+      }
+    }
+    throw new Error('Could not generate a unique verification code');
+  }
+
+  /**
+   * The certificate last issued for a parishioner's sacrament, if it has not been revoked
+   * @param {string} parishionerId
+   * @param {string} sacrament
+   * @returns {Promise<{ certificate: Object, record: Object|null }|null>}
+   */
+  async findCurrent(parishionerId, sacrament) {
+    const certificate = await Certificate.findOne({ parishioner: parishionerId, sacrament, revokedAt: null })
+      .sort({ createdAt: -1 });
+    if (!certificate) {
+      return null;
+    }
+
+    const record = certificate.sacramentRecord
+      ? await SacramentRecord.findById(certificate.sacramentRecord)
+      : null;
+    return { certificate, record };
+  }
+
+  // Normalize stored and freshly built details so they can be compared
+  comparableDetails(details) {
+    return {
+      name: details.name,
+      date: new Date(details.date).toISOString(),
+      location: details.location || null,
+      minister: details.minister || null,
+      register: details.register?.book
+        ? { book: details.register.book, page: details.register.page, entry: details.register.entry }
+        : null
+    };
+  }
+
+  /**
+   * Render a print-ready HTML certificate (A4, print to PDF from the browser)
+   * @param {Object} options
+   * @param {Object} options.certificate - Certificate document
+   * @param {Object|null} options.record - SacramentRecord with sponsors, parents, notes
+   * @returns {string} HTML document
+   */
+  renderHtml({ certificate, record }) {
+    const settings = this.getSettings();
+    const text = SACRAMENT_TEXT[certificate.sacrament];
+    const { details } = certificate;
+
+    const rows = [];
+    if (record?.person?.dateOfBirth) {
+      const place = record.person.placeOfBirth ? ` at ${escapeHtml(record.person.placeOfBirth)}` : '';
+      rows.push(['Born', `${formatDate(record.person.dateOfBirth)}${place}`]);
+    }
+    if (record?.parents?.father || record?.parents?.mother) {
+      rows.push(['Parents', [record.parents.father, record.parents.mother].filter(Boolean).map(escapeHtml).join(' and ')]);
+    }
+    if (record?.spouse?.name) {
+      rows.push(['Spouse', escapeHtml(record.spouse.name)]);
+    }
+    if (record?.order) {
+      rows.push(['Order', escapeHtml(record.order)]);
+    }
+    rows.push(['Date', formatDate(details.date)]);
+    if (details.location) {
+      rows.push(['Place', escapeHtml(details.location)]);
+    }
+    if (details.minister) {
+      rows.push(['Minister', escapeHtml(details.minister)]);
+    }
+    if (record?.sponsors?.length) {
+      rows.push([text.sponsors, record.sponsors.map(s => escapeHtml(s.name)).join(', ')]);
+    }
+    if (record?.witnesses?.length) {
+      rows.push(['Witnesses', record.witnesses.map(w => escapeHtml(w.name)).join(', ')]);
+    }
+
+    const registerLine = details.register?.book
+      ? `<p class="register">As appears in the ${text.register}, Book ${escapeHtml(details.register.book)}, Page ${details.register.page}, Entry ${details.register.entry}.</p>`
+      : '';
+
+    const notes = record?.marginalNotes?.length
+      ? `<div class="notes"><h3>Notations</h3><ul>${record.marginalNotes.map(n => `<li>${formatDate(n.date)}: ${escapeHtml(n.note)}</li>`).join('')}</ul></div>`
+      : '';
+
+    const seal = settings.sealUrl
+      ? `<img class="seal" src="${escapeHtml(settings.sealUrl)}" alt="Parish seal">`
+      : '<div class="seal seal-placeholder">Seal</div>';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${text.title} - ${escapeHtml(details.name)}</title>
+  <style>
+    @page { size: A4; margin: 20mm; }
+    body { font-family: Georgia, 'Times New Roman', serif; color: #1a202c; max-width: 170mm; margin: 0 auto; }
+    .certificate { border: 3px double #1a365d; padding: 24px 32px; }
+    header { text-align: center; }
+    header h1 { margin: 0; font-size: 22px; color: #1a365d; }
+    header p { margin: 4px 0; font-size: 13px; }
+    h2 { text-align: center; font-size: 26px; margin: 24px 0 8px; letter-spacing: 1px; }
+    .statement { text-align: center; font-size: 16px; margin-bottom: 20px; }
+    .statement strong { font-size: 20px; }
+    table { width: 100%; border-collapse: collapse; font-size: 15px; }
+    th { text-align: left; width: 30%; padding: 6px 8px; vertical-align: top; color: #4a5568; font-weight: normal; }
+    td { padding: 6px 8px; border-bottom: 1px dotted #a0aec0; }
+    .register { font-style: italic; margin-top: 16px; }
+    .notes h3 { font-size: 15px; margin-bottom: 4px; }
+    .notes ul { margin: 0; padding-left: 20px; font-size: 14px; }
+    .signature { display: flex; justify-content: space-between; align-items: flex-end; margin-top: 40px; }
+    .seal { width: 110px; height: 110px; object-fit: contain; }
+    .seal-placeholder { border: 1px dashed #a0aec0; border-radius: 50%; display: flex; align-items: center; justify-content: center; color: #a0aec0; }
+    .signature-line { text-align: center; min-width: 220px; border-top: 1px solid #1a202c; padding-top: 4px; font-size: 14px; }
+    .verification { margin-top: 24px; font-size: 12px; color: #4a5568; text-align: center; }
+    .verification code { font-size: 14px; color: #1a202c; letter-spacing: 1px; }
+  </style>
+</head>
+<body>
+  <div class="certificate">
+    <header>
+      ${settings.diocese ? `<p>${escapeHtml(settings.diocese)}</p>` : ''}
+      <h1>${escapeHtml(settings.parishName)}</h1>
+      ${settings.parishAddress ? `<p>${escapeHtml(settings.parishAddress)}</p>` : ''}
+    </header>
+    <h2>${text.title}</h2>
+    <p class="statement">This is to certify that<br><strong>${escapeHtml(details.name)}</strong><br>${text.received}</p>
+    <table>
+      ${rows.map(([label, value]) => `<tr><th>${label}</th><td>${value}</td></tr>`).join('\n      ')}
+    </table>
+    ${registerLine}
+    ${notes}
+    <div class="signature">
+      ${seal}
+      <div class="signature-line">${settings.signatory ? `${escapeHtml(settings.signatory)}<br>` : ''}Parish Priest</div>
+    </div>
+    <p class="verification">
+      Issued ${formatDate(certificate.createdAt)} &middot; Verification code <code>${escapeHtml(certificate.code)}</code><br>
+      Verify this certificate at ${escapeHtml(settings.verifyUrl)}
+    </p>
+  </div>
+</body>
+</html>`;
+  }
+}
+
+export default new CertificateService();
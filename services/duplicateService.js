@@ -0,0 +1,308 @@
+import Parishioner from '../models/Parishioner.js';
+import DuplicateCandidate from '../models/DuplicateCandidate.js';
+import SacramentRecord, { PARISHIONER_SUMMARY_SACRAMENTS } from '../models/SacramentRecord.js';
+import Certificate from '../models/Certificate.js';
+import FuneralRecord from '../models/FuneralRecord.js';
+import MarriageCase from '../models/MarriageCase.js';
+import Donation from '../models/Donation.js';
+import User from '../models/User.js';
+import { normalizeName, normalizePhone, similarity } from '../utils/stringSimilarity.js';
+
+const DEFAULT_MIN_SCORE = 60;
+
+// Names must be at least this similar before other signals are considered,
+// so relatives sharing a phone, household or birthday are not flagged
+const MIN_NAME_SIMILARITY = 0.8;
+
+// Skip blocks this large (e.g. a shared office phone number); they produce noise, not duplicates
+const MAX_BLOCK_SIZE = 500;
+
+const POINTS = {
+  name: 45,
+  phone: 30,
+  dateOfBirth: 25,
+  dateOfBirthConflict: -40,
+  household: 10
+};
+
+const sameDay = (a, b) => new Date(a).toISOString().slice(0, 10) === new Date(b).toISOString().slice(0, 10);
+
+class DuplicateService {
+  /**
+   * Minimum score for a pair to be queued for review (DUPLICATE_MIN_SCORE, default 60)
+   * @returns {number}
+   */
+  getMinScore() {
+    return parseInt(process.env.DUPLICATE_MIN_SCORE) || DEFAULT_MIN_SCORE;
+  }
+
+  /**
+   * Score how likely two parishioners are the same person
+   * @param {Object} a - Parishioner (firstName, lastName, phone, dateOfBirth, household)
+   * @param {Object} b
+   * @returns {{ score: number, reasons: Object[] }} score 0-100
+   */
+  scorePair(a, b) {
+    const reasons = [];
+
+    const nameA = normalizeName(`${a.firstName} ${a.lastName}`);
+    const nameB = normalizeName(`${b.firstName} ${b.lastName}`);
+    const swappedB = normalizeName(`${b.lastName} ${b.firstName}`);
+    const nameSimilarity = Math.max(similarity(nameA, nameB), similarity(nameA, swappedB));
+
+    if (nameSimilarity < MIN_NAME_SIMILARITY) {
+      return { score: 0, reasons };
+    }
+
+    const namePoints = nameSimilarity === 1 ? POINTS.name : Math.round(POINTS.name * nameSimilarity) - 5;
+    reasons.push({
+      type: 'name',
+      detail: nameSimilarity === 1 ? 'Same name' : `Similar names (${Math.round(nameSimilarity * 100)}%)`,
+      points: namePoints
+    });
+
+    const phoneA = normalizePhone(a.phone || '');
+    if (phoneA.length >= 7 && phoneA === normalizePhone(b.phone || '')) {
+      reasons.push({ type: 'phone', detail: 'Same phone number', points: POINTS.phone });
+    }
+
+    if (a.dateOfBirth && b.dateOfBirth) {
+      reasons.push(sameDay(a.dateOfBirth, b.dateOfBirth)
+        ? { type: 'dateOfBirth', detail: 'Same date of birth', points: POINTS.dateOfBirth }
+        : { type: 'dateOfBirth', detail: 'Different dates of birth', points: POINTS.dateOfBirthConflict });
+    }
+
+    if (a.household && b.household && String(a.household) === String(b.household)) {
+      reasons.push({ type: 'household', detail: 'Same household', points: POINTS.household });
+    }
+
+    const score = reasons.reduce((sum, reason) => sum + reason.points, 0);
+    return { score: Math.max(0, Math.min(100, score)), reasons };
+  }
+
+  /**
+   * Find likely duplicate pairs. Only people sharing a phone number, date of birth,
+   * household or similar-looking name are compared, instead of every possible pair.
+   * @param {Object[]} parishioners
+   * @returns {Object[]} [{ ids: [id, id], score, reasons }] at or above the minimum score
+   */
+  findCandidates(parishioners) {
+    const blocks = new Map();
+    const addToBlock = (key, index) => {
+      if (!blocks.has(key)) blocks.set(key, []);
+      blocks.get(key).push(index);
+    };
+
+    parishioners.forEach((p, index) => {
+      const first = normalizeName(p.firstName).replace(/\s/g, '');
+      const last = normalizeName(p.lastName).replace(/\s/g, '');
+      addToBlock(`name:${last.slice(0, 3)}${first.slice(0, 1)}`, index);
+      addToBlock(`name:${first.slice(0, 3)}${last.slice(0, 1)}`, index); // first and last swapped
+
+      const phone = normalizePhone(p.phone || '');
+      if (phone.length >= 7) addToBlock(`phone:${phone}`, index);
+      if (p.dateOfBirth) addToBlock(`dob:${new Date(p.dateOfBirth).toISOString().slice(0, 10)}`, index);
+      if (p.household) addToBlock(`household:${p.household}`, index);
+    });
+
+    const minScore = this.getMinScore();
+    const seen = new Set();
+    const candidates = [];
+
+    blocks.forEach(members => {
+      if (members.length < 2 || members.length > MAX_BLOCK_SIZE) {
+        return;
+      }
+      for (let i = 0; i < members.length; i++) {
+        for (let j = i + 1; j < members.length; j++) {
+          const ids = [String(parishioners[members[i]]._id), String(parishioners[members[j]]._id)].sort();
+          const key = ids.join('|');
+          if (seen.has(key)) continue;
+          seen.add(key);
+
+          const { score, reasons } = this.scorePair(parishioners[members[i]], parishioners[members[j]]);
+          if (score >= minScore) {
+            candidates.push({ ids, score, reasons });
+          }
+        }
+      }
+    });
+
+    return candidates;
+  }
+
+  /**
+   * Scan all parishioners and refresh the review queue.
+   * Dismissed and merged pairs are never re-queued; pending pairs that no longer
+   * score high enough are removed.
+   * @returns {Promise<Object>} Counts of scanned parishioners and queue changes
+   */
+  async scan() {
+    const parishioners = await Parishioner.find({ mergedInto: null })
+      .select('firstName lastName phone dateOfBirth household')
+      .lean();
+    const candidates = this.findCandidates(parishioners);
+
+    const existing = await DuplicateCandidate.find().select('parishioners status').lean();
+    const existingByKey = new Map(existing.map(c => [c.parishioners.map(String).join('|'), c]));
+    const now = new Date();
+
+    let created = 0;
+    let updated = 0;
+    const found = new Set();
+
+    for (const candidate of candidates) {
+      const key = candidate.ids.join('|');
+      found.add(key);
+      const current = existingByKey.get(key);
+
+      if (!current) {
+        await DuplicateCandidate.create({
+          parishioners: candidate.ids,
+          score: candidate.score,
+          reasons: candidate.reasons,
+          lastDetectedAt: now
+        });
+        created++;
+      } else if (current.status === 'pending') {
+        await DuplicateCandidate.updateOne(
+          { _id: current._id },
+          { score: candidate.score, reasons: candidate.reasons, lastDetectedAt: now }
+        );
+        updated++;
+      }
+    }
+
+    const stale = existing
+      .filter(c => c.status === 'pending' && !found.has(c.parishioners.map(String).join('|')))
+      .map(c => c._id);
+    if (stale.length) {
+      await DuplicateCandidate.deleteMany({ _id: { $in: stale } });
+    }
+
+    return {
+      scanned: parishioners.length,
+      candidates: candidates.length,
+      created,
+      updated,
+      removed: stale.length
+    };
+  }
+
+  /**
+   * Merge a duplicate parishioner into a surviving record.
+   * The survivor keeps its own values and gains what only the duplicate had:
+   * sacraments, ministries, contact details, household, user account, register
+   * entries, funeral records, marriage cases, certificates and donations (linked to the duplicate, or
+   * matched by the donor email of either account). The duplicate is left as a stub pointing at the survivor.
+   * The survivor is saved and the linked records moved before the duplicate is
+   * stripped, so a merge that fails partway loses nothing and can be run again.
+   * Callers must check both records exist, are distinct and not both linked to accounts.
+   * @param {Object} survivor - Parishioner document
+   * @param {Object} duplicate - Parishioner document
+   * @param {string} reviewedBy - ID of the user performing the merge
+   * @returns {Promise<Object>} Counts of moved records
+   */
+  async merge(survivor, duplicate, reviewedBy) {
+    ['phone', 'dateOfBirth', 'gender', 'missionStation', 'dateOfDeath'].forEach(field => {
+      if (!survivor[field] && duplicate[field]) {
+        survivor[field] = duplicate[field];
+      }
+    });
+
+    if (!survivor.address?.street && !survivor.address?.city && (duplicate.address?.street || duplicate.address?.city)) {
+      survivor.address = duplicate.address;
+    }
+
+    if (!survivor.household && duplicate.household) {
+      survivor.household = duplicate.household;
+      survivor.householdRole = duplicate.householdRole;
+    }
+
+    if (duplicate.notes && !(survivor.notes || '').includes(duplicate.notes)) {
+      survivor.notes = [survivor.notes, duplicate.notes].filter(Boolean).join('\n');
+    }
+
+    PARISHIONER_SUMMARY_SACRAMENTS.forEach(sacrament => {
+      if (!survivor.sacraments?.[sacrament]?.date && duplicate.sacraments?.[sacrament]?.date) {
+        survivor.set(`sacraments.${sacrament}`, duplicate.sacraments[sacrament]);
+      }
+    });
+
+    const ministryIds = new Set(survivor.ministries.map(String));
+    duplicate.ministries.forEach(ministry => {
+      if (!ministryIds.has(String(ministry))) {
+        survivor.ministries.push(ministry);
+      }
+    });
+
+    // Donations are matched by the email on either record's account
+    const users = await User.find({ _id: { $in: [survivor.user, duplicate.user].filter(Boolean) } }).select('email').lean();
+    const emails = users.map(u => u.email).filter(Boolean);
+
+    await survivor.save();
+
+    const [records, funerals, marriageCases, certificates, linkedDonations, donations, stubs] = await Promise.all([
+      SacramentRecord.updateMany({ parishioner: duplicate._id }, { parishioner: survivor._id }),
+      FuneralRecord.updateMany({ parishioner: duplicate._id }, { parishioner: survivor._id }),
+      MarriageCase.updateMany(
+        { 'spouses.parishioner': duplicate._id },
+        { $set: { 'spouses.$[spouse].parishioner': survivor._id } },
+        { arrayFilters: [{ 'spouse.parishioner': duplicate._id }] }
+      ),
+      Certificate.updateMany({ parishioner: duplicate._id }, { parishioner: survivor._id }),
+      Donation.updateMany({ parishioner: duplicate._id }, { parishioner: survivor._id }),
+      // Donor emails are typed in by hand; account emails are stored lowercase
+      emails.length
+        ? Donation.updateMany({ 'donor.email': { $in: emails } }, { parishioner: survivor._id }, { collation: { locale: 'en', strength: 2 } })
+        : { modifiedCount: 0 },
+      // Earlier stubs that pointed at the duplicate now point at the survivor
+      Parishioner.updateMany({ mergedInto: duplicate._id }, { mergedInto: survivor._id })
+    ]);
+
+    // The user index is unique, so release the duplicate's account before linking it
+    const movedUser = !survivor.user && duplicate.user ? duplicate.user : null;
+    if (movedUser) {
+      await Parishioner.updateOne({ _id: duplicate._id }, { $unset: { user: 1 } });
+      try {
+        await Parishioner.updateOne({ _id: survivor._id }, { user: movedUser });
+      } catch (error) {
+        await Parishioner.updateOne({ _id: duplicate._id }, { user: movedUser });
+        throw error;
+      }
+      survivor.user = movedUser;
+      await User.updateOne({ _id: movedUser }, { parishioner: survivor._id });
+    }
+
+    duplicate.set({
+      mergedInto: survivor._id,
+      mergedAt: new Date(),
+      isActive: false,
+      user: undefined,
+      household: null,
+      householdRole: null,
+      ministries: []
+    });
+    await duplicate.save();
+
+    // Resolve the queue: this pair is merged, other pairs with the duplicate are obsolete
+    const pair = [String(survivor._id), String(duplicate._id)].sort();
+    await DuplicateCandidate.updateOne(
+      { 'parishioners.0': pair[0], 'parishioners.1': pair[1] },
+      { status: 'merged', reviewedBy, reviewedAt: new Date() }
+    );
+    await DuplicateCandidate.deleteMany({ parishioners: duplicate._id, status: 'pending' });
+
+    return {
+      sacramentRecords: records.modifiedCount,
+      funeralRecords: funerals.modifiedCount,
+      marriageCases: marriageCases.modifiedCount,
+      certificates: certificates.modifiedCount,
+      donations: linkedDonations.modifiedCount + donations.modifiedCount,
+      userMoved: !!movedUser,
+      redirectedStubs: stubs.modifiedCount
+    };
+  }
+}
+
+export default new DuplicateService();
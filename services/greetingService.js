@@ -0,0 +1,244 @@
+import Parishioner from '../models/Parishioner.js';
+import Notification from '../models/Notification.js';
+import GreetingTemplate, { CELEBRATION_TYPES } from '../models/GreetingTemplate.js';
+import notificationService from './notificationService.js';
+import { toDateKey, addDays } from '../utils/timezone.js';
+
+// Date each celebration is counted from
+const CELEBRATION_FIELDS = {
+  birthday: 'dateOfBirth',
+  baptismAnniversary: 'sacraments.baptism.date',
+  weddingAnniversary: 'sacraments.marriage.date'
+};
+
+const OPT_OUT_LINE = 'If you would rather not receive these greetings, you can turn them off in your profile or let the parish office know.';
+
+export const DEFAULT_TEMPLATES = {
+  birthday: {
+    subject: 'Happy Birthday, {{firstName}}!',
+    message: `Dear {{firstName}},\n\nThe whole {{parishName}} family wishes you a happy and blessed birthday. May the Lord bless you and keep you in the year ahead.\n\nWith our prayers,\n{{parishName}}\n\n${OPT_OUT_LINE}`
+  },
+  baptismAnniversary: {
+    subject: 'Happy Baptism Anniversary, {{firstName}}!',
+    message: `Dear {{firstName}},\n\nToday we give thanks with you for the {{ordinal}} anniversary of your baptism, the day you became a child of God.\n\nWith our prayers,\n{{parishName}}\n\n${OPT_OUT_LINE}`
+  },
+  weddingAnniversary: {
+    subject: 'Happy {{ordinal}} Wedding Anniversary!',
+    message: `Dear {{firstName}},\n\nCongratulations on {{yearsText}} of marriage. May God continue to bless your home with love, faithfulness and joy.\n\nWith our prayers,\n{{parishName}}\n\n${OPT_OUT_LINE}`
+  }
+};
+
+// Placeholders available in templates
+export const TEMPLATE_PLACEHOLDERS = ['firstName', 'lastName', 'fullName', 'years', 'yearsText', 'ordinal', 'parishName'];
+
+const ordinal = (n) => {
+  const suffixes = { one: 'st', two: 'nd', few: 'rd', other: 'th' };
+  return `${n}${suffixes[new Intl.PluralRules('en-US', { type: 'ordinal' }).select(n)]}`;
+};
+
+// Read a dotted path such as 'sacraments.baptism.date'
+const getPath = (obj, path) => path.split('.').reduce((value, key) => value?.[key], obj);
+
+const isLeapYear = (year) => (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+
+/**
+ * Calendar days from a start day, keyed by month * 100 + day (e.g. 1225).
+ * People born on 29 February are celebrated on the 28th in other years.
+ * @param {string} from - 'YYYY-MM-DD'
+ * @param {number} days
+ * @returns {Map<number, string>} month/day key -> 'YYYY-MM-DD'
+ */
+const buildDayKeys = (from, days) => {
+  const keys = new Map();
+  for (let i = 0; i < days; i++) {
+    const date = addDays(from, i);
+    const [year, month, day] = date.split('-').map(Number);
+    const key = month * 100 + day;
+    keys.set(key, date);
+    if (key === 228 && !isLeapYear(year)) {
+      keys.set(229, date);
+    }
+  }
+  return keys;
+};
+
+class GreetingService {
+  /**
+   * Fill {{placeholders}} in a template
+   * @param {string} text
+   * @param {Object} values
+   * @returns {string}
+   */
+  render(text, values) {
+    return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (values[key] !== undefined ? String(values[key]) : match));
+  }
+
+  /**
+   * Get the templates for every celebration type, falling back to the built-in wording
+   * @returns {Promise<Object>} type -> { type, subject, message, isActive, isDefault }
+   */
+  async getTemplates() {
+    const saved = await GreetingTemplate.find().lean();
+    const byType = new Map(saved.map(t => [t.type, t]));
+
+    return Object.fromEntries(CELEBRATION_TYPES.map(type => [
+      type,
+      byType.get(type) || { type, ...DEFAULT_TEMPLATES[type], isActive: true, isDefault: true }
+    ]));
+  }
+
+  /**
+   * Template values for one celebration
+   * @param {Object} celebration - From findCelebrations
+   * @returns {Object}
+   */
+  templateValues(celebration) {
+    return {
+      firstName: celebration.firstName,
+      lastName: celebration.lastName,
+      fullName: `${celebration.firstName} ${celebration.lastName}`,
+      years: celebration.years,
+      yearsText: `${celebration.years} ${celebration.years === 1 ? 'year' : 'years'}`,
+      ordinal: ordinal(celebration.years),
+      parishName: process.env.PARISH_NAME || 'Parish Website'
+    };
+  }
+
+  /**
+   * Find birthdays and anniversaries in a date range
+   * @param {Object} options
+   * @param {string} options.from - First day, 'YYYY-MM-DD' (default today in the parish timezone)
+   * @param {number} options.days - Number of days, including the first
+   * @param {string[]} options.types - Celebration types to include (default all)
+   * @returns {Promise<Object[]>} Sorted by date, then name:
+   *   { date, type, years, parishioner, firstName, lastName, missionStation, phone, user }
+   */
+  async findCelebrations({ from = toDateKey(), days = 1, types = CELEBRATION_TYPES } = {}) {
+    const dayKeys = buildDayKeys(from, days);
+    const keys = [...dayKeys.keys()];
+    const celebrations = [];
+
+    for (const type of types) {
+      const field = CELEBRATION_FIELDS[type];
+      const parishioners = await Parishioner.find({
+        isActive: true,
+        mergedInto: null,
+        dateOfDeath: null,
+        greetingsOptOut: { $ne: true },
+        [field]: { $ne: null },
+        $expr: {
+          $in: [
+            { $add: [{ $multiply: [{ $month: `$${field}` }, 100] }, { $dayOfMonth: `$${field}` }] },
+            keys
+          ]
+        }
+      })
+        .select(`firstName lastName phone user missionStation ${field}`)
+        .populate('missionStation', 'name')
+        .populate('user', 'email emailVerified')
+        .lean();
+
+      parishioners.forEach(p => {
+        const since = new Date(getPath(p, field));
+        const date = dayKeys.get((since.getUTCMonth() + 1) * 100 + since.getUTCDate());
+        const years = Number(date.slice(0, 4)) - since.getUTCFullYear();
+        if (years <= 0) {
+          return;
+        }
+        celebrations.push({
+          date,
+          type,
+          years,
+          parishioner: p._id,
+          firstName: p.firstName,
+          lastName: p.lastName,
+          missionStation: p.missionStation?.name || null,
+          phone: p.phone,
+          user: p.user
+        });
+      });
+    }
+
+    return celebrations.sort((a, b) => a.date.localeCompare(b.date)
+      || a.lastName.localeCompare(b.lastName)
+      || a.firstName.localeCompare(b.firstName));
+  }
+
+  /**
+   * Send today's greetings. Each greeting is sent once per person, type and year,
+   * so re-running the job on the same day does not send duplicates.
+   * @param {Object} options
+   * @param {string} options.date - Day to send greetings for, 'YYYY-MM-DD' (default today in the parish timezone)
+   * @param {boolean} options.dryRun - Only report who would be greeted
+   * @returns {Promise<Object>} { date, sent, skipped, failed, greetings }
+   */
+  async sendDailyGreetings({ date = toDateKey(), dryRun = false } = {}) {
+    const templates = await this.getTemplates();
+    const celebrations = await this.findCelebrations({ from: date, days: 1 });
+
+    const year = Number(date.slice(0, 4));
+    const summary = { date, sent: 0, skipped: 0, failed: 0, greetings: [] };
+
+    for (const celebration of celebrations) {
+      const template = templates[celebration.type];
+      const name = `${celebration.firstName} ${celebration.lastName}`;
+      const result = { parishioner: celebration.parishioner, name, type: celebration.type, years: celebration.years };
+      summary.greetings.push(result);
+
+      if (!template.isActive) {
+        result.status = 'skipped';
+        result.reason = 'Template is turned off';
+        summary.skipped++;
+        continue;
+      }
+
+      const email = celebration.user && celebration.user.emailVerified !== false ? celebration.user.email : null;
+      const phone = celebration.phone || null;
+      if (!email && !phone) {
+        result.status = 'skipped';
+        result.reason = 'No verified email or phone number';
+        summary.skipped++;
+        continue;
+      }
+
+      const alreadySent = await Notification.exists({
+        'metadata.greeting': celebration.type,
+        'metadata.parishioner': celebration.parishioner,
+        'metadata.year': year,
+        status: { $in: ['sent', 'partially_sent'] }
+      });
+      if (alreadySent) {
+        result.status = 'skipped';
+        result.reason = 'Already sent this year';
+        summary.skipped++;
+        continue;
+      }
+
+      if (dryRun) {
+        result.status = 'would-send';
+        continue;
+      }
+
+      const values = this.templateValues(celebration);
+      try {
+        const sent = await notificationService.sendNotification({
+          type: email && phone ? 'both' : (email ? 'email' : 'sms'),
+          recipient: { email: email || undefined, phone: phone || undefined, name },
+          subject: this.render(template.subject, values),
+          message: this.render(template.message, values),
+          metadata: { greeting: celebration.type, parishioner: celebration.parishioner, year }
+        });
+        result.status = sent.success ? 'sent' : 'failed';
+        summary[sent.success ? 'sent' : 'failed']++;
+      } catch (error) {
+        result.status = 'failed';
+        result.reason = error.message;
+        summary.failed++;
+      }
+    }
+
+    return summary;
+  }
+}
+
+export default new GreetingService();
@@ -0,0 +1,114 @@
+import Announcement from '../models/Announcement.js';
+import Parishioner from '../models/Parishioner.js';
+import SacramentRecord from '../models/SacramentRecord.js';
+import MissionStation from '../models/MissionStation.js';
+
+const READINGS = ['first', 'second', 'third', 'fourth', 'fifth'];
+
+const dayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+class MarriageCaseService {
+  /**
+   * Wording of the banns for one reading
+   * @param {Object} marriageCase
+   * @param {number} index - 0 for the first reading
+   * @returns {{ title: string, content: string }}
+   */
+  bannsText(marriageCase, index) {
+    const parishName = process.env.PARISH_NAME || 'this parish';
+    const describe = (spouse) => `${spouse.firstName} ${spouse.lastName} of ${spouse.parishioner ? parishName : (spouse.parish || 'another parish')}`;
+    const [first, second] = marriageCase.spouses;
+
+    return {
+      title: `Banns of Marriage: ${first.firstName} ${first.lastName} and ${second.firstName} ${second.lastName}`,
+      content: `There is a promise of marriage between ${describe(first)} and ${describe(second)}. `
+        + `This is the ${READINGS[index] || `${index + 1}th`} time of asking. `
+        + 'If anyone knows of any impediment why these two persons should not be joined in Holy Matrimony, '
+        + 'they are bound in conscience to make it known to the parish priest.'
+    };
+  }
+
+  /**
+   * Set the banns reading dates and keep one announcement per reading, each
+   * published from its reading day. Announcements for removed dates are deleted.
+   * @param {Object} marriageCase - MarriageCase document (saved by the caller)
+   * @param {Date[]} dates - Reading dates (default: the current dates, e.g. after a name change)
+   */
+  async syncBanns(marriageCase, dates = marriageCase.banns.map(b => b.date)) {
+    const existing = new Map(marriageCase.banns.map(b => [dayKey(b.date), b.announcement]));
+    const sorted = [...dates].map(date => new Date(date)).sort((a, b) => a - b);
+    const banns = [];
+
+    for (const [index, date] of sorted.entries()) {
+      const announcementId = existing.get(dayKey(date));
+      existing.delete(dayKey(date));
+      const fields = {
+        ...this.bannsText(marriageCase, index),
+        date,
+        publishFrom: date,
+        isActive: true,
+        marriageCase: marriageCase._id
+      };
+
+      let announcement = announcementId
+        ? await Announcement.findByIdAndUpdate(announcementId, fields, { new: true })
+        : null;
+      if (!announcement) {
+        announcement = await Announcement.create(fields);
+      }
+      banns.push({ date, announcement: announcement._id });
+    }
+
+    const removed = [...existing.values()].filter(Boolean);
+    if (removed.length) {
+      await Announcement.deleteMany({ _id: { $in: removed } });
+    }
+
+    marriageCase.banns = banns;
+  }
+
+  /**
+   * Withdraw banns that have not been read yet (e.g. when a case is cancelled)
+   * @param {Object} marriageCase
+   */
+  async withdrawBanns(marriageCase) {
+    const ids = marriageCase.banns.map(b => b.announcement).filter(Boolean);
+    if (ids.length) {
+      await Announcement.updateMany({ _id: { $in: ids }, date: { $gte: new Date() } }, { isActive: false });
+    }
+  }
+
+  /**
+   * Record the marriage on both spouses who are parishioners.
+   * Parishioners with a marriage entry in the sacramental register keep the
+   * register's summary.
+   * @param {Object} marriageCase - With wedding.date set
+   * @returns {Promise<string[]>} IDs of the parishioners updated
+   */
+  async recordMarriage(marriageCase) {
+    const { wedding } = marriageCase;
+    let location = wedding.location;
+    if (!location && wedding.missionStation) {
+      location = (await MissionStation.findById(wedding.missionStation).select('name').lean())?.name;
+    }
+
+    const updated = [];
+    for (const spouse of marriageCase.spouses) {
+      if (!spouse.parishioner) {
+        continue;
+      }
+      const inRegister = await SacramentRecord.exists({ parishioner: spouse.parishioner, sacrament: 'marriage' });
+      if (inRegister) {
+        continue;
+      }
+      await Parishioner.updateOne(
+        { _id: spouse.parishioner },
+        { 'sacraments.marriage': { date: wedding.date, location: location || process.env.PARISH_NAME } }
+      );
+      updated.push(String(spouse.parishioner));
+    }
+    return updated;
+  }
+}
+
+export default new MarriageCaseService();
@@ -0,0 +1,182 @@
+import MassSchedule from '../models/MassSchedule.js';
+import ScheduleException from '../models/ScheduleException.js';
+import { DAYS_OF_WEEK, getDayOfWeek, addDays, toDateKey, zonedTimeToDate } from '../utils/timezone.js';
+
+// Longest range expanded in one request
+export const MAX_OCCURRENCE_DAYS = 366;
+
+// How far ahead to look for upcoming services
+const NEXT_SEARCH_DAYS = 60;
+const NEXT_WINDOW_DAYS = 14;
+
+// "7:00" -> 420
+const minutesOf = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Calendar day key -> the Date stored on exceptions (midnight UTC)
+const toStoredDate = (dateKey) => new Date(`${dateKey}T00:00:00.000Z`);
+
+class MassScheduleService {
+  /**
+   * Sort weekly services Sunday to Saturday, then by time
+   * @param {Object[]} schedules
+   * @returns {Object[]} A new sorted array
+   */
+  sortByWeekday(schedules) {
+    return [...schedules].sort((a, b) => DAYS_OF_WEEK.indexOf(a.dayOfWeek) - DAYS_OF_WEEK.indexOf(b.dayOfWeek)
+      || minutesOf(a.time) - minutesOf(b.time));
+  }
+
+  /**
+   * Group weekly services by mission station (stations by name, services in weekday order)
+   * @param {Object[]} schedules - With missionStation populated
+   * @returns {Object[]} [{ missionStation, schedules }]
+   */
+  groupByStation(schedules) {
+    const groups = new Map();
+    this.sortByWeekday(schedules).forEach(schedule => {
+      const key = String(schedule.missionStation?._id ?? schedule.missionStation);
+      if (!groups.has(key)) {
+        groups.set(key, { missionStation: schedule.missionStation, schedules: [] });
+      }
+      groups.get(key).schedules.push(schedule);
+    });
+    return [...groups.values()]
+      .sort((a, b) => (a.missionStation?.name || '').localeCompare(b.missionStation?.name || ''));
+  }
+
+  /**
+   * Next upcoming services from now, in the parish timezone. Cancelled services are skipped.
+   * @param {Object} options
+   * @param {number} options.limit - Number of services (default 5)
+   * @param {string} options.missionStation
+   * @param {string} options.type - e.g. 'Mass', 'Confession', 'Adoration'
+   * @param {Date} options.now - Defaults to the current time
+   * @returns {Promise<Object[]>} Occurrences, soonest first
+   */
+  async getNext({ limit = 5, missionStation, type, now = new Date() } = {}) {
+    const today = toDateKey(now);
+    const upcoming = [];
+
+    for (let offset = 0; offset < NEXT_SEARCH_DAYS && upcoming.length < limit; offset += NEXT_WINDOW_DAYS) {
+      const occurrences = await this.getOccurrences({
+        from: addDays(today, offset),
+        to: addDays(today, offset + NEXT_WINDOW_DAYS - 1),
+        missionStation,
+        type,
+        includeCancelled: false
+      });
+      upcoming.push(...occurrences.filter(occurrence => occurrence.start >= now));
+    }
+
+    return upcoming.slice(0, limit);
+  }
+
+  /**
+   * Expand the weekly schedule into dated services and apply the exceptions
+   * (cancellations, changed times or celebrants, one-off additions).
+   * @param {Object} options
+   * @param {string} options.from - First day, 'YYYY-MM-DD' in the parish timezone
+   * @param {string} options.to - Last day (inclusive)
+   * @param {string} options.missionStation - Limit to one mission station
+   * @param {string} options.type - Limit to one service type (Mass, Confession, ...)
+   * @param {boolean} options.includeCancelled - Keep cancelled services, marked as such (default true)
+   * @returns {Promise<Object[]>} Occurrences sorted by start time:
+   *   { id, date, dayOfWeek, time, start, type, description, missionStation, massSchedule,
+   *     exception, status (scheduled, changed, cancelled, added), originalTime, celebrant, reason }
+   */
+  async getOccurrences({ from, to, missionStation, type, includeCancelled = true }) {
+    const scheduleQuery = { isActive: true };
+    if (missionStation) scheduleQuery.missionStation = missionStation;
+    if (type) scheduleQuery.type = type;
+
+    const [schedules, exceptions] = await Promise.all([
+      MassSchedule.find(scheduleQuery).populate('missionStation', 'name location').lean(),
+      ScheduleException.find({ date: { $gte: toStoredDate(from), $lte: toStoredDate(to) } })
+        .populate('missionStation', 'name location')
+        .lean()
+    ]);
+
+    const changes = new Map(exceptions
+      .filter(e => e.massSchedule)
+      .map(e => [`${e.massSchedule}:${e.date.toISOString().slice(0, 10)}`, e]));
+
+    const occurrences = [];
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+      const dayOfWeek = getDayOfWeek(date);
+
+      schedules
+        .filter(schedule => schedule.dayOfWeek === dayOfWeek)
+        .forEach(schedule => {
+          const id = `${schedule._id}:${date}`;
+          const exception = changes.get(id);
+          const occurrence = {
+            id,
+            date,
+            dayOfWeek,
+            time: schedule.time,
+            type: schedule.type,
+            description: schedule.description,
+            missionStation: schedule.missionStation,
+            massSchedule: schedule._id,
+            exception: null,
+            status: 'scheduled',
+            celebrant: null,
+            reason: null
+          };
+
+          if (exception?.action === 'cancel') {
+            if (!includeCancelled) return;
+            occurrence.status = 'cancelled';
+          } else if (exception?.action === 'modify') {
+            occurrence.status = 'changed';
+            if (exception.time && exception.time !== schedule.time) {
+              occurrence.originalTime = schedule.time;
+              occurrence.time = exception.time;
+            }
+            if (exception.description) occurrence.description = exception.description;
+            if (exception.celebrant?.name) occurrence.celebrant = exception.celebrant;
+          }
+          if (exception) {
+            occurrence.exception = exception._id;
+            occurrence.reason = exception.reason || null;
+          }
+
+          occurrences.push(occurrence);
+        });
+    }
+
+    exceptions
+      .filter(e => e.action === 'add')
+      .filter(e => !missionStation || String(e.missionStation?._id) === String(missionStation))
+      .filter(e => !type || e.type === type)
+      .forEach(e => {
+        const date = e.date.toISOString().slice(0, 10);
+        occurrences.push({
+          id: `exception:${e._id}`,
+          date,
+          dayOfWeek: getDayOfWeek(date),
+          time: e.time,
+          type: e.type,
+          description: e.description || '',
+          missionStation: e.missionStation,
+          massSchedule: null,
+          exception: e._id,
+          status: 'added',
+          celebrant: e.celebrant?.name ? e.celebrant : null,
+          reason: e.reason || null
+        });
+      });
+
+    occurrences.forEach(occurrence => {
+      occurrence.start = zonedTimeToDate(occurrence.date, occurrence.time);
+    });
+
+    return occurrences.sort((a, b) => a.start - b.start
+      || (a.missionStation?.name || '').localeCompare(b.missionStation?.name || ''));
+  }
+}
+
+export default new MassScheduleService();
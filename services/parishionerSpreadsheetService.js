@@ -0,0 +1,506 @@
+import { Readable } from 'stream';
+import ExcelJS from 'exceljs';
+import Parishioner, { GENDERS } from '../models/Parishioner.js';
+import MissionStation from '../models/MissionStation.js';
+import Ministry from '../models/Ministry.js';
+import User from '../models/User.js';
+
+// Largest file accepted for import, in rows
+export const MAX_IMPORT_ROWS = 5000;
+
+// Date orders accepted for dd/mm/yyyy-style dates (ISO yyyy-mm-dd is always accepted)
+export const DATE_FORMATS = ['DMY', 'MDY'];
+
+const SUMMARY_SACRAMENTS = [
+  { key: 'baptism', label: 'Baptism' },
+  { key: 'firstCommunion', label: 'First Communion' },
+  { key: 'confirmation', label: 'Confirmation' },
+  { key: 'marriage', label: 'Marriage' }
+];
+
+/**
+ * Importable columns. The label is the export header; aliases are other header
+ * names recognized when no explicit column mapping is given.
+ */
+export const IMPORT_FIELDS = {
+  firstName: { label: 'First Name', aliases: ['firstname', 'givenname', 'forename'] },
+  lastName: { label: 'Last Name', aliases: ['lastname', 'surname', 'familyname'] },
+  email: { label: 'Email', aliases: ['emailaddress'] },
+  phone: { label: 'Phone', aliases: ['phonenumber', 'telephone', 'mobile', 'whatsapp'] },
+  dateOfBirth: { label: 'Date of Birth', aliases: ['dob', 'birthdate', 'birthday'] },
+  gender: { label: 'Gender', aliases: ['sex'] },
+  street: { label: 'Street', aliases: ['address', 'streetaddress'] },
+  city: { label: 'City', aliases: ['town'] },
+  state: { label: 'State', aliases: ['region', 'province'] },
+  zipCode: { label: 'Zip Code', aliases: ['zip', 'postalcode', 'postcode'] },
+  country: { label: 'Country', aliases: [] },
+  missionStation: { label: 'Mission Station', aliases: ['station', 'outstation'] },
+  ministries: { label: 'Ministries', aliases: ['ministry'] },
+  ...Object.fromEntries(SUMMARY_SACRAMENTS.flatMap(({ key, label }) => [
+    [`${key}Date`, { label: `${label} Date`, aliases: [], sacrament: true }],
+    [`${key}Location`, { label: `${label} Place`, aliases: [], sacrament: true }]
+  ])),
+  isActive: { label: 'Active', aliases: ['status'] },
+  notes: { label: 'Notes', aliases: [] }
+};
+
+// Spreadsheet apps run CSV cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Quote a CSV cell that would otherwise run as a formula ('=1+1' -> "'=1+1")
+const escapeFormula = (value) => (typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value);
+
+// Undo escapeFormula, so exported CSV files import unchanged
+const unescapeFormula = (value) => (typeof value === 'string' && value[0] === "'" && FORMULA_PREFIX.test(value.slice(1))
+  ? value.slice(1)
+  : value);
+
+// 'Date of Birth' -> 'dateofbirth'
+const normalizeHeader = (header) => String(header ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Reduce ExcelJS cell values (rich text, formulas, hyperlinks) to plain values
+const plainValue = (value) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return value;
+  }
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return value.text;
+    if (value.result !== undefined) return plainValue(value.result);
+    if (value.error) return null;
+  }
+  const text = String(value).trim();
+  return text === '' ? null : text;
+};
+
+const isValidDay = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+/**
+ * Parse a spreadsheet date (Excel date cell, yyyy-mm-dd, or dd/mm/yyyy / mm/dd/yyyy)
+ * @param {Date|string} value
+ * @param {string} dateFormat - 'DMY' or 'MDY' for slash-separated dates
+ * @returns {Date|null} Calendar date at midnight UTC, or null when invalid
+ */
+const parseDate = (value, dateFormat) => {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value;
+  }
+
+  let year, month, day;
+  const iso = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(value);
+  const local = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(value);
+  if (iso) {
+    [year, month, day] = iso.slice(1).map(Number);
+  } else if (local) {
+    const [a, b, y] = local.slice(1).map(Number);
+    [day, month] = dateFormat === 'MDY' ? [b, a] : [a, b];
+    year = y;
+  } else {
+    return null;
+  }
+
+  return isValidDay(year, month, day) ? new Date(Date.UTC(year, month - 1, day)) : null;
+};
+
+const parseBoolean = (value) => {
+  const text = String(value).trim().toLowerCase();
+  if (['true', 'yes', 'y', '1', 'active'].includes(text)) return true;
+  if (['false', 'no', 'n', '0', 'inactive'].includes(text)) return false;
+  return null;
+};
+
+// 'M', 'Male', 'f' -> 'male' / 'female'
+const parseGender = (value) => {
+  const text = String(value).trim().toLowerCase();
+  return GENDERS.find(gender => gender === text || gender[0] === text) || null;
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+class ParishionerSpreadsheetService {
+  /**
+   * Read the first worksheet of a CSV or XLSX file
+   * @param {Buffer} buffer - File contents
+   * @param {string} filename - Used to tell CSV from XLSX
+   * @returns {Promise<{ headers: string[], rows: { rowNumber: number, values: Array }[] }>}
+   */
+  async parse(buffer, filename) {
+    const workbook = new ExcelJS.Workbook();
+    let worksheet;
+
+    if (/\.csv$/i.test(filename)) {
+      // Keep every value as text; dates and numbers are interpreted per column
+      worksheet = await workbook.csv.read(Readable.from(buffer), { map: unescapeFormula });
+    } else if (/\.xlsx$/i.test(filename)) {
+      await workbook.xlsx.load(buffer);
+      worksheet = workbook.worksheets[0];
+    } else {
+      throw new Error('Unsupported file type. Upload a .csv or .xlsx file');
+    }
+
+    if (!worksheet || worksheet.rowCount === 0) {
+      throw new Error('The file is empty');
+    }
+
+    const headers = worksheet.getRow(1).values.slice(1).map(value => String(plainValue(value) ?? ''));
+    const rows = [];
+    worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+      if (rowNumber === 1) {
+        return;
+      }
+      const values = headers.map((_, i) => plainValue(row.getCell(i + 1).value));
+      if (values.some(value => value !== null)) {
+        rows.push({ rowNumber, values });
+      }
+    });
+
+    return { headers, rows };
+  }
+
+  /**
+   * Work out which field each column maps to
+   * @param {string[]} headers - Column headers from the file
+   * @param {Object} mapping - Explicit { header: field } overrides; map a header to '' or null to ignore it
+   * @returns {{ columns: (string|null)[], unmapped: string[], errors: string[] }}
+   */
+  resolveMapping(headers, mapping = {}) {
+    const errors = [];
+    const aliasIndex = new Map();
+    Object.entries(IMPORT_FIELDS).forEach(([field, { label, aliases }]) => {
+      [field, label, ...aliases].forEach(name => aliasIndex.set(normalizeHeader(name), field));
+    });
+
+    const columns = headers.map(header => {
+      if (Object.prototype.hasOwnProperty.call(mapping, header)) {
+        const field = mapping[header];
+        if (field && !IMPORT_FIELDS[field]) {
+          errors.push(`Column "${header}" is mapped to unknown field "${field}"`);
+          return null;
+        }
+        return field || null;
+      }
+      return aliasIndex.get(normalizeHeader(header)) || null;
+    });
+
+    const seen = new Set();
+    columns.forEach((field, i) => {
+      if (!field) return;
+      if (seen.has(field)) {
+        errors.push(`More than one column is mapped to "${field}" (column "${headers[i]}")`);
+      }
+      seen.add(field);
+    });
+
+    ['firstName', 'lastName'].forEach(field => {
+      if (!seen.has(field)) {
+        errors.push(`No column is mapped to required field "${field}"`);
+      }
+    });
+
+    return {
+      columns,
+      unmapped: headers.filter((header, i) => header && !columns[i]),
+      errors
+    };
+  }
+
+  /**
+   * Validate rows and turn them into Parishioner documents (nothing is saved)
+   * @param {Object} parsed - From parse()
+   * @param {(string|null)[]} columns - From resolveMapping()
+   * @param {Object} options
+   * @param {string} options.dateFormat - 'DMY' (default) or 'MDY'
+   * @returns {Promise<{ rows: Object[], errorCount: number, warningCount: number }>}
+   *   Each row has rowNumber, errors, warnings and (when valid) doc and userId
+   */
+  async validateRows({ rows }, columns, { dateFormat = 'DMY' } = {}) {
+    const [stations, ministries] = await Promise.all([
+      MissionStation.find().select('name').lean(),
+      Ministry.find().select('name').lean()
+    ]);
+    const stationByName = new Map(stations.map(s => [s.name.trim().toLowerCase(), s._id]));
+    const ministryByName = new Map(ministries.map(m => [m.name.trim().toLowerCase(), m._id]));
+
+    const emails = new Set();
+    const emailRows = new Map();
+    const seenPeople = new Map();
+    const results = rows.map(({ rowNumber, values }) => {
+      const record = {};
+      columns.forEach((field, i) => {
+        if (field && values[i] !== null) {
+          record[field] = values[i];
+        }
+      });
+
+      const errors = [];
+      const warnings = [];
+      const doc = { sacraments: {} };
+      const text = (value) => (value instanceof Date ? value.toISOString().slice(0, 10) : String(value).trim());
+
+      ['firstName', 'lastName'].forEach(field => {
+        if (!record[field]) {
+          errors.push(`${IMPORT_FIELDS[field].label} is required`);
+        } else {
+          doc[field] = text(record[field]);
+        }
+      });
+
+      if (record.phone) doc.phone = text(record.phone);
+      if (record.notes) doc.notes = text(record.notes);
+
+      if (record.email) {
+        const email = text(record.email).toLowerCase();
+        if (!EMAIL_PATTERN.test(email)) {
+          errors.push(`Invalid email "${email}"`);
+        } else if (emailRows.has(email)) {
+          // An account can only be linked to one parishioner
+          errors.push(`Same email as row ${emailRows.get(email)}`);
+        } else {
+          record.email = email;
+          emails.add(email);
+          emailRows.set(email, rowNumber);
+        }
+      }
+
+      if (record.dateOfBirth) {
+        const date = parseDate(record.dateOfBirth, dateFormat);
+        if (!date) {
+          errors.push(`Invalid date of birth "${text(record.dateOfBirth)}"`);
+        } else if (date > new Date()) {
+          errors.push('Date of birth is in the future');
+        } else {
+          doc.dateOfBirth = date;
+        }
+      }
+
+      if (record.gender) {
+        const gender = parseGender(record.gender);
+        if (!gender) {
+          errors.push(`Invalid gender "${text(record.gender)}" (use male or female)`);
+        } else {
+          doc.gender = gender;
+        }
+      }
+
+      const address = {};
+      ['street', 'city', 'state', 'zipCode', 'country'].forEach(field => {
+        if (record[field]) address[field] = text(record[field]);
+      });
+      if (Object.keys(address).length) doc.address = address;
+
+      if (record.missionStation) {
+        const station = stationByName.get(text(record.missionStation).toLowerCase());
+        if (!station) {
+          errors.push(`Unknown mission station "${text(record.missionStation)}"`);
+        } else {
+          doc.missionStation = station;
+        }
+      }
+
+      if (record.ministries) {
+        const names = text(record.ministries).split(/[;,]/).map(name => name.trim()).filter(Boolean);
+        doc.ministries = [];
+        names.forEach(name => {
+          const ministry = ministryByName.get(name.toLowerCase());
+          if (!ministry) {
+            errors.push(`Unknown ministry "${name}"`);
+          } else {
+            doc.ministries.push(ministry);
+          }
+        });
+      }
+
+      SUMMARY_SACRAMENTS.forEach(({ key, label }) => {
+        const dateValue = record[`${key}Date`];
+        const location = record[`${key}Location`];
+        if (!dateValue && !location) return;
+
+        const entry = {};
+        if (dateValue) {
+          const date = parseDate(dateValue, dateFormat);
+          if (!date) {
+            errors.push(`Invalid ${label.toLowerCase()} date "${text(dateValue)}"`);
+          } else {
+            entry.date = date;
+          }
+        }
+        if (location) entry.location = text(location);
+        doc.sacraments[key] = entry;
+      });
+
+      if (record.isActive !== undefined) {
+        const active = parseBoolean(record.isActive);
+        if (active === null) {
+          errors.push(`Invalid value for Active "${text(record.isActive)}" (use yes or no)`);
+        } else {
+          doc.isActive = active;
+        }
+      }
+
+      // The same person twice in one file is almost always a copy-paste mistake
+      if (doc.firstName && doc.lastName) {
+        const key = [doc.firstName, doc.lastName, doc.dateOfBirth?.toISOString() || ''].join('|').toLowerCase();
+        if (seenPeople.has(key)) {
+          errors.push(`Same name and date of birth as row ${seenPeople.get(key)}`);
+        } else {
+          seenPeople.set(key, rowNumber);
+        }
+      }
+
+      return { rowNumber, errors, warnings, doc, email: record.email };
+    });
+
+    // Link rows to existing accounts by email
+    const users = emails.size
+      ? await User.find({ email: { $in: [...emails] } }).select('email parishioner').lean()
+      : [];
+    const userByEmail = new Map(users.map(u => [u.email, u]));
+
+    // Flag people who look like they are already registered
+    const lastNames = [...new Set(results.filter(r => r.doc.lastName).map(r => r.doc.lastName))];
+    const existing = lastNames.length
+      ? await Parishioner.find({ lastName: { $in: lastNames }, mergedInto: null })
+        .collation({ locale: 'en', strength: 2 })
+        .select('firstName lastName dateOfBirth')
+        .lean()
+      : [];
+    const existingNames = new Set(existing.map(p => `${p.firstName}|${p.lastName}`.toLowerCase()));
+    const existingPeople = new Set(existing
+      .filter(p => p.dateOfBirth)
+      .map(p => `${p.firstName}|${p.lastName}|${p.dateOfBirth.toISOString()}`.toLowerCase()));
+
+    results.forEach(result => {
+      if (result.email) {
+        const user = userByEmail.get(result.email);
+        if (!user) {
+          result.warnings.push(`No account with email ${result.email}; the email was not stored`);
+        } else if (user.parishioner) {
+          result.errors.push(`The account ${result.email} is already linked to a parishioner`);
+        } else {
+          result.userId = user._id;
+        }
+      }
+
+      const { firstName, lastName, dateOfBirth } = result.doc;
+      if (firstName && lastName) {
+        const name = `${firstName}|${lastName}`.toLowerCase();
+        const isDuplicate = dateOfBirth
+          ? existingPeople.has(`${name}|${dateOfBirth.toISOString()}`)
+          : existingNames.has(name);
+        if (isDuplicate) {
+          result.warnings.push(`A parishioner named ${firstName} ${lastName} already exists`);
+        }
+      }
+    });
+
+    return {
+      rows: results,
+      errorCount: results.filter(r => r.errors.length).length,
+      warningCount: results.filter(r => r.warnings.length).length
+    };
+  }
+
+  /**
+   * Save validated rows
+   * Rows are inserted unordered, so a row the database rejects (e.g. an account
+   * linked to a parishioner since validation) does not stop the others.
+   * @param {Object[]} rows - Valid rows from validateRows()
+   * @returns {Promise<{ imported: number, failed: Object[] }>} Number of parishioners
+   *   created, and the rows that could not be saved ({ row, error })
+   */
+  async importRows(rows) {
+    const docs = rows.map(row => ({
+      ...row.doc,
+      ...(row.userId && { user: row.userId })
+    }));
+
+    let created;
+    let failed = [];
+    try {
+      created = await Parishioner.insertMany(docs, { ordered: false });
+    } catch (error) {
+      if (!error.insertedDocs) {
+        throw error;
+      }
+      created = error.insertedDocs;
+      failed = (error.writeErrors || []).map(writeError => ({
+        row: rows[writeError.index].rowNumber,
+        error: writeError.err?.errmsg || writeError.errmsg || 'Could not be saved'
+      }));
+    }
+
+    await Promise.all(created
+      .filter(parishioner => parishioner.user)
+      .map(parishioner => User.updateOne({ _id: parishioner.user }, { parishioner: parishioner._id })));
+
+    return { imported: created.length, failed };
+  }
+
+  /**
+   * Build a CSV or XLSX file of parishioners, using the import column headers so
+   * the file can be edited and imported again
+   * @param {Object[]} parishioners - With user, missionStation, ministries and household populated
+   * @param {string} format - 'csv' or 'xlsx'
+   * @returns {Promise<Buffer>}
+   */
+  async export(parishioners, format) {
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Parishioners');
+
+    worksheet.columns = [
+      ...Object.entries(IMPORT_FIELDS).map(([key, { label }]) => ({ header: label, key, width: 18 })),
+      // Export only
+      { header: 'Household', key: 'household', width: 20 },
+      { header: 'Household Role', key: 'householdRole', width: 14 }
+    ];
+    worksheet.getRow(1).font = { bold: true };
+
+    parishioners.forEach(p => {
+      const row = {
+        firstName: p.firstName,
+        lastName: p.lastName,
+        email: p.user?.email,
+        phone: p.phone,
+        dateOfBirth: p.dateOfBirth,
+        gender: p.gender,
+        street: p.address?.street,
+        city: p.address?.city,
+        state: p.address?.state,
+        zipCode: p.address?.zipCode,
+        country: p.address?.country,
+        missionStation: p.missionStation?.name,
+        ministries: (p.ministries || []).map(m => m.name).join('; '),
+        ...Object.fromEntries(SUMMARY_SACRAMENTS.flatMap(({ key }) => [
+          [`${key}Date`, p.sacraments?.[key]?.date],
+          [`${key}Location`, p.sacraments?.[key]?.location]
+        ])),
+        isActive: p.isActive === false ? 'no' : 'yes',
+        notes: p.notes,
+        household: p.household?.name,
+        householdRole: p.householdRole
+      };
+      // Names, notes and addresses come from self-registered users
+      worksheet.addRow(format === 'csv'
+        ? Object.fromEntries(Object.entries(row).map(([key, value]) => [key, escapeFormula(value)]))
+        : row);
+    });
+
+    const dateColumns = ['dateOfBirth', ...SUMMARY_SACRAMENTS.map(({ key }) => `${key}Date`)];
+    dateColumns.forEach(key => {
+      worksheet.getColumn(key).numFmt = 'yyyy-mm-dd';
+    });
+
+    const buffer = format === 'csv'
+      ? await workbook.csv.writeBuffer({ dateFormat: 'YYYY-MM-DD', dateUTC: true })
+      : await workbook.xlsx.writeBuffer();
+    return Buffer.from(buffer);
+  }
+}
+
+export default new ParishionerSpreadsheetService();
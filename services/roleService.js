@@ -0,0 +1,195 @@
+import Role from '../models/Role.js';
+import { DEFAULT_ROLES, grantsPermission } from '../utils/permissions.js';
+import logger from '../utils/logger.js';
+
+const CACHE_TTL_MS = 60 * 1000; // 1 minute
+
+// Role settings added after the first roles were seeded, filled in from the defaults
+const POLICY_FIELDS = ['requireStrongPassword', 'twoFactor'];
+
+const parseRoleList = (value) => (value || '')
+  .split(',')
+  .map(role => role.trim())
+  .filter(Boolean);
+
+// Built-in role with any policy setting it is missing taken from DEFAULT_ROLES
+const withDefaultPolicies = (role) => {
+  const defaults = DEFAULT_ROLES.find(candidate => candidate.name === role.name);
+  if (!defaults) {
+    return role;
+  }
+  const filled = { ...role };
+  for (const field of POLICY_FIELDS) {
+    if (filled[field] === undefined && defaults[field] !== undefined) {
+      filled[field] = defaults[field];
+    }
+  }
+  return filled;
+};
+
+class RoleService {
+  constructor() {
+    this.cache = null;
+    this.cacheExpiresAt = 0;
+    this.loading = null;
+  }
+
+  /**
+   * Load all roles into the cache (name -> role)
+   * Built-in roles missing from the Role collection (not seeded yet, or only
+   * custom roles created so far) are taken from the defaults
+   * @returns {Promise<Map>} Roles by name
+   */
+  async loadRoles() {
+    if (this.cache && Date.now() < this.cacheExpiresAt) {
+      return this.cache;
+    }
+
+    // Share a single database query between concurrent requests
+    if (!this.loading) {
+      this.loading = (async () => {
+        try {
+          const roles = (await Role.find().lean()).map(withDefaultPolicies);
+          const stored = new Set(roles.map(role => role.name));
+          const missing = DEFAULT_ROLES.filter(role => !stored.has(role.name));
+
+          if (missing.length) {
+            logger.warn(`Built-in roles missing from the Role collection, using defaults: ${missing.map(role => role.name).join(', ')}. Run \`npm run seed-roles\`.`);
+            roles.push(...missing.map(role => ({ ...role, isSystem: true })));
+          }
+
+          this.cache = new Map(roles.map(role => [role.name, role]));
+          this.cacheExpiresAt = Date.now() + CACHE_TTL_MS;
+          return this.cache;
+        } finally {
+          this.loading = null;
+        }
+      })();
+    }
+
+    return this.loading;
+  }
+
+  /**
+   * Create any built-in role missing from the Role collection and fill in
+   * policy settings that older seeded roles lack (called at startup)
+   * Existing roles are otherwise left as the admins configured them.
+   * @returns {Promise<string[]>} Names of the roles that were created
+   */
+  async ensureDefaultRoles() {
+    const created = [];
+
+    for (const defaults of DEFAULT_ROLES) {
+      const result = await Role.updateOne(
+        { name: defaults.name },
+        { $setOnInsert: { ...defaults, isSystem: true } },
+        { upsert: true }
+      );
+      if (result.upsertedCount) {
+        created.push(defaults.name);
+        continue;
+      }
+
+      for (const field of POLICY_FIELDS) {
+        if (defaults[field] !== undefined) {
+          await Role.updateOne(
+            { name: defaults.name, [field]: { $exists: false } },
+            { $set: { [field]: defaults[field] } }
+          );
+        }
+      }
+    }
+
+    if (created.length) {
+      logger.info(`Created built-in roles: ${created.join(', ')}`);
+    }
+    this.invalidate();
+    return created;
+  }
+
+  /**
+   * Clear the cache (call after creating, updating or deleting roles)
+   */
+  invalidate() {
+    this.cache = null;
+    this.cacheExpiresAt = 0;
+  }
+
+  /**
+   * Get a role by name
+   * @param {string} name
+   * @returns {Promise<Object|null>}
+   */
+  async getRole(name) {
+    const roles = await this.loadRoles();
+    return roles.get(name) || null;
+  }
+
+  /**
+   * Check whether a role exists
+   * @param {string} name
+   * @returns {Promise<boolean>}
+   */
+  async roleExists(name) {
+    return !!(await this.getRole(name));
+  }
+
+  /**
+   * Check whether a role grants a permission
+   * @param {string} roleName - e.g. 'editor'
+   * @param {string} permission - e.g. 'sermons:write'
+   * @returns {Promise<boolean>}
+   */
+  async hasPermission(roleName, permission) {
+    const role = await this.getRole(roleName);
+    if (!role) {
+      return false;
+    }
+    return grantsPermission(role.permissions || [], permission);
+  }
+
+  /**
+   * Names of the roles that grant a permission
+   * @param {string} permission - e.g. 'rota:celebrate'
+   * @param {Object} [options]
+   * @param {boolean} [options.wildcard=true] - Count roles granted everything ('*')
+   * @returns {Promise<string[]>}
+   */
+  async getRolesWithPermission(permission, { wildcard = true } = {}) {
+    const roles = await this.loadRoles();
+    return [...roles.values()]
+      .filter(role => {
+        const granted = role.permissions || [];
+        return wildcard ? grantsPermission(granted, permission) : granted.includes(permission);
+      })
+      .map(role => role.name);
+  }
+
+  /**
+   * Two-factor authentication policy for a role
+   * A role whose 2FA is optional is also required when listed in
+   * TWO_FACTOR_REQUIRED_ROLES.
+   * @param {string} roleName
+   * @returns {Promise<{available: boolean, required: boolean}>}
+   */
+  async getTwoFactorPolicy(roleName) {
+    const role = await this.getRole(roleName);
+    const policy = role?.twoFactor || 'unavailable';
+    const available = policy !== 'unavailable';
+    const required = policy === 'required'
+      || (available && parseRoleList(process.env.TWO_FACTOR_REQUIRED_ROLES).includes(roleName));
+    return { available, required };
+  }
+
+  /**
+   * Check whether users with a role must follow the strong password rules
+   * @param {string} roleName
+   * @returns {Promise<boolean>}
+   */
+  async requiresStrongPassword(roleName) {
+    const role = await this.getRole(roleName);
+    return !!role?.requireStrongPassword;
+  }
+}
+
+export default new RoleService();
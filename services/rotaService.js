@@ -0,0 +1,452 @@
+import CelebrantAssignment from '../models/CelebrantAssignment.js';
+import MissionStation from '../models/MissionStation.js';
+import ScheduleException from '../models/ScheduleException.js';
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import massScheduleService from './massScheduleService.js';
+import notificationService from './notificationService.js';
+import roleService from './roleService.js';
+import { PERMISSIONS } from '../utils/permissions.js';
+import { getParishTimezone, toDateKey, addDays, getDayOfWeek } from '../utils/timezone.js';
+
+// Services have no end time; the rota treats each one as lasting an hour
+export const SERVICE_MINUTES = 60;
+
+// Travel time between two stations with no travelTimes entry (ROTA_DEFAULT_TRAVEL_MINUTES)
+const DEFAULT_TRAVEL_MINUTES = 60;
+
+// Reminders list the services of the coming week
+const REMINDER_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Calendar day key -> the Date stored on assignments (midnight UTC)
+const toStoredDate = (dateKey) => new Date(`${dateKey}T00:00:00.000Z`);
+
+// Monday of the week a calendar day falls in
+const startOfWeek = (dateKey) => {
+  let date = dateKey;
+  while (getDayOfWeek(date) !== 'monday') {
+    date = addDays(date, -1);
+  }
+  return date;
+};
+
+const idOf = (value) => String(value?._id ?? value ?? '');
+
+// '2026-02' -> '2026-02-28'
+const lastDayOfMonth = (month) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return new Date(Date.UTC(year, monthNumber, 0)).toISOString().slice(0, 10);
+};
+
+class RotaService {
+  /**
+   * Minutes to allow between stations that have no travelTimes entry
+   * @returns {number}
+   */
+  getDefaultTravelMinutes() {
+    const minutes = parseInt(process.env.ROTA_DEFAULT_TRAVEL_MINUTES);
+    return Number.isNaN(minutes) || minutes < 0 ? DEFAULT_TRAVEL_MINUTES : minutes;
+  }
+
+  /**
+   * Load the travel times between mission stations
+   * @returns {Promise<Function>} (fromStation, toStation) => minutes (0 within a station)
+   */
+  async loadTravelTimes() {
+    const stations = await MissionStation.find().select('travelTimes').lean();
+    const defaultMinutes = this.getDefaultTravelMinutes();
+
+    // A station's own entry wins over the reverse entry of the other station
+    const times = new Map();
+    stations.forEach(station => (station.travelTimes || []).forEach(({ missionStation, minutes }) => {
+      const reverse = `${missionStation}:${station._id}`;
+      if (!times.has(reverse)) times.set(reverse, minutes);
+      times.set(`${station._id}:${missionStation}`, minutes);
+    }));
+
+    return (from, to) => {
+      if (idOf(from) === idOf(to)) return 0;
+      return times.get(`${idOf(from)}:${idOf(to)}`) ?? defaultMinutes;
+    };
+  }
+
+  /**
+   * Roles whose users can be put on the rota: those listing rota:celebrate.
+   * Admins granted everything ('*') are not celebrants.
+   * @returns {Promise<string[]>}
+   */
+  async getCelebrantRoles() {
+    return roleService.getRolesWithPermission(PERMISSIONS.ROTA_CELEBRATE, { wildcard: false });
+  }
+
+  /**
+   * Users who can be put on the rota (see getCelebrantRoles)
+   * @returns {Promise<Object[]>}
+   */
+  async getPriests() {
+    const roles = await this.getCelebrantRoles();
+    return User.find({ role: { $in: roles } }).select('username email role').sort({ username: 1 }).lean();
+  }
+
+  /**
+   * Check whether a user can be put on the rota
+   * @param {string} userId
+   * @returns {Promise<boolean>}
+   */
+  async isCelebrant(userId) {
+    const roles = await this.getCelebrantRoles();
+    return !!(await User.exists({ _id: userId, role: { $in: roles } }));
+  }
+
+  /**
+   * Find services a priest cannot reach in time: the next one starts before the
+   * previous one has ended (SERVICE_MINUTES) plus the travel time between stations.
+   * @param {Object[]} bookings - [{ occurrence, priest, start, missionStation }]
+   * @param {Function} travelMinutes - From loadTravelTimes()
+   * @returns {Object[]} [{ priest, occurrences, missionStations, minutesBetween, minutesNeeded }]
+   */
+  findConflicts(bookings, travelMinutes) {
+    const byPriest = new Map();
+    bookings.forEach(booking => {
+      const key = idOf(booking.priest);
+      if (!byPriest.has(key)) byPriest.set(key, []);
+      byPriest.get(key).push(booking);
+    });
+
+    const conflicts = [];
+    byPriest.forEach((priestBookings, priest) => {
+      priestBookings.sort((a, b) => a.start - b.start);
+      priestBookings.forEach((first, i) => {
+        for (const second of priestBookings.slice(i + 1)) {
+          if (second.start - first.start >= DAY_MS) break;
+
+          const minutesBetween = Math.round((second.start - first.start) / 60000);
+          const minutesNeeded = SERVICE_MINUTES + travelMinutes(first.missionStation, second.missionStation);
+          if (minutesBetween < minutesNeeded) {
+            conflicts.push({
+              priest,
+              occurrences: [first.occurrence, second.occurrence],
+              missionStations: [first.missionStation, second.missionStation],
+              minutesBetween,
+              minutesNeeded
+            });
+          }
+        }
+      });
+    });
+
+    return conflicts;
+  }
+
+  /**
+   * Dated services with their celebrant assignments and any conflicts
+   * @param {Object} options
+   * @param {string} options.from - First day, 'YYYY-MM-DD' in the parish timezone
+   * @param {string} options.to - Last day (inclusive)
+   * @param {string} options.missionStation - Only services at this mission station
+   * @param {string} options.type - Only this service type
+   * @param {string} options.priest - Only services assigned to this user
+   * @returns {Promise<Object>} { from, to, timezone, services, conflicts, orphaned }
+   *   orphaned lists assignments whose service no longer exists (weekly service deleted or moved)
+   */
+  async getRota({ from, to, missionStation, type, priest }) {
+    // Conflicts need every station's services, whatever the filters
+    const [occurrences, assignments, travelMinutes] = await Promise.all([
+      massScheduleService.getOccurrences({ from, to }),
+      CelebrantAssignment.find({ date: { $gte: toStoredDate(from), $lte: toStoredDate(to) } })
+        .populate('priest', 'username email')
+        .populate('assignedBy', 'username')
+        .lean(),
+      this.loadTravelTimes()
+    ]);
+
+    const byOccurrence = new Map(assignments.map(assignment => [assignment.occurrence, assignment]));
+    const occurrenceIds = new Set(occurrences.map(occurrence => occurrence.id));
+
+    const bookings = occurrences
+      .filter(occurrence => occurrence.status !== 'cancelled' && byOccurrence.has(occurrence.id))
+      .map(occurrence => ({
+        occurrence: occurrence.id,
+        priest: byOccurrence.get(occurrence.id).priest,
+        start: occurrence.start,
+        missionStation: idOf(occurrence.missionStation)
+      }));
+    let conflicts = this.findConflicts(bookings, travelMinutes);
+
+    const services = occurrences
+      .map(occurrence => ({ ...occurrence, assignment: byOccurrence.get(occurrence.id) || null }))
+      .filter(service => !missionStation || idOf(service.missionStation) === String(missionStation))
+      .filter(service => !type || service.type === type)
+      .filter(service => !priest || idOf(service.assignment?.priest) === String(priest));
+
+    const listed = new Set(services.map(service => service.id));
+    conflicts = conflicts.filter(conflict => conflict.occurrences.some(id => listed.has(id)));
+
+    const orphaned = assignments
+      .filter(assignment => !occurrenceIds.has(assignment.occurrence))
+      .filter(assignment => !priest || idOf(assignment.priest) === String(priest));
+
+    return { from, to, timezone: getParishTimezone(), services, conflicts, orphaned };
+  }
+
+  /**
+   * Look up one dated service by its occurrence ID
+   * @param {string} occurrenceId - '<massSchedule>:<YYYY-MM-DD>' or 'exception:<id>'
+   * @returns {Promise<Object|null>} The occurrence, as returned by getOccurrences()
+   */
+  async findOccurrence(occurrenceId) {
+    let date;
+    if (occurrenceId.startsWith('exception:')) {
+      const exception = await ScheduleException.findById(occurrenceId.slice('exception:'.length)).select('date').lean();
+      date = exception?.date.toISOString().slice(0, 10);
+    } else {
+      date = occurrenceId.split(':')[1];
+    }
+    if (!date) {
+      return null;
+    }
+
+    const occurrences = await massScheduleService.getOccurrences({ from: date, to: date });
+    return occurrences.find(occurrence => occurrence.id === occurrenceId) || null;
+  }
+
+  /**
+   * Conflicts a priest would have if assigned to a service
+   * @param {Object} occurrence - From findOccurrence()
+   * @param {string} priest - User ID
+   * @returns {Promise<Object[]>} Conflicts involving this service
+   */
+  async conflictsFor(occurrence, priest) {
+    const from = addDays(occurrence.date, -1);
+    const to = addDays(occurrence.date, 1);
+    const [occurrences, assignments, travelMinutes] = await Promise.all([
+      massScheduleService.getOccurrences({ from, to, includeCancelled: false }),
+      CelebrantAssignment.find({
+        priest,
+        occurrence: { $ne: occurrence.id },
+        date: { $gte: toStoredDate(from), $lte: toStoredDate(to) }
+      }).lean(),
+      this.loadTravelTimes()
+    ]);
+
+    const assigned = new Set(assignments.map(assignment => assignment.occurrence));
+    const bookings = [...occurrences.filter(o => assigned.has(o.id) && o.id !== occurrence.id), occurrence].map(o => ({
+      occurrence: o.id,
+      priest,
+      start: o.start,
+      missionStation: idOf(o.missionStation)
+    }));
+
+    return this.findConflicts(bookings, travelMinutes)
+      .filter(conflict => conflict.occurrences.includes(occurrence.id));
+  }
+
+  /**
+   * Fill a month's unassigned services, spreading them evenly between priests.
+   * Each service goes to the priest with the fewest services that month (then
+   * the fewest at that station) who can reach it without a conflict. Changed
+   * services that name a celebrant account keep that priest.
+   * @param {Object} options
+   * @param {string} options.month - 'YYYY-MM'
+   * @param {string} options.missionStation - Only fill services at this station
+   * @param {string} options.type - Only fill this service type
+   * @param {boolean} options.replaceGenerated - Redo earlier generated assignments (manual ones are kept)
+   * @param {boolean} options.dryRun - Only report what would be assigned
+   * @param {string} options.assignedBy - User ID
+   * @returns {Promise<Object>} { month, from, to, assigned, unassigned, load }
+   */
+  async generateMonth({ month, missionStation, type, replaceGenerated = false, dryRun = false, assignedBy }) {
+    const from = `${month}-01`;
+    const to = lastDayOfMonth(month);
+    const inScope = (occurrence) => (!missionStation || idOf(occurrence.missionStation) === String(missionStation))
+      && (!type || occurrence.type === type);
+
+    const [priests, occurrences, existing, travelMinutes] = await Promise.all([
+      this.getPriests(),
+      massScheduleService.getOccurrences({ from, to, includeCancelled: false }),
+      CelebrantAssignment.find({ date: { $gte: toStoredDate(from), $lte: toStoredDate(to) } }).lean(),
+      this.loadTravelTimes()
+    ]);
+
+    const byId = new Map(occurrences.map(occurrence => [occurrence.id, occurrence]));
+    const replaced = existing.filter(assignment => replaceGenerated && assignment.source === 'generated'
+      && (!byId.has(assignment.occurrence) || inScope(byId.get(assignment.occurrence))));
+    const replacedIds = new Set(replaced.map(assignment => String(assignment._id)));
+    const kept = existing.filter(assignment => !replacedIds.has(String(assignment._id)));
+    const keptOccurrences = new Set(kept.map(assignment => assignment.occurrence));
+
+    const priestIds = new Set(priests.map(priest => String(priest._id)));
+    const load = new Map(priests.map(priest => [String(priest._id), 0]));
+    const stationLoad = new Map();
+    const bookings = [];
+
+    const book = (occurrence, priest) => {
+      load.set(priest, (load.get(priest) || 0) + 1);
+      const stationKey = `${priest}:${idOf(occurrence.missionStation)}`;
+      stationLoad.set(stationKey, (stationLoad.get(stationKey) || 0) + 1);
+      bookings.push({ occurrence: occurrence.id, priest, start: occurrence.start, missionStation: idOf(occurrence.missionStation) });
+    };
+    kept.filter(assignment => byId.has(assignment.occurrence))
+      .forEach(assignment => book(byId.get(assignment.occurrence), String(assignment.priest)));
+
+    const hasConflict = (occurrence, priest) => {
+      const candidate = { occurrence: occurrence.id, priest, start: occurrence.start, missionStation: idOf(occurrence.missionStation) };
+      return this.findConflicts([...bookings.filter(b => b.priest === priest), candidate], travelMinutes)
+        .some(conflict => conflict.occurrences.includes(occurrence.id));
+    };
+
+    const proposals = [];
+    const unassigned = [];
+    occurrences
+      .filter(occurrence => inScope(occurrence) && !keptOccurrences.has(occurrence.id))
+      .forEach(occurrence => {
+        const named = occurrence.celebrant?.user && String(occurrence.celebrant.user);
+        const priest = named && priestIds.has(named)
+          ? named
+          : [...priestIds]
+            .filter(candidate => !hasConflict(occurrence, candidate))
+            .sort((a, b) => load.get(a) - load.get(b)
+              || (stationLoad.get(`${a}:${idOf(occurrence.missionStation)}`) || 0)
+                - (stationLoad.get(`${b}:${idOf(occurrence.missionStation)}`) || 0))[0];
+
+        if (!priest) {
+          unassigned.push({
+            occurrence: occurrence.id,
+            date: occurrence.date,
+            time: occurrence.time,
+            type: occurrence.type,
+            missionStation: occurrence.missionStation,
+            reason: priests.length ? 'No priest can reach this service without a conflict' : 'No users have a role with the rota:celebrate permission'
+          });
+          return;
+        }
+
+        book(occurrence, priest);
+        proposals.push({
+          occurrence: occurrence.id,
+          date: toStoredDate(occurrence.date),
+          massSchedule: occurrence.massSchedule,
+          exception: occurrence.massSchedule ? null : occurrence.exception,
+          missionStation: occurrence.missionStation?._id,
+          priest,
+          source: 'generated',
+          assignedBy,
+          // For the response only
+          service: occurrence
+        });
+      });
+
+    if (!dryRun) {
+      if (replaced.length) {
+        await CelebrantAssignment.deleteMany({ _id: { $in: replaced.map(assignment => assignment._id) } });
+      }
+      if (proposals.length) {
+        await CelebrantAssignment.insertMany(proposals.map(({ service, ...assignment }) => assignment));
+      }
+    }
+
+    const priestsById = new Map(priests.map(priest => [String(priest._id), priest]));
+    const summary = (priest) => ({ _id: priest._id, username: priest.username });
+    return {
+      month,
+      from,
+      to,
+      dryRun,
+      replaced: replaced.length,
+      assigned: proposals.map(({ service, priest }) => ({
+        occurrence: service.id,
+        date: service.date,
+        time: service.time,
+        type: service.type,
+        missionStation: service.missionStation,
+        priest: summary(priestsById.get(priest))
+      })),
+      unassigned,
+      load: priests.map(priest => ({ priest: summary(priest), services: load.get(String(priest._id)) }))
+    };
+  }
+
+  /**
+   * Email each priest the services they celebrate in the coming week.
+   * Sent once per priest and week (Monday to Sunday), so a second run in the same week is skipped.
+   * @param {Object} options
+   * @param {Date} options.now - Defaults to the current time
+   * @param {boolean} options.dryRun - Only report who would be reminded
+   * @returns {Promise<Object>} { week, from, to, sent, skipped, failed, reminders }
+   */
+  async sendWeeklyReminders({ now = new Date(), dryRun = false } = {}) {
+    const timeZone = getParishTimezone();
+    const from = toDateKey(now);
+    const to = addDays(from, REMINDER_DAYS - 1);
+    const week = startOfWeek(from);
+    const { services } = await this.getRota({ from, to });
+
+    const byPriest = new Map();
+    services
+      .filter(service => service.assignment?.priest && service.status !== 'cancelled')
+      .forEach(service => {
+        const key = idOf(service.assignment.priest);
+        if (!byPriest.has(key)) byPriest.set(key, { priest: service.assignment.priest, services: [] });
+        byPriest.get(key).services.push(service);
+      });
+
+    const summary = { week, from, to, sent: 0, skipped: 0, failed: 0, reminders: [] };
+    for (const { priest, services: priestServices } of byPriest.values()) {
+      const result = { priest: priest._id, username: priest.username, services: priestServices.length };
+      summary.reminders.push(result);
+
+      if (!priest.email) {
+        result.status = 'skipped';
+        result.reason = 'No email address';
+        summary.skipped++;
+        continue;
+      }
+
+      const alreadySent = await Notification.exists({
+        'metadata.rotaReminder': week,
+        'metadata.user': priest._id,
+        status: { $in: ['sent', 'partially_sent'] }
+      });
+      if (alreadySent) {
+        result.status = 'skipped';
+        result.reason = 'Already sent';
+        summary.skipped++;
+        continue;
+      }
+
+      if (dryRun) {
+        result.status = 'would-send';
+        continue;
+      }
+
+      const lines = priestServices.map(service => {
+        const day = service.start.toLocaleDateString('en-US', { weekday: 'long', day: 'numeric', month: 'long', timeZone });
+        const station = service.missionStation?.name ? ` at ${service.missionStation.name}` : '';
+        const note = service.status === 'changed' ? ' (changed)' : '';
+        return `- ${day}, ${service.time}: ${service.type}${station}${note}`;
+      });
+
+      try {
+        const sent = await notificationService.sendNotification({
+          type: 'email',
+          recipient: { email: priest.email, name: priest.username },
+          subject: `Your services from ${from} to ${to}`,
+          message: `Dear ${priest.username},\n\nYou are on the rota for these services in the coming week:\n\n${lines.join('\n')}\n\nPlease let the parish office know as soon as possible if you cannot celebrate any of them.`,
+          metadata: { rotaReminder: week, user: priest._id }
+        });
+        result.status = sent.success ? 'sent' : 'failed';
+        summary[sent.success ? 'sent' : 'failed']++;
+      } catch (error) {
+        result.status = 'failed';
+        result.reason = error.message;
+        summary.failed++;
+      }
+    }
+
+    return summary;
+  }
+}
+
+export default new RotaService();
@@ -17,6 +17,22 @@ export const loadConfig = () => {
   process.env.PORT = process.env.PORT || '5000';
   process.env.NODE_ENV = process.env.NODE_ENV || 'development';
   
+  // Account lockout policy (optional)
+  // LOGIN_MAX_FAILED_ATTEMPTS (default 5), LOGIN_LOCKOUT_MINUTES (default 15, doubles on each consecutive lockout)
+
+  // Two-factor authentication policy (optional)
+  // TWO_FACTOR_REQUIRED_ROLES - comma-separated roles that must enroll in TOTP (roles whose twoFactor setting is 'optional')
+
+  // Duplicate parishioner detection (optional)
+  // DUPLICATE_MIN_SCORE - minimum score (0-100) for the review queue (default 60)
+
+  // Sacramental certificates (optional)
+  // PARISH_NAME, PARISH_ADDRESS, PARISH_DIOCESE, PARISH_SEAL_URL, PARISH_PRIEST_NAME
+
+  // Mass schedule (optional)
+  // PARISH_TIMEZONE - IANA timezone of the service times (default America/New_York)
+  // ROTA_DEFAULT_TRAVEL_MINUTES - travel time between stations with no travelTimes entry (default 60)
+
   // Notification service configuration (optional)
   // Email: SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASSWORD, SMTP_FROM_EMAIL, SMTP_FROM_NAME
   // WhatsApp: TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_WHATSAPP_NUMBER, TWILIO_PHONE_NUMBER
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import Parishioner from '../models/Parishioner.js';
 
 export const connectDB = async () => {
   try {
@@ -33,3 +34,17 @@ export const connectDB = async () => {
   }
 };
 
+
+// Replace indexes whose options changed between versions. autoIndex only creates
+// missing indexes: an index with the same name but different options is kept as is.
+export const migrateIndexes = async () => {
+  // Parishioner.user became sparse so that household members without an account
+  // can be stored; the old non-sparse index rejects a second parishioner without one
+  const indexes = await Parishioner.collection.indexes().catch(() => []);
+  const userIndex = indexes.find(index => index.name === 'user_1');
+  if (userIndex && !userIndex.sparse) {
+    await Parishioner.collection.dropIndex('user_1');
+    await Parishioner.collection.createIndex({ user: 1 }, { unique: true, sparse: true });
+    console.log('Rebuilt parishioners.user_1 index as sparse');
+  }
+};
@@ -3,10 +3,19 @@ import authRoutes from '../routes/auth.js';
 import announcementRoutes from '../routes/announcements.js';
 import eventRoutes from '../routes/events.js';
 import massScheduleRoutes from '../routes/massSchedule.js';
+import scheduleExceptionRoutes from '../routes/scheduleExceptions.js';
 import missionStationRoutes from '../routes/missionStations.js';
 import ministryRoutes from '../routes/ministries.js';
 import galleryRoutes from '../routes/gallery.js';
 import parishionerRoutes from '../routes/parishioners.js';
+import parishionerSpreadsheetRoutes from '../routes/parishionerSpreadsheets.js';
+import duplicateRoutes from '../routes/duplicates.js';
+import householdRoutes from '../routes/households.js';
+import sacramentRoutes from '../routes/sacraments.js';
+import certificateRoutes from '../routes/certificates.js';
+import funeralRoutes from '../routes/funerals.js';
+import marriageCaseRoutes from '../routes/marriageCases.js';
+import massIntentionRoutes from '../routes/massIntentions.js';
 import prayerRoutes from '../routes/prayers.js';
 import sermonRoutes from '../routes/sermons.js';
 import liturgicalColorRoutes from '../routes/liturgicalColor.js';
@@ -16,6 +25,12 @@ import contactRoutes from '../routes/contact.js';
 import userRoutes from '../routes/users.js';
 import saintsRoutes from '../routes/saints.js';
 import donationRoutes from '../routes/donations.js';
+import roleRoutes from '../routes/roles.js';
+import auditLogRoutes from '../routes/auditLog.js';
+import greetingRoutes from '../routes/greetings.js';
+import reportRoutes from '../routes/reports.js';
+import calendarRoutes from '../routes/calendar.js';
+import rotaRoutes from '../routes/rota.js';
 
 export const setupRoutes = (app) => {
   // Health check endpoint
@@ -31,11 +46,20 @@ export const setupRoutes = (app) => {
   app.use('/api/auth', authRoutes);
   app.use('/api/announcements', announcementRoutes);
   app.use('/api/events', eventRoutes);
+  app.use('/api/mass-schedule/exceptions', scheduleExceptionRoutes);
   app.use('/api/mass-schedule', massScheduleRoutes);
   app.use('/api/mission-stations', missionStationRoutes);
   app.use('/api/ministries', ministryRoutes);
   app.use('/api/gallery', galleryRoutes);
+  app.use('/api/parishioners/duplicates', duplicateRoutes);
+  app.use('/api/parishioners', parishionerSpreadsheetRoutes); // import/export, before /:id routes
   app.use('/api/parishioners', parishionerRoutes);
+  app.use('/api/households', householdRoutes);
+  app.use('/api/sacraments', sacramentRoutes);
+  app.use('/api/certificates', certificateRoutes);
+  app.use('/api/funerals', funeralRoutes);
+  app.use('/api/marriage-cases', marriageCaseRoutes);
+  app.use('/api/mass-intentions', massIntentionRoutes);
   app.use('/api/prayers', prayerRoutes);
   app.use('/api/sermons', sermonRoutes);
   app.use('/api/liturgical-color', liturgicalColorRoutes);
@@ -45,6 +69,12 @@ export const setupRoutes = (app) => {
   app.use('/api/users', userRoutes);
   app.use('/api/saints', saintsRoutes);
   app.use('/api/donations', donationRoutes);
+  app.use('/api/roles', roleRoutes);
+  app.use('/api/audit-log', auditLogRoutes);
+  app.use('/api/greetings', greetingRoutes);
+  app.use('/api/reports', reportRoutes);
+  app.use('/api/calendar', calendarRoutes);
+  app.use('/api/rota', rotaRoutes);
 
   // 404 handler for undefined routes
   app.use('*', (req, res) => {
@@ -1,5 +1,10 @@
 import cron from 'node-cron';
 import { getTodayLiturgicalColor } from '../utils/liturgicalCalendar.js';
+import auditService from '../services/auditService.js';
+import duplicateService from '../services/duplicateService.js';
+import greetingService from '../services/greetingService.js';
+import rotaService from '../services/rotaService.js';
+import { getParishTimezone } from '../utils/timezone.js';
 
 /**
  * Setup scheduled tasks
@@ -17,7 +22,60 @@ export function setupScheduler() {
     }
   }, {
     scheduled: true,
-    timezone: "America/New_York" // Adjust to your parish's timezone
+    timezone: getParishTimezone() // PARISH_TIMEZONE
+  });
+
+  // Run at 2am every day to delete audit log entries past the retention period
+  // (AUDIT_LOG_RETENTION_DAYS, default 365)
+  cron.schedule('0 2 * * *', async () => {
+    try {
+      const deleted = await auditService.purgeExpired();
+      console.log(`[Scheduler] Audit log retention: deleted ${deleted} expired entries`);
+    } catch (error) {
+      console.error('[Scheduler] Error purging audit log:', error);
+    }
+  }, {
+    scheduled: true,
+    timezone: getParishTimezone() // PARISH_TIMEZONE
+  });
+
+  // Run at 3am every day to refresh the duplicate parishioner review queue
+  cron.schedule('0 3 * * *', async () => {
+    try {
+      const result = await duplicateService.scan();
+      console.log(`[Scheduler] Duplicate scan: ${result.candidates} likely duplicates among ${result.scanned} parishioners (${result.created} new)`);
+    } catch (error) {
+      console.error('[Scheduler] Error scanning for duplicate parishioners:', error);
+    }
+  }, {
+    scheduled: true,
+    timezone: getParishTimezone() // PARISH_TIMEZONE
+  });
+
+  // Run at 8am every day to send birthday and anniversary greetings
+  cron.schedule('0 8 * * *', async () => {
+    try {
+      const result = await greetingService.sendDailyGreetings();
+      console.log(`[Scheduler] Greetings for ${result.date}: ${result.sent} sent, ${result.skipped} skipped, ${result.failed} failed`);
+    } catch (error) {
+      console.error('[Scheduler] Error sending greetings:', error);
+    }
+  }, {
+    scheduled: true,
+    timezone: getParishTimezone() // PARISH_TIMEZONE
+  });
+
+  // Run at 7am every Monday to send priests their services for the week
+  cron.schedule('0 7 * * 1', async () => {
+    try {
+      const result = await rotaService.sendWeeklyReminders();
+      console.log(`[Scheduler] Rota reminders for ${result.from} to ${result.to}: ${result.sent} sent, ${result.skipped} skipped, ${result.failed} failed`);
+    } catch (error) {
+      console.error('[Scheduler] Error sending rota reminders:', error);
+    }
+  }, {
+    scheduled: true,
+    timezone: getParishTimezone() // PARISH_TIMEZONE
   });
 
   // Also run immediately on server start to log current color
@@ -0,0 +1,153 @@
+import { describe, test, expect, beforeAll, beforeEach, afterAll } from '@jest/globals';
+import express from 'express';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import bcrypt from 'bcryptjs';
+import User, { MAX_FAILED_LOGIN_ATTEMPTS } from '../models/User.js';
+import Role from '../models/Role.js';
+import RefreshToken from '../models/RefreshToken.js';
+import notificationService from '../services/notificationService.js';
+import roleService from '../services/roleService.js';
+import authRoutes from '../routes/auth.js';
+import { DEFAULT_ROLES } from '../utils/permissions.js';
+
+const PASSWORD = 'Ave-Maria-1854';
+
+const originals = {
+  findOne: User.findOne,
+  findOneAndUpdate: User.findOneAndUpdate,
+  findById: User.findById,
+  updateOne: User.updateOne,
+  refreshCreate: RefreshToken.create,
+  roleFind: Role.find,
+  sendNotification: notificationService.sendNotification
+};
+
+const app = express();
+// Each request comes from its own address so the per-IP rate limiter stays out of the way
+app.set('trust proxy', 1);
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+let requests = 0;
+let passwordHash;
+// The stored account, updated the way MongoDB would apply each update
+let stored;
+let notifications;
+
+const applyUpdate = ({ $set = {}, $inc = {}, $unset = {} }) => {
+  Object.assign(stored, $set);
+  Object.entries($inc).forEach(([field, amount]) => {
+    stored[field] = (stored[field] || 0) + amount;
+  });
+  Object.keys($unset).forEach(field => {
+    stored[field] = undefined;
+  });
+};
+
+const notBlocked = (until) => !until || until <= new Date();
+
+const login = (password) => request(app)
+  .post('/api/auth/login')
+  .set('X-Forwarded-For', `203.0.113.${++requests}`)
+  .send({ email: 'clare@example.com', password });
+
+// Skip the progressive delay, as if the user had waited before trying again
+const waitOutDelay = () => {
+  stored.loginBlockedUntil = undefined;
+};
+
+describe('account lockout', () => {
+  beforeAll(async () => {
+    passwordHash = await bcrypt.hash(PASSWORD, 4);
+    Role.find = () => ({ lean: async () => DEFAULT_ROLES });
+    roleService.invalidate();
+
+    User.findOne = async () => new User({ ...stored, passwordHash });
+    // The claim checks and counts in one step, like the real findOneAndUpdate
+    User.findOneAndUpdate = (filter, update) => ({
+      lean: async () => {
+        if (!notBlocked(stored.lockedUntil) || !notBlocked(stored.loginBlockedUntil)) {
+          return null;
+        }
+        applyUpdate(update);
+        return { failedLoginAttempts: stored.failedLoginAttempts, lockoutCount: stored.lockoutCount };
+      }
+    });
+    User.findById = () => ({ select: () => ({ lean: async () => ({ ...stored }) }) });
+    User.updateOne = async (filter, update) => {
+      if (!filter.failedLoginAttempts || stored.failedLoginAttempts > filter.failedLoginAttempts.$gt) {
+        applyUpdate(update);
+      }
+      return { modifiedCount: 1 };
+    };
+    RefreshToken.create = async (fields) => fields;
+    notificationService.sendNotification = async (notification) => {
+      notifications.push(notification);
+      return { success: true };
+    };
+  });
+
+  beforeEach(() => {
+    stored = {
+      _id: new mongoose.Types.ObjectId(),
+      email: 'clare@example.com',
+      role: 'parishioner',
+      failedLoginAttempts: 0,
+      lockoutCount: 0
+    };
+    notifications = [];
+  });
+
+  afterAll(() => {
+    User.findOne = originals.findOne;
+    User.findOneAndUpdate = originals.findOneAndUpdate;
+    User.findById = originals.findById;
+    User.updateOne = originals.updateOne;
+    RefreshToken.create = originals.refreshCreate;
+    Role.find = originals.roleFind;
+    notificationService.sendNotification = originals.sendNotification;
+    roleService.invalidate();
+  });
+
+  test(`locks the account after ${MAX_FAILED_LOGIN_ATTEMPTS} failed attempts`, async () => {
+    for (let attempt = 1; attempt < MAX_FAILED_LOGIN_ATTEMPTS; attempt++) {
+      await login('wrong-password').expect(401);
+      waitOutDelay();
+    }
+
+    const response = await login('wrong-password').expect(423);
+    expect(response.body.retryAfter).toBeDefined();
+    expect(stored.lockedUntil > new Date()).toBe(true);
+    expect(stored.lockoutCount).toBe(1);
+
+    // Even the right password is refused while locked
+    await login(PASSWORD).expect(423);
+    await new Promise(resolve => setImmediate(resolve));
+    expect(notifications).toHaveLength(1);
+    expect(notifications[0].recipient.email).toBe('clare@example.com');
+  });
+
+  test('makes the next attempt wait after a failure', async () => {
+    await login('wrong-password').expect(401);
+
+    const response = await login(PASSWORD).expect(429);
+    expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+  });
+
+  test('lets only one of several simultaneous guesses through', async () => {
+    const responses = await Promise.all([1, 2, 3].map(() => login('wrong-password')));
+
+    expect(responses.map(response => response.status).sort()).toEqual([401, 429, 429]);
+    expect(stored.failedLoginAttempts).toBe(1);
+  });
+
+  test('clears the failed attempts after a successful login', async () => {
+    await login('wrong-password').expect(401);
+    waitOutDelay();
+
+    await login(PASSWORD).expect(200);
+    expect(stored.failedLoginAttempts).toBe(0);
+    expect(stored.loginBlockedUntil).toBeUndefined();
+  });
+});
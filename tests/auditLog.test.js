@@ -0,0 +1,98 @@
+import { describe, test, expect, beforeAll, beforeEach, afterAll } from '@jest/globals';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import Announcement from '../models/Announcement.js';
+import AuditLog from '../models/AuditLog.js';
+import User from '../models/User.js';
+import Role from '../models/Role.js';
+import roleService from '../services/roleService.js';
+import announcementRoutes from '../routes/announcements.js';
+import { DEFAULT_ROLES } from '../utils/permissions.js';
+
+const ID = '64b7f0c2a1b2c3d4e5f60718';
+
+const originals = {
+  announcementFindById: Announcement.findById,
+  findByIdAndUpdate: Announcement.findByIdAndUpdate,
+  findByIdAndDelete: Announcement.findByIdAndDelete,
+  auditLogCreate: AuditLog.create,
+  userFindById: User.findById,
+  roleFind: Role.find
+};
+
+// The announcements router mounts auditLog with router.use(), as most routers do
+const app = express();
+app.use(express.json());
+app.use('/api/announcements', announcementRoutes);
+
+const token = jwt.sign({ userId: 'editor-user', role: 'editor' }, process.env.JWT_SECRET || 'fallback-secret');
+
+let stored;
+let recorded;
+
+describe('auditLog', () => {
+  beforeAll(() => {
+    Role.find = () => ({ lean: async () => DEFAULT_ROLES });
+    User.findById = async () => new User({ username: 'editor-user', role: 'editor', passwordHash: 'x' });
+    Announcement.findById = async (id) => (stored && id === ID ? { ...stored } : null);
+    Announcement.findByIdAndUpdate = async (id, update) => {
+      stored = { ...stored, ...update };
+      return { ...stored };
+    };
+    Announcement.findByIdAndDelete = async () => {
+      const deleted = stored;
+      stored = null;
+      return deleted;
+    };
+    roleService.invalidate();
+  });
+
+  beforeEach(() => {
+    stored = { _id: ID, title: 'Parish picnic', content: 'Sunday after Mass' };
+    recorded = new Promise(resolve => {
+      AuditLog.create = async (entry) => resolve(entry);
+    });
+  });
+
+  afterAll(() => {
+    Announcement.findById = originals.announcementFindById;
+    Announcement.findByIdAndUpdate = originals.findByIdAndUpdate;
+    Announcement.findByIdAndDelete = originals.findByIdAndDelete;
+    AuditLog.create = originals.auditLogCreate;
+    User.findById = originals.userFindById;
+    Role.find = originals.roleFind;
+    roleService.invalidate();
+  });
+
+  test('records the changed fields of an update', async () => {
+    await request(app)
+      .put(`/api/announcements/${ID}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'Parish picnic (moved)' })
+      .expect(200);
+
+    const entry = await recorded;
+    expect(entry.action).toBe('announcement.update');
+    expect(entry.targetId).toBe(ID);
+    expect(entry.changes).toEqual({
+      before: { title: 'Parish picnic' },
+      after: { title: 'Parish picnic (moved)' }
+    });
+  });
+
+  test('keeps a copy of a deleted document', async () => {
+    await request(app)
+      .delete(`/api/announcements/${ID}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    const entry = await recorded;
+    expect(entry.action).toBe('announcement.delete');
+    expect(entry.targetId).toBe(ID);
+    expect(entry.changes).toEqual({
+      before: { _id: ID, title: 'Parish picnic', content: 'Sunday after Mass' },
+      after: null
+    });
+  });
+});
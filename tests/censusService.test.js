@@ -0,0 +1,133 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import Parishioner from '../models/Parishioner.js';
+import MissionStation from '../models/MissionStation.js';
+import censusService, { AGE_BANDS } from '../services/censusService.js';
+
+const originals = {
+  aggregate: Parishioner.aggregate,
+  stationFind: MissionStation.find,
+  timezone: process.env.PARISH_TIMEZONE
+};
+
+// Evaluate the aggregation expressions the census uses against one document
+const evaluate = (expression, doc) => {
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    return doc[expression.slice(1)] ?? null;
+  }
+  if (!expression || typeof expression !== 'object' || expression instanceof Date) {
+    return expression;
+  }
+
+  const [[operator, args]] = Object.entries(expression);
+  const [a, b, c] = (Array.isArray(args) ? args : [args]).map(arg => (operator === '$cond' ? arg : evaluate(arg, doc)));
+  switch (operator) {
+    case '$cond': return evaluate(evaluate(a, doc) ? b : c, doc);
+    case '$ifNull': return a ?? b;
+    case '$eq': return a === b;
+    case '$gt': return a > b;
+    case '$add': return a + b;
+    case '$subtract': return a - b;
+    case '$multiply': return a * b;
+    case '$year': return a.getUTCFullYear();
+    case '$month': return a.getUTCMonth() + 1;
+    case '$dayOfMonth': return a.getUTCDate();
+    default: throw new Error(`Unsupported operator ${operator}`);
+  }
+};
+
+// The census pipeline's age expression, boundaries and match for a census date
+const pipelineFor = async (asOf) => {
+  let pipeline;
+  Parishioner.aggregate = async (stages) => {
+    pipeline = stages;
+    return [{}];
+  };
+  await censusService.aggregate(asOf);
+
+  const bucket = pipeline.find(stage => stage.$facet).$facet.byAgeBand[0].$bucket;
+  return {
+    match: pipeline.find(stage => stage.$match).$match,
+    ageOf: (dateOfBirth) => evaluate(pipeline.find(stage => stage.$addFields).$addFields.age, { dateOfBirth }),
+    boundaries: bucket.boundaries
+  };
+};
+
+const birthDay = (dateKey) => new Date(`${dateKey}T00:00:00.000Z`);
+
+describe('censusService', () => {
+  beforeAll(() => {
+    process.env.PARISH_TIMEZONE = 'America/New_York';
+  });
+
+  afterAll(() => {
+    Parishioner.aggregate = originals.aggregate;
+    MissionStation.find = originals.stationFind;
+    if (originals.timezone === undefined) {
+      delete process.env.PARISH_TIMEZONE;
+    } else {
+      process.env.PARISH_TIMEZONE = originals.timezone;
+    }
+  });
+
+  test('counts a birthday only once it has happened', async () => {
+    const { ageOf } = await pipelineFor(new Date('2026-06-15T16:00:00.000Z'));
+
+    expect(ageOf(birthDay('2000-06-14'))).toBe(26);
+    expect(ageOf(birthDay('2000-06-15'))).toBe(26);
+    expect(ageOf(birthDay('2000-06-16'))).toBe(25);
+    expect(ageOf(birthDay('2013-12-31'))).toBe(12);
+    expect(ageOf(null)).toBeNull();
+  });
+
+  test('works out ages on the census day in the parish timezone', async () => {
+    // 02:00 UTC on 1 January is still 31 December in New York
+    const { ageOf, match } = await pipelineFor(new Date('2027-01-01T02:00:00.000Z'));
+
+    expect(ageOf(birthDay('2009-01-01'))).toBe(17);
+    expect(ageOf(birthDay('2008-12-31'))).toBe(18);
+    expect(match.$or).toEqual([{ dateOfDeath: null }, { dateOfDeath: { $gt: birthDay('2026-12-31') } }]);
+  });
+
+  test('buckets ages at the lower bound of each band', async () => {
+    const { boundaries } = await pipelineFor(new Date('2026-06-15T16:00:00.000Z'));
+    const bandOf = (age) => AGE_BANDS[boundaries.findIndex((min, i) => age >= min && age < boundaries[i + 1])].label;
+
+    expect(bandOf(0)).toBe('0-12');
+    expect(bandOf(12)).toBe('0-12');
+    expect(bandOf(13)).toBe('13-17');
+    expect(bandOf(17)).toBe('13-17');
+    expect(bandOf(18)).toBe('18-35');
+    expect(bandOf(35)).toBe('18-35');
+    expect(bandOf(36)).toBe('36-59');
+    expect(bandOf(60)).toBe('60+');
+    expect(bandOf(104)).toBe('60+');
+  });
+
+  test('reports every age band with the change since last year', async () => {
+    const facets = (byAgeBand) => ({ totals: [], byMissionStation: [], byGender: [], households: [], byAgeBand });
+    const results = [
+      facets([{ _id: 0, parishioners: 40 }, { _id: 60, parishioners: 12 }, { _id: 'unknown', parishioners: 3 }]),
+      facets([{ _id: 0, parishioners: 35 }, { _id: 18, parishioners: 20 }])
+    ];
+    Parishioner.aggregate = async () => [results.shift()];
+    MissionStation.find = () => ({ select: () => ({ lean: async () => [] }) });
+
+    const report = await censusService.getReport({ year: 2025 });
+
+    expect(report.byAgeBand).toEqual([
+      { band: '0-12', parishioners: { count: 40, previous: 35, change: 5 } },
+      { band: '13-17', parishioners: { count: 0, previous: 0, change: 0 } },
+      { band: '18-35', parishioners: { count: 0, previous: 20, change: -20 } },
+      { band: '36-59', parishioners: { count: 0, previous: 0, change: 0 } },
+      { band: '60+', parishioners: { count: 12, previous: 0, change: 12 } },
+      { band: 'unknown', parishioners: { count: 3, previous: 0, change: 3 } }
+    ]);
+  });
+
+  test('takes past years as they stood at the end of 31 December in the parish', () => {
+    expect(censusService.getCensusDate(2025).toISOString()).toBe('2026-01-01T04:59:59.999Z');
+
+    const now = Date.now();
+    expect(censusService.getCensusDate(censusService.getCurrentYear()).getTime()).toBeGreaterThanOrEqual(now);
+  });
+});
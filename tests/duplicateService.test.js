@@ -0,0 +1,148 @@
+import { describe, test, expect, beforeEach, afterAll } from '@jest/globals';
+import mongoose from 'mongoose';
+import Parishioner from '../models/Parishioner.js';
+import DuplicateCandidate from '../models/DuplicateCandidate.js';
+import SacramentRecord from '../models/SacramentRecord.js';
+import Certificate from '../models/Certificate.js';
+import FuneralRecord from '../models/FuneralRecord.js';
+import MarriageCase from '../models/MarriageCase.js';
+import Donation from '../models/Donation.js';
+import User from '../models/User.js';
+import duplicateService from '../services/duplicateService.js';
+
+const id = () => new mongoose.Types.ObjectId();
+const same = (a, b) => String(a) === String(b);
+
+const LINKED_MODELS = { SacramentRecord, FuneralRecord, Certificate, Donation, MarriageCase, Parishioner };
+const originals = Object.fromEntries(Object.entries(LINKED_MODELS).map(([name, Model]) => [name, Model.updateMany]));
+const originalUser = { find: User.find, updateOne: User.updateOne };
+const originalParishionerUpdateOne = Parishioner.updateOne;
+const originalCandidate = { updateOne: DuplicateCandidate.updateOne, deleteMany: DuplicateCandidate.deleteMany };
+
+// Minimal in-memory collections for the filters merge() uses
+let stored;
+
+const matches = (doc, filter) => Object.entries(filter).every(([path, condition]) => {
+  if (path === 'donor.email') {
+    return condition.$in.some(email => email.toLowerCase() === doc.donor?.email?.toLowerCase());
+  }
+  if (path === 'spouses.parishioner') {
+    return doc.spouses.some(spouse => same(spouse.parishioner, condition));
+  }
+  return same(doc[path], condition);
+});
+
+const fakeUpdateMany = (name) => async (filter, update) => {
+  const docs = stored[name].filter(doc => matches(doc, filter));
+  docs.forEach(doc => {
+    if (name === 'MarriageCase') {
+      doc.spouses.forEach(spouse => {
+        if (same(spouse.parishioner, filter['spouses.parishioner'])) {
+          spouse.parishioner = update.$set['spouses.$[spouse].parishioner'];
+        }
+      });
+    } else {
+      Object.assign(doc, update);
+    }
+  });
+  return { modifiedCount: docs.length };
+};
+
+const newParishioner = (fields) => {
+  const parishioner = new Parishioner(fields);
+  parishioner.save = async () => parishioner;
+  return parishioner;
+};
+
+describe('duplicateService.merge', () => {
+  let survivor;
+  let duplicate;
+  let userUpdates;
+
+  beforeEach(() => {
+    survivor = newParishioner({ firstName: 'Marie', lastName: 'Ngono', phone: '677000111' });
+    duplicate = newParishioner({
+      firstName: 'Mary',
+      lastName: 'Ngono',
+      user: id(),
+      dateOfBirth: new Date('1980-04-02'),
+      ministries: [id()],
+      notes: 'Registered twice'
+    });
+
+    stored = {
+      SacramentRecord: [{ _id: id(), parishioner: duplicate._id }],
+      FuneralRecord: [{ _id: id(), parishioner: duplicate._id }],
+      Certificate: [{ _id: id(), parishioner: duplicate._id }],
+      Donation: [
+        // Linked by hand, with a donor email that matches neither account
+        { _id: id(), parishioner: duplicate._id, donor: { email: 'office@parish.org' } },
+        // Matched by the donor email, typed with different case
+        { _id: id(), parishioner: null, donor: { email: 'Mary.Ngono@Example.com' } }
+      ],
+      MarriageCase: [{ _id: id(), spouses: [{ parishioner: duplicate._id }, { parishioner: id() }] }],
+      Parishioner: [{ _id: id(), mergedInto: duplicate._id }]
+    };
+
+    Object.keys(LINKED_MODELS).forEach(name => {
+      LINKED_MODELS[name].updateMany = fakeUpdateMany(name);
+    });
+    Parishioner.updateOne = async () => ({ modifiedCount: 1 });
+    User.find = () => ({ select: () => ({ lean: async () => [{ _id: duplicate.user, email: 'mary.ngono@example.com' }] }) });
+    userUpdates = [];
+    User.updateOne = async (filter, update) => {
+      userUpdates.push({ filter, update });
+      return { modifiedCount: 1 };
+    };
+    DuplicateCandidate.updateOne = async () => ({ modifiedCount: 1 });
+    DuplicateCandidate.deleteMany = async () => ({ deletedCount: 0 });
+  });
+
+  afterAll(() => {
+    Object.entries(LINKED_MODELS).forEach(([name, Model]) => {
+      Model.updateMany = originals[name];
+    });
+    Parishioner.updateOne = originalParishionerUpdateOne;
+    User.find = originalUser.find;
+    User.updateOne = originalUser.updateOne;
+    DuplicateCandidate.updateOne = originalCandidate.updateOne;
+    DuplicateCandidate.deleteMany = originalCandidate.deleteMany;
+  });
+
+  test('points every linked record at the survivor', async () => {
+    const duplicateUser = duplicate.user;
+    const moved = await duplicateService.merge(survivor, duplicate, id());
+
+    ['SacramentRecord', 'FuneralRecord', 'Certificate', 'Donation'].forEach(name => {
+      stored[name].forEach(doc => expect(String(doc.parishioner)).toBe(String(survivor._id)));
+    });
+    expect(String(stored.MarriageCase[0].spouses[0].parishioner)).toBe(String(survivor._id));
+    expect(String(stored.Parishioner[0].mergedInto)).toBe(String(survivor._id));
+    expect(userUpdates).toEqual([{ filter: { _id: duplicateUser }, update: { parishioner: survivor._id } }]);
+
+    expect(moved).toMatchObject({
+      sacramentRecords: 1,
+      funeralRecords: 1,
+      marriageCases: 1,
+      certificates: 1,
+      donations: 2,
+      userMoved: true,
+      redirectedStubs: 1
+    });
+  });
+
+  test('keeps the survivor values and fills in what only the duplicate had', async () => {
+    const ministries = [...duplicate.ministries];
+    await duplicateService.merge(survivor, duplicate, id());
+
+    expect(survivor.phone).toBe('677000111');
+    expect(survivor.dateOfBirth).toEqual(new Date('1980-04-02'));
+    expect(survivor.ministries.map(String)).toEqual(ministries.map(String));
+    expect(survivor.notes).toBe('Registered twice');
+
+    expect(String(duplicate.mergedInto)).toBe(String(survivor._id));
+    expect(duplicate.isActive).toBe(false);
+    expect(duplicate.user).toBeUndefined();
+    expect(duplicate.ministries).toHaveLength(0);
+  });
+});
@@ -0,0 +1,136 @@
+import { describe, test, expect, beforeAll, beforeEach, afterAll } from '@jest/globals';
+import express from 'express';
+import mongoose from 'mongoose';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import User from '../models/User.js';
+import EmailVerificationToken from '../models/EmailVerificationToken.js';
+import notificationService from '../services/notificationService.js';
+import authRoutes from '../routes/auth.js';
+import { generateToken, hashToken } from '../utils/tokens.js';
+
+const originals = {
+  tokenFindOne: EmailVerificationToken.findOne,
+  tokenCreate: EmailVerificationToken.create,
+  tokenDeleteMany: EmailVerificationToken.deleteMany,
+  userFindById: User.findById,
+  sendNotification: notificationService.sendNotification
+};
+
+const app = express();
+// Each request comes from its own address so the per-IP rate limiter stays out of the way
+app.set('trust proxy', 1);
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+// Query result that can be awaited directly or after .sort() / .populate()
+const queryResult = (value) => ({
+  sort: async () => value,
+  populate: async () => value,
+  then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+});
+
+let requests = 0;
+let user;
+let tokens;
+let sendResult;
+let sent;
+
+const storeToken = ({ createdMinutesAgo = 0, expiresInHours = 48 } = {}) => {
+  const token = generateToken();
+  tokens.push({
+    userId: user._id,
+    tokenHash: hashToken(token),
+    createdAt: new Date(Date.now() - createdMinutesAgo * 60 * 1000),
+    expiresAt: new Date(Date.now() + expiresInHours * 60 * 60 * 1000)
+  });
+  return token;
+};
+
+const resend = () => request(app)
+  .post('/api/auth/resend-verification')
+  .set('X-Forwarded-For', `198.51.100.${++requests}`)
+  .set('Authorization', `Bearer ${jwt.sign({ userId: String(user._id), role: 'parishioner' }, process.env.JWT_SECRET || 'fallback-secret')}`);
+
+describe('email verification', () => {
+  beforeAll(() => {
+    EmailVerificationToken.findOne = (filter) => {
+      const candidates = tokens.filter(t => String(t.userId) === String(filter.userId ?? t.userId)
+        && (!filter.tokenHash || t.tokenHash === filter.tokenHash)
+        && (!filter.expiresAt || t.expiresAt > filter.expiresAt.$gt));
+      return queryResult(candidates.sort((a, b) => b.createdAt - a.createdAt)[0] || null);
+    };
+    EmailVerificationToken.create = async (fields) => {
+      tokens.push({ ...fields, createdAt: new Date() });
+    };
+    EmailVerificationToken.deleteMany = async ({ userId }) => {
+      tokens = tokens.filter(t => String(t.userId) !== String(userId));
+    };
+    User.findById = () => queryResult(user);
+    notificationService.sendNotification = async (notification) => {
+      sent.push(notification);
+      return sendResult;
+    };
+  });
+
+  beforeEach(() => {
+    user = new User({ email: 'joseph@example.com', role: 'parishioner', passwordHash: 'x', emailVerified: false });
+    user._id = new mongoose.Types.ObjectId();
+    user.save = async () => user;
+    tokens = [];
+    sent = [];
+    sendResult = { success: true };
+  });
+
+  afterAll(() => {
+    EmailVerificationToken.findOne = originals.tokenFindOne;
+    EmailVerificationToken.create = originals.tokenCreate;
+    EmailVerificationToken.deleteMany = originals.tokenDeleteMany;
+    User.findById = originals.userFindById;
+    notificationService.sendNotification = originals.sendNotification;
+  });
+
+  test('verifies the email and removes the link', async () => {
+    const token = storeToken();
+
+    await request(app).post('/api/auth/verify-email').send({ token }).expect(200);
+
+    expect(user.emailVerified).toBe(true);
+    expect(user.emailVerifiedAt).toBeInstanceOf(Date);
+    expect(tokens).toHaveLength(0);
+  });
+
+  test('rejects an expired link', async () => {
+    const token = storeToken({ expiresInHours: -1 });
+
+    await request(app).post('/api/auth/verify-email').send({ token }).expect(400);
+    expect(user.emailVerified).toBe(false);
+  });
+
+  test('throttles resending while the last link is recent', async () => {
+    storeToken({ createdMinutesAgo: 1 });
+
+    const response = await resend().expect(429);
+    expect(response.body.retryAfter).toBeDefined();
+    expect(sent).toHaveLength(0);
+  });
+
+  test('sends a new link once the interval has passed', async () => {
+    storeToken({ createdMinutesAgo: 10 });
+
+    await resend().expect(200);
+    expect(sent).toHaveLength(1);
+    expect(tokens).toHaveLength(1);
+    expect(sent[0].message).toContain('/verify-email?token=');
+  });
+
+  test('lifts the throttle when the email could not be sent', async () => {
+    sendResult = { success: false, error: 'SMTP unavailable' };
+    await resend().expect(503);
+    expect(tokens).toHaveLength(0);
+
+    sendResult = { success: true };
+    await resend().expect(200);
+    expect(sent).toHaveLength(2);
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, test, expect } from '@jest/globals';
+import { buildCalendar, buildTimezone, escapeText, formatLocal, formatUtc } from '../utils/ical.js';
+
+const linesOf = (calendar) => calendar.split('\r\n');
+
+// Undo RFC 5545 line folding
+const unfold = (calendar) => calendar.replace(/\r\n /g, '');
+
+describe('iCalendar helpers', () => {
+  test('escapeText escapes backslashes, separators and newlines', () => {
+    expect(escapeText('Mass; Confession, Adoration')).toBe('Mass\\; Confession\\, Adoration');
+    expect(escapeText('C:\\Parish')).toBe('C:\\\\Parish');
+    expect(escapeText('First line\r\nSecond line\nThird')).toBe('First line\\nSecond line\\nThird');
+    expect(escapeText(null)).toBe('');
+  });
+
+  test('formats UTC and local date-times', () => {
+    expect(formatUtc(new Date('2026-12-25T12:00:00.000Z'))).toBe('20261225T120000Z');
+    expect(formatLocal('2026-12-25', '07:00')).toBe('20261225T070000');
+    expect(formatLocal('2026-12-25', '7:00')).toBe('20261225T070000');
+  });
+
+  test('ends every line with CRLF', () => {
+    const calendar = buildCalendar({ name: 'Parish', events: [[['SUMMARY', 'Mass']]] });
+
+    expect(calendar.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(calendar.replace(/\r\n/g, '')).not.toMatch(/[\r\n]/);
+  });
+
+  test('folds long lines at 75 octets without splitting characters', () => {
+    const summary = `Messe de la Fête-Dieu à Notre-Dame de l'Assomption ${'é'.repeat(60)}`;
+    const calendar = buildCalendar({ name: 'Parish', events: [[['SUMMARY', summary]]] });
+
+    linesOf(calendar).forEach(line => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+    expect(linesOf(calendar).filter(line => line.startsWith(' ')).length).toBeGreaterThan(1);
+    expect(linesOf(unfold(calendar))).toContain(`SUMMARY:${summary}`);
+  });
+
+  test('escapes the calendar name and description', () => {
+    const calendar = buildCalendar({ name: 'Mass times, St Joseph', description: 'Weekdays; Sundays', events: [] });
+
+    expect(linesOf(calendar)).toEqual(expect.arrayContaining([
+      'X-WR-CALNAME:Mass times\\, St Joseph',
+      'X-WR-CALDESC:Weekdays\\; Sundays'
+    ]));
+  });
+
+  test('buildTimezone lists the daylight saving changes of each year', () => {
+    const lines = buildTimezone('America/New_York', 2026, 2026);
+
+    expect(lines[1]).toBe('TZID:America/New_York');
+    expect(lines.join('\n')).toContain([
+      'BEGIN:DAYLIGHT',
+      'DTSTART:20260308T020000',
+      'TZOFFSETFROM:-0500',
+      'TZOFFSETTO:-0400',
+      'END:DAYLIGHT',
+      'BEGIN:STANDARD',
+      'DTSTART:20261101T020000',
+      'TZOFFSETFROM:-0400',
+      'TZOFFSETTO:-0500',
+      'END:STANDARD'
+    ].join('\n'));
+  });
+
+  test('buildTimezone gives a timezone without daylight saving a single offset', () => {
+    const lines = buildTimezone('Africa/Douala', 2026, 2027);
+
+    expect(lines.filter(line => line.startsWith('BEGIN:'))).toEqual(['BEGIN:VTIMEZONE', 'BEGIN:STANDARD']);
+    expect(lines).toContain('TZOFFSETTO:+0100');
+  });
+});
@@ -0,0 +1,207 @@
+import { describe, test, expect, beforeAll, beforeEach, afterAll } from '@jest/globals';
+import express from 'express';
+import mongoose from 'mongoose';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import User from '../models/User.js';
+import Role from '../models/Role.js';
+import Invitation from '../models/Invitation.js';
+import AuditLog from '../models/AuditLog.js';
+import roleService from '../services/roleService.js';
+import userRoutes from '../routes/users.js';
+import { DEFAULT_ROLES } from '../utils/permissions.js';
+import { generateToken, hashToken } from '../utils/tokens.js';
+
+const PASSWORD = 'Gloria-In-Excelsis-7';
+
+const originals = {
+  invitationFindOne: Invitation.findOne,
+  invitationFindOneAndUpdate: Invitation.findOneAndUpdate,
+  invitationUpdateOne: Invitation.updateOne,
+  userFindOne: User.findOne,
+  userFindById: User.findById,
+  userFindByIdAndUpdate: User.findByIdAndUpdate,
+  userCreate: User.create,
+  auditLogCreate: AuditLog.create,
+  roleFind: Role.find
+};
+
+const app = express();
+app.use(express.json());
+app.use('/api/users', userRoutes);
+
+// Query result that can be awaited directly or after .select()
+const queryResult = (value) => ({
+  select: () => queryResult(value),
+  then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+});
+
+let invitation;
+let token;
+let users;
+let failCreate;
+
+const accept = (username) => request(app)
+  .post('/api/users/invitations/accept')
+  .send({ token, username, password: PASSWORD });
+
+describe('staff invitations', () => {
+  beforeAll(() => {
+    Role.find = () => ({ lean: async () => DEFAULT_ROLES });
+    roleService.invalidate();
+
+    Invitation.findOne = async ({ tokenHash, status, expiresAt }) => (invitation.tokenHash === tokenHash
+      && invitation.status === status
+      && invitation.expiresAt > expiresAt.$gt ? invitation : null);
+    // Claims the invitation only while it is pending, as the database would
+    Invitation.findOneAndUpdate = async (filter, update) => {
+      if (invitation.status !== filter.status) {
+        return null;
+      }
+      Object.assign(invitation, update);
+      return invitation;
+    };
+    Invitation.updateOne = async (filter, { $unset, ...update }) => {
+      Object.assign(invitation, update);
+      Object.keys($unset || {}).forEach(field => delete invitation[field]);
+    };
+    User.findOne = async () => null;
+    User.findById = () => queryResult(null);
+    User.create = async (fields) => {
+      if (failCreate) {
+        throw new Error('E11000 duplicate key error');
+      }
+      const user = { _id: new mongoose.Types.ObjectId(), ...fields };
+      users.push(user);
+      return user;
+    };
+    AuditLog.create = async (entry) => entry;
+  });
+
+  beforeEach(() => {
+    token = generateToken();
+    invitation = {
+      _id: new mongoose.Types.ObjectId(),
+      email: 'sr.agnes@example.com',
+      role: 'editor',
+      tokenHash: hashToken(token),
+      status: 'pending',
+      expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000)
+    };
+    invitation.save = async () => invitation;
+    users = [];
+    failCreate = false;
+  });
+
+  afterAll(() => {
+    Invitation.findOne = originals.invitationFindOne;
+    Invitation.findOneAndUpdate = originals.invitationFindOneAndUpdate;
+    Invitation.updateOne = originals.invitationUpdateOne;
+    User.findOne = originals.userFindOne;
+    User.findById = originals.userFindById;
+    User.findByIdAndUpdate = originals.userFindByIdAndUpdate;
+    User.create = originals.userCreate;
+    AuditLog.create = originals.auditLogCreate;
+    Role.find = originals.roleFind;
+    roleService.invalidate();
+  });
+
+  test('creates the account with the invited email and role', async () => {
+    const response = await accept('sr-agnes').expect(201);
+
+    expect(response.body.user).toMatchObject({ username: 'sr-agnes', email: 'sr.agnes@example.com', role: 'editor' });
+    expect(users[0].emailVerified).toBe(true);
+    expect(invitation.status).toBe('accepted');
+    expect(invitation.acceptedUser).toBe(users[0]._id);
+  });
+
+  test('can only be accepted once', async () => {
+    await accept('sr-agnes').expect(201);
+    await accept('agnes-again').expect(400);
+
+    expect(users).toHaveLength(1);
+  });
+
+  test('creates one account when accepted twice at the same time', async () => {
+    const responses = await Promise.all([accept('sr-agnes'), accept('agnes-again')]);
+
+    expect(responses.map(response => response.status).sort()).toEqual([201, 400]);
+    expect(users).toHaveLength(1);
+  });
+
+  test('reopens the invitation when the account cannot be created', async () => {
+    failCreate = true;
+    await accept('sr-agnes').expect(400);
+    expect(invitation.status).toBe('pending');
+    expect(invitation.acceptedAt).toBeUndefined();
+
+    failCreate = false;
+    await accept('sr-agnes').expect(201);
+  });
+
+  test('rejects an expired invitation', async () => {
+    invitation.expiresAt = new Date(Date.now() - 1000);
+
+    await accept('sr-agnes').expect(400);
+    expect(users).toHaveLength(0);
+  });
+});
+
+describe('PUT /api/users/:id/role', () => {
+  const TARGET_ID = '64b7f0c2a1b2c3d4e5f60719';
+  const managerToken = jwt.sign({ userId: 'parish-priest-user', role: 'parish-priest' }, process.env.JWT_SECRET || 'fallback-secret');
+
+  let target;
+  let updates;
+
+  const changeRole = (role) => request(app)
+    .put(`/api/users/${TARGET_ID}/role`)
+    .set('Authorization', `Bearer ${managerToken}`)
+    .send({ role });
+
+  beforeAll(() => {
+    Role.find = () => ({ lean: async () => DEFAULT_ROLES });
+    roleService.invalidate();
+    AuditLog.create = async (entry) => entry;
+
+    User.findById = (id) => queryResult(id === TARGET_ID
+      ? target
+      : new User({ username: id, role: 'parish-priest', passwordHash: 'x' }));
+    User.findByIdAndUpdate = (id, update) => {
+      updates.push(update);
+      return queryResult({ ...target, ...update });
+    };
+  });
+
+  beforeEach(() => {
+    target = { _id: TARGET_ID, username: 'parish-secretary', role: 'editor' };
+    updates = [];
+  });
+
+  afterAll(() => {
+    User.findById = originals.userFindById;
+    User.findByIdAndUpdate = originals.userFindByIdAndUpdate;
+    AuditLog.create = originals.auditLogCreate;
+    Role.find = originals.roleFind;
+    roleService.invalidate();
+  });
+
+  test('assigns a role within the manager\'s own permissions', async () => {
+    const response = await changeRole('priest').expect(200);
+
+    expect(response.body.role).toBe('priest');
+    expect(updates).toEqual([{ role: 'priest' }]);
+  });
+
+  test('refuses a role with more permissions than the manager has', async () => {
+    await changeRole('admin').expect(403);
+    expect(updates).toHaveLength(0);
+  });
+
+  test('refuses to change the role of a user with more permissions', async () => {
+    target.role = 'admin';
+
+    await changeRole('editor').expect(403);
+    expect(updates).toHaveLength(0);
+  });
+});
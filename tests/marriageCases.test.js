@@ -0,0 +1,175 @@
+import { describe, test, expect, beforeAll, beforeEach, afterAll } from '@jest/globals';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import MarriageCase, { DEFAULT_CHECKLIST } from '../models/MarriageCase.js';
+import Announcement from '../models/Announcement.js';
+import AuditLog from '../models/AuditLog.js';
+import Parishioner from '../models/Parishioner.js';
+import SacramentRecord from '../models/SacramentRecord.js';
+import User from '../models/User.js';
+import Role from '../models/Role.js';
+import roleService from '../services/roleService.js';
+import marriageCaseRoutes from '../routes/marriageCases.js';
+import { DEFAULT_ROLES } from '../utils/permissions.js';
+
+const CASE_ID = '64b7f0c2a1b2c3d4e5f60720';
+const PRIEST_ID = '64b7f0c2a1b2c3d4e5f60721';
+const PARISHIONER_ID = '64b7f0c2a1b2c3d4e5f60722';
+const ANNOUNCEMENT_ID = '64b7f0c2a1b2c3d4e5f60723';
+
+const originals = {
+  caseFindById: MarriageCase.findById,
+  announcementUpdateMany: Announcement.updateMany,
+  parishionerUpdateOne: Parishioner.updateOne,
+  recordExists: SacramentRecord.exists,
+  auditLogCreate: AuditLog.create,
+  userFindById: User.findById,
+  roleFind: Role.find
+};
+
+const app = express();
+app.use(express.json());
+app.use('/api/marriage-cases', marriageCaseRoutes);
+
+const token = jwt.sign({ userId: PRIEST_ID, role: 'priest' }, process.env.JWT_SECRET || 'fallback-secret');
+
+// Query result that can be awaited directly or after .populate()
+const queryResult = (value) => {
+  const query = {
+    populate: () => query,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return query;
+};
+
+let marriageCase;
+let withdrawn;
+let recorded;
+
+const moveTo = (status, body = {}) => request(app)
+  .post(`/api/marriage-cases/${CASE_ID}/status`)
+  .set('Authorization', `Bearer ${token}`)
+  .send({ status, ...body });
+
+const completeChecklist = () => marriageCase.checklist.forEach(item => {
+  item.completed = true;
+});
+
+describe('marriage case status', () => {
+  beforeAll(() => {
+    Role.find = () => ({ lean: async () => DEFAULT_ROLES });
+    roleService.invalidate();
+    User.findById = async () => new User({ username: 'fr-paul', role: 'priest', passwordHash: 'x' });
+    AuditLog.create = async (entry) => entry;
+
+    MarriageCase.findById = (id) => queryResult(id === CASE_ID ? marriageCase : null);
+    Announcement.updateMany = async (filter, update) => {
+      withdrawn.push({ filter, update });
+      return { modifiedCount: filter._id.$in.length };
+    };
+    SacramentRecord.exists = async () => null;
+    Parishioner.updateOne = async (filter, update) => {
+      recorded.push({ filter, update });
+      return { modifiedCount: 1 };
+    };
+  });
+
+  beforeEach(() => {
+    marriageCase = new MarriageCase({
+      _id: CASE_ID,
+      spouses: [
+        { parishioner: PARISHIONER_ID, firstName: 'Joseph', lastName: 'Mbarga' },
+        { firstName: 'Marie', lastName: 'Essomba', parish: 'St Peter, Yaounde' }
+      ],
+      statusHistory: [{ status: 'inquiry' }],
+      checklist: DEFAULT_CHECKLIST
+    });
+    marriageCase.save = async () => marriageCase;
+    withdrawn = [];
+    recorded = [];
+  });
+
+  afterAll(() => {
+    MarriageCase.findById = originals.caseFindById;
+    Announcement.updateMany = originals.announcementUpdateMany;
+    Parishioner.updateOne = originals.parishionerUpdateOne;
+    SacramentRecord.exists = originals.recordExists;
+    AuditLog.create = originals.auditLogCreate;
+    User.findById = originals.userFindById;
+    Role.find = originals.roleFind;
+    roleService.invalidate();
+  });
+
+  test('moves a case from inquiry to married', async () => {
+    await moveTo('preparation').expect(200);
+    marriageCase.banns = [{ date: new Date('2026-05-03'), announcement: ANNOUNCEMENT_ID }];
+    await moveTo('banns').expect(200);
+    completeChecklist();
+    await moveTo('ready').expect(200);
+
+    const response = await moveTo('married', { wedding: { date: '2026-06-06', location: 'St Joseph' } }).expect(200);
+
+    expect(marriageCase.statusHistory.map(change => change.status))
+      .toEqual(['inquiry', 'preparation', 'banns', 'ready', 'married']);
+    expect(response.body.updatedParishioners).toEqual([PARISHIONER_ID]);
+    expect(recorded[0].update).toEqual({ 'sacraments.marriage': { date: new Date('2026-06-06'), location: 'St Joseph' } });
+  });
+
+  test('refuses to skip a step', async () => {
+    const response = await moveTo('ready').expect(409);
+
+    expect(response.body).toEqual({
+      message: 'Cannot move a case from inquiry to ready',
+      allowed: ['preparation', 'cancelled']
+    });
+    expect(marriageCase.status).toBe('inquiry');
+  });
+
+  test('lets banns and ready cases step back', async () => {
+    marriageCase.status = 'ready';
+    marriageCase.banns = [{ date: new Date('2026-05-03') }];
+
+    await moveTo('banns').expect(200);
+    await moveTo('preparation').expect(200);
+  });
+
+  test('keeps a married case closed', async () => {
+    marriageCase.status = 'married';
+
+    const response = await moveTo('cancelled').expect(409);
+    expect(response.body.allowed).toEqual([]);
+  });
+
+  test('checks what each step needs before moving on', async () => {
+    marriageCase.status = 'preparation';
+    await moveTo('banns').expect(400);
+
+    marriageCase.status = 'banns';
+    marriageCase.checklist[0].completed = true;
+    const response = await moveTo('ready').expect(400);
+    expect(response.body.outstanding).toEqual(DEFAULT_CHECKLIST.slice(1).map(item => item.label));
+
+    marriageCase.status = 'ready';
+    await moveTo('married', { wedding: { date: '2999-06-06' } }).expect(400);
+    expect(marriageCase.status).toBe('ready');
+  });
+
+  test('withdraws the banns of a cancelled case and only lets it be reopened', async () => {
+    marriageCase.status = 'banns';
+    marriageCase.banns = [{ date: new Date('2026-05-03'), announcement: ANNOUNCEMENT_ID }];
+
+    await moveTo('cancelled').expect(200);
+    expect(withdrawn).toHaveLength(1);
+    expect(withdrawn[0].update).toEqual({ isActive: false });
+    expect(withdrawn[0].filter._id.$in.map(String)).toEqual([ANNOUNCEMENT_ID]);
+
+    await request(app)
+      .put(`/api/marriage-cases/${CASE_ID}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ notes: 'Couple asked to resume' })
+      .expect(409);
+    await moveTo('banns').expect(409);
+    await moveTo('inquiry').expect(200);
+  });
+});
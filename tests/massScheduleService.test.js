@@ -0,0 +1,107 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import MassSchedule from '../models/MassSchedule.js';
+import ScheduleException from '../models/ScheduleException.js';
+import massScheduleService from '../services/massScheduleService.js';
+
+const ST_JOSEPH = { _id: '64b7f0c2a1b2c3d4e5f600a1', name: 'St Joseph' };
+const ST_ANNE = { _id: '64b7f0c2a1b2c3d4e5f600b2', name: 'St Anne' };
+
+const SUNDAY_MASS = { _id: 'sunday-mass', dayOfWeek: 'sunday', time: '07:00', type: 'Mass', description: 'Parish Mass', missionStation: ST_JOSEPH };
+const WEDNESDAY_MASS = { _id: 'wednesday-mass', dayOfWeek: 'wednesday', time: '18:00', type: 'Mass', description: '', missionStation: ST_ANNE };
+
+const exceptions = [
+  { _id: 'cancelled', massSchedule: 'sunday-mass', date: new Date('2026-03-01T00:00:00.000Z'), action: 'cancel', reason: 'Parish pilgrimage' },
+  {
+    _id: 'moved',
+    massSchedule: 'wednesday-mass',
+    date: new Date('2026-03-04T00:00:00.000Z'),
+    action: 'modify',
+    time: '19:00',
+    celebrant: { name: 'Fr. Benedict' }
+  },
+  {
+    _id: 'extra',
+    date: new Date('2026-03-07T00:00:00.000Z'),
+    action: 'add',
+    time: '10:00',
+    type: 'Confession',
+    missionStation: ST_JOSEPH
+  }
+];
+
+const originals = {
+  scheduleFind: MassSchedule.find,
+  exceptionFind: ScheduleException.find,
+  timezone: process.env.PARISH_TIMEZONE
+};
+
+// Chainable query resolving to a list
+const listQuery = (docs) => {
+  const query = { populate: () => query, lean: async () => docs };
+  return query;
+};
+
+const getOccurrences = (options) => massScheduleService.getOccurrences({ from: '2026-03-01', to: '2026-03-14', ...options });
+
+describe('massScheduleService.getOccurrences', () => {
+  beforeAll(() => {
+    process.env.PARISH_TIMEZONE = 'America/New_York';
+    MassSchedule.find = (query) => listQuery([SUNDAY_MASS, WEDNESDAY_MASS]
+      .filter(schedule => !query.missionStation || schedule.missionStation._id === query.missionStation)
+      .filter(schedule => !query.type || schedule.type === query.type));
+    ScheduleException.find = () => listQuery(exceptions);
+  });
+
+  afterAll(() => {
+    MassSchedule.find = originals.scheduleFind;
+    ScheduleException.find = originals.exceptionFind;
+    if (originals.timezone === undefined) {
+      delete process.env.PARISH_TIMEZONE;
+    } else {
+      process.env.PARISH_TIMEZONE = originals.timezone;
+    }
+  });
+
+  test('expands the weekly services and applies the exceptions in order', async () => {
+    const occurrences = await getOccurrences();
+
+    expect(occurrences.map(({ id, date, time, status }) => [id, date, time, status])).toEqual([
+      ['sunday-mass:2026-03-01', '2026-03-01', '07:00', 'cancelled'],
+      ['wednesday-mass:2026-03-04', '2026-03-04', '19:00', 'changed'],
+      ['exception:extra', '2026-03-07', '10:00', 'added'],
+      ['sunday-mass:2026-03-08', '2026-03-08', '07:00', 'scheduled'],
+      ['wednesday-mass:2026-03-11', '2026-03-11', '18:00', 'scheduled']
+    ]);
+  });
+
+  test('records what an exception changed', async () => {
+    const [cancelled, moved, added] = await getOccurrences();
+
+    expect(cancelled).toMatchObject({ exception: 'cancelled', reason: 'Parish pilgrimage' });
+    expect(moved).toMatchObject({ originalTime: '18:00', celebrant: { name: 'Fr. Benedict' }, exception: 'moved' });
+    expect(added).toMatchObject({ type: 'Confession', massSchedule: null, missionStation: ST_JOSEPH, dayOfWeek: 'saturday' });
+  });
+
+  test('places each service at its local time across a daylight saving change', async () => {
+    const occurrences = await getOccurrences();
+    const startOf = (id) => occurrences.find(occurrence => occurrence.id === id).start.toISOString();
+
+    expect(startOf('sunday-mass:2026-03-01')).toBe('2026-03-01T12:00:00.000Z');
+    expect(startOf('sunday-mass:2026-03-08')).toBe('2026-03-08T11:00:00.000Z');
+  });
+
+  test('can leave out cancelled services', async () => {
+    const occurrences = await getOccurrences({ includeCancelled: false });
+
+    expect(occurrences.map(occurrence => occurrence.id)).not.toContain('sunday-mass:2026-03-01');
+    expect(occurrences).toHaveLength(4);
+  });
+
+  test('applies the station and type filters to added services too', async () => {
+    const atStAnne = await getOccurrences({ missionStation: ST_ANNE._id });
+    const masses = await getOccurrences({ type: 'Mass' });
+
+    expect(atStAnne.map(occurrence => occurrence.id)).toEqual(['wednesday-mass:2026-03-04', 'wednesday-mass:2026-03-11']);
+    expect(masses.map(occurrence => occurrence.id)).not.toContain('exception:extra');
+  });
+});
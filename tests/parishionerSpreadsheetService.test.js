@@ -0,0 +1,141 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import Parishioner from '../models/Parishioner.js';
+import MissionStation from '../models/MissionStation.js';
+import Ministry from '../models/Ministry.js';
+import User from '../models/User.js';
+import spreadsheetService from '../services/parishionerSpreadsheetService.js';
+
+const originals = {
+  stationFind: MissionStation.find,
+  ministryFind: Ministry.find,
+  userFind: User.find,
+  parishionerFind: Parishioner.find
+};
+
+// Chainable query resolving to a list
+const listQuery = (docs) => {
+  const query = {
+    select: () => query,
+    collation: () => query,
+    lean: async () => docs
+  };
+  return query;
+};
+
+describe('parishionerSpreadsheetService', () => {
+  describe('resolveMapping', () => {
+    test('recognizes export labels and common aliases', () => {
+      const { columns, unmapped, errors } = spreadsheetService.resolveMapping(
+        ['Surname', 'Given Name', 'D.O.B.', 'WhatsApp', 'Favourite Hymn']
+      );
+
+      expect(columns).toEqual(['lastName', 'firstName', 'dateOfBirth', 'phone', null]);
+      expect(unmapped).toEqual(['Favourite Hymn']);
+      expect(errors).toEqual([]);
+    });
+
+    test('lets an explicit mapping override or ignore a column', () => {
+      const { columns, errors } = spreadsheetService.resolveMapping(
+        ['First Name', 'Last Name', 'Address', 'Town'],
+        { Address: 'notes', Town: '' }
+      );
+
+      expect(columns).toEqual(['firstName', 'lastName', 'notes', null]);
+      expect(errors).toEqual([]);
+    });
+
+    test('reports unknown fields, duplicate columns and missing names', () => {
+      const { errors } = spreadsheetService.resolveMapping(
+        ['Name', 'Phone', 'Mobile'],
+        { Name: 'fullName' }
+      );
+
+      expect(errors).toEqual([
+        'Column "Name" is mapped to unknown field "fullName"',
+        'More than one column is mapped to "phone" (column "Mobile")',
+        'No column is mapped to required field "firstName"',
+        'No column is mapped to required field "lastName"'
+      ]);
+    });
+  });
+
+  describe('validateRows dates', () => {
+    const columns = ['firstName', 'lastName', 'dateOfBirth'];
+    const validate = (dateOfBirth, dateFormat) => spreadsheetService
+      .validateRows({ rows: [{ rowNumber: 2, values: ['Paul', 'Biya', dateOfBirth] }] }, columns, { dateFormat })
+      .then(({ rows }) => rows[0]);
+
+    beforeAll(() => {
+      MissionStation.find = () => listQuery([]);
+      Ministry.find = () => listQuery([]);
+      User.find = () => listQuery([]);
+      Parishioner.find = () => listQuery([]);
+    });
+
+    afterAll(() => {
+      MissionStation.find = originals.stationFind;
+      Ministry.find = originals.ministryFind;
+      User.find = originals.userFind;
+      Parishioner.find = originals.parishionerFind;
+    });
+
+    test('reads ISO dates whatever the date format', async () => {
+      expect((await validate('1990-03-04', 'MDY')).doc.dateOfBirth).toEqual(new Date('1990-03-04T00:00:00Z'));
+    });
+
+    test('reads slash dates in the chosen order', async () => {
+      expect((await validate('04/03/1990', 'DMY')).doc.dateOfBirth).toEqual(new Date('1990-03-04T00:00:00Z'));
+      expect((await validate('04/03/1990', 'MDY')).doc.dateOfBirth).toEqual(new Date('1990-04-03T00:00:00Z'));
+      expect((await validate('4.3.1990', 'DMY')).doc.dateOfBirth).toEqual(new Date('1990-03-04T00:00:00Z'));
+    });
+
+    test('keeps Excel date cells as they are', async () => {
+      const date = new Date('1985-12-25T00:00:00Z');
+      expect((await validate(date)).doc.dateOfBirth).toEqual(date);
+    });
+
+    test('rejects days that do not exist and dates in the future', async () => {
+      expect((await validate('30/02/1990', 'DMY')).errors).toEqual(['Invalid date of birth "30/02/1990"']);
+      expect((await validate('13/25/1990', 'MDY')).errors).toEqual(['Invalid date of birth "13/25/1990"']);
+      expect((await validate('next tuesday')).errors).toEqual(['Invalid date of birth "next tuesday"']);
+      expect((await validate('2999-01-01')).errors).toEqual(['Date of birth is in the future']);
+    });
+  });
+
+  describe('CSV formula escaping', () => {
+    const parishioner = {
+      firstName: '=HYPERLINK("http://evil.example","Click")',
+      lastName: 'Atangana',
+      phone: '+237677000111',
+      notes: '@SUM(A1:A2)',
+      isActive: true
+    };
+
+    test('quotes cells that spreadsheet apps would run as formulas', async () => {
+      const csv = (await spreadsheetService.export([parishioner], 'csv')).toString();
+
+      expect(csv).toContain(`"'=HYPERLINK(""http://evil.example"",""Click"")"`);
+      expect(csv).toContain("'+237677000111");
+      expect(csv).toContain("'@SUM(A1:A2)");
+      expect(csv).toContain('Atangana');
+      expect(csv).not.toContain("'Atangana");
+    });
+
+    test('leaves XLSX cells unchanged', async () => {
+      const xlsx = await spreadsheetService.export([parishioner], 'xlsx');
+      const { headers, rows } = await spreadsheetService.parse(xlsx, 'parishioners.xlsx');
+
+      expect(rows[0].values[headers.indexOf('First Name')]).toBe(parishioner.firstName);
+    });
+
+    test('imports an exported CSV file unchanged', async () => {
+      const csv = await spreadsheetService.export([parishioner], 'csv');
+      const { headers, rows } = await spreadsheetService.parse(csv, 'parishioners.csv');
+      const value = (header) => rows[0].values[headers.indexOf(header)];
+
+      expect(value('First Name')).toBe(parishioner.firstName);
+      expect(value('Phone')).toBe(parishioner.phone);
+      expect(value('Notes')).toBe(parishioner.notes);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+import { describe, test, expect, beforeAll, beforeEach, afterAll } from '@jest/globals';
+import express from 'express';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import bcrypt from 'bcryptjs';
+import User from '../models/User.js';
+import Role from '../models/Role.js';
+import PasswordResetToken from '../models/PasswordResetToken.js';
+import RefreshToken from '../models/RefreshToken.js';
+import roleService from '../services/roleService.js';
+import authRoutes from '../routes/auth.js';
+import { DEFAULT_ROLES } from '../utils/permissions.js';
+import { generateToken, hashToken } from '../utils/tokens.js';
+
+const NEW_PASSWORD = 'Kyrie-Eleison-2026!';
+
+const originals = {
+  tokenFindOne: PasswordResetToken.findOne,
+  tokenFindOneAndUpdate: PasswordResetToken.findOneAndUpdate,
+  tokenDeleteMany: PasswordResetToken.deleteMany,
+  refreshDeleteMany: RefreshToken.deleteMany,
+  userFindById: User.findById,
+  roleFind: Role.find
+};
+
+const app = express();
+// Each request comes from its own address so the per-IP rate limiter stays out of the way
+app.set('trust proxy', 1);
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+let requests = 0;
+let user;
+let tokens;
+let revokedSessions;
+
+// Store a reset token for the user and return the raw token from the emailed link
+const issueToken = ({ expiresInMinutes = 60 } = {}) => {
+  const token = generateToken();
+  tokens.push({
+    _id: new mongoose.Types.ObjectId(),
+    userId: user._id,
+    tokenHash: hashToken(token),
+    usedAt: null,
+    expiresAt: new Date(Date.now() + expiresInMinutes * 60 * 1000)
+  });
+  return token;
+};
+
+const reset = (token) => request(app)
+  .post('/api/auth/reset-password')
+  .set('X-Forwarded-For', `203.0.113.${++requests}`)
+  .send({ token, newPassword: NEW_PASSWORD });
+
+describe('password reset', () => {
+  beforeAll(() => {
+    Role.find = () => ({ lean: async () => DEFAULT_ROLES });
+    roleService.invalidate();
+
+    PasswordResetToken.findOne = async ({ tokenHash, expiresAt }) => tokens.find(t => t.tokenHash === tokenHash
+      && t.usedAt === null
+      && t.expiresAt > expiresAt.$gt) || null;
+    // Claims the token only while it is unused, as the database would
+    PasswordResetToken.findOneAndUpdate = async ({ _id }, update) => {
+      const token = tokens.find(t => String(t._id) === String(_id) && t.usedAt === null);
+      return token ? Object.assign(token, update) : null;
+    };
+    PasswordResetToken.deleteMany = async () => ({ deletedCount: 0 });
+    RefreshToken.deleteMany = async (filter) => {
+      revokedSessions.push(filter);
+      return { deletedCount: 1 };
+    };
+    User.findById = async () => user;
+  });
+
+  beforeEach(() => {
+    user = new User({ email: 'marie@example.com', role: 'parishioner', passwordHash: 'old-hash' });
+    user.save = async () => user;
+    tokens = [];
+    revokedSessions = [];
+  });
+
+  afterAll(() => {
+    PasswordResetToken.findOne = originals.tokenFindOne;
+    PasswordResetToken.findOneAndUpdate = originals.tokenFindOneAndUpdate;
+    PasswordResetToken.deleteMany = originals.tokenDeleteMany;
+    RefreshToken.deleteMany = originals.refreshDeleteMany;
+    User.findById = originals.userFindById;
+    Role.find = originals.roleFind;
+    roleService.invalidate();
+  });
+
+  test('changes the password and signs the user out everywhere', async () => {
+    await reset(issueToken()).expect(200);
+
+    expect(await bcrypt.compare(NEW_PASSWORD, user.passwordHash)).toBe(true);
+    expect(tokens[0].usedAt).toBeInstanceOf(Date);
+    expect(revokedSessions).toEqual([{ userId: user._id }]);
+  });
+
+  test('rejects a token that has already been used', async () => {
+    const token = issueToken();
+    await reset(token).expect(200);
+    user.passwordHash = 'changed-since';
+
+    const response = await reset(token).expect(400);
+    expect(response.body.message).toBe('Invalid or expired reset token');
+    expect(user.passwordHash).toBe('changed-since');
+  });
+
+  test('rejects an expired token', async () => {
+    await reset(issueToken({ expiresInMinutes: -1 })).expect(400);
+    expect(user.passwordHash).toBe('old-hash');
+  });
+
+  test('lets only one of two simultaneous requests use the token', async () => {
+    const token = issueToken();
+    const statuses = (await Promise.all([reset(token), reset(token)])).map(response => response.status);
+
+    expect(statuses.sort()).toEqual([200, 400]);
+    expect(revokedSessions).toHaveLength(1);
+  });
+});
@@ -0,0 +1,85 @@
+import { jest, describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import User from '../models/User.js';
+import Role from '../models/Role.js';
+import roleService from '../services/roleService.js';
+import { requirePermission } from '../middleware/auth.js';
+import { DEFAULT_ROLES, PERMISSION_LIST } from '../utils/permissions.js';
+
+const EDITOR = [
+  'mass-schedule:write',
+  'announcements:write',
+  'events:write',
+  'ministries:write',
+  'gallery:write'
+];
+const PRIEST = [...EDITOR, 'prayers:write', 'sermons:write', 'liturgical-colors:write', 'sacraments:write', 'rota:celebrate'];
+
+// What each built-in role may do; everything else must be refused
+const EXPECTED = {
+  admin: PERMISSION_LIST,
+  'parish-priest': [...PRIEST, 'donations:read', 'users:read', 'users:manage', 'reports:read'],
+  priest: PRIEST,
+  editor: EDITOR,
+  parishioner: []
+};
+
+// Run requirePermission for a user with a role; resolves to the HTTP status (200 when allowed)
+const check = async (role, permission) => {
+  const req = { user: { userId: `${role}-user`, role } };
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json() {
+      return this;
+    }
+  };
+  const next = jest.fn();
+  await requirePermission(permission)(req, res, next);
+  return next.mock.calls.length ? 200 : res.statusCode;
+};
+
+describe('requirePermission with the built-in roles', () => {
+  const originalFindById = User.findById;
+  const originalFind = Role.find;
+
+  beforeAll(() => {
+    Role.find = () => ({ lean: async () => DEFAULT_ROLES });
+    User.findById = async (id) => new User({ username: id, role: id.replace(/-user$/, ''), passwordHash: 'x' });
+    roleService.invalidate();
+  });
+
+  afterAll(() => {
+    User.findById = originalFindById;
+    Role.find = originalFind;
+    roleService.invalidate();
+  });
+
+  test('every built-in role is covered', () => {
+    expect(Object.keys(EXPECTED).sort()).toEqual(DEFAULT_ROLES.map(role => role.name).sort());
+  });
+
+  const cases = Object.keys(EXPECTED).flatMap(role => PERMISSION_LIST.map(permission => [
+    role,
+    permission,
+    EXPECTED[role].includes(permission) ? 200 : 403
+  ]));
+
+  test.each(cases)('%s / %s -> %i', async (role, permission, status) => {
+    expect(await check(role, permission)).toBe(status);
+  });
+
+  test('an unknown role is refused', async () => {
+    expect(await check('sacristan', 'events:write')).toBe(403);
+  });
+
+  test('a request without a user is refused with 401', async () => {
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+    await requirePermission('events:write')({}, res, next);
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+});
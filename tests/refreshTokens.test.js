@@ -0,0 +1,103 @@
+import { describe, test, expect, beforeAll, beforeEach, afterAll } from '@jest/globals';
+import express from 'express';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import User from '../models/User.js';
+import RefreshToken from '../models/RefreshToken.js';
+import authRoutes from '../routes/auth.js';
+
+const originals = {
+  findOne: RefreshToken.findOne,
+  findOneAndUpdate: RefreshToken.findOneAndUpdate,
+  updateMany: RefreshToken.updateMany,
+  create: RefreshToken.create,
+  userFindById: User.findById
+};
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+const user = new User({ email: 'anne@example.com', role: 'parishioner', passwordHash: 'x' });
+
+// Minimal in-memory refresh token collection
+let tokens;
+
+const storeToken = (fields) => {
+  const doc = {
+    _id: new mongoose.Types.ObjectId(),
+    userId: user._id,
+    revokedAt: null,
+    sessionStartedAt: new Date(),
+    expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    ...fields
+  };
+  doc.save = async () => doc;
+  tokens.push(doc);
+  return doc;
+};
+
+const refresh = (refreshToken) => request(app).post('/api/auth/refresh').send({ refreshToken });
+
+describe('refresh token rotation', () => {
+  beforeAll(() => {
+    RefreshToken.findOne = async ({ token }) => tokens.find(t => t.token === token) || null;
+    // Revokes the token only if nobody else has, as the database would
+    RefreshToken.findOneAndUpdate = async ({ _id }, update) => {
+      const doc = tokens.find(t => String(t._id) === String(_id) && t.revokedAt === null);
+      return doc ? Object.assign(doc, update) : null;
+    };
+    RefreshToken.updateMany = async ({ family }, update) => {
+      const docs = tokens.filter(t => t.family === family && t.revokedAt === null);
+      docs.forEach(doc => Object.assign(doc, update));
+      return { modifiedCount: docs.length };
+    };
+    RefreshToken.create = async (fields) => storeToken(fields);
+    User.findById = async () => user;
+  });
+
+  beforeEach(() => {
+    tokens = [];
+  });
+
+  afterAll(() => {
+    RefreshToken.findOne = originals.findOne;
+    RefreshToken.findOneAndUpdate = originals.findOneAndUpdate;
+    RefreshToken.updateMany = originals.updateMany;
+    RefreshToken.create = originals.create;
+    User.findById = originals.userFindById;
+  });
+
+  test('rotates the token within the same session', async () => {
+    const original = storeToken({ token: 'first-token', family: 'laptop' });
+
+    const response = await refresh('first-token').expect(200);
+
+    expect(response.body.accessToken).toBeDefined();
+    expect(response.body.refreshToken).not.toBe('first-token');
+    const rotated = tokens.find(t => t.token === response.body.refreshToken);
+    expect(rotated).toMatchObject({ family: 'laptop', revokedAt: null, sessionStartedAt: original.sessionStartedAt });
+    expect(original.revokedAt).toBeInstanceOf(Date);
+    expect(original.replacedByToken).toBe(rotated._id);
+  });
+
+  test('revokes the whole family when a rotated token is used again', async () => {
+    storeToken({ token: 'first-token', family: 'laptop' });
+    const other = storeToken({ token: 'phone-token', family: 'phone' });
+
+    const { body } = await refresh('first-token').expect(200);
+    await refresh('first-token').expect(401);
+
+    expect(tokens.filter(t => t.family === 'laptop').every(t => t.revokedAt)).toBe(true);
+    await refresh(body.refreshToken).expect(401);
+    // Other devices stay signed in
+    expect(other.revokedAt).toBeNull();
+  });
+
+  test('rejects an expired token', async () => {
+    storeToken({ token: 'old-token', family: 'laptop', expiresAt: new Date(Date.now() - 1000) });
+
+    await refresh('old-token').expect(401);
+    expect(tokens).toHaveLength(1);
+  });
+});
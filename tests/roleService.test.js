@@ -0,0 +1,60 @@
+import { describe, test, expect, beforeEach, afterAll } from '@jest/globals';
+import Role from '../models/Role.js';
+import roleService from '../services/roleService.js';
+
+const originalFind = Role.find;
+
+const storeRoles = (roles) => {
+  Role.find = () => ({ lean: async () => roles });
+  roleService.invalidate();
+};
+
+describe('roleService', () => {
+  beforeEach(() => {
+    delete process.env.TWO_FACTOR_REQUIRED_ROLES;
+  });
+
+  afterAll(() => {
+    Role.find = originalFind;
+    roleService.invalidate();
+  });
+
+  test('keeps the built-in roles when only a custom role was created', async () => {
+    storeRoles([{ name: 'treasurer', permissions: ['donations:read'], isSystem: false }]);
+
+    expect(await roleService.roleExists('treasurer')).toBe(true);
+    expect(await roleService.roleExists('parishioner')).toBe(true);
+    expect(await roleService.hasPermission('editor', 'events:write')).toBe(true);
+    expect(await roleService.hasPermission('treasurer', 'donations:read')).toBe(true);
+  });
+
+  test('fills policy settings missing from roles seeded before they existed', async () => {
+    storeRoles([{ name: 'admin', permissions: ['*'], isSystem: true }]);
+
+    expect(await roleService.requiresStrongPassword('admin')).toBe(true);
+    expect(await roleService.getTwoFactorPolicy('admin')).toEqual({ available: true, required: false });
+  });
+
+  test('reads the two-factor and password policies from the role', async () => {
+    storeRoles([
+      { name: 'treasurer', permissions: [], twoFactor: 'required', requireStrongPassword: true },
+      { name: 'priest', permissions: [], twoFactor: 'unavailable', requireStrongPassword: false }
+    ]);
+    process.env.TWO_FACTOR_REQUIRED_ROLES = 'priest,editor,parish-priest';
+
+    expect(await roleService.getTwoFactorPolicy('treasurer')).toEqual({ available: true, required: true });
+    expect(await roleService.requiresStrongPassword('treasurer')).toBe(true);
+    // Listing a role in TWO_FACTOR_REQUIRED_ROLES only applies where 2FA is available
+    expect(await roleService.getTwoFactorPolicy('priest')).toEqual({ available: false, required: false });
+    expect(await roleService.getTwoFactorPolicy('editor')).toEqual({ available: false, required: false });
+    expect(await roleService.getTwoFactorPolicy('parish-priest')).toEqual({ available: true, required: true });
+  });
+
+  test('lists the roles granting a permission, with or without the wildcard', async () => {
+    storeRoles([{ name: 'assistant-priest', permissions: ['rota:celebrate'], isSystem: false }]);
+
+    const celebrants = await roleService.getRolesWithPermission('rota:celebrate', { wildcard: false });
+    expect(celebrants.sort()).toEqual(['assistant-priest', 'parish-priest', 'priest']);
+    expect(await roleService.getRolesWithPermission('rota:celebrate')).toContain('admin');
+  });
+});
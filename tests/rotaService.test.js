@@ -0,0 +1,191 @@
+import { describe, test, expect, beforeAll, beforeEach, afterAll } from '@jest/globals';
+import Role from '../models/Role.js';
+import User from '../models/User.js';
+import MissionStation from '../models/MissionStation.js';
+import CelebrantAssignment from '../models/CelebrantAssignment.js';
+import massScheduleService from '../services/massScheduleService.js';
+import roleService from '../services/roleService.js';
+import rotaService, { SERVICE_MINUTES } from '../services/rotaService.js';
+import { DEFAULT_ROLES } from '../utils/permissions.js';
+
+const STATION_A = '64b7f0c2a1b2c3d4e5f600a1';
+const STATION_B = '64b7f0c2a1b2c3d4e5f600b2';
+
+const originals = {
+  roleFind: Role.find,
+  userFind: User.find,
+  stationFind: MissionStation.find,
+  assignmentFind: CelebrantAssignment.find,
+  getOccurrences: massScheduleService.getOccurrences
+};
+
+const at = (date, time) => new Date(`${date}T${time}:00.000Z`);
+
+// 90 minutes between the two stations, none within a station
+const travelMinutes = (from, to) => (from === to ? 0 : 90);
+
+const occurrence = (date, time, missionStation = STATION_A, fields = {}) => ({
+  id: `${missionStation}-${date}-${time}`,
+  massSchedule: missionStation,
+  date,
+  time,
+  type: 'mass',
+  status: 'scheduled',
+  start: at(date, time),
+  missionStation: { _id: missionStation, name: missionStation === STATION_A ? 'St Joseph' : 'St Anne' },
+  ...fields
+});
+
+describe('rotaService.findConflicts', () => {
+  const booking = (priest, date, time, missionStation) => ({
+    occurrence: `${missionStation}-${date}-${time}`,
+    priest,
+    start: at(date, time),
+    missionStation
+  });
+
+  test('flags services a priest cannot reach in time', () => {
+    const conflicts = rotaService.findConflicts([
+      booking('fr-paul', '2026-03-01', '08:00', STATION_A),
+      booking('fr-paul', '2026-03-01', '09:30', STATION_B)
+    ], travelMinutes);
+
+    expect(conflicts).toEqual([{
+      priest: 'fr-paul',
+      occurrences: [`${STATION_A}-2026-03-01-08:00`, `${STATION_B}-2026-03-01-09:30`],
+      missionStations: [STATION_A, STATION_B],
+      minutesBetween: 90,
+      minutesNeeded: SERVICE_MINUTES + 90
+    }]);
+  });
+
+  test('allows back-to-back services at the same station', () => {
+    expect(rotaService.findConflicts([
+      booking('fr-paul', '2026-03-01', '09:00', STATION_A),
+      booking('fr-paul', '2026-03-01', '08:00', STATION_A)
+    ], travelMinutes)).toEqual([]);
+  });
+
+  test('only compares the services of the same priest', () => {
+    expect(rotaService.findConflicts([
+      booking('fr-paul', '2026-03-01', '08:00', STATION_A),
+      booking('fr-john', '2026-03-01', '08:30', STATION_B)
+    ], travelMinutes)).toEqual([]);
+  });
+
+  test('leaves enough time between services at different stations alone', () => {
+    expect(rotaService.findConflicts([
+      booking('fr-paul', '2026-03-01', '08:00', STATION_A),
+      booking('fr-paul', '2026-03-01', '10:30', STATION_B)
+    ], travelMinutes)).toEqual([]);
+  });
+});
+
+describe('rotaService.generateMonth', () => {
+  const priests = [
+    { _id: 'fr-anthony', username: 'fr-anthony', role: 'priest' },
+    { _id: 'fr-benedict', username: 'fr-benedict', role: 'priest' },
+    { _id: 'fr-cyprian', username: 'fr-cyprian', role: 'priest' }
+  ];
+
+  let celebrants;
+  let occurrences;
+  let existing;
+
+  const generate = () => rotaService.generateMonth({ month: '2026-03', dryRun: true, assignedBy: 'parish-office' });
+  const priestOf = (result, id) => result.assigned.find(assignment => assignment.occurrence === id)?.priest.username;
+
+  beforeAll(() => {
+    Role.find = () => ({ lean: async () => DEFAULT_ROLES });
+    roleService.invalidate();
+
+    User.find = () => {
+      const query = { select: () => query, sort: () => query, lean: async () => celebrants };
+      return query;
+    };
+    MissionStation.find = () => ({
+      select: () => ({
+        lean: async () => [{ _id: STATION_A, travelTimes: [{ missionStation: STATION_B, minutes: 90 }] }]
+      })
+    });
+    CelebrantAssignment.find = () => ({ lean: async () => existing });
+    massScheduleService.getOccurrences = async () => occurrences;
+  });
+
+  beforeEach(() => {
+    celebrants = priests;
+    existing = [];
+  });
+
+  afterAll(() => {
+    Role.find = originals.roleFind;
+    User.find = originals.userFind;
+    MissionStation.find = originals.stationFind;
+    CelebrantAssignment.find = originals.assignmentFind;
+    massScheduleService.getOccurrences = originals.getOccurrences;
+    roleService.invalidate();
+  });
+
+  test('spreads the services evenly between priests', async () => {
+    occurrences = Array.from({ length: 9 }, (_, i) => occurrence(`2026-03-${String(i + 1).padStart(2, '0')}`, '07:00'));
+
+    const result = await generate();
+
+    expect(result.assigned).toHaveLength(9);
+    expect(result.unassigned).toEqual([]);
+    expect(result.load.map(({ services }) => services)).toEqual([3, 3, 3]);
+  });
+
+  test('gives a service to another priest when the first cannot reach it', async () => {
+    celebrants = priests.slice(0, 2);
+    occurrences = [
+      occurrence('2026-03-01', '08:00', STATION_A),
+      occurrence('2026-03-01', '08:30', STATION_B),
+      occurrence('2026-03-01', '08:45', STATION_A)
+    ];
+
+    const result = await generate();
+
+    const first = priestOf(result, occurrences[0].id);
+    const second = priestOf(result, occurrences[1].id);
+    expect(second).not.toBe(first);
+    // Neither priest can be at St Joseph again by 08:45
+    expect(result.unassigned).toEqual([expect.objectContaining({
+      occurrence: occurrences[2].id,
+      reason: 'No priest can reach this service without a conflict'
+    })]);
+  });
+
+  test('counts kept assignments towards each priest\'s share', async () => {
+    celebrants = priests.slice(0, 2);
+    occurrences = [occurrence('2026-03-01', '07:00'), occurrence('2026-03-08', '07:00')];
+    existing = [{ _id: 'manual', occurrence: occurrences[0].id, priest: 'fr-anthony', source: 'manual' }];
+
+    const result = await generate();
+
+    expect(result.assigned.map(({ occurrence: id, priest }) => [id, priest.username]))
+      .toEqual([[occurrences[1].id, 'fr-benedict']]);
+    expect(result.load.map(({ services }) => services)).toEqual([1, 1]);
+  });
+
+  test('keeps the priest named on a changed service', async () => {
+    occurrences = [
+      occurrence('2026-03-01', '07:00'),
+      occurrence('2026-03-02', '07:00', STATION_A, { status: 'changed', celebrant: { name: 'fr-anthony', user: 'fr-anthony' } })
+    ];
+
+    const result = await generate();
+
+    expect(priestOf(result, occurrences[0].id)).toBe('fr-anthony');
+    expect(priestOf(result, occurrences[1].id)).toBe('fr-anthony');
+  });
+
+  test('explains why nothing was assigned when nobody can celebrate', async () => {
+    celebrants = [];
+    occurrences = [occurrence('2026-03-01', '07:00')];
+
+    const result = await generate();
+
+    expect(result.unassigned[0].reason).toBe('No users have a role with the rota:celebrate permission');
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, test, expect } from '@jest/globals';
+import { addDays, getDayOfWeek, getOffsetMinutes, toDateKey, zonedTimeToDate } from '../utils/timezone.js';
+
+describe('timezone helpers', () => {
+  test('addDays crosses month, year and leap day boundaries', () => {
+    expect(addDays('2026-01-31', 1)).toBe('2026-02-01');
+    expect(addDays('2026-12-31', 1)).toBe('2027-01-01');
+    expect(addDays('2028-02-28', 1)).toBe('2028-02-29');
+    expect(addDays('2026-03-01', -1)).toBe('2026-02-28');
+  });
+
+  test('getDayOfWeek names the weekday of a calendar day', () => {
+    expect(getDayOfWeek('2026-03-01')).toBe('sunday');
+    expect(getDayOfWeek('2026-12-25')).toBe('friday');
+  });
+
+  test('toDateKey gives the calendar day in the requested timezone', () => {
+    const instant = new Date('2026-03-01T02:30:00.000Z');
+
+    expect(toDateKey(instant, 'UTC')).toBe('2026-03-01');
+    expect(toDateKey(instant, 'America/New_York')).toBe('2026-02-28');
+    expect(toDateKey(new Date('2026-03-01T23:30:00.000Z'), 'Africa/Douala')).toBe('2026-03-02');
+  });
+
+  test('getOffsetMinutes follows daylight saving time', () => {
+    expect(getOffsetMinutes(new Date('2026-01-15T12:00:00.000Z'), 'America/New_York')).toBe(-300);
+    expect(getOffsetMinutes(new Date('2026-07-15T12:00:00.000Z'), 'America/New_York')).toBe(-240);
+    expect(getOffsetMinutes(new Date('2026-07-15T12:00:00.000Z'), 'Asia/Kolkata')).toBe(330);
+  });
+
+  test('zonedTimeToDate turns a local time into the right instant', () => {
+    expect(zonedTimeToDate('2026-03-07', '07:00', 'America/New_York').toISOString()).toBe('2026-03-07T12:00:00.000Z');
+    expect(zonedTimeToDate('2026-03-08', '07:00', 'America/New_York').toISOString()).toBe('2026-03-08T11:00:00.000Z');
+    expect(zonedTimeToDate('2026-03-01', '07:00', 'Africa/Douala').toISOString()).toBe('2026-03-01T06:00:00.000Z');
+  });
+
+  test('zonedTimeToDate moves a time skipped by the clocks going forward to the hour after', () => {
+    // Clocks in New York jump from 02:00 to 03:00 on 8 March 2026
+    expect(zonedTimeToDate('2026-03-08', '02:30', 'America/New_York').toISOString()).toBe('2026-03-08T07:30:00.000Z');
+  });
+
+  test('zonedTimeToDate picks the first of a time repeated when the clocks go back', () => {
+    // 01:30 happens twice in New York on 1 November 2026
+    expect(zonedTimeToDate('2026-11-01', '01:30', 'America/New_York').toISOString()).toBe('2026-11-01T05:30:00.000Z');
+  });
+});
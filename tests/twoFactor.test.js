@@ -0,0 +1,115 @@
+import { describe, test, expect, beforeAll, beforeEach, afterAll } from '@jest/globals';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import User from '../models/User.js';
+import RefreshToken from '../models/RefreshToken.js';
+import authRoutes from '../routes/auth.js';
+import { hashToken } from '../utils/tokens.js';
+import { base32Encode, generateCode, generateSecret, getTimeStep, verifyCode } from '../utils/totp.js';
+
+// RFC 6238 appendix B test secret (SHA-1)
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP codes', () => {
+  test('match the RFC 6238 test vectors', () => {
+    expect(generateCode(RFC_SECRET, getTimeStep(59 * 1000))).toBe('287082');
+    expect(generateCode(RFC_SECRET, getTimeStep(1111111109 * 1000))).toBe('081804');
+    expect(generateCode(RFC_SECRET, getTimeStep(1234567890 * 1000))).toBe('005924');
+  });
+
+  test('accept the neighbouring steps for clock drift', () => {
+    const secret = generateSecret();
+    const step = getTimeStep();
+
+    expect(verifyCode(secret, generateCode(secret, step - 1))).toBe(step - 1);
+    expect(verifyCode(secret, generateCode(secret, step + 1))).toBe(step + 1);
+    expect(verifyCode(secret, generateCode(secret, step - 3))).toBeNull();
+  });
+
+  test('reject a code from a step that was already used', () => {
+    const secret = generateSecret();
+    const step = getTimeStep();
+    const code = generateCode(secret, step);
+
+    expect(verifyCode(secret, code, { lastUsedStep: step - 1 })).toBe(step);
+    expect(verifyCode(secret, code, { lastUsedStep: step })).toBeNull();
+  });
+});
+
+describe('POST /api/auth/login/2fa', () => {
+  const originals = { userFindById: User.findById, refreshCreate: RefreshToken.create };
+
+  const app = express();
+  // Each request comes from its own address so the per-IP rate limiter stays out of the way
+  app.set('trust proxy', 1);
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+
+  let requests = 0;
+  let user;
+  let failures;
+
+  const mfaToken = () => jwt.sign(
+    { userId: String(user._id), purpose: 'mfa-login' },
+    `${process.env.JWT_SECRET || 'fallback-secret'}:mfa`,
+    { expiresIn: '5m' }
+  );
+
+  const login = (body) => request(app)
+    .post('/api/auth/login/2fa')
+    .set('X-Forwarded-For', `192.0.2.${++requests}`)
+    .send({ mfaToken: mfaToken(), ...body });
+
+  beforeAll(() => {
+    User.findById = () => ({ select: async () => user });
+    RefreshToken.create = async (fields) => fields;
+  });
+
+  beforeEach(() => {
+    user = new User({
+      username: 'fr-paul',
+      role: 'priest',
+      passwordHash: 'x',
+      twoFactor: { enabled: true, secret: generateSecret(), lastUsedStep: null }
+    });
+    failures = 0;
+    user.save = async () => user;
+    user.claimLoginAttempt = async () => ({ failedLoginAttempts: 1, lockoutCount: 0 });
+    user.registerFailedLogin = async () => {
+      failures++;
+      return { locked: false };
+    };
+    user.resetFailedLogins = async () => {};
+  });
+
+  afterAll(() => {
+    User.findById = originals.userFindById;
+    RefreshToken.create = originals.refreshCreate;
+  });
+
+  test('completes the login with the current code', async () => {
+    const response = await login({ code: generateCode(user.twoFactor.secret) }).expect(200);
+
+    expect(response.body.accessToken).toBeDefined();
+    expect(user.twoFactor.lastUsedStep).toBeGreaterThanOrEqual(getTimeStep() - 1);
+  });
+
+  test('refuses the same code a second time', async () => {
+    const code = generateCode(user.twoFactor.secret);
+    await login({ code }).expect(200);
+
+    const response = await login({ code }).expect(401);
+    expect(response.body.message).toBe('Invalid authentication code');
+    expect(failures).toBe(1);
+  });
+
+  test('accepts each recovery code once', async () => {
+    const recoveryCode = 'a1b2c-3d4e5';
+    user.twoFactor.recoveryCodes = [{ codeHash: hashToken(recoveryCode) }];
+
+    await login({ recoveryCode }).expect(200);
+    expect(user.twoFactor.recoveryCodes[0].usedAt).toBeInstanceOf(Date);
+    await login({ recoveryCode }).expect(401);
+  });
+});
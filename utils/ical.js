@@ -0,0 +1,184 @@
+/**
+ * iCalendar (RFC 5545) helpers for the calendar feeds
+ */
+
+import { getOffsetMinutes } from './timezone.js';
+
+const CRLF = '\r\n';
+const MAX_LINE_OCTETS = 75;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma and newlines)
+ * @param {string} value
+ * @returns {string}
+ */
+export function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Split content lines longer than 75 octets, without breaking UTF-8 characters
+const foldLine = (line) => {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) {
+    return line;
+  }
+
+  const parts = [];
+  let current = '';
+  let limit = MAX_LINE_OCTETS;
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+      limit = MAX_LINE_OCTETS - 1; // continuation lines start with a space
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join(`${CRLF} `);
+};
+
+/**
+ * UTC date-time, e.g. 20261225T120000Z
+ * @param {Date} date
+ * @returns {string}
+ */
+export function formatUtc(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * DATE value from a calendar day, e.g. '2026-12-25' -> 20261225
+ * @param {string} dateKey
+ * @returns {string}
+ */
+export function formatDate(dateKey) {
+  return dateKey.replace(/-/g, '');
+}
+
+/**
+ * Local date-time for use with a TZID parameter, e.g. 20261225T070000
+ * @param {string} dateKey - 'YYYY-MM-DD'
+ * @param {string} time - 'HH:mm' (or 'H:mm', as older schedules stored it)
+ * @returns {string}
+ */
+export function formatLocal(dateKey, time) {
+  return `${formatDate(dateKey)}T${time.padStart(5, '0').replace(':', '')}00`;
+}
+
+// -240 -> '-0400'
+const formatOffset = (minutes) => {
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`;
+};
+
+// Wall-clock time of an instant at a fixed offset, as a local date-time
+const formatAtOffset = (instant, offsetMinutes) => formatUtc(instant + offsetMinutes * 60000).slice(0, 15);
+
+/**
+ * Find the UTC offset changes (daylight saving) of a timezone between two years
+ * @param {string} timeZone
+ * @param {number} fromYear
+ * @param {number} toYear - Inclusive
+ * @returns {{ initialOffset: number, transitions: { at: number, from: number, to: number }[] }}
+ */
+export function getTransitions(timeZone, fromYear, toYear) {
+  const start = Date.UTC(fromYear, 0, 1);
+  const end = Date.UTC(toYear + 1, 0, 1);
+  const offsetAt = (time) => getOffsetMinutes(new Date(time), timeZone);
+
+  const initialOffset = offsetAt(start);
+  const transitions = [];
+  let previous = initialOffset;
+
+  for (let day = start + DAY_MS; day <= end; day += DAY_MS) {
+    const offset = offsetAt(day);
+    if (offset === previous) {
+      continue;
+    }
+
+    // Narrow down to the minute the offset changed
+    let low = day - DAY_MS;
+    let high = day;
+    while (high - low > 60000) {
+      const middle = low + Math.floor((high - low) / 120000) * 60000;
+      if (offsetAt(middle) === previous) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+
+    transitions.push({ at: high, from: previous, to: offset });
+    previous = offset;
+  }
+
+  return { initialOffset, transitions };
+}
+
+/**
+ * VTIMEZONE component listing each offset change of a timezone between two years
+ * @param {string} timeZone
+ * @param {number} fromYear
+ * @param {number} toYear
+ * @returns {string[]} Content lines
+ */
+export function buildTimezone(timeZone, fromYear, toYear) {
+  const { initialOffset, transitions } = getTransitions(timeZone, fromYear, toYear);
+  const standardOffset = Math.min(initialOffset, ...transitions.map(t => t.to));
+
+  const observance = (startLocal, from, to) => {
+    const kind = to > standardOffset ? 'DAYLIGHT' : 'STANDARD';
+    return [
+      `BEGIN:${kind}`,
+      `DTSTART:${startLocal}`,
+      `TZOFFSETFROM:${formatOffset(from)}`,
+      `TZOFFSETTO:${formatOffset(to)}`,
+      `END:${kind}`
+    ];
+  };
+
+  return [
+    'BEGIN:VTIMEZONE',
+    `TZID:${timeZone}`,
+    ...observance(`${fromYear}0101T000000`, initialOffset, initialOffset),
+    ...transitions.flatMap(t => observance(formatAtOffset(t.at, t.from), t.from, t.to)),
+    'END:VTIMEZONE'
+  ];
+}
+
+/**
+ * Build an iCalendar file
+ * @param {Object} options
+ * @param {string} options.name - Calendar name shown by clients
+ * @param {string} options.description
+ * @param {string[]} options.timezone - VTIMEZONE lines from buildTimezone(), if any
+ * @param {Array<Array<[string, string]>>} options.events - Each event is a list of
+ *   [property (with parameters), value] pairs; values are used as given
+ * @returns {string}
+ */
+export function buildCalendar({ name, description, timezone = [], events }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Parish Website//Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...(description ? [`X-WR-CALDESC:${escapeText(description)}`] : []),
+    ...timezone,
+    ...events.flatMap(properties => [
+      'BEGIN:VEVENT',
+      ...properties.map(([property, value]) => `${property}:${value}`),
+      'END:VEVENT'
+    ]),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join(CRLF) + CRLF;
+}
@@ -324,10 +324,39 @@ export function isLaetareSunday(date, easter) {
   return false;
 }
 
+/**
+ * Get the liturgical season of a date
+ * @param {Date} date - The date to check
+ * @returns {string} - 'advent', 'christmas', 'lent', 'triduum', 'easter' or 'ordinary'
+ */
+export function getLiturgicalSeason(date) {
+  const easter = calculateEaster(date.getFullYear());
+  const holyThursday = new Date(easter);
+  holyThursday.setDate(easter.getDate() - 3);
+
+  if (isAdvent(date)) {
+    return 'advent';
+  }
+  if (isChristmasSeason(date)) {
+    return 'christmas';
+  }
+  if (isLent(date, easter)) {
+    return 'lent';
+  }
+  if (date >= holyThursday && date < easter) {
+    return 'triduum';
+  }
+  if (isEasterSeason(date, easter)) {
+    return 'easter';
+  }
+  return 'ordinary';
+}
+
 /**
  * Get the liturgical color for a specific date
  * @param {Date} date - The date to check (defaults to today)
- * @param {Object} override - Optional manual override object
+ * @param {Object|false} override - Optional manual override object, or false when
+ *   overrides have already been looked up (skips the database check)
  * @returns {Object} - Liturgical color object with name, hex, and tailwind colors
  */
 export async function getLiturgicalColor(date = new Date(), override = null) {
@@ -340,7 +369,7 @@ export async function getLiturgicalColor(date = new Date(), override = null) {
   }
   
   // If model is available, check database for overrides
-  if (LiturgicalColorOverride) {
+  if (LiturgicalColorOverride && override !== false) {
     try {
       const dateOnly = new Date(date);
       dateOnly.setHours(0, 0, 0, 0);
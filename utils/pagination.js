@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+
+/**
+ * Cursor pagination helpers
+ * A cursor records the sort values of the last item on a page, so the next page
+ * can continue after it even when documents are added or removed in between.
+ * Sorts always end with _id so every position is unique.
+ */
+
+/**
+ * Encode the sort values of a document as an opaque cursor
+ * @param {Object} doc - Last document of the current page
+ * @param {string[]} fields - Sort fields (including _id)
+ * @returns {string} Base64url cursor
+ */
+export const encodeCursor = (doc, fields) => {
+  const values = fields.map(field => {
+    const value = field.split('.').reduce((obj, key) => obj?.[key], doc);
+    if (value instanceof Date) {
+      return { $date: value.toISOString() };
+    }
+    if (value instanceof mongoose.Types.ObjectId) {
+      return { $oid: value.toString() };
+    }
+    return value ?? null;
+  });
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+};
+
+/**
+ * Decode a cursor created by encodeCursor
+ * @param {string} cursor
+ * @param {number} length - Expected number of sort fields
+ * @returns {Array|null} Sort values, or null when the cursor is invalid
+ */
+export const decodeCursor = (cursor, length) => {
+  try {
+    const values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!Array.isArray(values) || values.length !== length) {
+      return null;
+    }
+    return values.map(value => {
+      if (value?.$date) {
+        return new Date(value.$date);
+      }
+      if (value?.$oid) {
+        return new mongoose.Types.ObjectId(value.$oid);
+      }
+      return value;
+    });
+  } catch (error) {
+    return null;
+  }
+};
+
+// Condition matching values after `value` in the given direction.
+// MongoDB sorts null/missing before everything else.
+const afterCondition = (field, value, direction) => {
+  if (direction === 1) {
+    return value === null ? { [field]: { $ne: null } } : { [field]: { $gt: value } };
+  }
+  return value === null ? null : { [field]: { $not: { $gte: value } } };
+};
+
+/**
+ * Build the query condition selecting documents after a cursor
+ * @param {Object} sort - Mongo sort spec, e.g. { lastName: 1, firstName: 1, _id: 1 }
+ * @param {Array} values - Decoded cursor values in sort order
+ * @returns {Object} Condition to combine with the rest of the query
+ */
+export const buildCursorQuery = (sort, values) => {
+  const fields = Object.keys(sort);
+  const branches = [];
+
+  fields.forEach((field, i) => {
+    const after = afterCondition(field, values[i], sort[field]);
+    if (!after) {
+      return;
+    }
+    const equalPrefix = fields.slice(0, i).map((prev, j) => ({ [prev]: values[j] }));
+    branches.push(equalPrefix.length ? { $and: [...equalPrefix, after] } : after);
+  });
+
+  return branches.length ? { $or: branches } : { _id: null };
+};
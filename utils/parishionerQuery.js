@@ -0,0 +1,77 @@
+import User from '../models/User.js';
+import { prefixPattern } from './search.js';
+import { normalizeName } from './stringSimilarity.js';
+
+/**
+ * Filters and sorting shared by the admin parishioner list and the export
+ */
+
+// Sort orders for the parishioner list; _id keeps positions unique for cursors
+const PARISHIONER_SORTS = {
+  lastName: ['lastName', 'firstName'],
+  firstName: ['firstName', 'lastName'],
+  dateOfBirth: ['dateOfBirth'],
+  createdAt: ['createdAt']
+};
+
+/**
+ * Build a Parishioner query from list filters (validated by schemas.parishionerQuery)
+ * @param {Object} filters - search (name, phone, email), missionStation, ministry, household,
+ *   sacrament, missingSacrament, minAge, maxAge, gender, deceased, isActive
+ * @returns {Promise<Object>} Mongo query
+ */
+export const buildParishionerQuery = async ({ search, missionStation, ministry, household, sacrament, missingSacrament, minAge, maxAge, gender, deceased, isActive }) => {
+  // Stubs left behind by merges are never listed
+  const query = { mergedInto: null };
+
+  // Prefix matches against indexed, normalized values (Parishioner.searchKeys, User.email)
+  if (search) {
+    const name = normalizeName(search);
+    const digits = search.replace(/\D/g, '');
+    const email = search.trim().toLowerCase();
+    // Email lives on the linked user account
+    const users = await User.find({ email: prefixPattern(email) }).select('_id').lean();
+    const clauses = [
+      ...(name ? [{ searchKeys: prefixPattern(name) }] : []),
+      ...(digits ? [{ searchKeys: prefixPattern(digits) }] : []),
+      ...(users.length ? [{ user: { $in: users.map(u => u._id) } }] : [])
+    ];
+    // Nothing searchable (e.g. only punctuation) matches nobody
+    query.$or = clauses.length ? clauses : [{ _id: null }];
+  }
+  if (missionStation) query.missionStation = missionStation;
+  if (ministry) query.ministries = ministry;
+  if (household) query.household = household;
+  if (sacrament) query[`sacraments.${sacrament}.date`] = { $ne: null };
+  if (missingSacrament) query[`sacraments.${missingSacrament}.date`] = null;
+  if (gender) query.gender = gender;
+  if (deceased !== undefined) query.dateOfDeath = deceased ? { $ne: null } : null;
+  if (isActive !== undefined) query.isActive = isActive;
+
+  // Age range in whole years, as of today
+  if (minAge !== undefined || maxAge !== undefined) {
+    const today = new Date();
+    const yearsAgo = (years) => new Date(today.getFullYear() - years, today.getMonth(), today.getDate());
+    query.dateOfBirth = {};
+    if (minAge !== undefined) query.dateOfBirth.$lte = yearsAgo(minAge);
+    if (maxAge !== undefined) query.dateOfBirth.$gt = yearsAgo(maxAge + 1);
+  }
+
+  return query;
+};
+
+/**
+ * Get the Mongo sort for list options
+ * @param {Object} options
+ * @param {string} options.sort - lastName (default), firstName, dateOfBirth or createdAt
+ * @param {string} options.order - 'asc' (default) or 'desc'
+ * @returns {{ sort: Object, sortFields: string[] }}
+ */
+export const getParishionerSort = ({ sort = 'lastName', order = 'asc' } = {}) => {
+  const direction = order === 'desc' ? -1 : 1;
+  const sortFields = [...(PARISHIONER_SORTS[sort] || PARISHIONER_SORTS.lastName), '_id'];
+  return {
+    sort: Object.fromEntries(sortFields.map(field => [field, direction])),
+    sortFields
+  };
+};
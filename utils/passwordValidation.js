@@ -1,3 +1,5 @@
+import roleService from '../services/roleService.js';
+
 /**
  * Password validation utility
  * Enforces strong password rules:
@@ -36,3 +38,24 @@ export const validatePassword = (password) => {
   };
 };
 
+
+/**
+ * Validate a password against the rules for a given role
+ * Roles with requireStrongPassword set use the strong rules, everyone
+ * else needs at least 6 characters
+ */
+export const validatePasswordForRole = async (password, role) => {
+  if (await roleService.requiresStrongPassword(role)) {
+    return validatePassword(password);
+  }
+
+  const errors = [];
+  if (!password || password.length < 6) {
+    errors.push('Password must be at least 6 characters long');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
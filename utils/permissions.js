@@ -0,0 +1,103 @@
+/**
+ * Permission catalog and built-in role definitions
+ * Roles are stored in the Role collection as named sets of these permission
+ * strings. DEFAULT_ROLES mirrors the rights each built-in role had before roles
+ * became configurable, and is used by scripts/seedRoles.js.
+ */
+
+// Wildcard permission: grants everything
+export const ALL_PERMISSIONS = '*';
+
+export const PERMISSIONS = {
+  ANNOUNCEMENTS_WRITE: 'announcements:write',
+  EVENTS_WRITE: 'events:write',
+  MASS_SCHEDULE_WRITE: 'mass-schedule:write',
+  MINISTRIES_WRITE: 'ministries:write',
+  GALLERY_WRITE: 'gallery:write',
+  PRAYERS_WRITE: 'prayers:write',
+  SERMONS_WRITE: 'sermons:write',
+  LITURGICAL_COLORS_WRITE: 'liturgical-colors:write',
+  MISSION_STATIONS_WRITE: 'mission-stations:write',
+  PARISHIONERS_READ: 'parishioners:read',
+  PARISHIONERS_WRITE: 'parishioners:write',
+  SACRAMENTS_WRITE: 'sacraments:write',
+  DONATIONS_READ: 'donations:read',
+  NOTIFICATIONS_SEND: 'notifications:send',
+  USERS_READ: 'users:read',
+  USERS_MANAGE: 'users:manage',
+  ROLES_MANAGE: 'roles:manage',
+  AUDIT_LOG_READ: 'audit-log:read',
+  REPORTS_READ: 'reports:read',
+  ROTA_CELEBRATE: 'rota:celebrate'
+};
+
+export const PERMISSION_LIST = Object.values(PERMISSIONS);
+
+// Editor permissions: MassSchedule, Announcements, Events, Ministries, Gallery
+const EDITOR_PERMISSIONS = [
+  PERMISSIONS.MASS_SCHEDULE_WRITE,
+  PERMISSIONS.ANNOUNCEMENTS_WRITE,
+  PERMISSIONS.EVENTS_WRITE,
+  PERMISSIONS.MINISTRIES_WRITE,
+  PERMISSIONS.GALLERY_WRITE
+];
+
+// Priest permissions: All editor permissions + Prayers, Sermons, LiturgicalColors, sacrament records,
+// and being put on the celebrant rota
+const PRIEST_PERMISSIONS = [
+  ...EDITOR_PERMISSIONS,
+  PERMISSIONS.PRAYERS_WRITE,
+  PERMISSIONS.SERMONS_WRITE,
+  PERMISSIONS.LITURGICAL_COLORS_WRITE,
+  PERMISSIONS.SACRAMENTS_WRITE,
+  PERMISSIONS.ROTA_CELEBRATE
+];
+
+export const DEFAULT_ROLES = [
+  {
+    name: 'admin',
+    description: 'Full access to every part of the site',
+    permissions: [ALL_PERMISSIONS],
+    requireStrongPassword: true,
+    twoFactor: 'optional'
+  },
+  {
+    name: 'parish-priest',
+    description: 'All content, donations, reports and user management',
+    permissions: [
+      ...PRIEST_PERMISSIONS,
+      PERMISSIONS.DONATIONS_READ,
+      PERMISSIONS.USERS_READ,
+      PERMISSIONS.USERS_MANAGE,
+      PERMISSIONS.REPORTS_READ
+    ],
+    twoFactor: 'optional'
+  },
+  {
+    name: 'priest',
+    description: 'Editor content plus prayers, sermons and liturgical colors',
+    permissions: PRIEST_PERMISSIONS,
+    twoFactor: 'optional'
+  },
+  {
+    name: 'editor',
+    description: 'Mass schedules, announcements, events, ministries and gallery',
+    permissions: EDITOR_PERMISSIONS,
+    requireStrongPassword: true
+  },
+  {
+    name: 'parishioner',
+    description: 'Registered parishioner (own profile only)',
+    permissions: []
+  }
+];
+
+/**
+ * Check whether a set of permissions grants a permission
+ * @param {string[]} granted - Permissions held by a role
+ * @param {string} permission - Permission to check (e.g. 'sermons:write')
+ * @returns {boolean}
+ */
+export function grantsPermission(granted, permission) {
+  return granted.includes(ALL_PERMISSIONS) || granted.includes(permission);
+}
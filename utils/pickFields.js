@@ -0,0 +1,15 @@
+/**
+ * Keep only whitelisted fields from a request body
+ * @param {Object} body
+ * @param {string[]} fields - Fields to keep; undefined values are left out
+ * @returns {Object}
+ */
+export const pickFields = (body, fields) => {
+  const picked = {};
+  fields.forEach(field => {
+    if (body[field] !== undefined) {
+      picked[field] = body[field];
+    }
+  });
+  return picked;
+};
@@ -17,6 +17,10 @@ import {
   isLaetareSunday
 } from './liturgicalCalendar.js';
 
+// YYYY-MM-DD of the local day the saints were looked up for (toISOString() would
+// give the previous day for local midnights east of UTC)
+const localDateKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
 /**
  * Comprehensive calendar of saints organized by month and day
  * Format: { month: { day: [{ name, type, description }] } }
@@ -725,7 +729,7 @@ export function getSaintOfTheDay() {
   const saints = getSaintsForDate(today);
   
   return {
-    date: today.toISOString().split('T')[0],
+    date: localDateKey(today),
     timestamp: today.toISOString(),
     saints: saints
   };
@@ -751,7 +755,7 @@ export function getUpcomingFeasts(days = 9) {
     // including days that are just "Ordinary Time" weekdays
     if (saints.length > 0) {
       upcoming.push({
-        date: futureDate.toISOString().split('T')[0],
+        date: localDateKey(futureDate),
         timestamp: futureDate.toISOString(),
         saints: saints
       });
@@ -776,7 +780,7 @@ export function getFeastsInRange(startDate, endDate) {
     
     if (saints.length > 0 && saints[0].type !== 'none' && saints[0].type !== 'ordinary') {
       feasts.push({
-        date: currentDate.toISOString().split('T')[0],
+        date: localDateKey(currentDate),
         timestamp: currentDate.toISOString(),
         saints: saints
       });
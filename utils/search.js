@@ -0,0 +1,21 @@
+/**
+ * Escape user input for use inside a regular expression
+ * @param {string} value
+ * @returns {string}
+ */
+export const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Case-insensitive "contains" pattern for free-text search fields
+ * @param {string} value
+ * @returns {RegExp}
+ */
+export const searchPattern = (value) => new RegExp(escapeRegex(value.trim()), 'i');
+
+/**
+ * Anchored, case-sensitive "starts with" pattern; unlike searchPattern it can use
+ * an index, so match it against fields stored normalized (e.g. lowercase)
+ * @param {string} value - Already normalized
+ * @returns {RegExp}
+ */
+export const prefixPattern = (value) => new RegExp(`^${escapeRegex(value)}`);
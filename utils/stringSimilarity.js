@@ -0,0 +1,57 @@
+/**
+ * Name comparison helpers used by duplicate detection
+ */
+
+/**
+ * Normalize a name for comparison: lowercase, no accents, punctuation or extra spaces
+ * @param {string} value
+ * @returns {string}
+ */
+export const normalizeName = (value = '') => value
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z\s]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Keep only the last 9 digits of a phone number, so +237 670 00 00 00 and 670000000 match
+ * @param {string} value
+ * @returns {string}
+ */
+export const normalizePhone = (value = '') => value.replace(/\D/g, '').slice(-9);
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export const levenshtein = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Similarity between two strings from 0 (different) to 1 (identical)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export const similarity = (a, b) => {
+  const longest = Math.max(a.length, b.length);
+  return longest === 0 ? 1 : 1 - levenshtein(a, b) / longest;
+};
@@ -0,0 +1,123 @@
+/**
+ * Parish timezone helpers
+ * Service times are stored as wall-clock "HH:mm" in the parish timezone
+ * (PARISH_TIMEZONE, default America/New_York). Calendar days are handled as
+ * 'YYYY-MM-DD' keys so they do not shift with the server's own timezone.
+ */
+
+export const DAYS_OF_WEEK = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const DEFAULT_TIMEZONE = 'America/New_York';
+
+// Creating formatters is slow; keep one per timezone
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Get the parish timezone (PARISH_TIMEZONE)
+ * @returns {string} IANA timezone name
+ */
+export function getParishTimezone() {
+  return process.env.PARISH_TIMEZONE || DEFAULT_TIMEZONE;
+}
+
+/**
+ * Wall-clock date and time of an instant in a timezone
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number }}
+ */
+export function getZonedParts(date, timeZone = getParishTimezone()) {
+  const parts = getFormatter(timeZone).formatToParts(date);
+
+  const value = (type) => Number(parts.find(part => part.type === type).value);
+  return {
+    year: value('year'),
+    month: value('month'),
+    day: value('day'),
+    hour: value('hour'),
+    minute: value('minute'),
+    second: value('second')
+  };
+}
+
+/**
+ * Minutes a timezone is ahead of UTC at an instant (e.g. -240 for New York in summer)
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {number}
+ */
+export function getOffsetMinutes(date, timeZone = getParishTimezone()) {
+  const p = getZonedParts(date, timeZone);
+  const wallClock = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((wallClock - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Calendar day of an instant in a timezone
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {string} 'YYYY-MM-DD'
+ */
+export function toDateKey(date = new Date(), timeZone = getParishTimezone()) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Add days to a calendar day
+ * @param {string} dateKey - 'YYYY-MM-DD'
+ * @param {number} days
+ * @returns {string} 'YYYY-MM-DD'
+ */
+export function addDays(dateKey, days) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Day of the week of a calendar day
+ * @param {string} dateKey - 'YYYY-MM-DD'
+ * @returns {string} e.g. 'sunday'
+ */
+export function getDayOfWeek(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return DAYS_OF_WEEK[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+}
+
+/**
+ * The instant a wall-clock time happens on a calendar day in a timezone.
+ * Times skipped by a daylight saving change resolve to the hour after.
+ * @param {string} dateKey - 'YYYY-MM-DD'
+ * @param {string} time - 'HH:mm'
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+export function zonedTimeToDate(dateKey, time, timeZone = getParishTimezone()) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  // The offset can differ between the guess and the result around a DST change
+  const firstGuess = wallClock - getOffsetMinutes(new Date(wallClock), timeZone) * 60000;
+  const result = new Date(wallClock - getOffsetMinutes(new Date(firstGuess), timeZone) * 60000);
+
+  const parts = getZonedParts(result, timeZone);
+  const skipped = parts.hour !== hour || parts.minute !== minute;
+  return skipped ? new Date(firstGuess) : result;
+}
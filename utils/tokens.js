@@ -0,0 +1,29 @@
+import crypto from 'crypto';
+
+/**
+ * Generate a random token for emailed links (password reset, verification, invitations)
+ * @param {number} bytes - Number of random bytes
+ * @returns {string} - Hex encoded token
+ */
+export const generateToken = (bytes = 32) => crypto.randomBytes(bytes).toString('hex');
+
+/**
+ * Hash a single-use token before storing it, so a database leak does not expose usable links
+ * @param {string} token
+ * @returns {string} - SHA-256 hex digest
+ */
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Unambiguous characters for codes people read and type (no 0/O, 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+/**
+ * Generate a human-readable verification code, e.g. 'K7QF-2MZR-W9XD'
+ * @param {number} groups - Number of 4-character groups
+ * @returns {string}
+ */
+export const generateVerificationCode = (groups = 3) => {
+  const bytes = crypto.randomBytes(groups * 4);
+  const chars = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]);
+  return Array.from({ length: groups }, (_, i) => chars.slice(i * 4, i * 4 + 4).join('')).join('-');
+};
@@ -0,0 +1,165 @@
+/**
+ * TOTP (RFC 6238) utility
+ * Time-based one-time passwords compatible with Google Authenticator,
+ * Microsoft Authenticator, Authy, etc. (HMAC-SHA1, 6 digits, 30 second step)
+ */
+
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_DIGITS = 6;
+const TOTP_STEP_SECONDS = 30;
+
+/**
+ * Encode a buffer as base32 (RFC 4648, no padding)
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+export function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode a base32 string (case-insensitive, spaces and padding ignored)
+ * @param {string} input
+ * @returns {Buffer}
+ */
+export function base32Decode(input) {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} - Base32 encoded secret (160 bits)
+ */
+export function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Get the TOTP time step for a given time
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {number}
+ */
+export function getTimeStep(timestamp = Date.now()) {
+  return Math.floor(timestamp / 1000 / TOTP_STEP_SECONDS);
+}
+
+/**
+ * Generate the TOTP code for a time step
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} step - Time step (defaults to the current one)
+ * @returns {string} - Zero-padded 6 digit code
+ */
+export function generateCode(secret, step = getTimeStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+
+  // Dynamic truncation (RFC 4226 section 5.3)
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Verify a TOTP code, allowing for small clock drift
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options
+ * @param {number} options.window - Number of steps before/after the current one to accept
+ * @param {number} options.lastUsedStep - Reject codes at or before this step (replay protection)
+ * @returns {number|null} - The matching time step, or null if the code is invalid
+ */
+export function verifyCode(secret, code, { window = 1, lastUsedStep = null } = {}) {
+  if (!secret || !code || !/^\d{6}$/.test(String(code))) {
+    return null;
+  }
+
+  const currentStep = getTimeStep();
+  const expected = Buffer.from(String(code));
+
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    if (lastUsedStep !== null && step <= lastUsedStep) {
+      continue;
+    }
+    const candidate = Buffer.from(generateCode(secret, step));
+    if (crypto.timingSafeEqual(candidate, expected)) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the otpauth:// provisioning URI encoded in authenticator app QR codes
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} accountName - Username or email shown in the app
+ * @param {string} issuer - Parish/site name shown in the app
+ * @returns {string}
+ */
+export function buildOtpauthUrl(secret, accountName, issuer) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Generate one-time recovery codes (e.g. "a1b2c-3d4e5")
+ * @param {number} count
+ * @returns {string[]}
+ */
+export function generateRecoveryCodes(count = 10) {
+  return Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+}
@@ -0,0 +1,44 @@
+/**
+ * User agent helpers
+ * Produces a short, human readable device description for session lists
+ * (e.g. "Chrome on Windows", "Safari on iPhone")
+ */
+
+const PLATFORMS = [
+  { pattern: /iPhone/i, name: 'iPhone' },
+  { pattern: /iPad/i, name: 'iPad' },
+  { pattern: /Android/i, name: 'Android' },
+  { pattern: /Windows/i, name: 'Windows' },
+  { pattern: /Mac OS X|Macintosh/i, name: 'Mac' },
+  { pattern: /CrOS/i, name: 'ChromeOS' },
+  { pattern: /Linux/i, name: 'Linux' }
+];
+
+// Order matters: Edge and Opera also report "Chrome", Chrome also reports "Safari"
+const BROWSERS = [
+  { pattern: /Edg\//i, name: 'Edge' },
+  { pattern: /OPR\/|Opera/i, name: 'Opera' },
+  { pattern: /Firefox|FxiOS/i, name: 'Firefox' },
+  { pattern: /Chrome|CriOS/i, name: 'Chrome' },
+  { pattern: /Safari/i, name: 'Safari' }
+];
+
+/**
+ * Describe the device a request came from
+ * @param {string} userAgent - Raw User-Agent header
+ * @returns {string} - Device description, or 'Unknown device'
+ */
+export function describeDevice(userAgent) {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  const platform = PLATFORMS.find(p => p.pattern.test(userAgent))?.name;
+  const browser = BROWSERS.find(b => b.pattern.test(userAgent))?.name;
+
+  if (browser && platform) {
+    return `${browser} on ${platform}`;
+  }
+
+  return browser || platform || 'Unknown device';
+}